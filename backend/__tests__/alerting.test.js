@@ -0,0 +1,213 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import {
+    sendAlert,
+    raiseAlert,
+    resolveAlert,
+    sendDigestIfDue,
+    alertFingerprint,
+    alertStructureChange,
+    AlertKey
+} from '../alerting.js';
+import { setStorage, createFileStorage } from '../storage/index.js';
+import {
+    getAlertChannels,
+    createEmailChannel,
+    createWebhookChannel,
+    createTelegramChannel,
+    buildWebhookPayload
+} from '../alertChannels/index.js';
+import { startSmtpStandIn, startHttpStandIn } from './helpers/alertStandIns.js';
+import { silenceLogs } from './helpers/logs.js';
+
+silenceLogs();
+
+const ALERT = {
+    severity: 'CRITICAL',
+    title: 'SPSC Website Structure Changed',
+    message: 'Job scraper cannot find job listings.',
+    context: { url: 'https://spsc.sikkim.gov.in/Notifications.html' }
+};
+
+let smtp;
+let web;
+
+beforeAll(async () => {
+    smtp = await startSmtpStandIn();
+    web = await startHttpStandIn();
+});
+
+afterAll(async () => {
+    await smtp.close();
+    await web.close();
+});
+
+beforeEach(() => {
+    smtp.messages.length = 0;
+    web.requests.length = 0;
+    web.respondWith(200);
+});
+
+function emailChannel() {
+    return createEmailChannel({
+        host: smtp.host,
+        port: smtp.port,
+        secure: false,
+        user: 'alerts@example.com',
+        password: 'app-password',
+        from: 'alerts@example.com',
+        to: ['oncall@example.com', 'admin@example.com']
+    });
+}
+
+describe('channels', () => {
+    test('email is delivered over SMTP', async () => {
+        const [result] = await sendAlert(ALERT, { channels: [emailChannel()] });
+
+        expect(result).toEqual({ channel: 'email', ok: true, error: null });
+        expect(smtp.messages).toHaveLength(1);
+        expect(smtp.messages[0].to).toEqual(['<oncall@example.com>', '<admin@example.com>']);
+        expect(smtp.messages[0].data).toContain('Subject: [CRITICAL] SPSC Website Structure Changed');
+        expect(smtp.messages[0].data).toContain('Job scraper cannot find job listings.');
+    });
+
+    test.each([
+        ['slack', body => expect(body.text).toContain('[CRITICAL] SPSC Website Structure Changed')],
+        ['discord', body => {
+            expect(body.content).toBe('**[CRITICAL] SPSC Website Structure Changed**');
+            expect(body.embeds[0]).toMatchObject({ title: ALERT.title, color: expect.any(Number) });
+        }],
+        ['json', body => expect(body).toMatchObject({ severity: 'CRITICAL', title: ALERT.title, context: ALERT.context })]
+    ])('%s webhook payload', async (format, check) => {
+        await sendAlert(ALERT, { channels: [createWebhookChannel({ url: `${web.baseUrl}/hook`, format })] });
+
+        expect(web.requests).toHaveLength(1);
+        check(web.requests[0].body);
+    });
+
+    test('telegram posts to the bot API', async () => {
+        await sendAlert(ALERT, {
+            channels: [createTelegramChannel({ token: '123:abc', chatId: '-100200', apiUrl: web.baseUrl })]
+        });
+
+        expect(web.requests[0].path).toBe('/bot123:abc/sendMessage');
+        expect(web.requests[0].body).toMatchObject({ chat_id: '-100200', text: expect.stringContaining(ALERT.title) });
+    });
+
+    test('a failing channel is reported, the others still deliver', async () => {
+        web.respondWith(500);
+
+        const results = await sendAlert(ALERT, {
+            channels: [createWebhookChannel({ url: `${web.baseUrl}/hook`, format: 'json' }), emailChannel()]
+        });
+
+        expect(results).toEqual([
+            { channel: 'webhook:json', ok: false, error: expect.stringContaining('500') },
+            { channel: 'email', ok: true, error: null }
+        ]);
+    });
+
+    test('alerts are only logged outside production', async () => {
+        expect(await sendAlert(ALERT)).toEqual([]);
+    });
+});
+
+describe('getAlertChannels', () => {
+    test('enables channels from the environment', () => {
+        const channels = getAlertChannels({
+            ALERT_EMAIL: 'alerts@example.com',
+            ALERT_EMAIL_PASSWORD: 'x',
+            ALERT_WEBHOOK_URL: 'https://hooks.slack.com/services/T/B/X',
+            TELEGRAM_BOT_TOKEN: '123:abc',
+            TELEGRAM_CHAT_ID: '42'
+        });
+
+        expect(channels.map(c => c.name)).toEqual(['email', 'webhook:slack', 'telegram']);
+    });
+
+    test('detects Discord webhooks and skips invalid configuration', () => {
+        expect(getAlertChannels({ ALERT_WEBHOOK_URL: 'https://discord.com/api/webhooks/1/x' }).map(c => c.name))
+            .toEqual(['webhook:discord']);
+        expect(getAlertChannels({ ALERT_WEBHOOK_URL: 'https://x', ALERT_WEBHOOK_FORMAT: 'xml' })).toEqual([]);
+        expect(getAlertChannels({ TELEGRAM_BOT_TOKEN: '123:abc' })).toEqual([]);
+    });
+
+    test('Discord content stays within limits', () => {
+        const payload = buildWebhookPayload({ ...ALERT, message: 'x'.repeat(5000), timestamp: 't' }, 'discord');
+        expect(payload.embeds[0].description.length).toBeLessThanOrEqual(2000);
+    });
+});
+
+describe('alert state', () => {
+    const HOUR = 60 * 60 * 1000;
+    const start = new Date('2026-03-01T06:00:00.000Z');
+    const at = hours => new Date(start.getTime() + hours * HOUR);
+
+    let storage;
+    let sent;
+    let options;
+
+    beforeEach(() => {
+        storage = createFileStorage();
+        setStorage(storage);
+        sent = [];
+        options = { channels: [{ name: 'test', send: async alert => { sent.push(alert); } }], cooldownHours: 24 };
+    });
+
+    const zeroJobs = { key: 'zero', severity: 'HIGH', title: 'Zero jobs', message: 'No rows' };
+
+    test('an open alert is re-sent only after the cooldown', async () => {
+        expect(await raiseAlert(zeroJobs, { ...options, now: at(0) })).toMatchObject({ notified: true, reason: 'new' });
+        expect(await raiseAlert(zeroJobs, { ...options, now: at(12) })).toMatchObject({ notified: false, reason: 'cooldown' });
+        expect(await raiseAlert(zeroJobs, { ...options, now: at(25) })).toMatchObject({ notified: true, reason: 'cooldown_elapsed' });
+
+        expect(sent).toHaveLength(2);
+        expect(await storage.alerts.get(alertFingerprint('zero'))).toMatchObject({
+            status: 'open',
+            occurrences: 3,
+            notifications: 2,
+            firstSeenAt: at(0),
+            lastNotifiedAt: at(25)
+        });
+    });
+
+    test('resolution sends a notice and the next occurrence reopens', async () => {
+        await raiseAlert(zeroJobs, { ...options, now: at(0) });
+
+        expect(await resolveAlert('zero', { ...options, now: at(1) })).toBe(true);
+        expect(await resolveAlert('zero', { ...options, now: at(2) })).toBe(false);
+        expect(sent.map(a => a.title)).toEqual(['Zero jobs', 'Resolved: Zero jobs']);
+        expect(await storage.alerts.get(alertFingerprint('zero'))).toMatchObject({ status: 'resolved', resolvedAt: at(1) });
+
+        expect(await raiseAlert(zeroJobs, { ...options, now: at(3) })).toMatchObject({ notified: true, reason: 'new' });
+        expect(await storage.alerts.get(alertFingerprint('zero'))).toMatchObject({ occurrences: 1, firstSeenAt: at(3) });
+    });
+
+    test('lower severities wait for the daily digest', async () => {
+        const slow = { key: 'slow', severity: 'MEDIUM', title: 'Slow PDFs', message: '...' };
+        const parse = { key: 'parse', severity: 'LOW', title: 'Parse errors up', message: '...' };
+
+        expect(await raiseAlert(slow, { ...options, now: at(0) })).toMatchObject({ notified: false, reason: 'digest' });
+        await raiseAlert(parse, { ...options, now: at(0) });
+        expect(sent).toEqual([]);
+
+        expect(await sendDigestIfDue({ ...options, now: at(1) })).toBe(2);
+        expect(sent).toHaveLength(1);
+        expect(sent[0].title).toBe('Daily alert digest: 2 open issue(s)');
+        expect(sent[0].message).toContain('[MEDIUM] Slow PDFs');
+
+        await raiseAlert(slow, { ...options, now: at(2) });
+        expect(await sendDigestIfDue({ ...options, now: at(3) })).toBe(0);
+        expect(await sendDigestIfDue({ ...options, now: at(26) })).toBe(1);
+    });
+
+    test('helpers are keyed by condition', async () => {
+        const url = 'https://spsc.sikkim.gov.in/Notifications.html';
+
+        await alertStructureChange({ url });
+        const result = await alertStructureChange({ url });
+
+        expect(result.reason).toBe('cooldown');
+        expect(await storage.alerts.get(alertFingerprint(AlertKey.structureChange(url))))
+            .toMatchObject({ severity: 'CRITICAL', occurrences: 2 });
+    });
+});
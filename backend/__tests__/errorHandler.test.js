@@ -0,0 +1,138 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import {
+    ErrorType,
+    classifyError,
+    retryOperation,
+    initRetryPolicy,
+    getRetryBudgets,
+    shouldAlert
+} from '../errorHandler.js';
+import { silenceLogs } from './helpers/logs.js';
+
+silenceLogs();
+
+describe('classifyError', () => {
+    test.each([
+        ['page.goto: Timeout 30000ms exceeded', ErrorType.NETWORK_ERROR, true],
+        ['Request failed with status code 503', ErrorType.NETWORK_ERROR, true],
+        ['Request failed with status code 404', ErrorType.NETWORK_ERROR, false],
+        ['connect ECONNREFUSED 127.0.0.1:35123', ErrorType.NETWORK_ERROR, true],
+        ['PDF text too short or empty (likely scanned)', ErrorType.PARSE_ERROR, false],
+        ['Page structure changed: table not found (#myTable)', ErrorType.STRUCTURE_CHANGE, false],
+        ['Page structure changed: table not found (#myTable) - Timeout 30000ms exceeded', ErrorType.STRUCTURE_CHANGE, false],
+        ['Quota exceeded', ErrorType.FIRESTORE_ERROR, true]
+    ])('"%s" → %s', (message, type, shouldRetry) => {
+        expect(classifyError(new Error(message))).toMatchObject({ type, shouldRetry });
+    });
+
+    test('a port number is not mistaken for an HTTP 5xx status', () => {
+        expect(classifyError(new Error('Request failed with status code 404 at http://127.0.0.1:35123/x')).shouldRetry).toBe(false);
+    });
+
+    test('context marks storage operations', () => {
+        expect(classifyError(new Error('14 UNAVAILABLE'), { isFirestoreOperation: true }).type)
+            .toBe(ErrorType.FIRESTORE_ERROR);
+        expect(classifyError(Object.assign(new Error('No connection'), { code: 14 }), { isFirestoreOperation: true }))
+            .toMatchObject({ type: ErrorType.FIRESTORE_ERROR, shouldRetry: true });
+        expect(classifyError(Object.assign(new Error('No document'), { code: 'not-found' }), { isFirestoreOperation: true }).type)
+            .toBe(ErrorType.FIRESTORE_ERROR);
+    });
+
+    test('a programming error in a storage operation is neither retried nor alerted', () => {
+        const context = { isFirestoreOperation: true };
+
+        for (const error of [new TypeError("Cannot read properties of undefined (reading 'id')"), new ReferenceError('job is not defined')]) {
+            const classification = classifyError(error, context);
+            expect(classification).toMatchObject({ shouldRetry: false, shouldAlert: false });
+            expect(classification.type).not.toBe(ErrorType.FIRESTORE_ERROR);
+        }
+    });
+});
+
+describe('retryOperation', () => {
+    beforeEach(() => {
+        initRetryPolicy({ baseDelayMs: 0 });
+    });
+
+    test('retries transient failures up to maxRetries', async () => {
+        const operation = jest.fn()
+            .mockRejectedValueOnce(new Error('socket timeout'))
+            .mockRejectedValueOnce(new Error('socket timeout'))
+            .mockResolvedValue('ok');
+
+        await expect(retryOperation(operation)).resolves.toBe('ok');
+        expect(operation).toHaveBeenCalledTimes(3);
+    });
+
+    test('gives up after maxRetries and annotates the error', async () => {
+        const operation = jest.fn().mockRejectedValue(new Error('socket timeout'));
+
+        const error = await retryOperation(operation).catch(err => err);
+
+        expect(operation).toHaveBeenCalledTimes(3);  // 1 attempt + 2 retries
+        expect(error.classification.type).toBe(ErrorType.NETWORK_ERROR);
+        expect(error.retriesAttempted).toBe(2);
+    });
+
+    test('does not retry a TypeError thrown by a storage operation', async () => {
+        const operation = jest.fn().mockRejectedValue(new TypeError('jobs.get is not a function'));
+
+        await expect(retryOperation(operation, { isFirestoreOperation: true })).rejects.toThrow(TypeError);
+        expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not retry non-retryable errors', async () => {
+        const operation = jest.fn().mockRejectedValue(new Error('PDF text too short'));
+
+        await expect(retryOperation(operation)).rejects.toThrow('PDF text too short');
+        expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test('a per-type budget caps retries across operations', async () => {
+        initRetryPolicy({ baseDelayMs: 0, budgets: { [ErrorType.NETWORK_ERROR]: 3 } });
+        const operation = jest.fn().mockRejectedValue(new Error('socket timeout'));
+
+        await retryOperation(operation).catch(() => {});
+        await retryOperation(operation).catch(() => {});
+
+        expect(operation).toHaveBeenCalledTimes(3 + 2);
+        expect(getRetryBudgets()[ErrorType.NETWORK_ERROR]).toBe(0);
+    });
+
+    test('reports every failed attempt to onError', async () => {
+        const onError = jest.fn();
+        initRetryPolicy({ baseDelayMs: 0, onError });
+        const operation = jest.fn()
+            .mockRejectedValueOnce(new Error('quota exceeded'))
+            .mockResolvedValue('ok');
+
+        await retryOperation(operation, { isFirestoreOperation: true });
+
+        expect(onError).toHaveBeenCalledTimes(1);
+        expect(onError.mock.calls[0][0].type).toBe(ErrorType.FIRESTORE_ERROR);
+    });
+
+    test('backoff is jittered between half and full nominal delay', async () => {
+        initRetryPolicy({ baseDelayMs: 10 });
+        const random = jest.spyOn(Math, 'random').mockReturnValue(0);
+        const timeout = jest.spyOn(global, 'setTimeout');
+        const operation = jest.fn()
+            .mockRejectedValueOnce(new Error('socket timeout'))
+            .mockResolvedValue('ok');
+
+        await retryOperation(operation);
+
+        expect(timeout).toHaveBeenCalledWith(expect.any(Function), 10);  // 2^1 * 10 * 0.5
+        random.mockRestore();
+        timeout.mockRestore();
+    });
+});
+
+describe('shouldAlert', () => {
+    test('accepts an error type', () => {
+        expect(shouldAlert(ErrorType.STRUCTURE_CHANGE)).toBe(true);
+        expect(shouldAlert(ErrorType.FIRESTORE_ERROR)).toBe(false);
+        expect(shouldAlert(ErrorType.FIRESTORE_ERROR, { retriesExhausted: true })).toBe(true);
+        expect(shouldAlert(ErrorType.PARSE_ERROR)).toBe(false);
+    });
+});
@@ -0,0 +1,240 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import {
+    saveJob,
+    checkDuplicate,
+    generateDocId,
+    generateNoticeId,
+    getJobRevisions,
+    applyNotice
+} from '../firestoreService.js';
+import { setStorage, createFirestoreStorage } from '../storage/index.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+import { silenceLogs } from './helpers/logs.js';
+
+silenceLogs();
+
+let db;
+
+beforeEach(() => {
+    db = createFakeFirestore();
+    setStorage(createFirestoreStorage(db));
+});
+
+describe('generateDocId', () => {
+    test('prefixes the normalized advertisement number with the source', () => {
+        expect(generateDocId('19/SPSC/Exam/2025', 'Labour Inspector', '11/12/2025', 'spsc'))
+            .toBe('SPSC_19_SPSC_EXAM_2025');
+    });
+
+    test('keeps sources apart', () => {
+        expect(generateDocId('1/2025', null, null, 'police'))
+            .not.toBe(generateDocId('1/2025', null, null, 'spsc'));
+    });
+
+    test('falls back to issued date and title', () => {
+        expect(generateDocId(null, 'Labour Inspector', '11/12/2025', 'spsc'))
+            .toBe('SPSC_11122025_LABOUR_INSPECTOR');
+    });
+
+    test('gives a stored ISO issue date the id of its listing text', () => {
+        const issued = new Date(2025, 11, 11).toISOString();
+
+        expect(generateDocId(null, 'Labour Inspector', issued, 'spsc')).toBe('SPSC_11122025_LABOUR_INSPECTOR');
+        expect(generateNoticeId({ source: 'spsc', type: 'corrigendum', advtNo: '21/2025', issuedDate: issued }))
+            .toBe(generateNoticeId({ source: 'spsc', type: 'corrigendum', advtNo: '21/2025', issuedDate: '11/12/2025' }));
+        expect(generateDocId(null, 'Labour Inspector', '2025-12-11', 'spsc')).toBe('SPSC_11122025_LABOUR_INSPECTOR');
+    });
+
+    test('gives a stored notice with an unparseable issue date the id of its listing text', () => {
+        const notice = { source: 'spsc', type: 'corrigendum', advtNo: '21/2025' };
+
+        expect(generateNoticeId({ ...notice, issuedDate: null, issuedDateText: 'Dec 2025' }))
+            .toBe(generateNoticeId({ ...notice, issuedDate: 'Dec 2025' }));
+    });
+});
+
+describe('saveJob / checkDuplicate', () => {
+    test('a saved job is detected as duplicate', async () => {
+        const job = { source: 'spsc', advtNo: '19/SPSC/EXAM/2025', postName: 'Labour Inspector' };
+
+        expect(await checkDuplicate(job.advtNo, job.postName, null, 'spsc')).toBe(false);
+
+        const { id: docId } = await saveJob(job);
+
+        expect(docId).toBe('SPSC_19_SPSC_EXAM_2025');
+        expect(db.dump('jobs')[docId]).toMatchObject(job);
+        expect(await checkDuplicate(job.advtNo, job.postName, null, 'spsc')).toBe(true);
+    });
+});
+
+describe('jobs saved before source prefixes', () => {
+    const job = {
+        source: 'spsc',
+        advtNo: '19/SPSC/EXAM/2025',
+        postName: 'Labour Inspector',
+        lastDate: '2026-01-10T00:00:00.000Z'
+    };
+
+    beforeEach(async () => {
+        await createFirestoreStorage(db).jobs.set('19_SPSC_EXAM_2025', { ...job, revision: 1 });
+    });
+
+    test('are updated under their unprefixed id', async () => {
+        const saved = await saveJob({ ...job, lastDate: '2026-01-31T00:00:00.000Z' });
+
+        expect(saved).toMatchObject({ id: '19_SPSC_EXAM_2025', created: false, revision: 2 });
+        expect(Object.keys(db.dump('jobs'))).toEqual(['19_SPSC_EXAM_2025']);
+        expect(await checkDuplicate(job.advtNo, null, null, 'spsc')).toBe(true);
+        expect(await checkDuplicate(job.advtNo, null, null, 'police')).toBe(false);
+    });
+
+    test('receive their notices', async () => {
+        const result = await applyNotice({
+            source: 'spsc',
+            type: 'extension',
+            advtNo: '21/SPSC/EXAM/2025',
+            issuedDate: '15/12/2025',
+            referencedAdvtNos: ['19/SPSC/EXAM/2025'],
+            newLastDate: '31/01/2026'
+        });
+
+        expect(result).toMatchObject({ applied: true, jobId: '19_SPSC_EXAM_2025' });
+    });
+});
+
+describe('revisions', () => {
+    const base = {
+        source: 'spsc',
+        advtNo: '19/SPSC/EXAM/2025',
+        postName: 'Labour Inspector',
+        lastDate: '2026-01-10T00:00:00.000Z',
+        scrapedAt: '2025-12-12T00:00:00.000Z',
+        validation: { valid: true, checkedAt: '2025-12-12T00:00:00.000Z' },
+        posts: [{ index: 1, postName: 'Labour Inspector', vacancies: 5 }]
+    };
+
+    test('an unchanged job is not rewritten', async () => {
+        const first = await saveJob(base);
+        const stored = db.dump('jobs')[first.id];
+
+        const second = await saveJob({
+            ...base,
+            scrapedAt: '2025-12-13T00:00:00.000Z',
+            validation: { valid: true, checkedAt: '2025-12-13T00:00:00.000Z' }
+        });
+
+        expect(first).toMatchObject({ created: true, changed: true, revision: 1 });
+        expect(second).toMatchObject({ created: false, changed: false, revision: 1, changes: {} });
+        expect(db.dump('jobs')[first.id]).toEqual(stored);
+        expect(await getJobRevisions(first.id)).toEqual([]);
+    });
+
+    test('a changed job keeps createdAt and records a field-level diff', async () => {
+        const first = await saveJob(base);
+        const createdAt = db.dump('jobs')[first.id].createdAt;
+
+        const second = await saveJob({
+            ...base,
+            lastDate: '2026-01-31T00:00:00.000Z',
+            posts: [{ index: 1, postName: 'Labour Inspector', vacancies: 7 }]
+        });
+
+        expect(second).toMatchObject({ changed: true, revision: 2 });
+        expect(Object.keys(second.changes).sort()).toEqual(['lastDate', 'posts']);
+
+        const stored = db.dump('jobs')[first.id];
+        expect(stored.createdAt).toEqual(createdAt);
+        expect(stored.revision).toBe(2);
+        expect(db.dump('vacancies')[`${first.id}_P01`].vacancies).toBe(7);
+
+        const revisions = await getJobRevisions(first.id);
+        expect(revisions).toHaveLength(1);
+        expect(revisions[0]).toMatchObject({
+            id: '0002',
+            revision: 2,
+            reason: 'scrape',
+            changedFields: ['lastDate', 'posts'],
+            changes: {
+                lastDate: { from: '2026-01-10T00:00:00.000Z', to: '2026-01-31T00:00:00.000Z' }
+            }
+        });
+    });
+
+    test('applied notices are recorded as revisions', async () => {
+        const { id } = await saveJob(base);
+
+        await applyNotice({
+            source: 'spsc',
+            type: 'extension',
+            advtNo: '21/SPSC/EXAM/2025',
+            issuedDate: '15/12/2025',
+            referencedAdvtNos: ['19/SPSC/EXAM/2025'],
+            newLastDate: '31/01/2026'
+        });
+
+        const revisions = await getJobRevisions(id);
+        expect(revisions).toHaveLength(1);
+        expect(revisions[0]).toMatchObject({ revision: 2, reason: 'extension', changedFields: expect.arrayContaining(['lastDate']) });
+        expect(revisions[0].noticeId).toMatch(/^SPSC_21_SPSC_EXAM_2025_EXTENSION/);
+    });
+
+    test('notices update the vacancy rows and are recorded once', async () => {
+        const { id } = await saveJob(base);
+        const extension = {
+            source: 'spsc',
+            type: 'extension',
+            advtNo: '21/SPSC/EXAM/2025',
+            issuedDate: '15/12/2025',
+            referencedAdvtNos: ['19/SPSC/EXAM/2025'],
+            newLastDate: '31/01/2026'
+        };
+
+        await applyNotice(extension);
+        const again = await applyNotice(extension);
+
+        expect(again).toMatchObject({ applied: true, changes: {} });
+        expect(db.dump('jobs')[id].amendments).toHaveLength(1);
+        expect(db.dump('vacancies')[`${id}_P01`].lastDate).toBe(new Date(2026, 0, 31).toISOString());
+
+        await applyNotice({ ...extension, type: 'cancellation', advtNo: '22/SPSC/EXAM/2025', newLastDate: null });
+
+        expect(db.dump('jobs')[id].status).toBe('cancelled');
+        expect(db.dump('vacancies')[`${id}_P01`].status).toBe('cancelled');
+        expect(await getJobRevisions(id)).toHaveLength(2);
+    });
+
+    test('a failed revision write is retried on its own', async () => {
+        const { id } = await saveJob(base);
+
+        // The revision write fails once, after the job was written
+        const storage = createFirestoreStorage(db);
+        const collection = storage.collection;
+        let failures = 1;
+        storage.collection = path => {
+            const revisions = collection(path);
+            return {
+                ...revisions,
+                set: async (...args) => {
+                    if (failures-- > 0) throw new Error('deadline exceeded');
+                    return revisions.set(...args);
+                }
+            };
+        };
+        setStorage(storage);
+
+        const retry = async operation => {
+            try {
+                return await operation();
+            } catch {
+                return operation();
+            }
+        };
+
+        const saved = await saveJob({ ...base, lastDate: '2026-01-31T00:00:00.000Z' }, { retry });
+
+        expect(saved).toMatchObject({ changed: true, revision: 2 });
+        expect(await getJobRevisions(id)).toEqual([
+            expect.objectContaining({ revision: 2, changedFields: expect.arrayContaining(['lastDate']) })
+        ]);
+    });
+});
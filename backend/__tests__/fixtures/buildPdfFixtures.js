@@ -0,0 +1,260 @@
+/**
+ * Builds the sample advertisement PDFs in ./pdfs
+ *
+ * Usage:
+ *   node __tests__/fixtures/buildPdfFixtures.js
+ *
+ * Each page is a list of lines. A line is either a string (left aligned)
+ * or an array of [x, text] cells, which reproduces the column layout of
+ * SPSC vacancy tables. Re-run after editing, then update snapshots with
+ * `npm test -- --ci=false -u`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUT_DIR = path.join(__dirname, 'pdfs');
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const LINE_HEIGHT = 14;
+const MIN_SIZE = 6000;  // pdfParser rejects files under 5000 bytes
+
+const INSTRUCTIONS = [
+    'GENERAL INSTRUCTIONS TO CANDIDATES',
+    '1. Candidates must possess a valid Certificate of Identification or Residential Certificate.',
+    '2. Applications must be submitted online through the official website of the Commission.',
+    '3. Incomplete applications or applications without the prescribed fee shall be rejected.',
+    '4. The Commission reserves the right to shortlist candidates for the examination.',
+    '5. Canvassing in any form shall lead to disqualification of the candidature.',
+    '6. The decision of the Commission in all matters relating to eligibility shall be final.'
+];
+
+export const FIXTURES = {
+    'labour-inspector.pdf': [[
+        'SIKKIM PUBLIC SERVICE COMMISSION',
+        'GANGTOK, SIKKIM',
+        '',
+        'Advertisement No. 19/SPSC/EXAM/2025',
+        'Dated: 11/12/2025',
+        '',
+        'ADVERTISEMENT',
+        'Online applications are invited from eligible candidates for the post of Labour Inspector',
+        'under the Labour Department, Government of Sikkim.',
+        '',
+        'Name of Post: Labour Inspector',
+        'Department: Labour Department',
+        'Total Posts: 4',
+        'Pay Level: Level 8 in the Pay Matrix (Rs. 35400 - 112400)',
+        'Essential Qualification: Bachelor Degree from a recognized University.',
+        'Age Limit: Between 18 and 40 years as on 31/12/2025.',
+        'Upper age limit is relaxable by 5 years for SC/ST/BL and 3 years for OBC/MBC candidates.',
+        'Application Fee: Rs. 500 for General candidates and Rs. 250 for reserved categories.',
+        'Mode of Selection: Written examination followed by viva voce.',
+        'Last Date for submission of online application: 10/01/2026',
+        '',
+        ...INSTRUCTIONS,
+        '',
+        'Sd/- Secretary, Sikkim Public Service Commission'
+    ]],
+
+    'sub-inspector-excise.pdf': [[
+        'SIKKIM PUBLIC SERVICE COMMISSION',
+        'Advt. No. 18/SPSC/EXAM/2025',
+        'Date: 05.12.2025',
+        '',
+        'RECRUITMENT NOTIFICATION',
+        'The Commission invites applications for the following post in the Excise Department.',
+        '',
+        'Position: Sub Inspector Excise',
+        'Number of Vacancies: 6',
+        'Educational Qualification: Graduate in any discipline with knowledge of Nepali.',
+        'Closing Date: 05-01-2026',
+        '',
+        ...INSTRUCTIONS,
+        '',
+        'Sd/- Controller of Examinations'
+    ]],
+
+    'corrigendum-labour-inspector.pdf': [[
+        'SIKKIM PUBLIC SERVICE COMMISSION',
+        'GANGTOK, SIKKIM',
+        'No. 21/SPSC/EXAM/2025',
+        'Dated: 20/12/2025',
+        '',
+        'CORRIGENDUM',
+        'In partial modification of Advertisement No. 19/SPSC/EXAM/2025 dated 11/12/2025,',
+        'the last date for submission of online applications for the post of Labour Inspector',
+        'under the Labour Department is hereby extended up to 31/01/2026.',
+        '',
+        'All other terms and conditions of the advertisement shall remain unchanged.',
+        'Candidates who have already applied need not apply again.',
+        '',
+        'Sd/- Secretary, Sikkim Public Service Commission'
+    ]],
+
+    'cancellation-sub-inspector.pdf': [[
+        'SIKKIM PUBLIC SERVICE COMMISSION',
+        'No. 22/SPSC/EXAM/2025',
+        'Dated: 22/12/2025',
+        '',
+        'NOTICE OF CANCELLATION',
+        'Advertisement No. 18/SPSC/EXAM/2025 dated 05/12/2025 for recruitment to the post of',
+        'Sub Inspector Excise under the Excise Department is hereby cancelled due to',
+        'administrative reasons. Fresh advertisement will be issued in due course.',
+        'Application fees paid by candidates will be refunded.',
+        '',
+        'Sd/- Controller of Examinations'
+    ]],
+
+    'multi-post.pdf': [[
+        'SIKKIM PUBLIC SERVICE COMMISSION',
+        'Advertisement No. 20/SPSC/EXAM/2025',
+        'Dated: 15/12/2025',
+        '',
+        'Online applications are invited for direct recruitment to the following posts.',
+        '',
+        [[50, 'Sl. No.'], [90, 'Name of Post'], [240, 'Department'], [340, 'Pay Level'], [400, 'No. of Posts'], [470, 'Qualification']],
+        [[50, '1'], [90, 'Assistant Engineer (Civil)'], [240, 'Roads and Bridges'], [340, 'Level 11'], [400, '12'], [470, 'B.E. in Civil']],
+        [[50, '2'], [90, 'Assistant Engineer (Electrical)'], [240, 'Power'], [340, 'Level 11'], [400, '8'], [470, 'B.E. in Electrical']],
+        [[50, '3'], [90, 'Junior Engineer (Civil)'], [240, 'Rural Development'], [340, 'Level 8'], [400, '10'], [470, 'Diploma in Civil']],
+        [[470, 'Engineering']],
+        [[50, '4'], [90, 'Statistical Assistant'], [240, 'Economics'], [340, 'Level 6'], [400, '5'], [470, 'Graduate']],
+        [[50, '5'], [90, 'Forest Guard'], [240, 'Forest'], [340, 'Level 3'], [400, '3'], [470, 'Class XII']],
+        [[50, '6'], [90, 'Lecturer (Physics)'], [240, 'Education'], [340, 'Level 12'], [400, '2'], [470, 'M.Sc. with B.Ed']],
+        [[50, 'Total'], [400, '40']],
+        '',
+        'Last Date for submission of online application: 15/01/2026',
+        '',
+        ...INSTRUCTIONS
+    ]]
+};
+
+/**
+ * Written column by column, as some generators emit tables: the content
+ * stream order interleaves cells of different rows
+ */
+export const COLUMN_ORDER_FIXTURES = {
+    'vacancy-columns.pdf': [[
+        'SIKKIM PUBLIC SERVICE COMMISSION',
+        'Advertisement No. 23/SPSC/EXAM/2026',
+        'Dated: 05/01/2026',
+        '',
+        'Applications are invited for the following posts under the Health Department.',
+        '',
+        [[50, 'Sl. No.'], [90, 'Name of Post'], [300, 'No. of Posts'], [380, 'Pay Level']],
+        [[50, '1'], [90, 'Medical Officer (General'], [300, '15'], [380, 'Level 11']],
+        [[90, 'Duty)']],
+        [[50, '2'], [90, 'Staff Nurse'], [300, '22'], [380, 'Level 7']],
+        [[50, '3'], [90, 'Pharmacist'], [300, '4'], [380, 'Level 6']],
+        [[50, 'Total'], [300, '41']],
+        '',
+        'Last Date: 05/02/2026',
+        '',
+        ...INSTRUCTIONS
+    ]]
+};
+
+/**
+ * PDF with no text layer - what a scanned advertisement looks like
+ */
+const SCANNED_FIXTURE = 'under-secretary-scanned.pdf';
+
+function escapePdfText(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+function pageContent(lines, { columnOrder = false } = {}) {
+    const items = [];
+    let y = PAGE_HEIGHT - 50;
+
+    for (const line of lines) {
+        const cells = typeof line === 'string' ? [[50, line]] : line;
+        for (const [x, text] of cells) {
+            if (text) items.push({ x, y, text });
+        }
+        y -= LINE_HEIGHT;
+    }
+
+    if (columnOrder) {
+        items.sort((a, b) => a.x - b.x || b.y - a.y);
+    }
+
+    return [
+        'BT',
+        '/F1 10 Tf',
+        ...items.map(item => `1 0 0 1 ${item.x} ${item.y} Tm (${escapePdfText(item.text)}) Tj`),
+        'ET'
+    ].join('\n');
+}
+
+function scannedContent() {
+    // A filled grey rectangle standing in for the page image
+    return '0.8 g 40 40 515 762 re f';
+}
+
+export function buildPdf(pages, { scanned = false, columnOrder = false } = {}) {
+    const objects = [];
+    const add = body => {
+        objects.push(body);
+        return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+
+    const pageIds = pages.map(lines => {
+        const stream = scanned ? scannedContent() : pageContent(lines, { columnOrder });
+        const contentId = add(`<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`);
+        return add(
+            `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+        );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((body, index) => {
+        offsets.push(Buffer.byteLength(pdf));
+        pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    });
+
+    // Comment padding keeps fixtures above the parser's minimum size
+    while (Buffer.byteLength(pdf) < MIN_SIZE) {
+        pdf += `% ${'fixture padding '.repeat(4)}\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(pdf);
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+function main() {
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+
+    for (const [name, pages] of Object.entries(FIXTURES)) {
+        fs.writeFileSync(path.join(OUT_DIR, name), buildPdf(pages));
+        console.log(`Wrote pdfs/${name}`);
+    }
+
+    for (const [name, pages] of Object.entries(COLUMN_ORDER_FIXTURES)) {
+        fs.writeFileSync(path.join(OUT_DIR, name), buildPdf(pages, { columnOrder: true }));
+        console.log(`Wrote pdfs/${name}`);
+    }
+
+    fs.writeFileSync(path.join(OUT_DIR, SCANNED_FIXTURE), buildPdf([[]], { scanned: true }));
+    console.log(`Wrote pdfs/${SCANNED_FIXTURE}`);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main();
+}
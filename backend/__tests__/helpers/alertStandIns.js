@@ -0,0 +1,107 @@
+/**
+ * Local stand-ins for alert delivery
+ *
+ * startSmtpStandIn()  - minimal SMTP server recording every message
+ * startHttpStandIn()  - HTTP server recording every JSON POST
+ *                       (webhooks, Telegram Bot API)
+ */
+
+import http from 'http';
+import net from 'net';
+
+/**
+ * Returns: { host, port, messages: [{ from, to, data }], close() }
+ */
+export async function startSmtpStandIn() {
+    const messages = [];
+
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let current = null;
+        let inData = false;
+
+        const reply = line => socket.write(`${line}\r\n`);
+        reply('220 localhost ESMTP stand-in');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        messages.push(current);
+                        reply('250 OK queued');
+                    } else {
+                        current.data += `${line.replace(/^\.\./, '.')}\n`;
+                    }
+                    continue;
+                }
+
+                const command = line.toUpperCase();
+                if (command.startsWith('EHLO')) {
+                    reply('250-localhost');
+                    reply('250 AUTH PLAIN LOGIN');
+                } else if (command.startsWith('HELO')) {
+                    reply('250 localhost');
+                } else if (command.startsWith('AUTH')) {
+                    reply('235 Authentication successful');
+                } else if (command.startsWith('MAIL FROM')) {
+                    current = { from: line.slice(10).trim(), to: [], data: '' };
+                    reply('250 OK');
+                } else if (command.startsWith('RCPT TO')) {
+                    current.to.push(line.slice(8).trim());
+                    reply('250 OK');
+                } else if (command === 'DATA') {
+                    inData = true;
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('250 OK');
+                }
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        host: '127.0.0.1',
+        port: server.address().port,
+        messages,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Returns: { baseUrl, requests: [{ path, body }], respondWith(status), close() }
+ */
+export async function startHttpStandIn() {
+    const requests = [];
+    let status = 200;
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ path: req.url, body: body ? JSON.parse(body) : null });
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: status < 400 }));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        respondWith: code => { status = code; },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
@@ -0,0 +1,115 @@
+/**
+ * jsdom-backed stand-in for a Playwright browser
+ *
+ * Supports the Page methods the scraper uses. Functions passed to
+ * $$eval / $eval / evaluate are serialized and run inside the jsdom window,
+ * like Playwright runs them inside the real page.
+ */
+
+import { JSDOM } from 'jsdom';
+
+class FakePage {
+    constructor(options = {}) {
+        this.options = options;
+        this.dom = null;
+        this.closed = false;
+    }
+
+    async goto(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`net::ERR_HTTP_RESPONSE_CODE_FAILURE ${response.status} at ${url}`);
+        }
+        // Fixture scripts run (e.g. a stand-in DataTables API)
+        this.dom = new JSDOM(await response.text(), { url, runScripts: 'dangerously' });
+        return { status: () => response.status, ok: () => true };
+    }
+
+    url() {
+        return this.dom ? this.dom.window.location.href : 'about:blank';
+    }
+
+    async content() {
+        return this.dom ? this.dom.serialize() : '';
+    }
+
+    _document() {
+        if (!this.dom) throw new Error('Page has not navigated');
+        return this.dom.window.document;
+    }
+
+    _inPage(fn) {
+        return this.dom.window.eval(`(${fn.toString()})`);
+    }
+
+    async waitForSelector(selector, options = {}) {
+        const element = this._document().querySelector(selector);
+        if (!element) {
+            throw new Error(`Timeout ${options.timeout || 30000}ms exceeded waiting for selector "${selector}"`);
+        }
+        return element;
+    }
+
+    async $(selector) {
+        return this._document().querySelector(selector);
+    }
+
+    async $$(selector) {
+        return Array.from(this._document().querySelectorAll(selector));
+    }
+
+    async $eval(selector, fn, arg) {
+        const element = this._document().querySelector(selector);
+        if (!element) throw new Error(`Failed to find element matching selector "${selector}"`);
+        return this._inPage(fn)(element, arg);
+    }
+
+    async $$eval(selector, fn, arg) {
+        const elements = Array.from(this._document().querySelectorAll(selector));
+        return this._inPage(fn)(elements, arg);
+    }
+
+    async evaluate(fn, arg) {
+        this._document();
+        return this._inPage(fn)(arg);
+    }
+
+    async click(selector) {
+        const element = this._document().querySelector(selector);
+        if (!element) throw new Error(`Failed to find element matching selector "${selector}"`);
+        element.click();
+    }
+
+    async waitForTimeout() {}
+
+    async waitForLoadState() {}
+
+    async screenshot(options = {}) {
+        return Buffer.from(`fake screenshot of ${this.url()} ${options.path || ''}`);
+    }
+
+    async close() {
+        this.closed = true;
+        if (this.dom) this.dom.window.close();
+    }
+}
+
+export function createFakeBrowser() {
+    const pages = [];
+
+    return {
+        pages,
+        async newPage(options) {
+            const page = new FakePage(options);
+            pages.push(page);
+            return page;
+        },
+        async close() {
+            await Promise.all(pages.map(page => page.close()));
+        }
+    };
+}
+
+export async function launchFakeBrowser() {
+    return createFakeBrowser();
+}
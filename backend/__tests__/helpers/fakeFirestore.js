@@ -0,0 +1,378 @@
+/**
+ * In-memory Firestore fake
+ *
+ * Implements the subset of the firebase-admin Firestore API used by the
+ * backend (collection/doc, get/set/update/delete, where/orderBy/limit,
+ * transactions and FieldValue sentinels) so tests run without credentials.
+ */
+
+import admin from 'firebase-admin';
+
+const { FieldValue, Timestamp } = admin.firestore;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && value.constructor === Object;
+}
+
+function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+    }
+    return value;  // primitives, Timestamp, Date
+}
+
+function comparable(value) {
+    if (value instanceof Timestamp) return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    return value;
+}
+
+function getPath(data, path) {
+    return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), data);
+}
+
+function setPath(data, path, value) {
+    const keys = path.split('.');
+    let target = data;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(target[key])) target[key] = {};
+        target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+}
+
+function deletePath(data, path) {
+    const keys = path.split('.');
+    const parent = getPath(data, keys.slice(0, -1).join('.')) ?? (keys.length === 1 ? data : undefined);
+    if (parent) delete parent[keys[keys.length - 1]];
+}
+
+/**
+ * Resolve FieldValue sentinels against the current value
+ */
+function resolveValue(value, current) {
+    if (value instanceof FieldValue) {
+        switch (value.methodName) {
+            case 'FieldValue.serverTimestamp':
+                return Timestamp.now();
+            case 'FieldValue.increment':
+                return (typeof current === 'number' ? current : 0) + value.operand;
+            case 'FieldValue.arrayUnion': {
+                const base = Array.isArray(current) ? [...current] : [];
+                for (const el of value.elements) {
+                    if (!base.some(existing => JSON.stringify(existing) === JSON.stringify(el))) {
+                        base.push(el);
+                    }
+                }
+                return base;
+            }
+            case 'FieldValue.arrayRemove': {
+                const base = Array.isArray(current) ? current : [];
+                return base.filter(existing =>
+                    !value.elements.some(el => JSON.stringify(existing) === JSON.stringify(el)));
+            }
+            default:
+                throw new Error(`Unsupported FieldValue in fake: ${value.methodName}`);
+        }
+    }
+    if (Array.isArray(value)) return value.map(v => resolveValue(v, undefined));
+    if (isPlainObject(value)) {
+        const out = {};
+        for (const [k, v] of Object.entries(value)) {
+            if (v instanceof FieldValue && v.methodName === 'FieldValue.delete') continue;
+            if (v === undefined) continue;
+            out[k] = resolveValue(v, current?.[k]);
+        }
+        return out;
+    }
+    return value;
+}
+
+function mergeInto(target, patch) {
+    for (const [key, value] of Object.entries(patch)) {
+        if (value instanceof FieldValue && value.methodName === 'FieldValue.delete') {
+            delete target[key];
+        } else if (isPlainObject(value) && isPlainObject(target[key])) {
+            mergeInto(target[key], value);
+        } else if (value !== undefined) {
+            target[key] = resolveValue(value, target[key]);
+        }
+    }
+    return target;
+}
+
+class FakeDocumentSnapshot {
+    constructor(ref, data) {
+        this.ref = ref;
+        this.id = ref.id;
+        this.exists = data !== undefined;
+        this._data = data;
+    }
+
+    data() {
+        return this.exists ? clone(this._data) : undefined;
+    }
+
+    get(field) {
+        return this.exists ? clone(getPath(this._data, field)) : undefined;
+    }
+}
+
+class FakeQuerySnapshot {
+    constructor(docs) {
+        this.docs = docs;
+        this.size = docs.length;
+        this.empty = docs.length === 0;
+    }
+
+    forEach(callback) {
+        this.docs.forEach(callback);
+    }
+}
+
+class FakeDocumentReference {
+    constructor(store, path) {
+        this._store = store;
+        this.path = path;
+        this.id = path.split('/').pop();
+    }
+
+    collection(name) {
+        return new FakeCollectionReference(this._store, `${this.path}/${name}`);
+    }
+
+    async get() {
+        countReads(this._store, this.path.slice(0, this.path.lastIndexOf('/')), 1);
+        return new FakeDocumentSnapshot(this, this._store.docs.get(this.path));
+    }
+
+    async set(data, options = {}) {
+        const current = this._store.docs.get(this.path);
+        const next = options.merge && current
+            ? mergeInto(clone(current), data)
+            : resolveValue(data, undefined);
+        this._store.docs.set(this.path, next);
+    }
+
+    async update(data) {
+        const current = this._store.docs.get(this.path);
+        if (!current) {
+            const error = new Error(`5 NOT_FOUND: No document to update: ${this.path}`);
+            error.code = 5;
+            throw error;
+        }
+        const next = clone(current);
+        for (const [field, value] of Object.entries(data)) {
+            if (value instanceof FieldValue && value.methodName === 'FieldValue.delete') {
+                deletePath(next, field);
+            } else {
+                setPath(next, field, resolveValue(value, getPath(next, field)));
+            }
+        }
+        this._store.docs.set(this.path, next);
+    }
+
+    async delete() {
+        this._store.docs.delete(this.path);
+    }
+}
+
+function countReads(store, collectionPath, count) {
+    store.reads.set(collectionPath, (store.reads.get(collectionPath) || 0) + count);
+}
+
+const OPERATORS = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    'in': (a, b) => b.includes(a),
+    'not-in': (a, b) => !b.includes(a),
+    'array-contains': (a, b) => Array.isArray(a) && a.includes(b)
+};
+
+class FakeQuery {
+    constructor(store, path, filters = [], orders = [], limitCount = null) {
+        this._store = store;
+        this._path = path;
+        this._filters = filters;
+        this._orders = orders;
+        this._limit = limitCount;
+    }
+
+    where(field, op, value) {
+        if (!OPERATORS[op]) throw new Error(`Unsupported operator in fake: ${op}`);
+        return new FakeQuery(this._store, this._path,
+            [...this._filters, { field, op, value }], this._orders, this._limit);
+    }
+
+    orderBy(field, direction = 'asc') {
+        return new FakeQuery(this._store, this._path,
+            this._filters, [...this._orders, { field, direction }], this._limit);
+    }
+
+    limit(count) {
+        return new FakeQuery(this._store, this._path, this._filters, this._orders, count);
+    }
+
+    async get() {
+        const prefix = `${this._path}/`;
+        let entries = [...this._store.docs.entries()]
+            .filter(([path]) => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'));
+
+        for (const { field, op, value } of this._filters) {
+            entries = entries.filter(([, data]) => {
+                const actual = getPath(data, field);
+                if (actual === undefined) return false;
+                return OPERATORS[op](comparable(actual), Array.isArray(value) ? value : comparable(value));
+            });
+        }
+
+        for (const { field } of this._orders) {
+            entries = entries.filter(([, data]) => getPath(data, field) !== undefined);
+        }
+
+        entries.sort(([, a], [, b]) => {
+            for (const { field, direction } of this._orders) {
+                const x = comparable(getPath(a, field));
+                const y = comparable(getPath(b, field));
+                if (x === y) continue;
+                const result = x < y ? -1 : 1;
+                return direction === 'desc' ? -result : result;
+            }
+            return 0;
+        });
+
+        if (this._limit !== null) entries = entries.slice(0, this._limit);
+
+        // Billed like Firestore: one read per result, at least one per query
+        countReads(this._store, this._path, Math.max(entries.length, 1));
+
+        return new FakeQuerySnapshot(entries.map(([path, data]) =>
+            new FakeDocumentSnapshot(new FakeDocumentReference(this._store, path), data)));
+    }
+}
+
+class FakeCollectionReference extends FakeQuery {
+    constructor(store, path) {
+        super(store, path);
+        this.id = path.split('/').pop();
+    }
+
+    doc(id) {
+        const docId = id || `auto_${++this._store.autoId}`;
+        return new FakeDocumentReference(this._store, `${this._path}/${docId}`);
+    }
+
+    async add(data) {
+        const ref = this.doc();
+        await ref.set(data);
+        return ref;
+    }
+}
+
+class FakeTransaction {
+    constructor() {
+        this._writes = [];
+    }
+
+    async get(refOrQuery) {
+        return refOrQuery.get();
+    }
+
+    set(ref, data, options) {
+        this._writes.push(() => ref.set(data, options));
+        return this;
+    }
+
+    update(ref, data) {
+        this._writes.push(() => ref.update(data));
+        return this;
+    }
+
+    delete(ref) {
+        this._writes.push(() => ref.delete());
+        return this;
+    }
+
+    create(ref, data) {
+        this._writes.push(async () => {
+            if ((await ref.get()).exists) {
+                const error = new Error(`6 ALREADY_EXISTS: Document already exists: ${ref.path}`);
+                error.code = 6;
+                throw error;
+            }
+            await ref.set(data);
+        });
+        return this;
+    }
+
+    async _commit() {
+        for (const write of this._writes) await write();
+    }
+}
+
+export class FakeFirestore {
+    constructor() {
+        this._store = { docs: new Map(), reads: new Map(), autoId: 0 };
+        this._txQueue = Promise.resolve();
+    }
+
+    settings() {}
+
+    collection(name) {
+        return new FakeCollectionReference(this._store, name);
+    }
+
+    doc(path) {
+        return new FakeDocumentReference(this._store, path);
+    }
+
+    batch() {
+        const tx = new FakeTransaction();
+        tx.commit = () => tx._commit();
+        return tx;
+    }
+
+    /**
+     * Transactions run one at a time, which gives the same isolation the
+     * real backend guarantees through contention retries.
+     */
+    runTransaction(updateFunction) {
+        const run = this._txQueue.then(async () => {
+            const tx = new FakeTransaction();
+            const result = await updateFunction(tx);
+            await tx._commit();
+            return result;
+        });
+        this._txQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Test helper: plain data of every document under a collection path
+     */
+    dump(collectionPath) {
+        const prefix = `${collectionPath}/`;
+        const out = {};
+        for (const [path, data] of this._store.docs) {
+            const rest = path.slice(prefix.length);
+            if (path.startsWith(prefix) && !rest.includes('/')) out[rest] = clone(data);
+        }
+        return out;
+    }
+
+    /**
+     * Test helper: document reads of a collection path so far
+     */
+    readCount(collectionPath) {
+        return this._store.reads.get(collectionPath) || 0;
+    }
+}
+
+export function createFakeFirestore() {
+    return new FakeFirestore();
+}
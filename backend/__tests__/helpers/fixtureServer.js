@@ -0,0 +1,80 @@
+/**
+ * Local HTTP stand-in for government sites
+ *
+ * Serves files from __tests__/fixtures so the scraper and PDF parser can be
+ * exercised without network access.
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.pdf': 'application/pdf',
+    '.json': 'application/json'
+};
+
+/**
+ * Start server on a random port
+ *
+ * Returns: { baseUrl, requests, failNext(urlPath, times, status), close() }
+ */
+export async function startFixtureServer(rootDir = FIXTURES_DIR) {
+    const requests = [];
+    const failures = new Map();
+
+    const server = http.createServer((req, res) => {
+        const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        const filePath = path.join(rootDir, urlPath);
+        requests.push(urlPath);
+
+        // Simulated outage for the next N requests of a path
+        const failure = failures.get(urlPath);
+        if (failure && failure.times > 0) {
+            failure.times--;
+            res.writeHead(failure.status, { 'Content-Type': 'text/plain' });
+            res.end('Service Unavailable');
+            return;
+        }
+
+        if (!filePath.startsWith(rootDir) || !fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not Found');
+            return;
+        }
+
+        // Validators like a static file server: content ETag + mtime
+        const content = fs.readFileSync(filePath);
+        const etag = `"${crypto.createHash('sha1').update(content).digest('hex')}"`;
+        const lastModified = fs.statSync(filePath).mtime.toUTCString();
+
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, { ETag: etag, 'Last-Modified': lastModified });
+            res.end();
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            ETag: etag,
+            'Last-Modified': lastModified
+        });
+        res.end(content);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        baseUrl: `http://127.0.0.1:${port}`,
+        requests,
+        failNext: (urlPath, times = 1, status = 503) => failures.set(urlPath, { times, status }),
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
@@ -0,0 +1,20 @@
+/**
+ * Silence the structured logger during tests
+ * (logger.js writes JSON lines to console.log/warn/error)
+ */
+
+import { jest, beforeEach, afterEach } from '@jest/globals';
+
+export function silenceLogs() {
+    const spies = [];
+
+    beforeEach(() => {
+        for (const method of ['log', 'warn', 'error']) {
+            spies.push(jest.spyOn(console, method).mockImplementation(() => {}));
+        }
+    });
+
+    afterEach(() => {
+        spies.splice(0).forEach(spy => spy.mockRestore());
+    });
+}
@@ -0,0 +1,101 @@
+import { describe, test, expect } from '@jest/globals';
+import { buildColumnMap, parseListingRow, DEFAULT_COLUMN_ORDER, DEFAULT_COLUMN_PATTERNS } from '../listingParser.js';
+import { silenceLogs } from './helpers/logs.js';
+
+silenceLogs();
+
+const cell = (text, links = []) => ({ text, links });
+
+describe('buildColumnMap', () => {
+    test('maps the SPSC header row', () => {
+        expect(buildColumnMap(['Sl. No.', 'Notification No.', 'Subject', 'Issued Date', 'Attachment'])).toEqual({
+            serialNo: 0,
+            advtNo: 1,
+            subject: 2,
+            issuedDate: 3,
+            attachments: 4
+        });
+    });
+
+    test('follows reordered and renamed columns', () => {
+        expect(buildColumnMap(['Date of Issue', 'Title', 'Advt. No.', 'Download', 'S.No'])).toEqual({
+            issuedDate: 0,
+            subject: 1,
+            advtNo: 2,
+            attachments: 3,
+            serialNo: 4
+        });
+    });
+
+    test('falls back to the default order without headers', () => {
+        const map = buildColumnMap([]);
+        expect(Object.keys(map)).toEqual(DEFAULT_COLUMN_ORDER);
+    });
+
+    test('throws a structure-change error when the subject column is gone', () => {
+        expect(() => buildColumnMap(['Sl. No.', 'Issued Date'])).toThrow(/page structure changed/i);
+    });
+});
+
+describe('parseListingRow', () => {
+    const columnMap = buildColumnMap(['Sl. No.', 'Notification No.', 'Subject', 'Issued Date', 'Attachment']);
+
+    test('reads every column into named fields', () => {
+        const row = parseListingRow([
+            cell('1'),
+            cell(' 19/SPSC/EXAM/2025 '),
+            cell('Advertisement for the post of\n   Labour Inspector'),
+            cell('11/12/2025'),
+            cell('View', [{ href: 'https://spsc.sikkim.gov.in/a.pdf', text: ' View ' }])
+        ], columnMap);
+
+        expect(row).toEqual({
+            serialNo: '1',
+            advtNo: '19/SPSC/EXAM/2025',
+            subject: 'Advertisement for the post of Labour Inspector',
+            issuedDate: '11/12/2025',
+            attachments: [{ url: 'https://spsc.sikkim.gov.in/a.pdf', label: 'View' }],
+            pdfUrls: ['https://spsc.sikkim.gov.in/a.pdf']
+        });
+    });
+
+    test('collects PDF links outside the attachment column and ignores other links', () => {
+        const row = parseListingRow([
+            cell('2'),
+            cell(''),
+            cell('Corrigendum', [{ href: 'https://spsc.sikkim.gov.in/c.pdf', text: 'Corrigendum' }]),
+            cell(''),
+            cell('', [{ href: 'https://spsc.sikkim.gov.in/page.html', text: 'Details' }])
+        ], columnMap);
+
+        expect(row.advtNo).toBeNull();
+        expect(row.pdfUrls).toEqual(['https://spsc.sikkim.gov.in/c.pdf']);
+    });
+});
+
+describe('source-specific patterns', () => {
+    test('column patterns from a source config replace the defaults', () => {
+        const patterns = DEFAULT_COLUMN_PATTERNS.map(([field, defaults]) =>
+            [field, field === 'advtNo' ? [/^memo$/i] : defaults]);
+
+        expect(buildColumnMap(['Memo', 'Subject', 'Attachment'], patterns)).toEqual({
+            advtNo: 0,
+            subject: 1,
+            attachments: 2
+        });
+    });
+
+    test('PDF link patterns are ordered fallbacks', () => {
+        const columnMap = buildColumnMap(['Subject', 'Attachment']);
+        const pdfLinkPatterns = [/\.pdf$/i, /download\.aspx\?id=/i];
+        const links = [
+            { href: 'https://spsc.sikkim.gov.in/download.aspx?id=7', text: 'Download' },
+            { href: 'https://spsc.sikkim.gov.in/a.pdf', text: 'PDF' }
+        ];
+
+        expect(parseListingRow([cell('Notice'), cell('', links)], columnMap, { pdfLinkPatterns }).pdfUrls)
+            .toEqual(['https://spsc.sikkim.gov.in/a.pdf']);
+        expect(parseListingRow([cell('Notice'), cell('', links.slice(0, 1))], columnMap, { pdfLinkPatterns }).pdfUrls)
+            .toEqual(['https://spsc.sikkim.gov.in/download.aspx?id=7']);
+    });
+});
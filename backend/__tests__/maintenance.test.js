@@ -0,0 +1,143 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { runMaintenance, planMaintenance } from '../maintenance.js';
+import { getJobRevisions } from '../firestoreService.js';
+import { createFirestoreStorage, setStorage } from '../storage/index.js';
+import { acquireLock, releaseLock } from '../runLock.js';
+import { disableScraper } from '../killSwitch.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+import { silenceLogs } from './helpers/logs.js';
+
+silenceLogs();
+
+const NOW = new Date('2026-03-01T12:00:00.000Z');
+const day = offset => new Date(NOW.getTime() + offset * 24 * 60 * 60 * 1000).toISOString();
+
+const JOBS = {
+    SPSC_OPEN: { status: 'active', lastDate: day(30), createdAt: new Date(day(-10)) },
+    SPSC_CLOSING: { status: 'active', lastDate: day(3), createdAt: new Date(day(-20)) },
+    SPSC_EXPIRED: { status: 'active', lastDate: day(-5), createdAt: new Date(day(-40)) },
+    SPSC_CANCELLED: { status: 'cancelled', lastDate: day(10), createdAt: new Date(day(-10)) },
+    SPSC_OLD: { status: 'expired', lastDate: day(-200), createdAt: new Date(day(-230)) },
+    SPSC_NODATE_OLD: { status: 'active', lastDate: null, createdAt: new Date(day(-400)) }
+};
+
+let db;
+let storage;
+
+beforeEach(async () => {
+    db = createFakeFirestore();
+    storage = createFirestoreStorage(db);
+
+    for (const [id, job] of Object.entries(JOBS)) {
+        await storage.jobs.set(id, { ...job, revision: 1 });
+    }
+    await storage.vacancies.set('SPSC_OLD_P01', { advertisementId: 'SPSC_OLD', postName: 'Clerk', status: 'expired' });
+    await storage.vacancies.set('SPSC_EXPIRED_P01', { advertisementId: 'SPSC_EXPIRED', postName: 'Driver', status: 'active' });
+});
+
+const run = (options = {}) =>
+    runMaintenance({ storage, now: NOW, retentionDays: 180, closingSoonDays: 7, ...options });
+
+describe('planMaintenance', () => {
+    test('re-statuses and archives by last date', () => {
+        const jobs = Object.entries(JOBS).map(([id, job]) => ({ id, ...job }));
+        const { actions, statusCounts } = planMaintenance(jobs, { now: NOW, retentionDays: 180, closingSoonDays: 7 });
+
+        expect(actions).toEqual([
+            { id: 'SPSC_CLOSING', action: 'status', from: 'active', to: 'closing_soon' },
+            { id: 'SPSC_EXPIRED', action: 'status', from: 'active', to: 'expired' },
+            { id: 'SPSC_OLD', action: 'archive', from: 'expired', to: 'archived' },
+            { id: 'SPSC_NODATE_OLD', action: 'archive', from: 'active', to: 'archived' }
+        ]);
+        expect(statusCounts).toEqual({ active: 1, closing_soon: 1, expired: 1, cancelled: 1, archived: 2 });
+    });
+});
+
+describe('runMaintenance', () => {
+    test('updates statuses, archives old jobs and records the run', async () => {
+        const result = await run();
+
+        expect(result.status).toBe('success');
+
+        const jobs = db.dump('jobs');
+        expect(Object.keys(jobs).sort()).toEqual(['SPSC_CANCELLED', 'SPSC_CLOSING', 'SPSC_EXPIRED', 'SPSC_OPEN']);
+        expect(jobs.SPSC_CLOSING.status).toBe('closing_soon');
+        expect(jobs.SPSC_EXPIRED.status).toBe('expired');
+        expect(jobs.SPSC_CANCELLED.status).toBe('cancelled');
+        expect(db.dump('vacancies').SPSC_EXPIRED_P01.status).toBe('expired');
+
+        const archived = db.dump('jobs_archive');
+        expect(Object.keys(archived).sort()).toEqual(['SPSC_NODATE_OLD', 'SPSC_OLD']);
+        expect(archived.SPSC_OLD).toMatchObject({
+            status: 'archived',
+            statusBeforeArchive: 'expired',
+            posts: [{ id: 'SPSC_OLD_P01', postName: 'Clerk' }]
+        });
+        expect(db.dump('vacancies').SPSC_OLD_P01).toBeUndefined();
+
+        const [revision] = await getJobRevisions('SPSC_EXPIRED');
+        expect(revision).toMatchObject({ reason: 'maintenance', changes: { status: { from: 'active', to: 'expired' } } });
+
+        const runDoc = db.dump('maintenance_runs')[result.runId];
+        expect(runDoc).toMatchObject({
+            status: 'success',
+            jobsChecked: 6,
+            statusChanged: 2,
+            jobsArchived: 2,
+            errorsCount: 0,
+            retentionDays: 180
+        });
+        expect(db.dump('scraper_runs')).toEqual({});
+        expect(db.dump('scraper_locks')).toEqual({});
+    });
+
+    test('a second run changes nothing', async () => {
+        await run();
+        const result = await run();
+
+        expect(result.actions).toEqual([]);
+        expect(db.dump('maintenance_runs')[result.runId]).toMatchObject({ statusChanged: 0, jobsArchived: 0 });
+    });
+
+    test('dry run writes only the run document', async () => {
+        const before = db.dump('jobs');
+        const result = await run({ dryRun: true });
+
+        expect(result.actions).toHaveLength(4);
+        expect(db.dump('jobs')).toEqual(before);
+        expect(db.dump('jobs_archive')).toEqual({});
+    });
+
+    test('skips while another maintenance run holds the lock', async () => {
+        setStorage(storage);
+        expect(await acquireLock('maintenance')).toBe(true);
+
+        const result = await run();
+        await releaseLock('maintenance');
+
+        expect(result.status).toBe('skipped_locked');
+        expect(db.dump('jobs').SPSC_EXPIRED.status).toBe('active');
+        expect(db.dump('maintenance_runs')[result.runId].status).toBe('skipped_locked');
+    });
+
+    test('runs while the scraper holds its own lock', async () => {
+        setStorage(storage);
+        expect(await acquireLock('scraper')).toBe(true);
+
+        const result = await run();
+        await releaseLock('scraper');
+
+        expect(result.status).toBe('success');
+        expect(db.dump('scraper_locks')).toEqual({});
+    });
+
+    test('stops when the kill switch is off', async () => {
+        setStorage(storage);
+        await disableScraper('test');
+
+        const result = await run();
+
+        expect(result.status).toBe('disabled');
+        expect(db.dump('jobs').SPSC_EXPIRED.status).toBe('active');
+    });
+});
@@ -0,0 +1,188 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { scrapeJobs } from '../scraper.js';
+import { reprocessJobs } from '../reprocess.js';
+import {
+    trackIncompleteJob,
+    listManualEntries,
+    manualEntryTemplate,
+    enterManualFields,
+    importManualEntries,
+    ManualEntryStatus
+} from '../manualEntry.js';
+import { getJobRevisions } from '../firestoreService.js';
+import { createTableSource } from '../sources/tableSource.js';
+import { createFirestoreStorage } from '../storage/index.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+import { launchFakeBrowser } from './helpers/fakeBrowser.js';
+import { startFixtureServer, FIXTURES_DIR } from './helpers/fixtureServer.js';
+import { silenceLogs } from './helpers/logs.js';
+
+silenceLogs();
+
+// Additional Under Secretary: the only scanned PDF of the fixtures
+const SCANNED = 'SPSC_17_SPSC_EXAM_2025';
+
+let siteDir;
+let site;
+let pdfCacheDir;
+
+beforeAll(async () => {
+    // A copy of the fixtures the tests can change
+    siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-'));
+    fs.cpSync(FIXTURES_DIR, siteDir, { recursive: true });
+    site = await startFixtureServer(siteDir);
+    pdfCacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-cache-'));
+    process.env.PDF_CACHE_DIR = pdfCacheDir;
+});
+
+afterAll(async () => {
+    await site.close();
+    delete process.env.PDF_CACHE_DIR;
+    fs.rmSync(siteDir, { recursive: true, force: true });
+    fs.rmSync(pdfCacheDir, { recursive: true, force: true });
+});
+
+async function scrape(storage) {
+    return scrapeJobs({
+        storage,
+        launchBrowser: launchFakeBrowser,
+        sources: [createTableSource({
+            id: 'spsc',
+            name: 'SPSC (fixture)',
+            listUrl: `${site.baseUrl}/notifications.html`,
+            selectors: { table: ['#myTable'] },
+            defaults: { department: 'SPSC' },
+            delayBetweenRequests: 0
+        })]
+    });
+}
+
+async function seed() {
+    const db = createFakeFirestore();
+    const storage = createFirestoreStorage(db);
+    const result = await scrape(storage);
+    return { db, storage, result };
+}
+
+const entry = {
+    jobId: SCANNED,
+    fields: {
+        department: 'Department of Personnel',
+        totalPosts: '2',
+        lastDate: '20/01/2026',
+        qualification: null
+    },
+    note: 'typed from the scanned notice'
+};
+
+describe('manual entry queue', () => {
+    test('queues scanned PDFs and counts parse attempts', async () => {
+        const { db, storage, result } = await seed();
+
+        expect(db.dump('scraper_runs')[result.runId].jobsQueuedForManualEntry).toBe(1);
+        expect(await listManualEntries()).toEqual([
+            expect.objectContaining({
+                jobId: SCANNED,
+                status: 'pending',
+                attempts: 1,
+                lastError: expect.stringContaining('scanned'),
+                pdfUrl: `${site.baseUrl}/pdfs/under-secretary-scanned.pdf`
+            })
+        ]);
+
+        await reprocessJobs({ storage, apply: true, filters: { ids: [SCANNED] } });
+        expect(db.dump('manual_entry_queue')[SCANNED].attempts).toBe(2);
+
+        // Complete jobs are not queued
+        expect(await trackIncompleteJob('SPSC_19_SPSC_EXAM_2025')).toEqual({ queued: false, attempts: 0 });
+    });
+
+    test('template lists the pending jobs to fill in', async () => {
+        await seed();
+
+        expect(await manualEntryTemplate()).toEqual([{
+            jobId: SCANNED,
+            pdfUrl: `${site.baseUrl}/pdfs/under-secretary-scanned.pdf`,
+            advtNo: '17/SPSC/EXAM/2025',
+            fields: { postName: null, department: null, totalPosts: null, qualification: null, lastDate: null },
+            note: null,
+            complete: true
+        }]);
+    });
+
+    test('imported fields are saved with manual provenance', async () => {
+        const { db } = await seed();
+
+        const results = await importManualEntries([
+            entry,
+            { jobId: 'SPSC_18_SPSC_EXAM_2025', fields: { lastDate: 'next month' } },
+            { jobId: 'MISSING', fields: { totalPosts: '3' } }
+        ], { by: 'volunteer' });
+
+        expect(results).toEqual([
+            { jobId: SCANNED, status: 'entered', error: null },
+            { jobId: 'SPSC_18_SPSC_EXAM_2025', status: 'failed', error: 'Invalid value for lastDate: next month' },
+            { jobId: 'MISSING', status: 'failed', error: 'Job MISSING not found' }
+        ]);
+
+        const job = db.dump('jobs')[SCANNED];
+        expect(job).toMatchObject({
+            department: 'Department of Personnel',
+            totalPosts: 2,
+            lastDate: new Date(2026, 0, 20).toISOString(),
+            dataComplete: true,
+            provenance: { department: 'manual', totalPosts: 'manual', lastDate: 'manual', advtNo: 'listing' },
+            fieldConfidence: { department: 1, totalPosts: 1, lastDate: 1 },
+            published: true
+        });
+
+        const revisions = await getJobRevisions(SCANNED);
+        expect(revisions.at(-1)).toMatchObject({ reason: 'manual', enteredBy: 'volunteer', note: entry.note });
+
+        expect(db.dump('manual_entry_queue')[SCANNED]).toMatchObject({
+            status: 'entered',
+            fields: ['department', 'totalPosts', 'lastDate'],
+            enteredBy: 'volunteer'
+        });
+        expect(await listManualEntries()).toEqual([]);
+    });
+
+    test('a partial entry keeps the job in the queue', async () => {
+        const { db } = await seed();
+
+        await enterManualFields(SCANNED, { lastDate: '20/01/2026' }, { complete: false });
+
+        expect(db.dump('jobs')[SCANNED]).toMatchObject({ dataComplete: false, provenance: { lastDate: 'manual' } });
+        expect(db.dump('manual_entry_queue')[SCANNED]).toMatchObject({ status: 'pending', fields: ['lastDate'] });
+
+        await expect(enterManualFields(SCANNED, { lastDate: '' })).rejects.toThrow('No fields entered');
+    });
+
+    test('later scrapes and reprocess runs keep manually entered fields', async () => {
+        const { db, storage } = await seed();
+        await importManualEntries([entry], { by: 'volunteer' });
+        const entered = db.dump('jobs')[SCANNED];
+
+        const reprocessed = await reprocessJobs({ storage, apply: true, filters: { ids: [SCANNED] } });
+        expect(reprocessed.results[0].status).toBe('incomplete');
+
+        // Re-scanned under the same URL: downloaded and parsed again, still no text
+        fs.appendFileSync(path.join(siteDir, 'pdfs/under-secretary-scanned.pdf'), '\n% rescanned\n');
+        await storage.watermarks.update('spsc', { revalidatedAt: new Date(0) });
+        const run = await scrape(storage);
+
+        expect(db.dump('scraper_runs')[run.runId]).toMatchObject({ jobsUpdated: 1, notificationsUpdated: 1 });
+        expect(db.dump('jobs')[SCANNED]).toMatchObject({
+            notificationUpdated: true,
+            department: entered.department,
+            totalPosts: entered.totalPosts,
+            lastDate: entered.lastDate,
+            dataComplete: true,
+            provenance: { department: 'manual', totalPosts: 'manual', lastDate: 'manual' }
+        });
+        expect(db.dump('manual_entry_queue')[SCANNED].status).toBe(ManualEntryStatus.ENTERED);
+    });
+});
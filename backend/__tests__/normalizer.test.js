@@ -0,0 +1,296 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    normalizeJobData,
+    normalizeField,
+    mergeListingAndPdf,
+    validateJobData,
+    determineStatus,
+    issuedDay
+} from '../normalizer.js';
+import { getMaintenanceConfig } from '../runtimeConfig.js';
+import { silenceLogs } from './helpers/logs.js';
+
+silenceLogs();
+
+describe('normalizeJobData', () => {
+    const raw = {
+        source: 'spsc',
+        serialNo: '1',
+        advtNo: ' 19/spsc/exam/2025 ',
+        subject: 'Advertisement for the post of Labour Inspector',
+        postName: '  Labour   Inspector ',
+        issuedDate: '11/12/2025',
+        department: 'Labour Department',
+        totalPosts: '4',
+        qualification: 'Bachelor Degree',
+        lastDate: '10/01/2026',
+        pdfUrl: 'https://spsc.sikkim.gov.in/a.pdf',
+        sourceUrl: 'https://spsc.sikkim.gov.in/Notifications.html'
+    };
+
+    test('cleans listing and PDF fields', () => {
+        const job = normalizeJobData(raw);
+
+        expect(job).toMatchObject({
+            source: 'spsc',
+            advtNo: '19/SPSC/EXAM/2025',
+            postName: 'Labour Inspector',
+            issuedDate: '2025-12-11',
+            department: 'Labour Department',
+            totalPosts: 4,
+            qualification: 'Bachelor Degree',
+            dataComplete: true
+        });
+        expect(job.lastDate).toBe(new Date(2026, 0, 10).toISOString());
+    });
+
+    test('accepts dotted and dashed dates', () => {
+        expect(normalizeJobData({ ...raw, lastDate: '10.01.2026' }).lastDate)
+            .toBe(normalizeJobData({ ...raw, lastDate: '10-01-2026' }).lastDate);
+    });
+
+    test('stores the issue date as a calendar day and reads stored values back', () => {
+        const stored = normalizeJobData(raw).issuedDate;
+        const legacy = new Date(2025, 11, 11).toISOString();
+
+        expect(stored).toBe('2025-12-11');
+        expect(normalizeJobData({ ...raw, issuedDate: stored }).issuedDate).toBe(stored);
+        expect(normalizeJobData({ ...raw, issuedDate: legacy }).issuedDate).toBe(stored);
+        expect(normalizeJobData(raw).issuedDateText).toBeNull();
+        expect(issuedDay(stored)).toBe('2025-12-11');
+        expect(issuedDay('11/12/2025')).toBe('2025-12-11');
+        expect(issuedDay(null)).toBeNull();
+    });
+
+    test('keeps the listed text of an issue date that does not parse', () => {
+        const job = normalizeJobData({ ...raw, issuedDate: ' Dec  2025 ' });
+
+        expect(job).toMatchObject({ issuedDate: null, issuedDateText: 'Dec 2025' });
+        expect(normalizeJobData({ ...raw, issuedDate: null, issuedDateText: '11/12/2025' }).issuedDate).toBe('2025-12-11');
+    });
+
+    test('the issue date does not depend on the timezone', () => {
+        const timezone = process.env.TZ;
+        try {
+            for (const tz of ['Asia/Kolkata', 'America/Los_Angeles', 'UTC']) {
+                process.env.TZ = tz;
+                expect(normalizeJobData(raw).issuedDate).toBe('2025-12-11');
+                expect(issuedDay('2025-12-11')).toBe('2025-12-11');
+            }
+        } finally {
+            if (timezone === undefined) delete process.env.TZ;
+            else process.env.TZ = timezone;
+        }
+    });
+
+    test('keeps dataComplete=false from the PDF parser', () => {
+        expect(normalizeJobData({ ...raw, dataComplete: false }).dataComplete).toBe(false);
+    });
+});
+
+describe('eligibility fields', () => {
+    const base = {
+        advtNo: '19/SPSC/EXAM/2025',
+        postName: 'Labour Inspector',
+        pdfUrl: 'https://spsc.sikkim.gov.in/a.pdf'
+    };
+
+    test('structures age limit with category relaxations', () => {
+        const { ageLimit } = normalizeJobData({
+            ...base,
+            ageLimit: 'Between 18 and 40 years as on 31/12/2025.',
+            ageRelaxation: 'Upper age limit is relaxable by 5 years for SC/ST/BL and 3 years for OBC/MBC. PwD: 10 years'
+        });
+
+        expect(ageLimit).toMatchObject({
+            min: 18,
+            max: 40,
+            asOn: new Date(2025, 11, 31).toISOString(),
+            relaxations: { SC: 5, ST: 5, BL: 5, OBC: 3, MBC: 3, PWD: 10 }
+        });
+    });
+
+    test('reads an upper limit on its own', () => {
+        const { ageLimit } = normalizeJobData({ ...base, ageLimit: 'should not be more than 35 years' });
+        expect(ageLimit).toMatchObject({ min: null, max: 35, relaxations: {} });
+    });
+
+    test('splits application fee by category', () => {
+        const { applicationFee } = normalizeJobData({
+            ...base,
+            applicationFee: 'Rs. 500/- for General candidates and Rs. 250/- for SC/ST candidates. PwD candidates are exempted.'
+        });
+
+        expect(applicationFee).toMatchObject({ general: 500, reserved: 250, exempted: ['PWD'], currency: 'INR' });
+    });
+
+    test('parses pay level and range', () => {
+        const { payScale } = normalizeJobData({ ...base, payScale: 'Level 8 in the Pay Matrix (Rs. 35,400 - 1,12,400)' });
+        expect(payScale).toMatchObject({ level: 'Level 8', min: 35400, max: 112400 });
+    });
+
+    test.each([
+        ['Written examination followed by viva voce', 'written_and_interview'],
+        ['Computer Based Test', 'written'],
+        ['Interview only', 'interview'],
+        ['as decided by the Commission', null]
+    ])('selection mode "%s" → %s', (text, expected) => {
+        expect(normalizeJobData({ ...base, selectionMode: text }).selectionMode).toBe(expected);
+    });
+
+    test('missing fields stay null with zero confidence', () => {
+        const job = normalizeJobData({
+            ...base,
+            payScale: 'as per rules',
+            confidence: { payScale: 0.9, ageLimit: 0, applicationFee: 0 }
+        });
+
+        expect(job.ageLimit).toBeNull();
+        expect(job.applicationFee).toBeNull();
+        expect(job.payScale).toBeNull();
+        expect(job.fieldConfidence).toEqual({ payScale: 0, ageLimit: 0, applicationFee: 0 });
+    });
+});
+
+describe('provenance and defaults', () => {
+    const listing = {
+        source: 'spsc',
+        advtNo: '17/SPSC/EXAM/2025',
+        postName: 'Additional Under Secretary',
+        issuedDate: '05/12/2025',
+        pdfUrl: 'https://spsc.sikkim.gov.in/c.pdf'
+    };
+
+    test('never invents missing values', () => {
+        const job = normalizeJobData({ pdfUrl: listing.pdfUrl });
+
+        expect(job).toMatchObject({
+            advtNo: null,
+            postName: null,
+            department: null,
+            totalPosts: null,
+            qualification: null,
+            lastDate: null
+        });
+        expect(job.provenance.lastDate).toBe('missing');
+    });
+
+    test('records listing vs extracted fields', () => {
+        const job = normalizeJobData(mergeListingAndPdf(listing, {
+            advtNo: '17/SPSC/2025',
+            lastDate: '10/01/2026',
+            totalPosts: null
+        }));
+
+        expect(job.advtNo).toBe('17/SPSC/EXAM/2025');
+        expect(job.provenance).toMatchObject({
+            advtNo: 'listing',
+            postName: 'listing',
+            issuedDate: 'listing',
+            lastDate: 'extracted',
+            totalPosts: 'missing'
+        });
+    });
+
+    test('applies defaults only when opted in', () => {
+        const job = normalizeJobData(mergeListingAndPdf(listing, {}), {
+            defaults: { department: 'SPSC', totalPosts: () => 1 }
+        });
+
+        expect(job).toMatchObject({ department: 'SPSC', totalPosts: 1, lastDate: null });
+        expect(job.provenance).toMatchObject({ department: 'defaulted', totalPosts: 'defaulted', lastDate: 'missing' });
+        expect(job.validation.warnings).toEqual(expect.arrayContaining(['Defaulted department', 'Missing last date']));
+    });
+});
+
+describe('field confidence', () => {
+    const listing = {
+        source: 'spsc',
+        advtNo: '18/SPSC/EXAM/2025',
+        postName: 'Sub Inspector (Excise)',
+        pdfUrl: 'https://spsc.sikkim.gov.in/b.pdf'
+    };
+    const pdfData = {
+        postName: 'Sub Inspector Excise',
+        lastDate: '10/01/2026',
+        confidence: { advtNo: 0.9, postName: 0.9, lastDate: 0.9 },
+        evidence: { lastDate: { pattern: 0, position: 0.4 } }
+    };
+
+    test('listing values score 1, extracted ones the parser score', () => {
+        const job = normalizeJobData(mergeListingAndPdf(listing, { ...pdfData, advtNo: '18/SPSC/EXAM/2025' }));
+
+        expect(job.fieldConfidence).toMatchObject({ advtNo: 1, postName: 1, lastDate: 0.9 });
+        expect(job.fieldEvidence).toEqual({
+            advtNo: { listing: 'match' },
+            postName: { listing: 'match' },
+            lastDate: { pattern: 0, position: 0.4 }
+        });
+    });
+
+    test('a PDF that disagrees with its listing row lowers extracted values', () => {
+        const job = normalizeJobData(mergeListingAndPdf(listing, { ...pdfData, advtNo: '7/DOP/2024' }));
+
+        expect(job.advtNo).toBe('18/SPSC/EXAM/2025');
+        expect(job.fieldConfidence).toMatchObject({ advtNo: 1, lastDate: 0.63 });
+        expect(job.fieldEvidence.advtNo).toEqual({ listing: 'mismatch' });
+    });
+
+    test('normalizeField normalizes one value like a scraped one', () => {
+        expect(normalizeField('lastDate', '31/01/2026')).toBe(new Date(2026, 0, 31).toISOString());
+        expect(normalizeField('totalPosts', '12 posts')).toBe(12);
+        expect(normalizeField('lastDate', 'soon')).toBeNull();
+        expect(() => normalizeField('salary', '100')).toThrow('Unknown field: salary');
+    });
+});
+
+describe('validateJobData', () => {
+    test('returns a structured result', () => {
+        expect(validateJobData({ pdfUrl: 'ftp://x' })).toMatchObject({
+            valid: false,
+            errors: ['Missing advertisement number and post name', 'Invalid PDF URL'],
+            warnings: ['Missing last date']
+        });
+    });
+});
+
+describe('determineStatus', () => {
+    const now = new Date('2026-03-01T12:00:00.000Z');
+
+    test.each([
+        [null, 'active'],
+        ['2026-04-01T00:00:00.000Z', 'active'],
+        ['2026-03-05T00:00:00.000Z', 'closing_soon'],
+        ['2026-02-28T00:00:00.000Z', 'expired']
+    ])('%s → %s', (lastDate, status) => {
+        expect(determineStatus(lastDate, { now })).toBe(status);
+    });
+
+    test('a job stays open through its last day', () => {
+        const lastDay = new Date(2026, 2, 1).toISOString();
+
+        expect(determineStatus(lastDay, { now: new Date(2026, 2, 1, 18) })).toBe('closing_soon');
+        expect(determineStatus(lastDay, { now: new Date(2026, 2, 2) })).toBe('expired');
+    });
+
+    test('closing-soon window counts to the end of the last day', () => {
+        const lastDay = new Date(2026, 2, 8).toISOString();
+
+        expect(determineStatus(lastDay, { now: new Date(2026, 2, 1, 12) })).toBe('active');
+        expect(determineStatus(lastDay, { now: new Date(2026, 2, 2) })).toBe('closing_soon');
+    });
+
+    test('closing-soon window is configurable', () => {
+        expect(determineStatus('2026-03-05T00:00:00.000Z', { now, closingSoonDays: 2 })).toBe('active');
+    });
+
+    test('default window comes from CLOSING_SOON_DAYS, as in maintenance', () => {
+        process.env.CLOSING_SOON_DAYS = '2';
+        try {
+            expect(determineStatus('2026-03-05T00:00:00.000Z', { now })).toBe('active');
+            expect(getMaintenanceConfig().closingSoonDays).toBe(2);
+        } finally {
+            delete process.env.CLOSING_SOON_DAYS;
+        }
+    });
+});
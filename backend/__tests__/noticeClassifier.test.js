@@ -0,0 +1,100 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    NoticeType,
+    classifyNotice,
+    findAdvtNos,
+    findNewLastDate,
+    findReferences,
+    resolveNoticeType,
+    analyzeNoticeText
+} from '../noticeClassifier.js';
+
+describe('classifyNotice', () => {
+    test.each([
+        ['Advertisement for the post of Labour Inspector', NoticeType.ADVERTISEMENT],
+        ['Corrigendum to Advertisement No. 19/SPSC/EXAM/2025', NoticeType.CORRIGENDUM],
+        ['Addendum regarding qualification for Junior Engineer', NoticeType.CORRIGENDUM],
+        ['Corrigendum: extension of last date for the post of Labour Inspector', NoticeType.EXTENSION],
+        ['Last date for submission of applications extended', NoticeType.EXTENSION],
+        ['Cancellation of Advertisement No. 18/SPSC/EXAM/2025', NoticeType.CANCELLATION],
+        ['Recruitment for the post of Forest Guard withdrawn', NoticeType.CANCELLATION],
+        ['Result of written examination for Sub Inspector', NoticeType.RESULT],
+        ['Download e-Admit Card for Labour Inspector exam', NoticeType.ADMIT_CARD],
+        ['Syllabus for the post of Assistant Engineer (Civil)', NoticeType.SYLLABUS],
+        ['', NoticeType.ADVERTISEMENT]
+    ])('"%s" → %s', (subject, type) => {
+        expect(classifyNotice(subject)).toBe(type);
+    });
+});
+
+describe('references', () => {
+    test('finds every advertisement number once', () => {
+        expect(findAdvtNos('vide Advertisement No. 19/SPSC/EXAM/2025 and Advt. No: 7/SPSC/2024; Advertisement No. 19/SPSC/EXAM/2025'))
+            .toEqual(['19/SPSC/EXAM/2025', '7/SPSC/2024']);
+    });
+
+    test.each([
+        ['is hereby extended up to 31/01/2026.', '31/01/2026'],
+        ['extended till 05.02.2026', '05.02.2026'],
+        ['the last date shall now be 15-02-2026', '15-02-2026'],
+        ['no dates here', null]
+    ])('new last date in "%s"', (text, expected) => {
+        expect(findNewLastDate(text)).toBe(expected);
+    });
+
+    test('only the top of a PDF decides its type', () => {
+        const text = 'ADVERTISEMENT\nApplications are invited.\n' + 'x'.repeat(600) + '\nCandidature will be cancelled if found ineligible.';
+        expect(analyzeNoticeText(text).type).toBe(NoticeType.ADVERTISEMENT);
+    });
+});
+
+describe('resolveNoticeType', () => {
+    const fresh = {
+        advtNo: '23/SPSC/EXAM/2025',
+        subject: 'Advertisement for the post of Forest Guard'
+    };
+    const freshPdf = [
+        'SIKKIM PUBLIC SERVICE COMMISSION',
+        'Advertisement No. 23/SPSC/EXAM/2025',
+        'Applications are invited for the post of Forest Guard.',
+        'Any modification in qualification after the last date will not be accepted.',
+        'Canvassing shall lead to withdrawal of candidature.'
+    ].join('\n');
+
+    test('amendment wording without a referenced advertisement is a fresh advertisement', () => {
+        const notice = analyzeNoticeText(freshPdf);
+        expect(notice.type).not.toBe(NoticeType.ADVERTISEMENT);
+
+        const references = findReferences(fresh, notice.advtNos);
+        expect(references).toEqual([]);
+        expect(resolveNoticeType([classifyNotice(fresh.subject), notice.type], references)).toBe(NoticeType.ADVERTISEMENT);
+    });
+
+    test.each([
+        'Forest Guard recruitment: modification in qualification',
+        'Withdrawal of candidature for absent candidates'
+    ])('"%s" alone is no amendment', subject => {
+        const row = { advtNo: '24/SPSC/2025', subject };
+        expect(resolveNoticeType([classifyNotice(subject)], findReferences(row))).toBe(NoticeType.ADVERTISEMENT);
+    });
+
+    test('an amendment that names the advertisement is kept', () => {
+        const cancellation = { advtNo: '22/SPSC/EXAM/2025', subject: 'Cancellation of Advertisement No. 18/SPSC/EXAM/2025' };
+        expect(resolveNoticeType([classifyNotice(cancellation.subject)], findReferences(cancellation)))
+            .toBe(NoticeType.CANCELLATION);
+
+        // Reference only in the PDF
+        const corrigendum = { advtNo: '21/SPSC/EXAM/2025', subject: 'Corrigendum: extension of last date' };
+        expect(findReferences(corrigendum, ['19/SPSC/EXAM/2025', '21/SPSC/EXAM/2025'])).toEqual(['19/SPSC/EXAM/2025']);
+        expect(resolveNoticeType([classifyNotice(corrigendum.subject)], ['19/SPSC/EXAM/2025'])).toBe(NoticeType.EXTENSION);
+
+        // Row that repeats the original number in its own column
+        const repeated = { advtNo: '19/SPSC/EXAM/2025', subject: 'Corrigendum to Advertisement No. 19/SPSC/EXAM/2025' };
+        expect(findReferences(repeated)).toEqual(['19/SPSC/EXAM/2025']);
+    });
+
+    test('other notice types need no reference', () => {
+        expect(resolveNoticeType([NoticeType.RESULT], [])).toBe(NoticeType.RESULT);
+        expect(resolveNoticeType([NoticeType.CANCELLATION, NoticeType.ADMIT_CARD], [])).toBe(NoticeType.ADMIT_CARD);
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, test, expect } from '@jest/globals';
+import { layoutPage } from '../pdfLayout.js';
+
+/**
+ * pdf.js text item at (x, y), 5pt per character
+ */
+function item(x, y, str) {
+    return { str, transform: [10, 0, 0, 10, x, y], width: str.length * 5, height: 10 };
+}
+
+describe('layoutPage', () => {
+    test('orders items top to bottom and left to right', () => {
+        const page = layoutPage([
+            item(50, 700, 'second line'),
+            item(200, 714, 'right'),
+            item(50, 714, 'left')
+        ]);
+
+        expect(page.text).toBe('left\tright\nsecond line');
+        expect(page.blocks.map(block => block.type)).toEqual(['text', 'text']);
+        expect(page.tables).toEqual([]);
+    });
+
+    test('joins items of one cell and separates cells at gaps', () => {
+        const page = layoutPage([
+            item(50, 700, 'Name'),
+            item(73, 700, 'of Post'),
+            item(200, 700, 'Clerk')
+        ]);
+
+        expect(page.blocks[0].cells).toEqual([
+            { x: 50, text: 'Name of Post' },
+            { x: 200, text: 'Clerk' }
+        ]);
+    });
+
+    test('reconstructs table rows and joins wrapped cells into their column', () => {
+        const header = [[50, 'Sl.'], [90, 'Name of Post'], [300, 'No. of Posts'], [380, 'Remarks']];
+        const rows = [
+            [[50, '1'], [90, 'Medical Officer'], [300, '15'], [380, 'Regular']],
+            [[90, '(General Duty)'], [380, 'basis']],
+            [[50, '2'], [90, 'Staff Nurse'], [300, '22']]
+        ];
+        const items = [header, ...rows]
+            .flatMap((cells, line) => cells.map(([x, str]) => item(x, 700 - line * 14, str)))
+            .reverse();
+
+        const page = layoutPage([item(50, 740, 'ADVERTISEMENT'), ...items, item(50, 600, 'Last Date: 05/02/2026')]);
+
+        expect(page.tables).toHaveLength(1);
+        expect(page.tables[0]).toMatchObject({
+            columns: [50, 90, 300, 380],
+            header: ['Sl.', 'Name of Post', 'No. of Posts', 'Remarks'],
+            rows: [
+                ['1', 'Medical Officer (General Duty)', '15', 'Regular basis'],
+                ['2', 'Staff Nurse', '22', '']
+            ]
+        });
+        expect(page.blocks.map(block => block.type)).toEqual(['text', 'table', 'text']);
+        expect(page.blocks[1].table).toBe(page.tables[0]);
+    });
+
+    test('a line of cells without rows below is not a table', () => {
+        const page = layoutPage([
+            item(50, 700, 'Phone'), item(150, 700, 'Fax'), item(250, 700, 'Email'),
+            item(50, 686, 'Candidates must apply online.')
+        ]);
+
+        expect(page.tables).toEqual([]);
+        expect(page.blocks).toHaveLength(2);
+    });
+
+    test('a page without text has no blocks (scanned)', () => {
+        expect(layoutPage([], { number: 2, width: 595, height: 842 })).toEqual({
+            number: 2, width: 595, height: 842, text: '', blocks: [], tables: []
+        });
+    });
+});
@@ -0,0 +1,178 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { downloadAndParsePdf, extractDataFromText, extractVacancyTable, parseCachedPdf } from '../pdfParser.js';
+import { createTextCache } from '../pdfCache.js';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+import { silenceLogs } from './helpers/logs.js';
+
+silenceLogs();
+
+let server;
+
+beforeAll(async () => {
+    server = await startFixtureServer();
+});
+
+afterAll(async () => {
+    await server.close();
+});
+
+/**
+ * Golden output per fixture PDF - catches regressions in PATTERNS
+ */
+function stable(result) {
+    const { extractedAt, ...metadata } = result.metadata;
+    const { lastModified, ...document } = result.document;
+    expect(typeof extractedAt).toBe('string');
+    expect(typeof lastModified).toBe('string');
+    return { ...result, document, metadata };
+}
+
+describe('downloadAndParsePdf', () => {
+    test.each([
+        'labour-inspector.pdf',
+        'sub-inspector-excise.pdf',
+        'multi-post.pdf',
+        'vacancy-columns.pdf'
+    ])('extracts %s', async (name) => {
+        const result = await downloadAndParsePdf(`${server.baseUrl}/pdfs/${name}`);
+
+        expect(result.dataComplete).toBe(true);
+        expect(stable(result)).toMatchSnapshot();
+    });
+
+    test('flags scanned PDFs as incomplete', async () => {
+        const result = await downloadAndParsePdf(`${server.baseUrl}/pdfs/under-secretary-scanned.pdf`);
+
+        expect(result.dataComplete).toBe(false);
+        expect(result.metadata.parsingErrors[0]).toMatch(/likely scanned/);
+    });
+
+    test('fails gracefully on HTTP errors', async () => {
+        const result = await downloadAndParsePdf(`${server.baseUrl}/pdfs/missing.pdf`);
+
+        expect(result.dataComplete).toBe(false);
+        expect(result.metadata.parsingErrors[0]).toMatch(/404/);
+    });
+});
+
+describe('PDF cache', () => {
+    let cache;
+    let cacheDir;
+
+    beforeEach(() => {
+        cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-cache-'));
+        cache = createTextCache(cacheDir);
+    });
+
+    afterEach(() => {
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    test('an unchanged PDF is answered with 304 and parsed from cached text', async () => {
+        const url = `${server.baseUrl}/pdfs/labour-inspector.pdf`;
+        const first = await downloadAndParsePdf(url, { cache });
+        expect(first.document).toMatchObject({ notModified: false, etag: expect.any(String) });
+
+        const second = await downloadAndParsePdf(url, { previous: first.document, cache });
+
+        expect(second.document).toEqual({ ...first.document, notModified: true });
+        expect(second.lastDate).toBe(first.lastDate);
+        expect(second.metadata.contentHash).toBe(first.document.hash);
+    });
+
+    test('conditional headers are only sent when the text is cached', async () => {
+        const url = `${server.baseUrl}/pdfs/labour-inspector.pdf`;
+        const first = await downloadAndParsePdf(url);
+
+        const again = await downloadAndParsePdf(url, { previous: first.document, cache });
+        expect(again.document.notModified).toBe(false);
+        expect(again.dataComplete).toBe(true);
+    });
+
+    test('extraction re-runs on cached text without a download', async () => {
+        const url = `${server.baseUrl}/pdfs/multi-post.pdf`;
+        const downloaded = await downloadAndParsePdf(url, { cache });
+        const requests = server.requests.length;
+
+        const reparsed = parseCachedPdf(downloaded.document.hash, cache);
+
+        expect(server.requests).toHaveLength(requests);
+        expect(reparsed).toMatchObject({ totalPosts: '40', dataComplete: true });
+        expect(reparsed.posts).toEqual(downloaded.posts);
+        expect(reparsed.qualification).toBe(downloaded.qualification);
+        expect(reparsed.evidence).toEqual(downloaded.evidence);
+        expect(parseCachedPdf('0'.repeat(64), cache)).toBeNull();
+    });
+});
+
+describe('extractVacancyTable', () => {
+    test('reads one post per table row and sums vacancies', async () => {
+        const result = await downloadAndParsePdf(`${server.baseUrl}/pdfs/multi-post.pdf`);
+
+        expect(result.posts).toHaveLength(6);
+        expect(result.posts[2]).toEqual({
+            serialNo: '3',
+            postName: 'Junior Engineer (Civil)',
+            department: 'Rural Development',
+            payLevel: 'Level 8',
+            vacancies: 10,
+            qualification: 'Diploma in Civil Engineering'
+        });
+        expect(result.totalPosts).toBe('40');
+    });
+
+    test('reads tables written column by column in reading order', async () => {
+        const result = await downloadAndParsePdf(`${server.baseUrl}/pdfs/vacancy-columns.pdf`);
+
+        expect(result.posts.map(p => [p.postName, p.vacancies, p.payLevel])).toEqual([
+            ['Medical Officer (General Duty)', 15, 'Level 11'],
+            ['Staff Nurse', 22, 'Level 7'],
+            ['Pharmacist', 4, 'Level 6']
+        ]);
+        expect(result.totalPosts).toBe('41');
+        expect(result.postName).toBeNull();
+        expect(result.lastDate).toBe('05/02/2026');
+    });
+
+    test('parses plain-text rows without column gaps', () => {
+        const posts = extractVacancyTable([
+            'Sl. No. Name of Post No. of Posts Qualification',
+            '1. Assistant Professor (English) 3 M.A. with NET',
+            '2 Medical Officer Level 11 25 MBBS',
+            'Total 28'
+        ].join('\n'));
+
+        expect(posts.map(p => [p.postName, p.payLevel, p.vacancies])).toEqual([
+            ['Assistant Professor (English)', null, 3],
+            ['Medical Officer', 'Level 11', 25]
+        ]);
+    });
+
+    test('returns nothing for single-post advertisements', () => {
+        expect(extractVacancyTable('Name of Post: Labour Inspector\nTotal Posts: 4')).toEqual([]);
+    });
+});
+
+describe('field confidence', () => {
+    const filler = 'The Commission invites online applications from eligible candidates.\n'.repeat(20);
+
+    test('scores the loose reference-number fallback lower', () => {
+        const strict = extractDataFromText(`Advertisement No. 5/SPSC/2026\n${filler}`);
+        const loose = extractDataFromText(`Ref No. 5/SPSC/2026\n${filler}`);
+
+        expect(strict).toMatchObject({ advtNo: '5/SPSC/2026', confidence: { advtNo: 0.9 } });
+        expect(loose).toMatchObject({ advtNo: '5/SPSC/2026', confidence: { advtNo: 0.5 } });
+        expect(loose.evidence.advtNo).toEqual({ pattern: 3, position: 0 });
+    });
+
+    test('scores header fields found late in the document lower', () => {
+        const result = extractDataFromText(`${filler}Department: Health and Family Welfare\n`);
+
+        expect(result.department).toBe('Health and Family Welfare');
+        expect(result.confidence.department).toBe(0.63);
+        expect(result.evidence.department.position).toBeGreaterThan(0.5);
+    });
+});
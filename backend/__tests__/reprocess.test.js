@@ -0,0 +1,217 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { scrapeJobs } from '../scraper.js';
+import { reprocessJobs, matchesFilters } from '../reprocess.js';
+import { PARSER_VERSION } from '../pdfParser.js';
+import { createTableSource } from '../sources/tableSource.js';
+import { createFirestoreStorage } from '../storage/index.js';
+import { acquireLock, releaseLock, LockName } from '../runLock.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+import { launchFakeBrowser } from './helpers/fakeBrowser.js';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+import { silenceLogs } from './helpers/logs.js';
+
+silenceLogs();
+
+let server;
+let pdfCacheDir;
+
+beforeAll(async () => {
+    server = await startFixtureServer();
+});
+
+afterAll(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    if (pdfCacheDir) fs.rmSync(pdfCacheDir, { recursive: true, force: true });
+    pdfCacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-cache-'));
+    process.env.PDF_CACHE_DIR = pdfCacheDir;
+});
+
+afterAll(() => {
+    delete process.env.PDF_CACHE_DIR;
+    fs.rmSync(pdfCacheDir, { recursive: true, force: true });
+});
+
+/**
+ * Scrape the fixtures, then age SPSC_20 as if an older parser had missed
+ * its post count
+ */
+async function seed() {
+    const db = createFakeFirestore();
+    const storage = createFirestoreStorage(db);
+
+    await scrapeJobs({
+        storage,
+        launchBrowser: launchFakeBrowser,
+        sources: [createTableSource({
+            id: 'spsc',
+            name: 'SPSC (fixture)',
+            listUrl: `${server.baseUrl}/notifications.html`,
+            selectors: { table: ['#myTable'] },
+            defaults: { department: 'SPSC' },
+            delayBetweenRequests: 0
+        })]
+    });
+
+    const stored = db.dump('jobs').SPSC_20_SPSC_EXAM_2025;
+    await storage.jobs.update('SPSC_20_SPSC_EXAM_2025', {
+        totalPosts: null,
+        dataComplete: false,
+        parserVersion: null,
+        provenance: { ...stored.provenance, totalPosts: 'missing' }
+    });
+
+    return { db, storage, stored };
+}
+
+describe('matchesFilters', () => {
+    const job = { id: 'A', source: 'spsc', issuedDate: '2025-12-11', dataComplete: false, parserVersion: null };
+
+    test('combines source, completeness and issued date range', () => {
+        expect(matchesFilters(job, { source: 'spsc', incomplete: true })).toBe(true);
+        expect(matchesFilters(job, { source: 'other' })).toBe(false);
+        expect(matchesFilters({ ...job, dataComplete: true }, { incomplete: true })).toBe(false);
+        expect(matchesFilters(job, { from: '2025-12-01', to: '2025-12-31' })).toBe(true);
+        expect(matchesFilters(job, { from: '2025-12-12' })).toBe(false);
+        expect(matchesFilters({ ...job, issuedDate: null }, { to: '2025-12-31' })).toBe(false);
+        expect(matchesFilters({ ...job, issuedDate: '11/12/2025' }, { from: '2025-12-11', to: '2025-12-11' })).toBe(true);
+        expect(matchesFilters(job, { ids: ['B'] })).toBe(false);
+    });
+
+    test('treats jobs without a parser version as version 0', () => {
+        expect(matchesFilters(job, { parserVersion: 0 })).toBe(true);
+        expect(matchesFilters(job, { outdated: true })).toBe(true);
+        expect(matchesFilters({ ...job, parserVersion: PARSER_VERSION }, { outdated: true })).toBe(false);
+        expect(matchesFilters({ ...job, parserVersion: PARSER_VERSION }, { parserVersion: 0 })).toBe(false);
+    });
+});
+
+describe('reprocessJobs', () => {
+    test('dry run reports the diff from cached text without writing', async () => {
+        const { db, storage, stored } = await seed();
+        const requests = server.requests.length;
+
+        const report = await reprocessJobs({ storage, filters: { incomplete: true, source: 'spsc' } });
+
+        expect(report.status).toBe('success');
+        const result = report.results.find(r => r.id === 'SPSC_20_SPSC_EXAM_2025');
+        expect(result).toMatchObject({ status: 'changed', origin: 'cache' });
+        expect(result.changes.totalPosts).toEqual({ from: null, to: 40 });
+        expect(result.changes.parserVersion).toEqual({ from: null, to: PARSER_VERSION });
+
+        // Scanned PDF: still nothing to extract
+        expect(report.results.find(r => r.id === 'SPSC_17_SPSC_EXAM_2025').status).toBe('unchanged');
+
+        expect(db.dump('jobs').SPSC_20_SPSC_EXAM_2025.totalPosts).toBeNull();
+        expect(server.requests.length).toBe(requests);
+    });
+
+    test('apply saves a revision and records the parser version', async () => {
+        const { db, storage, stored } = await seed();
+
+        const report = await reprocessJobs({ storage, apply: true, filters: { outdated: true } });
+
+        expect(report.results).toEqual([
+            expect.objectContaining({ id: 'SPSC_20_SPSC_EXAM_2025', status: 'updated' })
+        ]);
+
+        const job = db.dump('jobs').SPSC_20_SPSC_EXAM_2025;
+        expect(job).toMatchObject({
+            totalPosts: 40,
+            dataComplete: true,
+            parserVersion: PARSER_VERSION,
+            revision: stored.revision + 1
+        });
+        expect(job.provenance.totalPosts).toBe('extracted');
+
+        const revisions = Object.values(db.dump('jobs/SPSC_20_SPSC_EXAM_2025/revisions'));
+        expect(revisions.at(-1)).toMatchObject({ reason: 'reprocess' });
+
+        // Nothing left to do
+        const again = await reprocessJobs({ storage, filters: { outdated: true } });
+        expect(again.results).toEqual([]);
+    });
+
+    test('keeps values set by notices', async () => {
+        const { db, storage } = await seed();
+        const amended = db.dump('jobs').SPSC_19_SPSC_EXAM_2025;
+
+        const report = await reprocessJobs({ storage, apply: true, filters: { ids: ['SPSC_19_SPSC_EXAM_2025'] } });
+
+        expect(report.results[0].status).toBe('unchanged');
+        expect(db.dump('jobs').SPSC_19_SPSC_EXAM_2025).toMatchObject({
+            lastDate: amended.lastDate,
+            provenance: { lastDate: 'amended' }
+        });
+    });
+
+    test('downloads the PDF again when its text is not cached', async () => {
+        const { storage } = await seed();
+        fs.rmSync(pdfCacheDir, { recursive: true, force: true });
+        const filters = { ids: ['SPSC_20_SPSC_EXAM_2025'] };
+
+        const offline = await reprocessJobs({ storage, download: false, filters });
+        expect(offline.results[0].status).toBe('no_pdf_text');
+
+        const requests = server.requests.length;
+        const report = await reprocessJobs({ storage, filters });
+        expect(report.results[0]).toMatchObject({ status: 'changed', origin: 'download' });
+        expect(server.requests.length).toBe(requests + 1);
+    });
+
+    test('records the downloaded PDF when applying', async () => {
+        const { db, storage, stored } = await seed();
+        fs.rmSync(pdfCacheDir, { recursive: true, force: true });
+        const [recordId] = Object.entries(db.dump('pdf_documents')).find(([, record]) => record.url === stored.pdfUrl);
+        await storage.pdfs.delete(recordId);
+
+        await reprocessJobs({ storage, filters: { ids: ['SPSC_20_SPSC_EXAM_2025'] } });
+        expect(db.dump('pdf_documents')[recordId]).toBeUndefined();
+        fs.rmSync(pdfCacheDir, { recursive: true, force: true });
+
+        const report = await reprocessJobs({ storage, apply: true, filters: { ids: ['SPSC_20_SPSC_EXAM_2025'] } });
+        expect(report.results[0]).toMatchObject({ status: 'updated', origin: 'download' });
+        expect(db.dump('pdf_documents')[recordId]).toMatchObject({
+            url: stored.pdfUrl,
+            hash: stored.metadata.contentHash
+        });
+    });
+
+    test('reports a job that resolves to another id as a conflict', async () => {
+        const { db, storage } = await seed();
+        const aged = db.dump('jobs').SPSC_20_SPSC_EXAM_2025;
+        await storage.jobs.set('SPSC_20_RENAMED', aged);
+
+        const report = await reprocessJobs({ storage, apply: true, filters: { ids: ['SPSC_20_RENAMED', 'SPSC_18_SPSC_EXAM_2025'] } });
+
+        expect(report.status).toBe('success');
+        expect(report.results).toEqual([
+            expect.objectContaining({ id: 'SPSC_18_SPSC_EXAM_2025', status: 'unchanged' }),
+            expect.objectContaining({
+                id: 'SPSC_20_RENAMED',
+                status: 'conflict',
+                error: 'Re-extracted job resolves to SPSC_20_SPSC_EXAM_2025'
+            })
+        ]);
+        expect(db.dump('jobs').SPSC_20_RENAMED).toEqual(aged);
+        expect(db.dump('jobs').SPSC_20_SPSC_EXAM_2025).toEqual(aged);
+    });
+
+    test('does not apply while the scraper holds the lock', async () => {
+        const { db, storage } = await seed();
+        await acquireLock(LockName.SCRAPER);
+
+        try {
+            const report = await reprocessJobs({ storage, apply: true, filters: { outdated: true } });
+            expect(report.status).toBe('skipped_locked');
+            expect(db.dump('jobs').SPSC_20_SPSC_EXAM_2025.totalPosts).toBeNull();
+        } finally {
+            await releaseLock(LockName.SCRAPER);
+        }
+    });
+});
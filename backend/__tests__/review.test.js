@@ -0,0 +1,185 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { scrapeJobs } from '../scraper.js';
+import { reprocessJobs } from '../reprocess.js';
+import {
+    assessJob,
+    updateReview,
+    listReviews,
+    approveReview,
+    correctReview,
+    rejectReview,
+    ReviewStatus
+} from '../review.js';
+import { getJobRevisions } from '../firestoreService.js';
+import { createTableSource } from '../sources/tableSource.js';
+import { createFirestoreStorage } from '../storage/index.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+import { launchFakeBrowser } from './helpers/fakeBrowser.js';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+import { silenceLogs } from './helpers/logs.js';
+
+silenceLogs();
+
+// Sub Inspector Excise: last date from the third pattern (0.6), department
+// from the second (0.75)
+const QUEUED = 'SPSC_18_SPSC_EXAM_2025';
+
+let server;
+let pdfCacheDir;
+
+beforeAll(async () => {
+    server = await startFixtureServer();
+    pdfCacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-cache-'));
+    process.env.PDF_CACHE_DIR = pdfCacheDir;
+    process.env.REVIEW_CONFIDENCE_THRESHOLD = '0.8';
+});
+
+afterAll(async () => {
+    await server.close();
+    delete process.env.PDF_CACHE_DIR;
+    delete process.env.REVIEW_CONFIDENCE_THRESHOLD;
+    fs.rmSync(pdfCacheDir, { recursive: true, force: true });
+});
+
+async function scrape() {
+    const db = createFakeFirestore();
+    const storage = createFirestoreStorage(db);
+
+    const result = await scrapeJobs({
+        storage,
+        launchBrowser: launchFakeBrowser,
+        sources: [createTableSource({
+            id: 'spsc',
+            name: 'SPSC (fixture)',
+            listUrl: `${server.baseUrl}/notifications.html`,
+            selectors: { table: ['#myTable'] },
+            defaults: { department: 'SPSC' },
+            delayBetweenRequests: 0
+        })]
+    });
+
+    return { db, storage, result };
+}
+
+describe('assessJob', () => {
+    const job = {
+        advtNo: '5/SPSC/2026',
+        lastDate: '2026-02-01T00:00:00.000Z',
+        department: 'SPSC',
+        totalPosts: null,
+        provenance: { advtNo: 'extracted', lastDate: 'extracted', department: 'defaulted', totalPosts: 'missing' },
+        fieldConfidence: { advtNo: 0.5, lastDate: 0.9, department: 0, totalPosts: 0 },
+        fieldEvidence: { advtNo: { pattern: 3, position: 0.02 } }
+    };
+
+    test('returns the values below the threshold', () => {
+        expect(assessJob(job, 0.6)).toEqual({
+            score: 0.5,
+            fields: [{ field: 'advtNo', value: '5/SPSC/2026', confidence: 0.5, evidence: { pattern: 3, position: 0.02 } }]
+        });
+        expect(assessJob(job, 0.4).fields).toEqual([]);
+    });
+
+    test('ignores defaulted and missing values and incomplete jobs', () => {
+        expect(assessJob({ ...job, fieldConfidence: { department: 0, totalPosts: 0 } }, 0.6)).toEqual({ score: null, fields: [] });
+        expect(assessJob({ ...job, dataComplete: false }, 0.6).fields).toEqual([]);
+    });
+});
+
+describe('review gate', () => {
+    test('queues low-confidence jobs and keeps them off the public listing', async () => {
+        const { db, result } = await scrape();
+
+        const jobs = db.dump('jobs');
+        expect(jobs[QUEUED]).toMatchObject({
+            published: false,
+            review: { status: 'pending', score: 0.6, fields: ['lastDate', 'department'] }
+        });
+        expect(jobs.SPSC_20_SPSC_EXAM_2025).toMatchObject({ published: true, review: null });
+
+        const queue = db.dump('review_queue');
+        expect(queue[QUEUED]).toMatchObject({
+            status: 'pending',
+            advtNo: '18/SPSC/EXAM/2025',
+            threshold: 0.8,
+            fields: [
+                { field: 'lastDate', confidence: 0.6, evidence: { pattern: 2, position: 0.35 } },
+                { field: 'department', value: 'the Excise', confidence: 0.75 }
+            ]
+        });
+
+        // The corrigendum's new last date replaced the low-confidence one
+        expect(queue.SPSC_19_SPSC_EXAM_2025.status).toBe('superseded');
+        expect(jobs.SPSC_19_SPSC_EXAM_2025).toMatchObject({ published: true, review: { status: 'superseded' } });
+
+        expect(Object.values(db.dump('vacancies')).every(row => row.published === true)).toBe(true);
+        expect(result.status).toBe('success');
+        expect(db.dump('scraper_runs')[result.runId].jobsQueuedForReview).toBe(2);
+    });
+
+    test('approve publishes the job and is not asked again for the same values', async () => {
+        const { db } = await scrape();
+
+        const item = await approveReview(QUEUED, { by: 'admin', note: 'checked against the PDF' });
+
+        expect(item).toMatchObject({ status: 'approved', reviewedBy: 'admin', note: 'checked against the PDF' });
+        expect(db.dump('jobs')[QUEUED]).toMatchObject({ published: true, review: { status: 'approved' } });
+
+        expect(await updateReview(QUEUED)).toEqual({ queued: false, published: true });
+        expect(await listReviews()).toEqual([]);
+    });
+
+    test('corrections replace the values and survive re-extraction', async () => {
+        const { db, storage } = await scrape();
+
+        const item = await correctReview(QUEUED, { lastDate: '05/01/2026', department: 'Excise (Abkari) Department' }, { by: 'admin' });
+
+        expect(item.status).toBe('corrected');
+        expect(item.corrections.department).toEqual({ from: 'the Excise', to: 'Excise (Abkari) Department' });
+
+        const job = db.dump('jobs')[QUEUED];
+        expect(job).toMatchObject({
+            department: 'Excise (Abkari) Department',
+            lastDate: new Date(2026, 0, 5).toISOString(),
+            provenance: { department: 'corrected', lastDate: 'corrected' },
+            fieldConfidence: { department: 1, lastDate: 1 },
+            published: true
+        });
+
+        const revisions = await getJobRevisions(QUEUED);
+        expect(revisions.at(-1)).toMatchObject({ reason: 'review', reviewedBy: 'admin', changedFields: expect.arrayContaining(['department']) });
+
+        await reprocessJobs({ storage, apply: true, filters: { ids: [QUEUED] } });
+        expect(db.dump('jobs')[QUEUED]).toMatchObject({ department: 'Excise (Abkari) Department', published: true });
+        expect(db.dump('review_queue')[QUEUED].status).toBe('corrected');
+    });
+
+    test('rejected jobs stay unpublished', async () => {
+        const { db } = await scrape();
+
+        await rejectReview(QUEUED, { by: 'admin', note: 'not a recruitment notice' });
+        expect(db.dump('jobs')[QUEUED]).toMatchObject({ published: false, review: { status: 'rejected' } });
+
+        expect(await updateReview(QUEUED, { threshold: 0 })).toEqual({ queued: false, published: false });
+        expect(await listReviews({ status: ReviewStatus.REJECTED })).toHaveLength(1);
+    });
+
+    test('a pending item is superseded when the values score above the threshold', async () => {
+        const { db } = await scrape();
+
+        expect(await updateReview(QUEUED, { threshold: 0.5 })).toEqual({ queued: false, published: true });
+        expect(db.dump('review_queue')[QUEUED].status).toBe('superseded');
+        expect(db.dump('jobs')[QUEUED].review).toMatchObject({ status: 'superseded' });
+    });
+
+    test('rejects invalid corrections', async () => {
+        await scrape();
+
+        await expect(correctReview(QUEUED, { lastDate: 'soon' })).rejects.toThrow('Invalid value for lastDate');
+        await expect(correctReview(QUEUED, { salary: '100' })).rejects.toThrow('Unknown field: salary');
+        await expect(approveReview('SPSC_20_SPSC_EXAM_2025')).rejects.toThrow('No review item');
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { evaluateRunHealth, checkRunHealth } from '../runHealth.js';
+import { alertFingerprint, AlertKey } from '../alerting.js';
+import { setStorage, createFileStorage } from '../storage/index.js';
+import { silenceLogs } from './helpers/logs.js';
+
+silenceLogs();
+
+const NOW = new Date('2026-03-10T06:00:00.000Z');
+const minutesAgo = minutes => new Date(NOW.getTime() - minutes * 60 * 1000);
+
+// Newest first, like getRecentRuns()
+function runs(...specs) {
+    return specs.map((spec, i) => ({
+        runId: `run-${i}`,
+        status: 'success',
+        startedAt: minutesAgo((i + 1) * 24 * 60),
+        jobsFound: 20,
+        jobsSkipped: 18,
+        parsingErrorsCount: 0,
+        ...spec
+    }));
+}
+
+describe('evaluateRunHealth', () => {
+    test('a healthy history passes every check', () => {
+        const health = evaluateRunHealth(runs({}, {}, {}), { now: NOW });
+
+        expect(Object.values(health).map(check => check.failing)).toEqual([false, false, false, false]);
+    });
+
+    test('counts consecutive zero-job runs, including failed ones, ignoring skipped runs', () => {
+        const health = evaluateRunHealth(runs(
+            { jobsFound: 0 },
+            { status: 'skipped_locked', jobsFound: 0 },
+            { status: 'failed', jobsFound: 0 },
+            {}
+        ), { now: NOW });
+
+        expect(health.zeroJobs).toEqual({ failing: true, consecutiveZeroJobRuns: 2 });
+        expect(evaluateRunHealth(runs({ jobsFound: 0 }, {}), { now: NOW }).zeroJobs.failing).toBe(false);
+    });
+
+    test('flags a sudden drop against the recent median', () => {
+        const health = evaluateRunHealth(runs({ jobsFound: 8 }, { jobsFound: 20 }, { jobsFound: 22 }, { jobsFound: 19 }), { now: NOW });
+
+        expect(health.jobDrop).toEqual({ failing: true, jobsFound: 8, baseline: 20 });
+        expect(evaluateRunHealth(runs({ jobsFound: 15 }, {}, {}), { now: NOW }).jobDrop.failing).toBe(false);
+    });
+
+    test('leaves runs that stopped paging early out of the drop check', () => {
+        const health = evaluateRunHealth(runs(
+            { jobsFound: 2, jobsSkipped: 1, listingComplete: false },
+            { jobsFound: 3, listingComplete: false },
+            { jobsFound: 20 },
+            { jobsFound: 22 }
+        ), { now: NOW });
+
+        expect(health.jobDrop).toEqual({ failing: false, jobsFound: 2, baseline: 21 });
+        expect(evaluateRunHealth(runs({ jobsFound: 8 }, { jobsFound: 2, listingComplete: false }, {}, {}), { now: NOW })
+            .jobDrop).toEqual({ failing: true, jobsFound: 8, baseline: 20 });
+    });
+
+    test('flags a parsing error rate above threshold', () => {
+        const health = evaluateRunHealth(runs({ jobsFound: 10, jobsSkipped: 4, parsingErrorsCount: 4 }), { now: NOW });
+
+        expect(health.parseErrors).toMatchObject({ failing: true, processed: 6, parsingErrors: 4 });
+        expect(evaluateRunHealth(runs({ jobsFound: 10, jobsSkipped: 8, parsingErrorsCount: 2 }), { now: NOW })
+            .parseErrors.failing).toBe(false);  // too few rows to judge
+    });
+
+    test('flags runs stuck in running', () => {
+        const health = evaluateRunHealth(runs(
+            { status: 'running', startedAt: minutesAgo(5) },
+            { status: 'running', runId: 'old', startedAt: minutesAgo(300) },
+            {}
+        ), { now: NOW });
+
+        expect(health.stuckRuns).toEqual({ failing: true, runIds: ['old'], thresholdMinutes: 60 });
+    });
+
+    test('thresholds can be overridden', () => {
+        const history = runs({ jobsFound: 15 }, {}, {});
+        expect(evaluateRunHealth(history, { now: NOW, thresholds: { jobDropRatio: 0.2 } }).jobDrop.failing).toBe(true);
+    });
+});
+
+describe('checkRunHealth', () => {
+    let storage;
+
+    beforeEach(async () => {
+        storage = createFileStorage();
+        setStorage(storage);
+    });
+
+    async function store(list) {
+        for (const run of list) {
+            await storage.runs.set(run.runId, run);
+        }
+    }
+
+    test('raises alerts for failing checks and resolves them once they pass', async () => {
+        await store(runs({ jobsFound: 0 }, { status: 'failed', jobsFound: 0 }, {}));
+
+        await checkRunHealth({ now: NOW });
+
+        const alert = await storage.alerts.get(alertFingerprint(AlertKey.CONSECUTIVE_ZERO_JOBS));
+        expect(alert).toMatchObject({ status: 'open', title: '2 Consecutive Runs with Zero Jobs' });
+        expect(await storage.alerts.get(alertFingerprint(AlertKey.JOB_DROP))).toBeNull();
+
+        await storage.runs.set('latest', { ...runs({})[0], runId: 'latest', startedAt: NOW });
+        await checkRunHealth({ now: NOW });
+
+        expect((await storage.alerts.get(alertFingerprint(AlertKey.CONSECUTIVE_ZERO_JOBS))).status).toBe('resolved');
+    });
+
+    test('never throws', async () => {
+        setStorage({ runs: { list: async () => { throw new Error('unavailable'); } } });
+
+        await expect(checkRunHealth()).resolves.toBeNull();
+    });
+});
@@ -0,0 +1,556 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { scrapeJobs } from '../scraper.js';
+import { createTableSource } from '../sources/tableSource.js';
+import { createFirestoreStorage, setStorage } from '../storage/index.js';
+import { acquireLock, releaseLock } from '../runLock.js';
+import { disableScraper } from '../killSwitch.js';
+import { raiseAlert, AlertKey } from '../alerting.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+import { launchFakeBrowser } from './helpers/fakeBrowser.js';
+import { startFixtureServer, FIXTURES_DIR } from './helpers/fixtureServer.js';
+import { silenceLogs } from './helpers/logs.js';
+
+silenceLogs();
+
+let server;
+let pdfCacheDir;
+
+beforeAll(async () => {
+    server = await startFixtureServer();
+    pdfCacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-cache-'));
+    process.env.PDF_CACHE_DIR = pdfCacheDir;
+});
+
+afterAll(async () => {
+    await server.close();
+    delete process.env.PDF_CACHE_DIR;
+    fs.rmSync(pdfCacheDir, { recursive: true, force: true });
+});
+
+function fixtureSource(overrides = {}) {
+    return createTableSource({
+        id: 'spsc',
+        name: 'SPSC (fixture)',
+        listUrl: `${server.baseUrl}/notifications.html`,
+        selectors: { table: ['#myTable'] },
+        defaults: { department: 'SPSC' },
+        delayBetweenRequests: 0,
+        ...overrides
+    });
+}
+
+describe('scrapeJobs (offline pipeline)', () => {
+    test('scrapes the fixture listing end to end', async () => {
+        const db = createFakeFirestore();
+
+        const result = await scrapeJobs({
+            storage: createFirestoreStorage(db),
+            launchBrowser: launchFakeBrowser,
+            sources: [fixtureSource()]
+        });
+
+        expect(result.status).toBe('success');
+
+        const jobs = db.dump('jobs');
+        expect(Object.keys(jobs).sort()).toEqual([
+            'SPSC_17_SPSC_EXAM_2025',
+            'SPSC_18_SPSC_EXAM_2025',
+            'SPSC_19_SPSC_EXAM_2025',
+            'SPSC_20_SPSC_EXAM_2025'
+        ]);
+        expect(jobs.SPSC_19_SPSC_EXAM_2025).toMatchObject({
+            source: 'spsc',
+            serialNo: '4',
+            advtNo: '19/SPSC/EXAM/2025',
+            issuedDate: '2025-12-11',
+            pdfUrl: `${server.baseUrl}/pdfs/labour-inspector.pdf`,
+            department: 'Labour Department',
+            dataComplete: true,
+            provenance: { advtNo: 'listing', issuedDate: 'listing', department: 'extracted' }
+        });
+
+        // Scanned PDF: listing data only, nothing invented
+        expect(jobs.SPSC_17_SPSC_EXAM_2025).toMatchObject({
+            dataComplete: false,
+            lastDate: null,
+            totalPosts: null,
+            department: 'SPSC',
+            provenance: { lastDate: 'missing', totalPosts: 'missing', department: 'defaulted' },
+            validation: { valid: true, warnings: expect.arrayContaining(['Missing last date']) }
+        });
+
+        // Multi-post advertisement → one vacancy document per post
+        expect(jobs.SPSC_20_SPSC_EXAM_2025).toMatchObject({ totalPosts: 40, vacancyCount: 6 });
+        const vacancies = Object.values(db.dump('vacancies'))
+            .filter(v => v.advertisementId === 'SPSC_20_SPSC_EXAM_2025');
+        expect(vacancies).toHaveLength(6);
+        expect(vacancies.map(v => v.vacancies).reduce((a, b) => a + b)).toBe(40);
+
+        const run = db.dump('scraper_runs')[result.runId];
+        expect(run).toMatchObject({
+            status: 'success',
+            jobsFound: 6,
+            jobsInserted: 4,
+            jobsSkipped: 0,
+            parsingErrorsCount: 1,
+            noticesApplied: 2,
+            noticesUnresolved: 0,
+            errorCounts: { NETWORK_ERROR: 0, PARSE_ERROR: 1, STRUCTURE_CHANGE: 0, FIRESTORE_ERROR: 0 }
+        });
+    });
+
+    test('applies corrigenda and cancellations to the original advertisement', async () => {
+        const db = createFakeFirestore();
+
+        await scrapeJobs({
+            storage: createFirestoreStorage(db),
+            launchBrowser: launchFakeBrowser,
+            sources: [fixtureSource()]
+        });
+
+        const jobs = db.dump('jobs');
+
+        // Extension listed before its advertisement is still applied
+        const extended = jobs.SPSC_19_SPSC_EXAM_2025;
+        expect(extended.lastDate).toBe(new Date(2026, 0, 31).toISOString());
+        expect(extended.provenance.lastDate).toBe('amended');
+        expect(extended.amendments).toHaveLength(1);
+        expect(extended.amendments[0]).toMatchObject({
+            type: 'extension',
+            advtNo: '21/SPSC/EXAM/2025',
+            referencedAdvtNos: ['19/SPSC/EXAM/2025'],
+            changes: { lastDate: { to: new Date(2026, 0, 31).toISOString() } }
+        });
+
+        const cancelled = jobs.SPSC_18_SPSC_EXAM_2025;
+        expect(cancelled.status).toBe('cancelled');
+        expect(cancelled.amendments[0]).toMatchObject({ type: 'cancellation', changes: { status: { to: 'cancelled' } } });
+
+        // Notices never become jobs, but are recorded
+        expect(jobs.SPSC_21_SPSC_EXAM_2025).toBeUndefined();
+        expect(Object.values(db.dump('notices')).every(n => n.applied)).toBe(true);
+    });
+
+    test('skips known advertisements on the next run', async () => {
+        const db = createFakeFirestore();
+        const options = { storage: createFirestoreStorage(db), launchBrowser: launchFakeBrowser, sources: [fixtureSource()] };
+
+        await scrapeJobs(options);
+        const second = await scrapeJobs(options);
+
+        expect(db.dump('scraper_runs')[second.runId]).toMatchObject({
+            jobsInserted: 0,
+            jobsSkipped: 6,
+            noticesApplied: 0
+        });
+    });
+
+    test('a repeat run reads the watermark instead of every row and downloads nothing', async () => {
+        const db = createFakeFirestore();
+        const options = { storage: createFirestoreStorage(db), launchBrowser: launchFakeBrowser, sources: [fixtureSource()] };
+
+        await scrapeJobs(options);
+        expect(db.dump('source_watermarks').spsc).toMatchObject({
+            source: 'spsc',
+            lastIssuedDate: '2025-12-22',
+            lastAdvtNo: '22/SPSC/EXAM/2025'
+        });
+        expect(db.dump('source_watermarks').spsc.ids).toHaveLength(6);
+
+        const pdfRequests = server.requests.filter(p => p.startsWith('/pdfs/')).length;
+        const jobReads = db.readCount('jobs');
+        const noticeReads = db.readCount('notices');
+        const second = await scrapeJobs(options);
+
+        expect(server.requests.filter(p => p.startsWith('/pdfs/'))).toHaveLength(pdfRequests);
+        expect(db.readCount('jobs')).toBe(jobReads);
+        expect(db.readCount('notices')).toBe(noticeReads);
+        expect(db.dump('scraper_runs')[second.runId]).toMatchObject({ jobsSkipped: 6, pdfsDownloaded: 0 });
+    });
+
+    test('bootstraps a missing watermark from stored jobs and notices', async () => {
+        const db = createFakeFirestore();
+        const storage = createFirestoreStorage(db);
+        const options = { storage, launchBrowser: launchFakeBrowser, sources: [fixtureSource()] };
+
+        await scrapeJobs(options);
+        await storage.watermarks.delete('spsc');
+
+        const second = await scrapeJobs(options);
+
+        expect(db.dump('scraper_runs')[second.runId]).toMatchObject({ jobsSkipped: 6, pdfsDownloaded: 0 });
+        expect(db.dump('source_watermarks').spsc.ids).toHaveLength(6);
+    });
+
+    test('bootstraps the listing id of a notice only its PDF identifies', async () => {
+        const siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-'));
+        fs.cpSync(FIXTURES_DIR, siteDir, { recursive: true });
+        const listing = fs.readFileSync(path.join(FIXTURES_DIR, 'notifications.html'), 'utf8');
+        const rows = listing.match(/<tr>\s*<td>[\s\S]*?<\/tr>/g);
+        const notice = `<tr><td>1</td><td>21/SPSC/EXAM/2025</td>
+            <td>Notice for the post of Labour Inspector</td>
+            <td>20/12/2025</td><td><a href="pdfs/corrigendum-labour-inspector.pdf">View</a></td></tr>`;
+        fs.writeFileSync(path.join(siteDir, 'generic.html'), listing.replace(/<tbody>[\s\S]*<\/tbody>/,
+            `<tbody>${notice}${rows.find(row => row.includes('<td>19/SPSC/EXAM/2025</td>'))}</tbody>`));
+        const site = await startFixtureServer(siteDir);
+
+        try {
+            const db = createFakeFirestore();
+            const storage = createFirestoreStorage(db);
+            const options = {
+                storage,
+                launchBrowser: launchFakeBrowser,
+                sources: [fixtureSource({ listUrl: `${site.baseUrl}/generic.html` })]
+            };
+
+            const first = await scrapeJobs(options);
+            expect(db.dump('scraper_runs')[first.runId]).toMatchObject({ jobsInserted: 1, noticesApplied: 1 });
+            const ids = db.dump('source_watermarks').spsc.ids;
+
+            await storage.watermarks.delete('spsc');
+            const second = await scrapeJobs(options);
+
+            expect(db.dump('scraper_runs')[second.runId]).toMatchObject({ jobsSkipped: 2, pdfsDownloaded: 0 });
+            expect(db.dump('source_watermarks').spsc.ids.sort()).toEqual(ids.sort());
+        } finally {
+            await site.close();
+            fs.rmSync(siteDir, { recursive: true, force: true });
+        }
+    });
+
+    test('downloads an unresolved notice once and applies it when its advertisement arrives', async () => {
+        const siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-'));
+        fs.cpSync(FIXTURES_DIR, siteDir, { recursive: true });
+        const listing = fs.readFileSync(path.join(FIXTURES_DIR, 'notifications.html'), 'utf8');
+        const rows = listing.match(/<tr>\s*<td>[\s\S]*?<\/tr>/g);
+        const result = `<tr><td>1</td><td>30/SPSC/EXAM/2025</td>
+            <td>Result of the written examination for the post of Sub Inspector Excise</td>
+            <td>24/12/2025</td><td><a href="pdfs/sub-inspector-excise.pdf">View</a></td></tr>`;
+        const write = (name, body) => fs.writeFileSync(path.join(siteDir, name),
+            listing.replace(/<tbody>[\s\S]*<\/tbody>/, `<tbody>${body}</tbody>`));
+        write('results.html', result);
+        write('results-later.html', result + rows.find(row => row.includes('<td>18/SPSC/EXAM/2025</td>')));
+        const site = await startFixtureServer(siteDir);
+
+        try {
+            const db = createFakeFirestore();
+            const run = page => scrapeJobs({
+                storage: createFirestoreStorage(db),
+                launchBrowser: launchFakeBrowser,
+                sources: [fixtureSource({ listUrl: `${site.baseUrl}/${page}` })]
+            });
+
+            const first = await run('results.html');
+            expect(db.dump('scraper_runs')[first.runId]).toMatchObject({ pdfsDownloaded: 1, noticesUnresolved: 1 });
+
+            const second = await run('results.html');
+            expect(db.dump('scraper_runs')[second.runId]).toMatchObject({
+                jobsSkipped: 1,
+                pdfsDownloaded: 0,
+                noticesUnresolved: 0,
+                noticesApplied: 0
+            });
+
+            const third = await run('results-later.html');
+            expect(db.dump('scraper_runs')[third.runId]).toMatchObject({
+                jobsInserted: 1,
+                pdfsDownloaded: 1,
+                noticesApplied: 1
+            });
+            expect(db.dump('jobs').SPSC_18_SPSC_EXAM_2025.relatedNotices).toEqual([
+                expect.objectContaining({ type: 'result', advtNo: '30/SPSC/EXAM/2025' })
+            ]);
+            expect(db.dump('source_watermarks').spsc.pendingNotices).toEqual([]);
+        } finally {
+            await site.close();
+            fs.rmSync(siteDir, { recursive: true, force: true });
+        }
+    });
+
+    test('parses a known row again when its PDF link changes', async () => {
+        const db = createFakeFirestore();
+        const run = page => scrapeJobs({
+            storage: createFirestoreStorage(db),
+            launchBrowser: launchFakeBrowser,
+            sources: [fixtureSource({ listUrl: `${server.baseUrl}/${page}` })]
+        });
+
+        await run('notifications.html');
+        const { revision } = db.dump('jobs').SPSC_19_SPSC_EXAM_2025;
+        const second = await run('notifications-reuploaded.html');
+
+        expect(db.dump('scraper_runs')[second.runId]).toMatchObject({
+            jobsInserted: 0,
+            jobsUpdated: 1,
+            jobsSkipped: 5,
+            pdfsDownloaded: 1
+        });
+        expect(db.dump('jobs').SPSC_19_SPSC_EXAM_2025).toMatchObject({
+            pdfUrl: `${server.baseUrl}/pdfs/labour-inspector.pdf?reupload=1`,
+            revision: revision + 1
+        });
+    });
+
+    test('flags a job when its PDF is replaced under the same URL', async () => {
+        // A copy of the fixtures the test can change between runs
+        const siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-'));
+        fs.cpSync(FIXTURES_DIR, siteDir, { recursive: true });
+        const site = await startFixtureServer(siteDir);
+
+        try {
+            const db = createFakeFirestore();
+            const storage = createFirestoreStorage(db);
+            const run = () => scrapeJobs({
+                storage,
+                launchBrowser: launchFakeBrowser,
+                sources: [fixtureSource({ listUrl: `${site.baseUrl}/notifications.html` })]
+            });
+
+            await run();
+            const { hash } = Object.values(db.dump('pdf_documents'))
+                .find(doc => doc.url.endsWith('/labour-inspector.pdf'));
+
+            // Not due yet: nothing is downloaded
+            fs.copyFileSync(path.join(siteDir, 'pdfs/sub-inspector-excise.pdf'), path.join(siteDir, 'pdfs/labour-inspector.pdf'));
+            const quiet = await run();
+            expect(db.dump('scraper_runs')[quiet.runId]).toMatchObject({ pdfsDownloaded: 0, notificationsUpdated: 0 });
+
+            await storage.watermarks.update('spsc', { revalidatedAt: new Date(0) });
+            const pdfRequests = site.requests.filter(p => p.startsWith('/pdfs/')).length;
+            const revalidation = await run();
+
+            expect(db.dump('scraper_runs')[revalidation.runId]).toMatchObject({
+                pdfsDownloaded: 6,
+                jobsSkipped: 5,
+                jobsUpdated: 1,
+                notificationsUpdated: 1
+            });
+            expect(site.requests.filter(p => p.startsWith('/pdfs/'))).toHaveLength(pdfRequests + 6);
+
+            const job = db.dump('jobs').SPSC_19_SPSC_EXAM_2025;
+            expect(job).toMatchObject({ notificationUpdated: true, previousContentHash: hash });
+            expect(job.metadata.contentHash).not.toBe(hash);
+
+            const record = Object.values(db.dump('pdf_documents')).find(doc => doc.url.endsWith('/labour-inspector.pdf'));
+            expect(record).toMatchObject({ previousHash: hash, hash: job.metadata.contentHash });
+            expect(record.changedAt).toBeInstanceOf(Date);
+            expect(db.dump('source_watermarks').spsc.revalidatedAt.getTime()).toBeGreaterThan(0);
+        } finally {
+            await site.close();
+            fs.rmSync(siteDir, { recursive: true, force: true });
+        }
+    });
+
+    test('stops paging through the listing at known advertisements', async () => {
+        const db = createFakeFirestore();
+        const source = fixtureSource({
+            listUrl: `${server.baseUrl}/notifications-paged-1.html`,
+            pagination: { waitMs: 0 }
+        });
+        const run = () => scrapeJobs({
+            storage: createFirestoreStorage(db),
+            launchBrowser: launchFakeBrowser,
+            sources: [source]
+        });
+
+        const first = await run();
+        expect(first.sources.spsc).toMatchObject({
+            jobsFound: 5,
+            pagination: { mode: 'next_link', pages: 3, stoppedEarly: false }
+        });
+
+        const pageTwoRequests = server.requests.filter(p => p === '/notifications-paged-2.html').length;
+        const second = await run();
+
+        expect(second.sources.spsc).toMatchObject({
+            jobsFound: 2,
+            pagination: { pages: 1, stoppedEarly: true }
+        });
+        expect(server.requests.filter(p => p === '/notifications-paged-2.html')).toHaveLength(pageTwoRequests);
+        expect(db.dump('scraper_runs')[second.runId].sources.spsc.pagination.stoppedEarly).toBe(true);
+
+        // Two rows read of five listed is no sudden drop
+        expect(db.dump('scraper_runs')[first.runId]).toMatchObject({ jobsFound: 5, listingComplete: true });
+        expect(db.dump('scraper_runs')[second.runId]).toMatchObject({ jobsFound: 2, listingComplete: false });
+        expect(db.dump('alerts')).toEqual({});
+    });
+
+    test('one broken source does not abort the others', async () => {
+        const db = createFakeFirestore();
+
+        const result = await scrapeJobs({
+            storage: createFirestoreStorage(db),
+            launchBrowser: launchFakeBrowser,
+            sources: [
+                fixtureSource({ id: 'broken', listUrl: `${server.baseUrl}/missing.html` }),
+                fixtureSource()
+            ]
+        });
+
+        expect(result.status).toBe('partial');
+        expect(result.sources.broken.status).toBe('failed');
+        expect(result.sources.spsc.jobsFound).toBe(6);
+
+        // 404 is not retried
+        expect(server.requests.filter(p => p === '/missing.html')).toHaveLength(1);
+        expect(db.dump('scraper_runs')[result.runId].errorCounts.NETWORK_ERROR).toBe(1);
+    });
+
+    test('transient outages of the list page and a PDF are retried', async () => {
+        const db = createFakeFirestore();
+        server.failNext('/notifications.html', 1);
+        server.failNext('/pdfs/labour-inspector.pdf', 2);
+
+        const result = await scrapeJobs({
+            storage: createFirestoreStorage(db),
+            launchBrowser: launchFakeBrowser,
+            sources: [fixtureSource()],
+            retry: { baseDelayMs: 0 }
+        });
+
+        expect(result.status).toBe('success');
+        expect(db.dump('jobs').SPSC_19_SPSC_EXAM_2025.dataComplete).toBe(true);
+        expect(db.dump('scraper_runs')[result.runId].errorCounts).toMatchObject({ NETWORK_ERROR: 3, PARSE_ERROR: 1 });
+    });
+});
+
+describe('scrapeJobs (run orchestration)', () => {
+    function run(db, sources = [fixtureSource()]) {
+        return scrapeJobs({
+            storage: createFirestoreStorage(db),
+            launchBrowser: launchFakeBrowser,
+            sources
+        });
+    }
+
+    test('releases the lock after a run', async () => {
+        const db = createFakeFirestore();
+
+        await run(db);
+
+        expect(db.dump('scraper_locks')).toEqual({});
+        expect(db.dump('system_controls').scraper.enabled).toBe(true);
+    });
+
+    test('a successful run resolves alerts it cleared', async () => {
+        const db = createFakeFirestore();
+        const source = fixtureSource();
+        setStorage(createFirestoreStorage(db));
+        await raiseAlert({ key: AlertKey.structureChange(source.listUrl), severity: 'CRITICAL', title: 'Structure changed', message: '' });
+        await raiseAlert({ key: AlertKey.SCRAPER_CRASH, severity: 'CRITICAL', title: 'Crashed', message: '' });
+
+        await run(db, [source]);
+
+        const alerts = Object.values(db.dump('alerts'));
+        expect(alerts.map(a => a.status)).toEqual(['resolved', 'resolved']);
+    });
+
+    test('releases the lock when the run fails', async () => {
+        const db = createFakeFirestore();
+
+        await expect(run(db, [fixtureSource({ listUrl: `${server.baseUrl}/missing.html` })]))
+            .rejects.toThrow('All sources failed');
+
+        expect(db.dump('scraper_locks')).toEqual({});
+    });
+
+    test('exits cleanly when another run holds the lock', async () => {
+        const db = createFakeFirestore();
+        setStorage(createFirestoreStorage(db));
+        await acquireLock();
+
+        const result = await run(db);
+
+        expect(result.status).toBe('skipped_locked');
+        expect(db.dump('jobs')).toEqual({});
+        expect(db.dump('scraper_runs')[result.runId].status).toBe('skipped_locked');
+        expect(db.dump('scraper_locks').scraper).toBeDefined();
+
+        await releaseLock();
+    });
+
+    test('does nothing when the kill switch is off at startup', async () => {
+        const db = createFakeFirestore();
+        setStorage(createFirestoreStorage(db));
+        await disableScraper('maintenance window');
+
+        const result = await run(db);
+
+        expect(result.status).toBe('disabled');
+        expect(db.dump('jobs')).toEqual({});
+        expect(db.dump('scraper_runs')[result.runId]).toMatchObject({
+            status: 'disabled',
+            fatalError: 'Scraper disabled via kill switch (startup)'
+        });
+        expect(db.dump('scraper_locks')).toEqual({});
+    });
+
+    test('stops before the next write when the kill switch is turned off mid-run', async () => {
+        const db = createFakeFirestore();
+        const source = fixtureSource();
+        const stopping = {
+            ...source,
+            async extractRows(page) {
+                const rows = await source.extractRows(page);
+                await disableScraper('stop now');
+                return rows;
+            }
+        };
+
+        const result = await run(db, [stopping]);
+
+        expect(result.status).toBe('disabled');
+        expect(db.dump('jobs')).toEqual({});
+        expect(db.dump('scraper_runs')[result.runId].fatalError).toBe('Scraper disabled via kill switch (write)');
+    });
+
+    test('stops before the next listing page when the kill switch is turned off mid-listing', async () => {
+        const db = createFakeFirestore();
+        const source = fixtureSource({
+            listUrl: `${server.baseUrl}/notifications-paged-1.html`,
+            pagination: { waitMs: 0 }
+        });
+        const stopping = {
+            ...source,
+            async extractRows(page, options) {
+                return source.extractRows(page, {
+                    ...options,
+                    async stopWhen() {
+                        await disableScraper('stop now');
+                        return false;
+                    }
+                });
+            }
+        };
+        const pageTwoRequests = server.requests.filter(p => p === '/notifications-paged-2.html').length;
+
+        const result = await run(db, [stopping]);
+
+        expect(result.status).toBe('disabled');
+        expect(server.requests.filter(p => p === '/notifications-paged-2.html')).toHaveLength(pageTwoRequests);
+        expect(db.dump('jobs')).toEqual({});
+        expect(db.dump('scraper_runs')[result.runId].fatalError).toBe('Scraper disabled via kill switch (navigation)');
+    });
+
+    test('checks before each write only read the kill switch', async () => {
+        const db = createFakeFirestore();
+        const storage = createFirestoreStorage(db);
+        const { controls } = storage;
+        const calls = { get: 0, update: 0 };
+        storage.controls = {
+            ...controls,
+            get: id => (calls.get++, controls.get(id)),
+            update: (id, patch) => (calls.update++, controls.update(id, patch))
+        };
+
+        const result = await scrapeJobs({ storage, launchBrowser: launchFakeBrowser, sources: [fixtureSource()] });
+
+        const { jobsInserted } = db.dump('scraper_runs')[result.runId];
+        expect(jobsInserted).toBeGreaterThan(1);
+        expect(calls.get).toBeGreaterThan(jobsInserted);
+        expect(calls.update).toBe(1);  // navigation (startup created the document)
+    });
+});
@@ -0,0 +1,70 @@
+import { describe, test, expect } from '@jest/globals';
+import { validateSourceConfig, resolveSourceConfig } from '../sources/sourceConfig.js';
+import { createTableSource } from '../sources/tableSource.js';
+import { DEFAULT_COLUMN_PATTERNS, DEFAULT_PDF_LINK_PATTERNS } from '../listingParser.js';
+import { config as spscConfig } from '../sources/spsc.js';
+
+const minimal = {
+    id: 'demo',
+    listUrl: 'https://example.gov.in/notices.html',
+    selectors: { table: ['#notices'] }
+};
+
+describe('validateSourceConfig', () => {
+    test('the shipped SPSC config is valid', () => {
+        expect(validateSourceConfig(spscConfig)).toEqual([]);
+    });
+
+    test('lists every problem in a broken config', () => {
+        expect(validateSourceConfig({
+            listUrl: 'not a url',
+            selectors: { table: [], row: ['tr'] },
+            columns: { advtNo: ['(unclosed'], postName: ['post'] },
+            pdfLinks: [],
+            pagination: { showAll: 'yes', maxPages: 0 }
+        })).toEqual([
+            'id is required',
+            'listUrl is not a valid URL: not a url',
+            'selectors.table must be a non-empty list of selectors',
+            'Unknown selector list: selectors.row',
+            expect.stringMatching(/^columns\.advtNo: invalid pattern \(unclosed/),
+            'Unknown column field: postName (expected serialNo, advtNo, subject, issuedDate, attachments)',
+            'pdfLinks must be a non-empty list of patterns',
+            'pagination.showAll must be true or false',
+            'pagination.maxPages must be a positive integer'
+        ]);
+    });
+
+    test('createTableSource refuses an invalid config', () => {
+        expect(() => createTableSource({ ...minimal, selectors: {} }))
+            .toThrow('Invalid source config (demo): selectors.table must be a non-empty list of selectors');
+    });
+});
+
+describe('resolveSourceConfig', () => {
+    test('fills default selectors and patterns', () => {
+        const resolved = resolveSourceConfig(minimal);
+
+        expect(resolved.selectors).toEqual({
+            table: ['#notices'],
+            headerCells: ['thead tr:first-child th, thead tr:first-child td', 'tr:first-child th'],
+            rows: ['tbody tr']
+        });
+        expect(resolved.columnPatterns).toEqual(DEFAULT_COLUMN_PATTERNS);
+        expect(resolved.pdfLinkPatterns).toEqual(DEFAULT_PDF_LINK_PATTERNS);
+        expect(resolved.timeout).toBe(30000);
+    });
+
+    test('compiles configured patterns, keeping the default field order', () => {
+        const resolved = resolveSourceConfig({
+            ...minimal,
+            columns: { subject: ['particulars'] },
+            pdfLinks: ['download\\.aspx']
+        });
+
+        expect(resolved.columnPatterns.map(([field]) => field))
+            .toEqual(DEFAULT_COLUMN_PATTERNS.map(([field]) => field));
+        expect(Object.fromEntries(resolved.columnPatterns).subject).toEqual([/particulars/i]);
+        expect(resolved.pdfLinkPatterns).toEqual([/download\.aspx/i]);
+    });
+});
@@ -0,0 +1,196 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFirestoreStorage, createFileStorage, setStorage } from '../storage/index.js';
+import { acquireLock, releaseLock, renewLock } from '../runLock.js';
+import { checkKillSwitch, disableScraper, enableScraper } from '../killSwitch.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+import { silenceLogs } from './helpers/logs.js';
+
+silenceLogs();
+
+const backends = [
+    ['firestore', () => createFirestoreStorage(createFakeFirestore())],
+    ['file (memory)', () => createFileStorage()]
+];
+
+describe.each(backends)('%s storage', (name, create) => {
+    let storage;
+
+    beforeEach(() => {
+        storage = create();
+    });
+
+    test('set / get / exists / delete', async () => {
+        const when = new Date('2025-12-11T00:00:00.000Z');
+
+        expect(await storage.jobs.get('A')).toBeNull();
+        await storage.jobs.set('A', { title: 'Labour Inspector', createdAt: when, meta: { pages: 2 } });
+
+        expect(await storage.jobs.exists('A')).toBe(true);
+        expect(await storage.jobs.get('A')).toEqual({ title: 'Labour Inspector', createdAt: when, meta: { pages: 2 } });
+
+        await storage.jobs.delete('A');
+        expect(await storage.jobs.exists('A')).toBe(false);
+    });
+
+    test('merge set keeps other fields', async () => {
+        await storage.jobs.set('A', { a: 1, nested: { x: 1 } });
+        await storage.jobs.set('A', { b: 2, nested: { y: 2 } }, { merge: true });
+
+        expect(await storage.jobs.get('A')).toEqual({ a: 1, b: 2, nested: { x: 1, y: 2 } });
+    });
+
+    test('update and increment require an existing document', async () => {
+        await expect(storage.runs.update('missing', { status: 'x' })).rejects.toThrow();
+
+        await storage.runs.set('R', { status: 'running', jobsInserted: 0 });
+        await storage.runs.update('R', { status: 'success', 'sources.spsc': 'ok' });
+        await storage.runs.increment('R', 'jobsInserted', 2);
+
+        expect(await storage.runs.get('R')).toEqual({
+            status: 'success',
+            jobsInserted: 2,
+            sources: { spsc: 'ok' }
+        });
+    });
+
+    test('list filters, orders and limits', async () => {
+        await storage.runs.set('r1', { startedAt: new Date(1000), errors: 0 });
+        await storage.runs.set('r2', { startedAt: new Date(3000), errors: 2 });
+        await storage.runs.set('r3', { startedAt: new Date(2000), errors: 5 });
+
+        const recent = await storage.runs.list({ orderBy: [['startedAt', 'desc']], limit: 2 });
+        expect(recent.map(r => r.id)).toEqual(['r2', 'r3']);
+
+        const withErrors = await storage.runs.list({ where: [['errors', '>', 0]], orderBy: [['errors', 'asc']] });
+        expect(withErrors.map(r => r.id)).toEqual(['r2', 'r3']);
+    });
+
+    test('transaction writes, deletes or leaves a document', async () => {
+        expect(await storage.locks.transaction('L', current => (current ? undefined : { n: 1 }))).toEqual({ n: 1 });
+        expect(await storage.locks.transaction('L', current => (current ? undefined : { n: 2 }))).toBeUndefined();
+        expect(await storage.locks.get('L')).toEqual({ n: 1 });
+
+        await storage.locks.transaction('L', () => null);
+        expect(await storage.locks.exists('L')).toBe(false);
+    });
+
+    test('only one of two simultaneous acquisitions wins', async () => {
+        setStorage(storage);
+
+        const results = await Promise.all([acquireLock('race'), acquireLock('race')]);
+        expect(results.filter(Boolean)).toHaveLength(1);
+
+        await releaseLock('race');
+        expect(await storage.locks.exists('race')).toBe(false);
+    });
+
+    test('named locks are independent', async () => {
+        setStorage(storage);
+
+        expect(await acquireLock('scraper')).toBe(true);
+        expect(await acquireLock('maintenance')).toBe(true);
+        await releaseLock('scraper');
+        await releaseLock('maintenance');
+    });
+
+    test('heartbeat extends the lease; a lost lock is neither renewed nor released', async () => {
+        setStorage(storage);
+        expect(await acquireLock('scraper')).toBe(true);
+
+        const soon = new Date(Date.now() + 1000);
+        await storage.locks.update('scraper', { expiresAt: soon });
+        expect(await renewLock('scraper')).toBe(true);
+        expect((await storage.locks.get('scraper')).expiresAt.getTime()).toBeGreaterThan(soon.getTime() + 60000);
+
+        // Another instance took over after expiry
+        await storage.locks.update('scraper', { owner: 'someone-else' });
+        expect(await renewLock('scraper')).toBe(false);
+        await releaseLock('scraper');
+        expect((await storage.locks.get('scraper')).owner).toBe('someone-else');
+    });
+
+    test('run lock and kill switch work on this backend', async () => {
+        setStorage(storage);
+
+        expect(await acquireLock()).toBe(true);
+        expect(await acquireLock()).toBe(false);
+        await releaseLock();
+        expect(await acquireLock()).toBe(true);
+        await releaseLock();
+
+        expect(await checkKillSwitch('startup')).toBe(true);
+        await disableScraper('maintenance window');
+        expect(await checkKillSwitch('navigation')).toBe(false);
+        await enableScraper();
+        expect(await checkKillSwitch('write')).toBe(true);
+    });
+});
+
+describe('file storage persistence', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sikkimjobs-storage-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('data and dates survive a restart', async () => {
+        const when = new Date('2025-12-24T06:00:00.000Z');
+        await createFileStorage({ dir }).runs.set('run-1', { startedAt: when, status: 'success' });
+
+        const reopened = createFileStorage({ dir });
+        expect(await reopened.runs.get('run-1')).toEqual({ startedAt: when, status: 'success' });
+        expect(fs.existsSync(path.join(dir, 'scraper_runs.json'))).toBe(true);
+    });
+
+    test('only one of two processes sharing the directory acquires the lock', async () => {
+        const first = createFileStorage({ dir });
+        const second = createFileStorage({ dir });
+        // Both have read (and cached) the free lock before either takes it
+        expect(await first.locks.get('scraper')).toBeNull();
+        expect(await second.locks.get('scraper')).toBeNull();
+
+        setStorage(first);
+        expect(await acquireLock('scraper')).toBe(true);
+        setStorage(second);
+        expect(await acquireLock('scraper')).toBe(false);
+
+        setStorage(first);
+        await releaseLock('scraper');
+        expect(fs.readdirSync(dir).filter(file => file.endsWith('.lock'))).toEqual([]);
+    });
+
+    test('a transaction waits for the lock file of another process', async () => {
+        const storage = createFileStorage({ dir });
+        const lockFile = path.join(dir, 'scraper_locks.json.lock');
+        fs.writeFileSync(lockFile, '');
+
+        let done = false;
+        const transaction = storage.locks.transaction('scraper', () => ({ owner: 'b' })).then(() => { done = true; });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        expect(done).toBe(false);
+
+        fs.rmSync(lockFile);
+        await transaction;
+        expect(await storage.locks.get('scraper')).toEqual({ owner: 'b' });
+    });
+
+    test('a stale lock file left by a crashed process is taken over', async () => {
+        const storage = createFileStorage({ dir });
+        const lockFile = path.join(dir, 'scraper_locks.json.lock');
+        fs.writeFileSync(lockFile, '');
+        const past = new Date(Date.now() - 60 * 1000);
+        fs.utimesSync(lockFile, past, past);
+
+        await storage.locks.transaction('scraper', () => ({ owner: 'a' }));
+
+        expect(await storage.locks.get('scraper')).toEqual({ owner: 'a' });
+        expect(fs.existsSync(lockFile)).toBe(false);
+    });
+});
@@ -0,0 +1,246 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { compareFingerprints } from '../structureCheck.js';
+import { scrapeJobs } from '../scraper.js';
+import { verifyWebsite } from '../verify-website.js';
+import { createTableSource } from '../sources/tableSource.js';
+import { createFirestoreStorage } from '../storage/index.js';
+import { alertFingerprint, AlertKey } from '../alerting.js';
+import { createFakeFirestore } from './helpers/fakeFirestore.js';
+import { launchFakeBrowser } from './helpers/fakeBrowser.js';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+import { silenceLogs } from './helpers/logs.js';
+
+silenceLogs();
+
+function fingerprint(overrides = {}) {
+    return {
+        tableSelector: '#myTable',
+        headers: ['sl. no.', 'notification no.', 'subject', 'issued date', 'attachment'],
+        columnCount: 5,
+        rowCount: 7,
+        selectorHits: [
+            { selector: '#myTable', count: 1 },
+            { selector: 'table.table', count: 1 },
+            { selector: '#myTable tbody tr', count: 7 }
+        ],
+        linkPatterns: ['spsc.sikkim.gov.in/pdfs/*.pdf'],
+        ...overrides
+    };
+}
+
+describe('compareFingerprints', () => {
+    test('an unchanged page has no drift, whatever the row count', () => {
+        expect(compareFingerprints(fingerprint(), fingerprint({ rowCount: 12 }))).toEqual([]);
+    });
+
+    test('reports renamed headers and a changed column count', () => {
+        const current = fingerprint({
+            headers: ['sl. no.', 'subject', 'date of issue', 'attachment'],
+            columnCount: 4
+        });
+
+        expect(compareFingerprints(fingerprint(), current).map(change => change.field))
+            .toEqual(['headers', 'columnCount']);
+    });
+
+    test('reports selectors that stopped matching and a fallback table selector', () => {
+        const current = fingerprint({
+            tableSelector: 'table.table',
+            selectorHits: [
+                { selector: '#myTable', count: 0 },
+                { selector: 'table.table', count: 1 },
+                { selector: 'table.table tbody tr', count: 7 }
+            ]
+        });
+
+        expect(compareFingerprints(fingerprint(), current)).toEqual([
+            { field: 'tableSelector', previous: '#myTable', current: 'table.table' },
+            { field: 'selector:#myTable', previous: 1, current: 0 },
+            { field: 'selector:#myTable tbody tr', previous: 7, current: 0 }
+        ]);
+    });
+
+    test('reports attachments moving to an unknown location', () => {
+        const moved = fingerprint({ linkPatterns: ['spsc.sikkim.gov.in/uploads/*.pdf'] });
+        const added = fingerprint({ linkPatterns: ['spsc.sikkim.gov.in/pdfs/*.pdf', 'spsc.sikkim.gov.in/uploads/*.pdf'] });
+
+        expect(compareFingerprints(fingerprint(), moved).map(change => change.field)).toEqual(['linkPatterns']);
+        expect(compareFingerprints(fingerprint(), added)).toEqual([]);
+    });
+});
+
+describe('structure drift in scrapeJobs', () => {
+    let server;
+    let artifactsDir;
+
+    beforeAll(async () => {
+        server = await startFixtureServer();
+    });
+
+    afterAll(async () => {
+        await server.close();
+    });
+
+    beforeEach(() => {
+        artifactsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-'));
+        process.env.PDF_CACHE_DIR = path.join(artifactsDir, 'pdf-cache');
+    });
+
+    afterEach(() => {
+        delete process.env.PDF_CACHE_DIR;
+        fs.rmSync(artifactsDir, { recursive: true, force: true });
+    });
+
+    function fixtureSource(page = 'notifications.html', selectors = {}) {
+        return createTableSource({
+            id: 'spsc',
+            name: 'Fixture PSC',
+            listUrl: `${server.baseUrl}/${page}`,
+            selectors: { table: ['#myTable', 'table.dataTable', 'table.table'], ...selectors },
+            delayBetweenRequests: 0
+        });
+    }
+
+    function run(db, page, selectors) {
+        return scrapeJobs({
+            storage: createFirestoreStorage(db),
+            launchBrowser: launchFakeBrowser,
+            sources: [fixtureSource(page, selectors)],
+            artifactsDir
+        });
+    }
+
+    test('stores the fingerprint of a successful run', async () => {
+        const db = createFakeFirestore();
+
+        await run(db);
+
+        expect(db.dump('site_structures').spsc).toMatchObject({
+            source: 'spsc',
+            tableSelector: '#myTable',
+            headers: ['sl. no.', 'notification no.', 'subject', 'issued date', 'attachment'],
+            columnCount: 5,
+            rowCount: 7,
+            linkPatterns: [`127.0.0.1:${new URL(server.baseUrl).port}/pdfs/*.pdf`]
+        });
+    });
+
+    test('fingerprints header cells and rows with the source\'s selectors', async () => {
+        const db = createFakeFirestore();
+
+        await run(db, 'notifications.html', {
+            headerCells: ['thead td', 'thead th:not(:first-child)'],
+            rows: ['tbody tr.listing', 'tbody tr:nth-child(-n+3)']
+        });
+
+        expect(db.dump('site_structures').spsc).toMatchObject({
+            headers: ['notification no.', 'subject', 'issued date', 'attachment'],
+            rowCount: 3
+        });
+    });
+
+    test('reports drift, saves artifacts and still extracts the listings via a fallback selector', async () => {
+        const db = createFakeFirestore();
+        await run(db);
+
+        const result = await run(db, 'notifications-drifted.html');
+
+        expect(result.status).toBe('success');
+        expect(result.sources.spsc.jobsFound).toBe(2);
+        expect(result.sources.spsc.structureDrift.map(change => change.field)).toEqual([
+            'tableSelector',
+            'headers',
+            'selector:#myTable',
+            'selector:#myTable tbody tr'
+        ]);
+
+        const { artifacts } = result.sources.spsc;
+        expect(fs.readFileSync(path.join(artifactsDir, artifacts.html), 'utf8')).toContain('notificationTable');
+        expect(fs.existsSync(path.join(artifactsDir, artifacts.screenshot))).toBe(true);
+
+        const runDoc = db.dump('scraper_runs')[result.runId];
+        expect(runDoc.errorCounts.STRUCTURE_CHANGE).toBe(1);
+        expect(runDoc.sources.spsc.artifacts).toEqual(artifacts);
+        expect(runDoc.sources.spsc.selectors).toEqual({
+            table: 'table.table',
+            headerCells: 'thead tr:first-child th, thead tr:first-child td',
+            rows: 'tbody tr'
+        });
+
+        const driftAlert = alertFingerprint(AlertKey.structureDrift(`${server.baseUrl}/notifications-drifted.html`));
+        expect(db.dump('alerts')[driftAlert]).toMatchObject({
+            status: 'open',
+            severity: 'HIGH',
+            title: 'Fixture PSC Website Structure Drift',
+            context: { source: 'spsc' }
+        });
+
+        // The drifted page is the new baseline: the next run matches and resolves the alert
+        const next = await run(db, 'notifications-drifted.html');
+        expect(next.sources.spsc.structureDrift).toBeUndefined();
+        expect(db.dump('alerts')[driftAlert].status).toBe('resolved');
+    });
+
+    test('a page without any matching table fails the source with artifacts', async () => {
+        const db = createFakeFirestore();
+
+        await expect(run(db, 'notifications-redesigned.html')).rejects.toThrow('All sources failed');
+
+        const runDoc = Object.values(db.dump('scraper_runs'))[0];
+        expect(runDoc.errorCounts.STRUCTURE_CHANGE).toBe(1);
+        expect(runDoc.sources.spsc.error).toContain('table not found (#myTable, table.dataTable, table.table)');
+        expect(fs.readFileSync(path.join(artifactsDir, runDoc.sources.spsc.artifacts.html), 'utf8')).toContain('notice-list');
+
+        const [alert] = Object.values(db.dump('alerts')).filter(a => a.key.startsWith('structure_change:'));
+        expect(alert.title).toBe('Fixture PSC Website Structure Changed');
+        expect(alert.context.selectorsAttempted).toEqual(['#myTable', 'table.dataTable', 'table.table']);
+        expect(db.dump('site_structures')).toEqual({});
+    });
+
+    test('verifyWebsite compares the live page with the stored fingerprint', async () => {
+        const db = createFakeFirestore();
+        await run(db);
+
+        const [same] = await verifyWebsite({
+            sources: [fixtureSource()],
+            launchBrowser: launchFakeBrowser,
+            storage: createFirestoreStorage(db),
+            artifactsDir
+        });
+        expect(same).toMatchObject({ source: 'spsc', ok: true, rows: 6, baseline: true, changes: [] });
+        expect(fs.existsSync(path.join(artifactsDir, same.artifacts.screenshot))).toBe(true);
+
+        const [drifted] = await verifyWebsite({
+            sources: [fixtureSource('notifications-drifted.html')],
+            launchBrowser: launchFakeBrowser,
+            storage: createFirestoreStorage(db),
+            artifactsDir
+        });
+        expect(drifted.ok).toBe(false);
+        expect(drifted.changes.map(change => change.field)).toContain('headers');
+    });
+
+    test('verifyWebsite checks a proposed config against the live page', async () => {
+        const proposal = {
+            id: 'spsc',
+            listUrl: `${server.baseUrl}/notifications-drifted.html`,
+            selectors: { table: ['#notificationTable'] },
+            columns: { issuedDate: ['date of issue'] }
+        };
+
+        const [report] = await verifyWebsite({ config: proposal, launchBrowser: launchFakeBrowser, compare: false, artifactsDir });
+        expect(report).toMatchObject({
+            ok: true,
+            rows: 2,
+            selectors: { table: '#notificationTable', rows: 'tbody tr' },
+            configErrors: []
+        });
+
+        const [invalid] = await verifyWebsite({ config: { ...proposal, selectors: { table: [] } }, compare: false });
+        expect(invalid.ok).toBe(false);
+        expect(invalid.configErrors).toEqual(['selectors.table must be a non-empty list of selectors']);
+    });
+});
@@ -0,0 +1,103 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { createTableSource } from '../sources/tableSource.js';
+import { createFakeBrowser } from './helpers/fakeBrowser.js';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+import { silenceLogs } from './helpers/logs.js';
+
+silenceLogs();
+
+let server;
+
+beforeAll(async () => {
+    server = await startFixtureServer();
+});
+
+afterAll(async () => {
+    await server.close();
+});
+
+async function readListing(page, { pagination, ...options } = {}) {
+    const source = createTableSource({
+        id: 'spsc',
+        listUrl: `${server.baseUrl}/${page}`,
+        selectors: { table: ['#myTable'] },
+        pagination: { waitMs: 0, ...pagination }
+    });
+    const browserPage = await createFakeBrowser().newPage();
+
+    await source.fetchListPage(browserPage);
+    const jobs = await source.extractRows(browserPage, options);
+
+    return { jobs, traversal: source.traversal(browserPage), selectors: source.matchedSelectors(browserPage) };
+}
+
+const advtNos = jobs => jobs.map(job => job.advtNo.split('/')[0]);
+
+describe('listing traversal', () => {
+    test('a table without a pager is a single page', async () => {
+        const { jobs, traversal } = await readListing('notifications.html');
+
+        expect(jobs).toHaveLength(6);
+        expect(traversal).toEqual({ mode: 'single', pages: 1, stoppedEarly: false, truncated: false });
+    });
+
+    test('follows next links of a server-side paginated listing', async () => {
+        const { jobs, traversal } = await readListing('notifications-paged-1.html');
+
+        expect(advtNos(jobs)).toEqual(['20', '19', '18', '17', '15']);
+        expect(traversal).toEqual({ mode: 'next_link', pages: 3, stoppedEarly: false, truncated: false });
+    });
+
+    test('stops at the maximum depth and flags the listing as truncated', async () => {
+        const { jobs, traversal } = await readListing('notifications-paged-1.html', { pagination: { maxPages: 2 } });
+
+        expect(advtNos(jobs)).toEqual(['20', '19', '18', '17']);
+        expect(traversal).toMatchObject({ pages: 2, truncated: true });
+    });
+
+    test('stops early once a page holds only known rows', async () => {
+        const before = server.requests.filter(p => p === '/notifications-paged-2.html').length;
+        const seenPages = [];
+
+        const { jobs, traversal } = await readListing('notifications-paged-1.html', {
+            stopWhen: async rows => {
+                seenPages.push(advtNos(rows));
+                return true;
+            }
+        });
+
+        expect(advtNos(jobs)).toEqual(['20', '19']);
+        expect(seenPages).toEqual([['20', '19']]);
+        expect(traversal).toMatchObject({ pages: 1, stoppedEarly: true });
+        expect(server.requests.filter(p => p === '/notifications-paged-2.html')).toHaveLength(before);
+    });
+
+    test('switches a client-side DataTable to show all rows', async () => {
+        const { jobs, traversal } = await readListing('notifications-datatable.html');
+
+        expect(advtNos(jobs)).toEqual(['20', '19', '18', '17', '15']);
+        expect(traversal).toEqual({ mode: 'datatables_show_all', pages: 1, stoppedEarly: false, truncated: false });
+    });
+
+    test('pages through a DataTable with its API', async () => {
+        const clientSide = await readListing('notifications-datatable.html', { pagination: { showAll: false } });
+        const serverSide = await readListing('notifications-datatable.html?serverSide');
+
+        expect(advtNos(clientSide.jobs)).toEqual(['20', '19', '18', '17', '15']);
+        expect(clientSide.traversal).toMatchObject({ mode: 'datatables_pages', pages: 3 });
+        expect(advtNos(serverSide.jobs)).toEqual(['20', '19', '18', '17', '15']);
+        expect(serverSide.traversal).toMatchObject({ mode: 'datatables_server', pages: 3 });
+    });
+
+    test('clicks a next button when there is no DataTables API', async () => {
+        const { jobs, traversal, selectors } = await readListing('notifications-datatable.html?noapi');
+
+        expect(advtNos(jobs)).toEqual(['20', '19', '18', '17', '15']);
+        expect(traversal).toMatchObject({ mode: 'next_click', pages: 3, truncated: false });
+        expect(selectors).toEqual({
+            table: '#myTable',
+            headerCells: 'thead tr:first-child th, thead tr:first-child td',
+            rows: 'tbody tr'
+        });
+    });
+});
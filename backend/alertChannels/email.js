@@ -0,0 +1,54 @@
+/**
+ * Email Alert Channel (SMTP)
+ *
+ * Env:
+ *   ALERT_EMAIL          - sending account (and default recipient)
+ *   ALERT_EMAIL_PASSWORD - SMTP password / app password
+ *   ALERT_EMAIL_TO       - comma-separated recipients (default: ALERT_EMAIL)
+ *   SMTP_HOST            - default smtp.gmail.com
+ *   SMTP_PORT            - default 465
+ *   SMTP_SECURE          - TLS from the start (default: true on port 465)
+ */
+
+import nodemailer from 'nodemailer';
+import { formatAlertText } from './format.js';
+
+export function emailConfigFromEnv(env = process.env) {
+    if (!env.ALERT_EMAIL) return null;
+
+    const port = Number(env.SMTP_PORT || 465);
+    return {
+        host: env.SMTP_HOST || 'smtp.gmail.com',
+        port,
+        secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+        user: env.ALERT_EMAIL,
+        password: env.ALERT_EMAIL_PASSWORD || null,
+        from: env.ALERT_EMAIL,
+        to: (env.ALERT_EMAIL_TO || env.ALERT_EMAIL).split(',').map(a => a.trim()).filter(Boolean)
+    };
+}
+
+export function createEmailChannel(config) {
+    const transport = nodemailer.createTransport({
+        host: config.host,
+        port: config.port,
+        secure: config.secure,
+        auth: config.password ? { user: config.user, pass: config.password } : undefined,
+        connectionTimeout: 15000,
+        greetingTimeout: 15000,
+        socketTimeout: 30000
+    });
+
+    return {
+        name: 'email',
+
+        async send(alert) {
+            await transport.sendMail({
+                from: config.from,
+                to: config.to.join(', '),
+                subject: `[${alert.severity}] ${alert.title}`,
+                text: formatAlertText(alert)
+            });
+        }
+    };
+}
@@ -0,0 +1,18 @@
+/**
+ * Plain-text alert body shared by all channels
+ */
+export function formatAlertText(alert) {
+    const lines = [
+        `[${alert.severity}] ${alert.title}`,
+        '',
+        alert.message,
+        '',
+        `Time: ${alert.timestamp}`
+    ];
+
+    if (alert.context && Object.keys(alert.context).length > 0) {
+        lines.push('', 'Context:', JSON.stringify(alert.context, null, 2));
+    }
+
+    return lines.join('\n');
+}
@@ -0,0 +1,47 @@
+/**
+ * Alert Channel Registry
+ *
+ * Every delivery channel is { name, send(alert) }. A channel is enabled
+ * when its environment variables are set (see each module):
+ *   email    - ALERT_EMAIL (+ ALERT_EMAIL_PASSWORD, SMTP_*)
+ *   webhook  - ALERT_WEBHOOK_URL (Slack / Discord / plain JSON)
+ *   telegram - TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID
+ */
+
+import { logWarning, logError } from '../logger.js';
+import { emailConfigFromEnv, createEmailChannel } from './email.js';
+import { webhookConfigFromEnv, createWebhookChannel } from './webhook.js';
+import { telegramConfigFromEnv, createTelegramChannel } from './telegram.js';
+
+const CHANNELS = [
+    [emailConfigFromEnv, createEmailChannel],
+    [webhookConfigFromEnv, createWebhookChannel],
+    [telegramConfigFromEnv, createTelegramChannel]
+];
+
+/**
+ * Channels configured in the environment
+ */
+export function getAlertChannels(env = process.env) {
+    const channels = [];
+
+    for (const [configFromEnv, create] of CHANNELS) {
+        try {
+            const config = configFromEnv(env);
+            if (config) {
+                channels.push(create(config));
+            }
+        } catch (error) {
+            logError('Invalid alert channel configuration', error);
+        }
+    }
+
+    if (channels.length === 0) {
+        logWarning('No alert channels configured - alerts are logged only');
+    }
+
+    return channels;
+}
+
+export { createEmailChannel, createWebhookChannel, createTelegramChannel };
+export { buildWebhookPayload } from './webhook.js';
@@ -0,0 +1,38 @@
+/**
+ * Telegram Alert Channel (Bot API sendMessage)
+ *
+ * Env:
+ *   TELEGRAM_BOT_TOKEN - bot token from @BotFather
+ *   TELEGRAM_CHAT_ID   - chat / channel id to post to
+ *   TELEGRAM_API_URL   - default https://api.telegram.org
+ */
+
+import axios from 'axios';
+import { formatAlertText } from './format.js';
+
+// Telegram message length limit
+const TELEGRAM_MAX_TEXT = 4096;
+
+export function telegramConfigFromEnv(env = process.env) {
+    if (!env.TELEGRAM_BOT_TOKEN || !env.TELEGRAM_CHAT_ID) return null;
+
+    return {
+        token: env.TELEGRAM_BOT_TOKEN,
+        chatId: env.TELEGRAM_CHAT_ID,
+        apiUrl: (env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/+$/, '')
+    };
+}
+
+export function createTelegramChannel(config) {
+    return {
+        name: 'telegram',
+
+        async send(alert) {
+            await axios.post(`${config.apiUrl}/bot${config.token}/sendMessage`, {
+                chat_id: config.chatId,
+                text: formatAlertText(alert).slice(0, TELEGRAM_MAX_TEXT),
+                disable_web_page_preview: true
+            }, { timeout: 15000 });
+        }
+    };
+}
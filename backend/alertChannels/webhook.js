@@ -0,0 +1,76 @@
+/**
+ * Webhook Alert Channel (JSON POST)
+ *
+ * Env:
+ *   ALERT_WEBHOOK_URL    - incoming webhook URL
+ *   ALERT_WEBHOOK_FORMAT - slack | discord | json
+ *                          (default: detected from the URL, else json)
+ */
+
+import axios from 'axios';
+import { formatAlertText } from './format.js';
+
+const FORMATS = ['slack', 'discord', 'json'];
+
+// Discord message content limit
+const DISCORD_MAX_CONTENT = 2000;
+
+const SEVERITY_COLORS = {
+    CRITICAL: 0xd32f2f,
+    HIGH: 0xf57c00,
+    MEDIUM: 0xfbc02d,
+    LOW: 0x1976d2
+};
+
+function detectFormat(url) {
+    if (/hooks\.slack\.com/i.test(url)) return 'slack';
+    if (/discord(?:app)?\.com\/api\/webhooks/i.test(url)) return 'discord';
+    return 'json';
+}
+
+export function webhookConfigFromEnv(env = process.env) {
+    if (!env.ALERT_WEBHOOK_URL) return null;
+
+    const format = (env.ALERT_WEBHOOK_FORMAT || detectFormat(env.ALERT_WEBHOOK_URL)).toLowerCase();
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown ALERT_WEBHOOK_FORMAT: ${format} (expected ${FORMATS.join(' | ')})`);
+    }
+
+    return { url: env.ALERT_WEBHOOK_URL, format };
+}
+
+/**
+ * Request body for each webhook flavour
+ */
+export function buildWebhookPayload(alert, format) {
+    if (format === 'slack') {
+        return { text: formatAlertText(alert) };
+    }
+
+    if (format === 'discord') {
+        return {
+            content: `**[${alert.severity}] ${alert.title}**`,
+            embeds: [{
+                title: alert.title,
+                description: formatAlertText(alert).slice(0, DISCORD_MAX_CONTENT),
+                color: SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.HIGH,
+                timestamp: alert.timestamp
+            }]
+        };
+    }
+
+    return alert;
+}
+
+export function createWebhookChannel(config) {
+    return {
+        name: `webhook:${config.format}`,
+
+        async send(alert) {
+            await axios.post(config.url, buildWebhookPayload(alert, config.format), {
+                timeout: 15000,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+    };
+}
@@ -2,20 +2,39 @@
  * Alerting System - STEP 4
  * 
  * NO SPAM: Alerts only when human action is required
+ *
+ * Delivery: every channel configured in the environment (email, webhook,
+ * Telegram - see alertChannels/index.js), in PRODUCTION only. A failing
+ * channel is logged and never breaks the run.
+ *
+ * State (`alerts` collection, one document per fingerprint):
+ * - raiseAlert() opens an alert and notifies once; while it stays open it
+ *   is re-sent at most once per ALERT_COOLDOWN_HOURS
+ * - resolveAlert() closes it and sends a "Resolved" notice
+ * - digest severities (default LOW, MEDIUM) are collected and sent once a
+ *   day by sendDigestIfDue()
  */
 
-import { logError, logWarning } from './logger.js';
+import crypto from 'crypto';
+import { logError, logWarning, logInfo } from './logger.js';
+import { alertsEnabled, getAlertConfig } from './runtimeConfig.js';
+import { getAlertChannels } from './alertChannels/index.js';
+import { getStorage } from './storage/index.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DIGEST_INTERVAL_MS = 24 * HOUR_MS;
+const DIGEST_CONTROL_ID = 'alert_digest';
 
 /**
- * Send alert (implementation depends on deployment)
- * 
+ * Send alert
+ *
  * Options:
- * - Email (via GitHub Actions)
- * - Slack webhook
- * - Firebase Cloud Messaging to admin
- * - Console error (for now)
+ *   channels - explicit channel list (tests, tooling); always delivered.
+ *              Default: env-configured channels when alerts are enabled.
+ *
+ * Returns: [{ channel, ok, error }] - one entry per channel
  */
-export async function sendAlert(alert) {
+export async function sendAlert(alert, options = {}) {
     const alertMessage = {
         timestamp: new Date().toISOString(),
         severity: alert.severity || 'HIGH',
@@ -27,8 +46,6 @@ export async function sendAlert(alert) {
     // Log alert
     logError(`🚨 ALERT: ${alert.title}`, alertMessage);
 
-    // TODO: Implement actual alerting mechanism
-    // For now, just log to console
     console.error('\n' + '='.repeat(80));
     console.error('🚨 PRODUCTION ALERT');
     console.error('='.repeat(80));
@@ -41,33 +58,247 @@ export async function sendAlert(alert) {
     }
     console.error('='.repeat(80) + '\n');
 
-    // In production, send via:
-    // - process.env.ALERT_EMAIL
-    // - process.env.SLACK_WEBHOOK
-    // - Firebase Admin SDK to send FCM to admin device
+    const channels = options.channels || (alertsEnabled ? getAlertChannels() : []);
+
+    const results = await Promise.all(channels.map(async channel => {
+        try {
+            await channel.send(alertMessage);
+            logInfo(`Alert delivered via ${channel.name}`);
+            return { channel: channel.name, ok: true, error: null };
+        } catch (error) {
+            logError(`Alert delivery failed via ${channel.name}`, error);
+            return { channel: channel.name, ok: false, error: error.message };
+        }
+    }));
+
+    if (channels.length > 0 && results.every(r => !r.ok)) {
+        logWarning(`Alert "${alert.title}" could not be delivered on any channel`);
+    }
+
+    return results;
+}
+
+/**
+ * Alert document id for a condition key
+ */
+export function alertFingerprint(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 20);
+}
+
+function alertStore() {
+    try {
+        return getStorage().alerts;
+    } catch {
+        return null;  // Storage not initialized yet - deliver without state
+    }
+}
+
+/**
+ * Raise an alert for a condition (deduplicated by `key`)
+ *
+ * alert:   { key, severity, title, message, context }
+ * options: sendAlert() options plus { now, cooldownHours, digest }
+ *
+ * Returns: { fingerprint, notified, reason }
+ *   reason: 'new' | 'cooldown_elapsed' | 'cooldown' | 'digest' | 'no_state'
+ */
+export async function raiseAlert(alert, options = {}) {
+    const alerts = alertStore();
+    const key = alert.key || alert.title;
+    const fingerprint = alertFingerprint(key);
+
+    if (!alerts) {
+        await sendAlert(alert, options);
+        return { fingerprint, notified: true, reason: 'no_state' };
+    }
+
+    const config = getAlertConfig();
+    const now = options.now || new Date();
+    const cooldownMs = (options.cooldownHours ?? config.cooldownHours) * HOUR_MS;
+    const severity = alert.severity || 'HIGH';
+    const useDigest = (options.digest ?? config.digest) && config.digestSeverities.includes(severity);
+
+    const existing = await alerts.get(fingerprint);
+    const isOpen = existing?.status === 'open';
+
+    let reason;
+    if (useDigest) {
+        reason = 'digest';
+    } else if (!isOpen || !existing.lastNotifiedAt) {
+        reason = 'new';
+    } else if (now.getTime() - existing.lastNotifiedAt.getTime() >= cooldownMs) {
+        reason = 'cooldown_elapsed';
+    } else {
+        reason = 'cooldown';
+    }
+    const notify = reason === 'new' || reason === 'cooldown_elapsed';
+
+    await alerts.set(fingerprint, {
+        key,
+        severity,
+        title: alert.title,
+        message: alert.message,
+        context: alert.context || {},
+        status: 'open',
+        firstSeenAt: isOpen ? existing.firstSeenAt : now,
+        lastSeenAt: now,
+        lastNotifiedAt: notify ? now : (isOpen ? existing.lastNotifiedAt || null : null),
+        occurrences: (isOpen ? existing.occurrences || 0 : 0) + 1,
+        notifications: (isOpen ? existing.notifications || 0 : 0) + (notify ? 1 : 0),
+        pendingDigest: useDigest,
+        resolvedAt: null
+    });
+
+    if (notify) {
+        await sendAlert({ ...alert, severity }, options);
+    } else {
+        logInfo(`Alert "${alert.title}" not re-sent (${reason})`);
+    }
+
+    return { fingerprint, notified: notify, reason };
+}
+
+/**
+ * Resolve an open alert and send a "Resolved" notice
+ *
+ * Returns: true if an open alert was resolved
+ */
+export async function resolveAlert(key, options = {}) {
+    const alerts = alertStore();
+    if (!alerts) return false;
+
+    const fingerprint = alertFingerprint(key);
+    const existing = await alerts.get(fingerprint);
+    if (existing?.status !== 'open') return false;
+
+    const now = options.now || new Date();
+    await alerts.update(fingerprint, { status: 'resolved', resolvedAt: now, pendingDigest: false });
+
+    // Digest-only alerts were never announced, so their resolution isn't either
+    if (existing.notifications > 0) {
+        await sendAlert({
+            severity: 'INFO',
+            title: `Resolved: ${existing.title}`,
+            message: options.message || 'The condition cleared on the latest run.',
+            context: {
+                firstSeenAt: existing.firstSeenAt?.toISOString(),
+                occurrences: existing.occurrences
+            }
+        }, options);
+    }
+
+    logInfo(`Alert resolved: ${existing.title}`);
+    return true;
+}
+
+/**
+ * Send pending digest alerts as one message, at most once a day
+ *
+ * Returns: number of alerts included (0 when not due or nothing pending)
+ */
+export async function sendDigestIfDue(options = {}) {
+    const alerts = alertStore();
+    if (!alerts) return 0;
+
+    const { controls } = getStorage();
+    const now = options.now || new Date();
+    const state = await controls.get(DIGEST_CONTROL_ID);
+
+    if (state?.lastSentAt && now.getTime() - state.lastSentAt.getTime() < DIGEST_INTERVAL_MS) {
+        return 0;
+    }
+
+    const pending = await alerts.list({ where: [['pendingDigest', '==', true]] });
+    if (pending.length === 0) return 0;
+
+    const lines = pending.map(a =>
+        `- [${a.severity}] ${a.title} (${a.occurrences}x since ${a.firstSeenAt?.toISOString()})`
+    );
+
+    await sendAlert({
+        severity: 'LOW',
+        title: `Daily alert digest: ${pending.length} open issue(s)`,
+        message: lines.join('\n'),
+        context: {}
+    }, options);
+
+    for (const a of pending) {
+        await alerts.update(a.id, {
+            pendingDigest: false,
+            lastNotifiedAt: now,
+            notifications: (a.notifications || 0) + 1
+        });
+    }
+    await controls.set(DIGEST_CONTROL_ID, { lastSentAt: now, alertsSent: pending.length });
+
+    return pending.length;
 }
 
+/**
+ * Condition keys shared by the helpers below and by whoever resolves them
+ */
+export const AlertKey = {
+    structureChange: url => `structure_change:${url}`,
+    structureDrift: url => `structure_drift:${url}`,
+    CONSECUTIVE_ZERO_JOBS: 'consecutive_zero_jobs',
+    JOB_DROP: 'job_drop',
+    PARSE_ERROR_RATE: 'parse_error_rate',
+    STUCK_RUN: 'stuck_run',
+    FIRESTORE_FAILURE: 'firestore_failure',
+    SCRAPER_CRASH: 'scraper_crash',
+    KILL_SWITCH: 'kill_switch'
+};
+
 /**
  * Alert: Website structure changed
+ *
+ * context.source - { id, name } of the source adapter
  */
 export async function alertStructureChange(context) {
-    await sendAlert({
+    return raiseAlert({
+        key: AlertKey.structureChange(context.url),
         severity: 'CRITICAL',
-        title: 'SPSC Website Structure Changed',
+        title: `${sourceLabel(context.source)} Website Structure Changed`,
         message: 'Job scraper cannot find job listings. Website may have been redesigned. Human intervention required.',
         context: {
+            source: context.source?.id || null,
             url: context.url,
             selectorsAttempted: context.selectorsAttempted,
-            lastSuccessfulRun: context.lastSuccessfulRun
+            lastSuccessfulRun: context.lastSuccessfulRun,
+            artifacts: context.artifacts || null
         }
     });
 }
 
+/**
+ * Alert: List page differs from the last successful run's fingerprint
+ * (listings may still be extracted - check the saved snapshot)
+ */
+export async function alertStructureDrift(context) {
+    return raiseAlert({
+        key: AlertKey.structureDrift(context.url),
+        severity: 'HIGH',
+        title: `${sourceLabel(context.source)} Website Structure Drift`,
+        message: 'Notifications page no longer matches the last successful run. Check the saved HTML snapshot and screenshot before the scraper breaks.',
+        context: {
+            source: context.source?.id || null,
+            url: context.url,
+            changes: context.changes.map(change => change.field),
+            artifacts: context.artifacts || null
+        }
+    });
+}
+
+function sourceLabel(source) {
+    return source?.name || source?.id || 'Source';
+}
+
 /**
  * Alert: Consecutive zero job runs
  */
 export async function alertConsecutiveZeroJobs(runCount) {
-    await sendAlert({
+    return raiseAlert({
+        key: AlertKey.CONSECUTIVE_ZERO_JOBS,
         severity: 'HIGH',
         title: `${runCount} Consecutive Runs with Zero Jobs`,
         message: `Scraper has found 0 jobs for ${runCount} consecutive runs. This may indicate a problem with the website or scraper.`,
@@ -78,11 +309,51 @@ export async function alertConsecutiveZeroJobs(runCount) {
     });
 }
 
+/**
+ * Alert: jobsFound dropped sharply against recent runs
+ */
+export async function alertJobDrop(context) {
+    return raiseAlert({
+        key: AlertKey.JOB_DROP,
+        severity: 'HIGH',
+        title: 'Sudden Drop in Jobs Found',
+        message: `Latest run found ${context.jobsFound} jobs against a recent median of ${context.baseline}. Part of the listing may no longer be parsed.`,
+        context
+    });
+}
+
+/**
+ * Alert: parsing errors above threshold (digest severity)
+ */
+export async function alertParseErrorRate(context) {
+    return raiseAlert({
+        key: AlertKey.PARSE_ERROR_RATE,
+        severity: 'MEDIUM',
+        title: 'High PDF Parsing Error Rate',
+        message: `${context.parsingErrors} of ${context.processed} processed notifications failed to parse (${Math.round(context.rate * 100)}%).`,
+        context
+    });
+}
+
+/**
+ * Alert: run never finished
+ */
+export async function alertStuckRun(context) {
+    return raiseAlert({
+        key: AlertKey.STUCK_RUN,
+        severity: 'HIGH',
+        title: 'Scraper Run Stuck in Running State',
+        message: `Run ${context.runIds.join(', ')} started over ${context.thresholdMinutes} minutes ago and never finished. The runner may have been killed.`,
+        context
+    });
+}
+
 /**
  * Alert: Firestore errors after retries
  */
 export async function alertFirestoreFailure(error, context) {
-    await sendAlert({
+    return raiseAlert({
+        key: AlertKey.FIRESTORE_FAILURE,
         severity: 'HIGH',
         title: 'Firestore Write Failed After Retries',
         message: 'Unable to save jobs to Firestore after multiple retries. Data may be lost.',
@@ -98,7 +369,8 @@ export async function alertFirestoreFailure(error, context) {
  * Alert: Scraper crashed mid-run
  */
 export async function alertScraperCrash(error, context) {
-    await sendAlert({
+    return raiseAlert({
+        key: AlertKey.SCRAPER_CRASH,
         severity: 'CRITICAL',
         title: 'Scraper Crashed Mid-Run',
         message: 'Job scraper encountered a fatal error and could not complete.',
@@ -3,8 +3,17 @@
  * 
  * Every error must be classified into exactly one category.
  * This determines retry behavior and alerting.
+ *
+ * Retry policy (per run, see initRetryPolicy()):
+ * - exponential backoff with jitter: ~2s, 4s, 8s (each 50-100% of nominal)
+ * - per-type retry budget shared by all operations in the run, so a site
+ *   that is down does not retry every single PDF
+ * - onError(classification, error) hook, used to count error types in the
+ *   run document
  */
 
+import { logWarning } from './logger.js';
+
 export const ErrorType = {
     NETWORK_ERROR: 'NETWORK_ERROR',
     PARSE_ERROR: 'PARSE_ERROR',
@@ -18,6 +27,35 @@ export const ErrorType = {
 export function classifyError(error, context = {}) {
     const message = error.message.toLowerCase();
 
+    // HTTP 4xx: the resource is gone - retrying will not help
+    if (/(?:status code|http|response_code_failure)\D{0,10}\b4\d{2}\b/.test(message)) {
+        return {
+            type: ErrorType.NETWORK_ERROR,
+            shouldRetry: false,
+            maxRetries: 0,
+            shouldAlert: false,
+            message: 'Resource not available (HTTP 4xx)'
+        };
+    }
+
+    // STRUCTURE_CHANGE: Zero jobs, selectors fail, page structure changed
+    // (checked before NETWORK_ERROR: it wraps the selector wait timeout)
+    if (
+        message.includes('no job listings found') ||
+        message.includes('all selectors failed') ||
+        message.includes('page structure changed') ||
+        message.includes('table not found') ||
+        (context.jobsFound === 0 && context.expectedJobs)
+    ) {
+        return {
+            type: ErrorType.STRUCTURE_CHANGE,
+            shouldRetry: false,
+            maxRetries: 0,
+            shouldAlert: true,
+            message: 'Website structure changed - human intervention required'
+        };
+    }
+
     // NETWORK_ERROR: SSL, timeout, DNS, HTTP 5xx
     if (
         message.includes('certificate') ||
@@ -26,7 +64,7 @@ export function classifyError(error, context = {}) {
         message.includes('enotfound') ||
         message.includes('network') ||
         message.includes('dns') ||
-        /5\d{2}/.test(message)  // HTTP 5xx
+        /\b5\d{2}\b/.test(message)  // HTTP 5xx
     ) {
         return {
             type: ErrorType.NETWORK_ERROR,
@@ -54,30 +92,13 @@ export function classifyError(error, context = {}) {
         };
     }
 
-    // STRUCTURE_CHANGE: Zero jobs, selectors fail, page structure changed
-    if (
-        message.includes('no job listings found') ||
-        message.includes('all selectors failed') ||
-        message.includes('page structure changed') ||
-        message.includes('table not found') ||
-        (context.jobsFound === 0 && context.expectedJobs)
-    ) {
-        return {
-            type: ErrorType.STRUCTURE_CHANGE,
-            shouldRetry: false,
-            maxRetries: 0,
-            shouldAlert: true,
-            message: 'Website structure changed - human intervention required'
-        };
-    }
-
     // FIRESTORE_ERROR: Permission denied, quota exceeded, connection error
     if (
         message.includes('firestore') ||
         message.includes('permission denied') ||
         message.includes('quota exceeded') ||
         message.includes('deadline exceeded') ||
-        context.isFirestoreOperation
+        (context.isFirestoreOperation && hasFirestoreStatus(error))
     ) {
         return {
             type: ErrorType.FIRESTORE_ERROR,
@@ -88,6 +109,18 @@ export function classifyError(error, context = {}) {
         };
     }
 
+    // A storage operation failing without a Firestore status is a bug
+    // (TypeError, ReferenceError, ...): retrying will not help
+    if (context.isFirestoreOperation) {
+        return {
+            type: ErrorType.NETWORK_ERROR,
+            shouldRetry: false,
+            maxRetries: 0,
+            shouldAlert: false,
+            message: 'Unexpected error in a storage operation - not retried'
+        };
+    }
+
     // Default: treat as network error (safe default)
     return {
         type: ErrorType.NETWORK_ERROR,
@@ -98,29 +131,103 @@ export function classifyError(error, context = {}) {
     };
 }
 
+// gRPC status names of the Firestore client's error codes
+const FIRESTORE_STATUS_CODES = [
+    'cancelled', 'unknown', 'invalid-argument', 'deadline-exceeded', 'not-found',
+    'already-exists', 'permission-denied', 'resource-exhausted', 'failed-precondition',
+    'aborted', 'out-of-range', 'unimplemented', 'internal', 'unavailable',
+    'data-loss', 'unauthenticated'
+];
+
+/**
+ * True for errors of the Firestore client: a gRPC status code (1-16 or its
+ * name) on error.code, or its "14 UNAVAILABLE: ..." message prefix
+ */
+function hasFirestoreStatus(error) {
+    const { code } = error;
+    if (Number.isInteger(code)) {
+        return code >= 1 && code <= FIRESTORE_STATUS_CODES.length;
+    }
+    return FIRESTORE_STATUS_CODES.includes(code) || /^\d{1,2} [A-Z_]+\b/.test(error.message);
+}
+
+// Retries allowed per error type for one whole run
+const DEFAULT_RETRY_BUDGETS = {
+    [ErrorType.NETWORK_ERROR]: 20,
+    [ErrorType.FIRESTORE_ERROR]: 20,
+    [ErrorType.PARSE_ERROR]: 0,
+    [ErrorType.STRUCTURE_CHANGE]: 0
+};
+
+const DEFAULT_BASE_DELAY_MS = 1000;
+
+let retryPolicy = createRetryPolicy();
+
+function createRetryPolicy(options = {}) {
+    return {
+        baseDelayMs: options.baseDelayMs ?? DEFAULT_BASE_DELAY_MS,
+        remaining: { ...DEFAULT_RETRY_BUDGETS, ...options.budgets },
+        onError: options.onError || null
+    };
+}
+
 /**
- * Retry with exponential backoff
+ * Reset retry budgets for a new run
+ *
+ * Options:
+ *   baseDelayMs - backoff base (delay = base * 2^attempt, jittered)
+ *   budgets     - { [ErrorType]: retries } overrides
+ *   onError     - (classification, error) => void, called for every failure
+ */
+export function initRetryPolicy(options = {}) {
+    retryPolicy = createRetryPolicy(options);
+}
+
+/**
+ * Retries left per error type in the current run
+ */
+export function getRetryBudgets() {
+    return { ...retryPolicy.remaining };
+}
+
+/**
+ * Retry with exponential backoff and jitter
+ *
+ * The thrown error carries `classification` and `retriesAttempted`.
  */
 export async function retryOperation(operation, errorContext = {}) {
-    let lastError;
     let attempt = 0;
 
     while (true) {
         try {
             return await operation();
         } catch (error) {
-            lastError = error;
             attempt++;
 
             const classification = classifyError(error, errorContext);
+            error.classification = classification;
+            error.retriesAttempted = attempt - 1;
 
-            if (!classification.shouldRetry || attempt >= classification.maxRetries) {
+            try {
+                await retryPolicy.onError?.(classification, error);
+            } catch {
+                // Metrics must never change the outcome
+            }
+
+            if (!classification.shouldRetry || attempt > classification.maxRetries) {
                 throw error;  // No more retries
             }
 
-            // Exponential backoff: 2s, 4s, 8s
-            const delay = Math.pow(2, attempt) * 1000;
-            console.warn(`Retry ${attempt}/${classification.maxRetries} after ${delay}ms: ${error.message}`);
+            if ((retryPolicy.remaining[classification.type] ?? 0) <= 0) {
+                logWarning(`Retry budget exhausted for ${classification.type}: ${error.message}`);
+                throw error;
+            }
+            retryPolicy.remaining[classification.type]--;
+
+            // Exponential backoff: 2s, 4s, 8s - jittered so runners don't retry in lockstep
+            const nominal = Math.pow(2, attempt) * retryPolicy.baseDelayMs;
+            const delay = Math.round(nominal * (0.5 + Math.random() / 2));
+            logWarning(`Retry ${attempt}/${classification.maxRetries} after ${delay}ms (${classification.type}): ${error.message}`);
 
             await new Promise(resolve => setTimeout(resolve, delay));
         }
@@ -131,7 +238,10 @@ export async function retryOperation(operation, errorContext = {}) {
  * Check if alert should be sent
  */
 export function shouldAlert(errorType, context = {}) {
-    const classification = classifyError({ message: errorType }, context);
+    // errorType may be null for run-level conditions (e.g. zero-job runs)
+    const classification = !errorType || Object.values(ErrorType).includes(errorType)
+        ? { type: errorType }
+        : classifyError({ message: errorType }, context);
 
     // Alert for structure changes (always)
     if (classification.type === ErrorType.STRUCTURE_CHANGE) {
@@ -1,73 +1,423 @@
 /**
- * Firestore Service – ESM SAFE (PRODUCTION)
+ * Job Service – ESM SAFE (PRODUCTION)
+ *
+ * Job persistence and identity. Storage goes through storage/index.js,
+ * so this works against Firestore or the local file backend.
+ *
+ * Multi-post advertisements: the job document is the advertisement and
+ * each row of its vacancy table is stored in `vacancies` with
+ * advertisementId pointing back at the job.
+ *
+ * Corrigenda, extensions and cancellations are never saved as new jobs:
+ * applyNotice() updates the referenced job and appends to its
+ * `amendments` history; each notice is also recorded in `notices`.
+ *
+ * Revisions: every change to a stored job is written to
+ * jobs/{id}/revisions as a field-level diff ({ field: { from, to } }).
+ * The job keeps its original createdAt and a `revision` counter;
+ * saves that change nothing are skipped entirely.
+ *
+ * Publication: `published` on the job and its vacancy rows is set by the
+ * review gate (review.js) after a save - a job is only public once it
+ * passed review or needed none.
+ *
+ * Retries: saveJob() and applyNotice() write several documents, so they
+ * are not retried as a whole (a retry after the job write would see no
+ * change and drop the revision). Pass `retry` (e.g. retryOperation) to
+ * retry each storage step on its own instead.
  */
 
-import admin from 'firebase-admin';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { logInfo, logError } from './logger.js';
+import { getStorage } from './storage/index.js';
+import { normalizeDate, normalizeIssuedDate, issuedDay, determineStatus, validateJobData, Provenance } from './normalizer.js';
+import { NoticeType, AMENDMENT_TYPES } from './noticeClassifier.js';
+import { logInfo, logWarning } from './logger.js';
 
-let db;
-let initialized = false;
+/**
+ * What saveJob() would write (reads only)
+ *
+ * Values a notice changed (provenance 'amended'), values a reviewer
+ * corrected ('corrected') or entered by hand ('manual') and a cancellation
+ * are kept: re-extracting the original PDF must not undo them. A job
+ * completed by hand stays dataComplete when its scanned PDF is parsed
+ * again. A job saved before source prefixes is updated under its old id.
+ *
+ * Returns: { id, existing, next, posts, changes }
+ */
+export async function planJobSave(job) {
+  const { posts = [], ...fields } = job;
+
+  const { id: docId, job: existing } = await findStoredJob(job.advtNo, job.postName, job.issuedDate ?? job.issuedDateText, job.source);
 
-// ESM-safe __dirname
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+  const next = keepAmendedFields(existing, { ...fields, vacancyCount: posts.length });
+  const changes = diffJob(existing, next);
 
-export async function initFirestore() {
-  if (initialized) return db;
+  const storedPosts = existing ? await loadPosts(docId, posts) : [];
+  if (existing && !sameValue(storedPosts, posts)) {
+    changes.posts = { from: storedPosts, to: posts };
+  }
 
-  try {
-    let serviceAccount;
+  return { id: docId, existing, next, posts, changes };
+}
 
-    // Prefer ENV (production)
-    if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-      serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-    } 
-    // Local JSON (your case)
-    else {
-      const keyPath = path.join(__dirname, 'serviceAccountKey.json');
-      if (!fs.existsSync(keyPath)) {
-        throw new Error('serviceAccountKey.json not found');
-      }
-      serviceAccount = JSON.parse(fs.readFileSync(keyPath, 'utf8'));
+/**
+ * Save a job, recording what changed since the stored version
+ *
+ * reason - recorded on the revision ('scrape', 'reprocess', ...)
+ * retry  - runs each storage step (see Retries above)
+ *
+ * Returns: { id, created, changed, revision, changes }
+ */
+export async function saveJob(job, { reason = 'scrape', retry = once } = {}) {
+  const { jobs } = getStorage();
+  const now = new Date();
+  const { id: docId, existing, next, posts, changes } = await retry(() => planJobSave(job));
+
+  if (existing && Object.keys(changes).length === 0) {
+    return { id: docId, created: false, changed: false, revision: existing.revision || 1, changes };
+  }
+
+  const revision = existing ? (existing.revision || 1) + 1 : 1;
+
+  await retry(() => jobs.set(
+    docId,
+    {
+      ...next,
+      revision,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    },
+    { merge: true }
+  ));
+
+  if (!existing || changes.posts) {
+    await retry(() => saveVacancies(docId, { published: existing?.published, ...next }, posts));
+  }
+
+  if (existing) {
+    await retry(() => recordRevision(docId, revision, changes, { reason }, now));
+    logInfo(`Job ${docId} changed (revision ${revision}): ${Object.keys(changes).join(', ')}`);
+  }
+
+  return { id: docId, created: !existing, changed: true, revision, changes };
+}
+
+// Provenances whose values a later save keeps
+const KEPT_PROVENANCE = [Provenance.AMENDED, Provenance.CORRECTED, Provenance.MANUAL];
+
+function keepAmendedFields(existing, next) {
+  const amended = Object.entries(existing?.provenance || {})
+    .filter(([, provenance]) => KEPT_PROVENANCE.includes(provenance));
+
+  if (amended.length === 0 && existing?.status !== 'cancelled') return next;
+
+  const kept = { ...next };
+  if (amended.length > 0) {
+    kept.provenance = { ...next.provenance };
+    kept.fieldConfidence = { ...next.fieldConfidence };
+    for (const [field, provenance] of amended) {
+      kept[field] = existing[field];
+      kept.provenance[field] = provenance;
+      kept.fieldConfidence[field] = 1;
+    }
+  }
+  if (existing.dataComplete && amended.some(([, provenance]) => provenance === Provenance.MANUAL)) {
+    kept.dataComplete = true;
+  }
+
+  kept.status = existing.status === 'cancelled' ? 'cancelled' : determineStatus(kept.lastDate);
+  return kept;
+}
+
+// Default `retry`: run the step once
+const once = operation => operation();
+
+// -------- REVISIONS --------
+
+// Rewritten on every scrape without meaning anything changed
+const VOLATILE_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'scrapedAt',
+  'revision',
+  'listingId',
+  'metadata.extractedAt',
+  'validation.checkedAt'
+];
+
+/**
+ * Field-level diff of the fields a save would write
+ * (fields only present in the stored job, e.g. amendments, are kept by
+ * the merge and therefore not compared)
+ */
+export function diffJob(existing, next) {
+  const changes = {};
+  if (!existing) return changes;
+
+  const before = stripVolatile(existing);
+  const after = stripVolatile(next);
+
+  for (const [field, value] of Object.entries(after)) {
+    if (value === undefined) continue;
+    if (!sameValue(before[field], value)) {
+      changes[field] = { from: before[field] ?? null, to: value };
+    }
+  }
+
+  return changes;
+}
+
+function stripVolatile(doc) {
+  const copy = JSON.parse(JSON.stringify(doc));
+  for (const fieldPath of VOLATILE_FIELDS) {
+    const keys = fieldPath.split('.');
+    const parent = keys.slice(0, -1).reduce((obj, key) => obj?.[key], copy);
+    if (parent && typeof parent === 'object') {
+      delete parent[keys[keys.length - 1]];
     }
+  }
+  return copy;
+}
+
+// Dates compare by ISO string, objects regardless of key order
+export function sameValue(a, b) {
+  return canonical(a) === canonical(b);
+}
 
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount),
+function canonical(value) {
+  return JSON.stringify(value ?? null, (key, v) => {
+    if (v && typeof v === 'object' && !Array.isArray(v)) {
+      return Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]));
+    }
+    return v;
+  });
+}
+
+async function recordRevision(jobId, revision, changes, details, now) {
+  await getStorage()
+    .collection(`jobs/${jobId}/revisions`)
+    .set(String(revision).padStart(4, '0'), {
+      jobId,
+      revision,
+      changedFields: Object.keys(changes),
+      changes,
+      ...details,
+      createdAt: now
     });
+}
 
-    db = admin.firestore();
-    db.settings({ ignoreUndefinedProperties: true });
+/**
+ * Revision history of a job, oldest first
+ */
+export async function getJobRevisions(jobId) {
+  return getStorage()
+    .collection(`jobs/${jobId}/revisions`)
+    .list({ orderBy: [['revision', 'asc']] });
+}
+
+/**
+ * Stored vacancy rows as post objects, for comparison with a new save
+ * (only the fields the new posts carry)
+ */
+async function loadPosts(advertisementId, posts) {
+  const rows = await getStorage().vacancies.list({
+    where: [['advertisementId', '==', advertisementId]]
+  });
+  const keys = [...new Set(posts.flatMap(post => Object.keys(post)))];
+
+  return rows
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map(row => Object.fromEntries(keys.filter(k => k in row).map(k => [k, row[k]])));
+}
+
+/**
+ * Store one document per post, replacing rows from earlier saves
+ */
+async function saveVacancies(advertisementId, job, posts) {
+  const { vacancies } = getStorage();
 
-    initialized = true;
-    logInfo('Firestore initialized successfully');
-    return db;
-  } catch (err) {
-    logError('Failed to initialize Firestore', err);
-    throw err;
+  const ids = posts.map(post => vacancyId(advertisementId, post.index));
+  const existing = await vacancies.list({
+    where: [['advertisementId', '==', advertisementId]]
+  });
+
+  for (const stale of existing.filter(v => !ids.includes(v.id))) {
+    await vacancies.delete(stale.id);
+  }
+
+  for (const [i, post] of posts.entries()) {
+    await vacancies.set(ids[i], {
+      ...post,
+      advertisementId,
+      advtNo: job.advtNo,
+      source: job.source,
+      department: post.department || job.department || null,
+      qualification: post.qualification || job.qualification || null,
+      lastDate: job.lastDate || null,
+      status: job.status || null,
+      published: job.published === true,
+      pdfUrl: job.pdfUrl || null,
+      updatedAt: new Date()
+    });
   }
 }
 
-export async function saveJob(job) {
-  if (!db) await initFirestore();
+function vacancyId(advertisementId, index) {
+  return `${advertisementId}_P${String(index).padStart(2, '0')}`;
+}
 
-  const docId = generateDocId(job.advtNo, job.postName, job.issuedDate);
+/**
+ * Copy changed job fields (status, lastDate, published) onto its vacancy rows
+ */
+async function updateVacancyRows(advertisementId, fields, now) {
+  const { vacancies } = getStorage();
+  const rows = await vacancies.list({ where: [['advertisementId', '==', advertisementId]] });
 
-  await db.collection('jobs').doc(docId).set(
-    {
-      ...job,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    },
-    { merge: true }
-  );
+  for (const row of rows) {
+    await vacancies.update(row.id, { ...fields, updatedAt: now });
+  }
+}
+
+// -------- LIFECYCLE (maintenance.js) --------
+
+/**
+ * Change a stored job's status (and its vacancy rows), recorded as a revision
+ */
+export async function updateJobStatus(jobId, status, reason = 'maintenance') {
+  const { jobs } = getStorage();
+  const job = await jobs.get(jobId);
+  if (!job || job.status === status) return false;
+
+  const now = new Date();
+  const revision = (job.revision || 1) + 1;
+  const changes = { status: { from: job.status || null, to: status } };
+
+  await jobs.update(jobId, { status, revision, statusUpdatedAt: now, updatedAt: now });
+  await updateVacancyRows(jobId, { status }, now);
+
+  await recordRevision(jobId, revision, changes, { reason }, now);
+  return true;
+}
 
-  return docId;
+/**
+ * Set values checked by a person on a stored job (kept by later saves),
+ * recorded as a revision
+ *
+ * values - normalized field values (normalizeFields() in normalizer.js)
+ * Options:
+ *   provenance   - 'corrected' (reviewer) or 'manual' (entered by hand)
+ *   reason       - revision reason
+ *   dataComplete - set the job's dataComplete (manual entry of a scanned PDF)
+ *   details      - recorded on the revision, e.g. { reviewedBy, note }
+ *
+ * The document id is not changed, even when advtNo is corrected.
+ * Returns: { changed, revision, changes }
+ */
+export async function correctJob(jobId, values, {
+  provenance = Provenance.CORRECTED,
+  reason = 'review',
+  dataComplete,
+  details = {}
+} = {}) {
+  const { jobs } = getStorage();
+  const job = await jobs.get(jobId);
+  if (!job) throw new Error(`Job ${jobId} not found`);
+
+  const patch = {
+    ...values,
+    provenance: { ...job.provenance },
+    fieldConfidence: { ...job.fieldConfidence }
+  };
+  for (const field of Object.keys(values)) {
+    patch.provenance[field] = provenance;
+    patch.fieldConfidence[field] = 1;
+  }
+  if (dataComplete !== undefined) {
+    patch.dataComplete = dataComplete;
+  }
+  if ('lastDate' in values && job.status !== 'cancelled') {
+    patch.status = determineStatus(values.lastDate);
+  }
+  patch.validation = validateJobData({ ...job, ...patch });
+
+  const changes = diffJob(job, patch);
+  if (Object.keys(changes).length === 0) {
+    return { changed: false, revision: job.revision || 1, changes };
+  }
+
+  const now = new Date();
+  const revision = (job.revision || 1) + 1;
+  await jobs.update(jobId, { ...patch, revision, updatedAt: now });
+
+  if (changes.lastDate || changes.status) {
+    await updateVacancyRows(jobId, {
+      lastDate: patch.lastDate ?? job.lastDate ?? null,
+      status: patch.status || job.status || null
+    }, now);
+  }
+
+  await recordRevision(jobId, revision, changes, { reason, ...details }, now);
+  return { changed: true, revision, changes };
+}
+
+/**
+ * Set a job's review state and publication (job and vacancy rows)
+ *
+ * review - summary of its review_queue item, or null
+ */
+export async function setJobReview(jobId, { published, review }) {
+  const { jobs, vacancies } = getStorage();
+  const now = new Date();
+
+  await jobs.update(jobId, { published, review, updatedAt: now });
+
+  const rows = await vacancies.list({ where: [['advertisementId', '==', jobId]] });
+  for (const row of rows) {
+    if (row.published !== published) {
+      await vacancies.update(row.id, { published, updatedAt: now });
+    }
+  }
+}
+
+/**
+ * Move a job and its vacancy rows into the archive collection
+ * (revision history stays under jobs/{id}/revisions)
+ */
+export async function archiveJob(jobId) {
+  const { jobs, vacancies, archive } = getStorage();
+  const job = await jobs.get(jobId);
+  if (!job) return false;
+
+  const rows = await vacancies.list({ where: [['advertisementId', '==', jobId]] });
+  const posts = rows
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map(({ id, advertisementId, ...row }) => ({ id, ...row }));
+
+  await archive.set(jobId, {
+    ...job,
+    posts,
+    status: 'archived',
+    statusBeforeArchive: job.status || null,
+    archivedAt: new Date()
+  });
+
+  for (const row of rows) {
+    await vacancies.delete(row.id);
+  }
+  await jobs.delete(jobId);
+
+  return true;
 }
 
 // -------- IDENTITY --------
+// Every ID is prefixed with the source id so two sources that both
+// publish e.g. "Advt No. 1/2025" never collide. SPSC jobs saved before
+// the prefix keep their bare advertisement-number id (findStoredJob).
+
+const DEFAULT_SOURCE = 'spsc';
+
+function sourcePrefix(source) {
+  return (source || DEFAULT_SOURCE).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
 
 function normalizeAdvtNo(advtNo) {
   return advtNo
@@ -77,8 +427,14 @@ function normalizeAdvtNo(advtNo) {
     .replace(/[\/-]/g, '_');
 }
 
-function fallbackId(postName, issuedDate) {
-  const date = issuedDate ? issuedDate.replace(/\//g, '') : 'NODATE';
+// Issue date as DDMMYYYY, whether listing text or the stored day
+function idDate(issuedDate) {
+  const day = issuedDay(issuedDate);
+  return day ? day.split('-').reverse().join('') : null;
+}
+
+function fallbackId(postName, issuedDate, source) {
+  const date = issuedDate ? idDate(issuedDate) ?? issuedDate.replace(/\//g, '') : 'NODATE';
   const title = postName
     .toUpperCase()
     .replace(/[^A-Z0-9 ]/g, '')
@@ -86,33 +442,192 @@ function fallbackId(postName, issuedDate) {
     .replace(/\s+/g, '_')
     .slice(0, 30);
 
-  return `SPSC_${date}_${title}`;
+  return `${sourcePrefix(source)}_${date}_${title}`;
 }
 
-function generateDocId(advtNo, postName, issuedDate) {
+export function generateDocId(advtNo, postName, issuedDate, source) {
   if (advtNo && advtNo.trim()) {
-    return normalizeAdvtNo(advtNo);
+    return `${sourcePrefix(source)}_${normalizeAdvtNo(advtNo)}`;
+  }
+  return fallbackId(postName, issuedDate, source);
+}
+
+/**
+ * Stored job for an identity, under its id or the unprefixed id it was
+ * saved with before source prefixes
+ *
+ * Returns: { id, job } - id of the stored job, else the new id; job or null
+ */
+export async function findStoredJob(advtNo, postName, issuedDate, source) {
+  const { jobs } = getStorage();
+  const id = generateDocId(advtNo, postName, issuedDate, source);
+  const job = await jobs.get(id);
+  if (job || !advtNo?.trim() || (source || DEFAULT_SOURCE) !== DEFAULT_SOURCE) {
+    return { id, job };
   }
-  return fallbackId(postName, issuedDate);
+
+  const legacyId = normalizeAdvtNo(advtNo);
+  const legacy = await jobs.get(legacyId);
+  return legacy ? { id: legacyId, job: legacy } : { id, job: null };
+}
+/**
+ * Check duplicate job (STEP 2 idempotency)
+ * Uses the same identity as saveJob()
+ */
+export async function checkDuplicate(advtNo, postName, issuedDate, source) {
+  if (!advtNo && !postName) return false;
+
+  const { job } = await findStoredJob(advtNo, postName, issuedDate, source);
+  return Boolean(job);
 }
+
+// -------- NOTICES (corrigendum / extension / cancellation / ...) --------
+
 /**
- * Check duplicate job using advtNo (STEP 2 idempotency)
+ * Notice identity: own number + type + issue date
+ * (a corrigendum row often repeats the original advertisement number)
  */
-export async function checkDuplicate(advtNo) {
-  if (!advtNo) return false;
+export function generateNoticeId(notice) {
+  // A stored notice keeps an issue date that does not parse as issuedDateText
+  const issuedDate = notice.issuedDate ?? notice.issuedDateText;
+  const base = generateDocId(notice.advtNo, notice.subject, issuedDate, notice.source);
+  const date = issuedDate ? `_${idDate(issuedDate) ?? issuedDate.replace(/\D/g, '')}` : '';
+  return `${base}_${notice.type.toUpperCase()}${date}`;
+}
 
-  if (!db) {
-    await initFirestore();
+/**
+ * True once a notice has been applied to its advertisement
+ * (unresolved notices are retried on later runs)
+ */
+export async function checkNoticeDuplicate(notice) {
+  const existing = await getStorage().notices.get(generateNoticeId(notice));
+  return Boolean(existing && existing.applied);
+}
+
+/**
+ * Apply a notice to the advertisement it references
+ *
+ * notice: { source, type, advtNo, subject, issuedDate, pdfUrl,
+ *           referencedAdvtNos: [], newLastDate, listingId }
+ * (listingId - watermark id of the listing row, see watermark.js)
+ * Options:
+ *   retry           - runs each storage step (see Retries above)
+ *   storeUnresolved - record a notice whose advertisement is not found
+ *                     (false when retrying a stored one)
+ * Returns: { applied, noticeId, jobId, changes }
+ */
+export async function applyNotice(notice, { retry = once, storeUnresolved = true } = {}) {
+  const { jobs, notices } = getStorage();
+  const noticeId = generateNoticeId(notice);
+  const now = new Date();
+  const listedDate = notice.issuedDate ?? notice.issuedDateText;
+  const issuedDate = normalizeIssuedDate(listedDate);
+
+  const record = {
+    type: notice.type,
+    source: notice.source,
+    advtNo: notice.advtNo || null,
+    subject: notice.subject || null,
+    issuedDate,
+    issuedDateText: issuedDate ? null : listedDate || null,
+    pdfUrl: notice.pdfUrl || null,
+    referencedAdvtNos: notice.referencedAdvtNos || [],
+    newLastDate: notice.newLastDate || null
+  };
+
+  const target = await retry(() => findReferencedJob(notice));
+
+  if (!target) {
+    if (!storeUnresolved) {
+      return { applied: false, noticeId, jobId: null, changes: {} };
+    }
+    logWarning(`[${notice.source}] ${notice.type} notice references no known advertisement: ${notice.subject}`);
+    await retry(() => notices.set(noticeId, {
+      ...record,
+      listingId: notice.listingId || null,
+      applied: false,
+      jobId: null,
+      reason: 'Referenced advertisement not found',
+      updatedAt: now
+    }));
+    return { applied: false, noticeId, jobId: null, changes: {} };
   }
 
-  const docId = advtNo
-    .toUpperCase()
-    .replace(/\s+/g, '')
-    .replace(/[^A-Z0-9/_-]/g, '')
-    .replace(/[\/\-]/g, '_');
+  const { id: jobId, job } = target;
+  const changes = {};
 
-  const docRef = db.collection('jobs').doc(docId);
-  const snapshot = await docRef.get();
+  if (notice.type === NoticeType.CANCELLATION) {
+    if (job.status !== 'cancelled') {
+      changes.status = { from: job.status || null, to: 'cancelled' };
+    }
+  } else if (AMENDMENT_TYPES.includes(notice.type) && notice.newLastDate) {
+    const lastDate = normalizeDate(notice.newLastDate);
+    if (lastDate && lastDate !== job.lastDate) {
+      changes.lastDate = { from: job.lastDate || null, to: lastDate };
+
+      const status = job.status === 'cancelled' ? job.status : determineStatus(lastDate);
+      if (status !== job.status) {
+        changes.status = { from: job.status || null, to: status };
+      }
+    }
+  }
+
+  const update = { updatedAt: now };
+  for (const [field, change] of Object.entries(changes)) {
+    update[field] = change.to;
+  }
+  if (changes.lastDate) {
+    update['provenance'] = { ...(job.provenance || {}), lastDate: Provenance.AMENDED };
+    update['fieldConfidence'] = { ...(job.fieldConfidence || {}), lastDate: 1 };
+  }
+
+  // The same notice seen again (e.g. after a watermark reset) is recorded once
+  const historyField = AMENDMENT_TYPES.includes(notice.type) ? 'amendments' : 'relatedNotices';
+  const history = job[historyField] || [];
+  if (!history.some(entry => entry.noticeId === noticeId)) {
+    update[historyField] = [...history, { ...record, noticeId, changes, recordedAt: now }];
+  }
+
+  const changed = Object.keys(changes).length > 0;
+  if (changed) {
+    update.revision = (job.revision || 1) + 1;
+  }
+
+  await retry(() => jobs.set(jobId, update, { merge: true }));
+  if (changes.lastDate || changes.status) {
+    await retry(() => updateVacancyRows(jobId, {
+      lastDate: update.lastDate ?? job.lastDate ?? null,
+      status: update.status || job.status || null
+    }, now));
+  }
+  if (changed) {
+    await retry(() => recordRevision(jobId, update.revision, changes, { reason: notice.type, noticeId }, now));
+  }
+  await retry(() => notices.set(noticeId, {
+    ...record,
+    listingId: notice.listingId || null,
+    applied: true,
+    jobId,
+    changes,
+    updatedAt: now
+  }));
+
+  logInfo(`[${notice.source}] Applied ${notice.type} to ${jobId}: ${JSON.stringify(changes)}`);
+  return { applied: true, noticeId, jobId, changes };
+}
+
+/**
+ * First referenced advertisement that exists, then the notice's own number
+ */
+async function findReferencedJob(notice) {
+  const candidates = [...(notice.referencedAdvtNos || []), notice.advtNo].filter(Boolean);
+
+  for (const advtNo of candidates) {
+    const { id, job } = await findStoredJob(advtNo, null, null, notice.source);
+    if (job) {
+      return { id, job };
+    }
+  }
 
-  return snapshot.exists;
+  return null;
 }
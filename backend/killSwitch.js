@@ -9,27 +9,20 @@
  * Behavior:
  * - Checked at startup
  * - Checked before page navigation
- * - Checked before Firestore writes
+ * - Checked before Firestore writes (read only: one per saved job, so
+ *   only startup and navigation checks record lastChecked)
  * - If enabled === false → log ERROR → abort → send ONE alert (PRODUCTION only)
  */
 
-import { logInfo, logError } from './logger.js';
+import { logInfo, logError, logWarning } from './logger.js';
 import { isProduction } from './runtimeConfig.js';
-import { sendAlert } from './alerting.js';
+import { raiseAlert, resolveAlert, AlertKey } from './alerting.js';
+import { getStorage } from './storage/index.js';
 
-const CONTROL_COLLECTION = 'system_controls';
 const CONTROL_DOC_ID = 'scraper';
 
-let db;
 let killSwitchChecked = false;
 
-/**
- * Set Firestore instance
- */
-export function setFirestoreDb(firestoreDb) {
-    db = firestoreDb;
-}
-
 /**
  * Check if scraper is enabled
  * 
@@ -37,18 +30,15 @@ export function setFirestoreDb(firestoreDb) {
  * Throws: if Firestore error
  */
 export async function checkKillSwitch(context = 'startup') {
-    if (!db) {
-        throw new Error('Firestore not initialized - call setFirestoreDb() first');
-    }
+    const { controls } = getStorage();
 
     try {
-        const controlRef = db.collection(CONTROL_COLLECTION).doc(CONTROL_DOC_ID);
-        const controlDoc = await controlRef.get();
+        const controlData = await controls.get(CONTROL_DOC_ID);
 
         // Default to enabled if document doesn't exist
-        if (!controlDoc.exists) {
+        if (!controlData) {
             logInfo('Kill switch document not found - creating with enabled=true');
-            await controlRef.set({
+            await controls.set(CONTROL_DOC_ID, {
                 enabled: true,
                 lastChecked: new Date().toISOString(),
                 updatedAt: new Date().toISOString()
@@ -56,7 +46,6 @@ export async function checkKillSwitch(context = 'startup') {
             return true;
         }
 
-        const controlData = controlDoc.data();
         const enabled = controlData.enabled !== false;  // Default to true
 
         if (!enabled) {
@@ -67,7 +56,8 @@ export async function checkKillSwitch(context = 'startup') {
 
             // Send alert ONCE in production
             if (isProduction && !killSwitchChecked) {
-                await sendAlert({
+                await notify(() => raiseAlert({
+                    key: AlertKey.KILL_SWITCH,
                     severity: 'HIGH',
                     title: 'Scraper Disabled via Kill Switch',
                     message: `Scraper was stopped remotely. Context: ${context}`,
@@ -76,7 +66,7 @@ export async function checkKillSwitch(context = 'startup') {
                         reason: controlData.reason,
                         checkContext: context
                     }
-                });
+                }));
             }
 
             killSwitchChecked = true;
@@ -84,9 +74,15 @@ export async function checkKillSwitch(context = 'startup') {
         }
 
         // Update last checked timestamp
-        await controlRef.update({
-            lastChecked: new Date().toISOString()
-        });
+        if (context !== 'write') {
+            await controls.update(CONTROL_DOC_ID, {
+                lastChecked: new Date().toISOString()
+            });
+        }
+
+        if (context === 'startup' && isProduction) {
+            await notify(() => resolveAlert(AlertKey.KILL_SWITCH, { message: 'Scraper re-enabled.' }));
+        }
 
         logInfo(`✓ Kill switch check passed (${context})`);
         return true;  // Enabled
@@ -97,17 +93,24 @@ export async function checkKillSwitch(context = 'startup') {
     }
 }
 
+/**
+ * Send or resolve the kill switch alert - a failing alert channel must not
+ * fail the check (and with it the run)
+ */
+async function notify(alert) {
+    try {
+        await alert();
+    } catch (error) {
+        logWarning(`Kill switch alert failed: ${error.message}`);
+    }
+}
+
 /**
  * Enable scraper remotely
  * (For manual recovery)
  */
 export async function enableScraper(reason = 'Manual enable') {
-    if (!db) {
-        throw new Error('Firestore not initialized');
-    }
-
-    const controlRef = db.collection(CONTROL_COLLECTION).doc(CONTROL_DOC_ID);
-    await controlRef.set({
+    await getStorage().controls.set(CONTROL_DOC_ID, {
         enabled: true,
         updatedAt: new Date().toISOString(),
         reason: reason
@@ -121,12 +124,7 @@ export async function enableScraper(reason = 'Manual enable') {
  * (Emergency stop)
  */
 export async function disableScraper(reason = 'Manual disable') {
-    if (!db) {
-        throw new Error('Firestore not initialized');
-    }
-
-    const controlRef = db.collection(CONTROL_COLLECTION).doc(CONTROL_DOC_ID);
-    await controlRef.set({
+    await getStorage().controls.set(CONTROL_DOC_ID, {
         enabled: false,
         updatedAt: new Date().toISOString(),
         reason: reason
@@ -139,16 +137,11 @@ export async function disableScraper(reason = 'Manual disable') {
  * Get current kill switch status
  */
 export async function getKillSwitchStatus() {
-    if (!db) {
-        throw new Error('Firestore not initialized');
-    }
-
-    const controlRef = db.collection(CONTROL_COLLECTION).doc(CONTROL_DOC_ID);
-    const controlDoc = await controlRef.get();
+    const controlData = await getStorage().controls.get(CONTROL_DOC_ID);
 
-    if (!controlDoc.exists) {
+    if (!controlData) {
         return { enabled: true, reason: 'Default (no control document)' };
     }
 
-    return controlDoc.data();
+    return controlData;
 }
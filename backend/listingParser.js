@@ -0,0 +1,126 @@
+/**
+ * Listing Parser - Notifications Table
+ *
+ * Maps the columns of a notifications table (e.g. SPSC #myTable) to named
+ * fields using the header row, so a reordered or renamed column does not
+ * silently shift data into the wrong field.
+ *
+ * Rows arrive from the browser as plain data:
+ *   [{ text: 'cell text', links: [{ href, text }] }, ...]
+ *
+ * Header and PDF link patterns below are the defaults; a source config can
+ * override them (see sources/sourceConfig.js).
+ */
+
+import { logWarning } from './logger.js';
+
+/**
+ * Header patterns per field
+ * Order matters: more specific fields are matched first
+ * ("Notification No." must become advtNo, not subject)
+ */
+export const DEFAULT_COLUMN_PATTERNS = [
+    ['serialNo', [/^s\.?\s*[lr]?\.?\s*no\.?$/i, /^sl\b/i, /serial/i, /^#$/]],
+    ['advtNo', [/(?:advertisement|advt|notification|memo|ref(?:erence)?)\.?\s*no/i, /^no\.?$/i]],
+    ['issuedDate', [/date/i, /issued/i, /published/i]],
+    ['attachments', [/attach/i, /download/i, /file/i, /view/i, /pdf/i, /link/i]],
+    ['subject', [/subject/i, /title/i, /description/i, /particulars/i, /notification/i, /advertisement/i]]
+];
+
+/**
+ * Column order used when the table has no usable header row
+ */
+export const DEFAULT_COLUMN_ORDER = ['serialNo', 'advtNo', 'subject', 'issuedDate', 'attachments'];
+
+const REQUIRED_COLUMNS = ['subject'];
+
+/**
+ * Attachment links treated as PDFs, in order of preference: the first
+ * pattern that matches any link in a row wins for that row
+ */
+export const DEFAULT_PDF_LINK_PATTERNS = [/\.pdf(?:$|[?#])/i];
+
+/**
+ * Build { field: columnIndex } from header texts
+ *
+ * columnPatterns: [[field, [RegExp]]] in matching order
+ */
+export function buildColumnMap(headers = [], columnPatterns = DEFAULT_COLUMN_PATTERNS) {
+    const columnMap = {};
+    const cleaned = headers.map(h => (h || '').replace(/\s+/g, ' ').trim());
+
+    if (cleaned.every(h => !h)) {
+        logWarning('Notifications table has no header row - using default column order');
+        DEFAULT_COLUMN_ORDER.forEach((field, index) => {
+            columnMap[field] = index;
+        });
+        return columnMap;
+    }
+
+    cleaned.forEach((header, index) => {
+        if (!header) return;
+
+        for (const [field, patterns] of columnPatterns) {
+            if (columnMap[field] !== undefined) continue;
+
+            if (patterns.some(pattern => pattern.test(header))) {
+                columnMap[field] = index;
+                return;
+            }
+        }
+
+        logWarning(`Unmapped notifications column: "${header}"`);
+    });
+
+    const missing = REQUIRED_COLUMNS.filter(field => columnMap[field] === undefined);
+    if (missing.length > 0) {
+        throw new Error(
+            `Page structure changed: required column(s) not found (${missing.join(', ')}). Headers: ${cleaned.join(' | ')}`
+        );
+    }
+
+    return columnMap;
+}
+
+/**
+ * Convert one table row into named fields
+ */
+export function parseListingRow(cells, columnMap, { pdfLinkPatterns = DEFAULT_PDF_LINK_PATTERNS } = {}) {
+    const cellAt = field => {
+        const index = columnMap[field];
+        return index === undefined ? null : cells[index] || null;
+    };
+    const textOf = field => {
+        const text = cellAt(field)?.text?.replace(/\s+/g, ' ').trim();
+        return text || null;
+    };
+
+    // Attachments column first, then any PDF link anywhere in the row
+    const attachmentCell = cellAt('attachments');
+    const orderedLinks = [
+        ...(attachmentCell?.links || []),
+        ...cells.flatMap(cell => cell.links || [])
+    ];
+
+    const pattern = pdfLinkPatterns.find(p => orderedLinks.some(link => link.href && p.test(link.href)));
+
+    const attachments = [];
+    for (const link of orderedLinks) {
+        if (!pattern || !link.href || !pattern.test(link.href)) continue;
+        if (attachments.some(a => a.url === link.href)) continue;
+
+        attachments.push({
+            url: link.href,
+            label: (link.text || '').replace(/\s+/g, ' ').trim() || null
+        });
+    }
+
+    return {
+        serialNo: textOf('serialNo'),
+        advtNo: textOf('advtNo'),
+        subject: textOf('subject'),
+        issuedDate: textOf('issuedDate'),
+        attachments,
+        pdfUrls: attachments.map(a => a.url)
+    };
+}
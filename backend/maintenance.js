@@ -0,0 +1,163 @@
+/**
+ * Job Lifecycle Maintenance
+ *
+ * Runs daily after the scrape (.github/workflows/scraper.yml):
+ *   npm run maintenance
+ *
+ * Status is computed once when a job is inserted; this re-evaluates every
+ * stored job against today's date:
+ * - active / closing_soon / expired from lastDate
+ * - cancelled stays cancelled (set by a cancellation notice)
+ * - jobs whose last date (or creation date, without one) is older than
+ *   JOB_RETENTION_DAYS move to `jobs_archive` with status 'archived'
+ *
+ * Holds its own 'maintenance' run lock (independent of the scraper's) and
+ * stops when the kill switch is off. Each run is recorded in
+ * `maintenance_runs`.
+ */
+
+import { determineStatus } from './normalizer.js';
+import { updateJobStatus, archiveJob } from './firestoreService.js';
+import { initStorage, setStorage, getStorage } from './storage/index.js';
+import { initRuntimeConfig, getMaintenanceConfig } from './runtimeConfig.js';
+import { acquireLock, releaseLock, setupLockCleanup, LockName } from './runLock.js';
+import { checkKillSwitch } from './killSwitch.js';
+import { logInfo, logError, logWarning } from './logger.js';
+import {
+  initializeRun,
+  updateRunMetrics,
+  incrementCounter,
+  finalizeRun
+} from './scraperMetrics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Decide what happens to each stored job (pure - no writes)
+ *
+ * Returns: { actions: [{ id, action: 'status' | 'archive', from, to }],
+ *            statusCounts: { status: count } }
+ */
+export function planMaintenance(jobs, { now = new Date(), retentionDays, closingSoonDays }) {
+  const cutoff = now.getTime() - retentionDays * DAY_MS;
+  const actions = [];
+  const statusCounts = {};
+
+  for (const job of jobs) {
+    const status = job.status === 'cancelled'
+      ? 'cancelled'
+      : determineStatus(job.lastDate, { now, closingSoonDays });
+
+    const reference = job.lastDate || job.createdAt;
+    const referenceTime = reference ? new Date(reference).getTime() : NaN;
+
+    if (referenceTime < cutoff) {
+      actions.push({ id: job.id, action: 'archive', from: job.status || null, to: 'archived' });
+      statusCounts.archived = (statusCounts.archived || 0) + 1;
+      continue;
+    }
+
+    if (status !== job.status) {
+      actions.push({ id: job.id, action: 'status', from: job.status || null, to: status });
+    }
+    statusCounts[status] = (statusCounts[status] || 0) + 1;
+  }
+
+  return { actions, statusCounts };
+}
+
+/**
+ * Run maintenance
+ *
+ * Options (all optional, used by tests and tooling):
+ *   storage         - storage backend (default: initStorage())
+ *   now             - reference time (default: current time)
+ *   retentionDays   - override JOB_RETENTION_DAYS
+ *   closingSoonDays - override CLOSING_SOON_DAYS
+ *   dryRun          - plan only, write nothing but the run document
+ */
+async function runMaintenance(options = {}) {
+  const { now = new Date(), dryRun = false } = options;
+
+  initRuntimeConfig();
+  const config = getMaintenanceConfig();
+  const retentionDays = options.retentionDays ?? config.retentionDays;
+  const closingSoonDays = options.closingSoonDays ?? config.closingSoonDays;
+
+  if (options.storage) {
+    setStorage(options.storage);
+  } else {
+    await initStorage();
+  }
+
+  const runId = await initializeRun('maintenance');
+  let locked = false;
+
+  try {
+    if (!(await checkKillSwitch('maintenance'))) {
+      await finalizeRun('disabled');
+      return { runId, status: 'disabled' };
+    }
+
+    locked = await acquireLock(LockName.MAINTENANCE);
+    if (!locked) {
+      logWarning('Maintenance skipped - another run holds the lock');
+      await finalizeRun('skipped_locked');
+      return { runId, status: 'skipped_locked' };
+    }
+
+    const jobs = await getStorage().jobs.list();
+    const { actions, statusCounts } = planMaintenance(jobs, { now, retentionDays, closingSoonDays });
+
+    await updateRunMetrics({ jobsChecked: jobs.length, statusCounts, retentionDays, dryRun });
+    logInfo(`Maintenance: ${jobs.length} jobs checked, ${actions.length} to update`);
+
+    if (dryRun) {
+      await finalizeRun('success');
+      return { runId, status: 'success', dryRun, actions, statusCounts };
+    }
+
+    if (actions.length > 0 && !(await checkKillSwitch('write'))) {
+      await finalizeRun('disabled');
+      return { runId, status: 'disabled' };
+    }
+
+    let errors = 0;
+    for (const action of actions) {
+      try {
+        if (action.action === 'archive') {
+          await archiveJob(action.id);
+          await incrementCounter('jobsArchived');
+        } else {
+          await updateJobStatus(action.id, action.to);
+          await incrementCounter('statusChanged');
+        }
+      } catch (err) {
+        logError(`Maintenance failed for ${action.id}`, err);
+        await incrementCounter('errorsCount');
+        errors++;
+      }
+    }
+
+    const status = errors > 0 ? 'partial' : 'success';
+    await finalizeRun(status);
+
+    return { runId, status, actions, statusCounts };
+  } catch (err) {
+    logError('Fatal maintenance error', err);
+    await finalizeRun('failed', err.message);
+    throw err;
+  } finally {
+    if (locked) await releaseLock(LockName.MAINTENANCE);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  setupLockCleanup();
+
+  runMaintenance({ dryRun: process.argv.includes('--dry-run') })
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
+
+export { runMaintenance };
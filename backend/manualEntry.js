@@ -0,0 +1,266 @@
+/**
+ * Manual Entry Queue (scanned PDFs)
+ *
+ * OCR is not part of the pipeline: a PDF without a text layer is saved
+ * with dataComplete=false and only linked. Each such job gets an item in
+ * `manual_entry_queue` (one per job, id = job id) that counts the parse
+ * attempts made on it, so volunteers can enter its fields by hand:
+ *
+ *   npm run manual -- list [--status pending|entered|recovered|all] [--source spsc]
+ *   npm run manual -- template [--source spsc] > entries.json
+ *   npm run manual -- import entries.json [--by name]
+ *   npm run manual -- set <jobId> lastDate=31/01/2026 totalPosts=12 [--by name] [--note text]
+ *
+ * entries.json: [{ "jobId": "...", "fields": { "lastDate": "31/01/2026" },
+ *                  "note": "...", "complete": true }]
+ *
+ * Entered values are normalized like scraped ones and saved with
+ * provenance 'manual': later scrapes and reprocess runs keep them (see
+ * planJobSave). An entry marks the job dataComplete and closes its item
+ * unless it says "complete": false (partial entry, the item stays
+ * pending). An item whose PDF later parses on its own (e.g. a text
+ * version was uploaded under the same URL) is closed as 'recovered'.
+ */
+
+import fs from 'fs';
+import { getStorage, initStorage } from './storage/index.js';
+import { correctJob } from './firestoreService.js';
+import { updateReview } from './review.js';
+import { normalizeFields, Provenance } from './normalizer.js';
+import { initRuntimeConfig } from './runtimeConfig.js';
+import { logInfo, logWarning, logError } from './logger.js';
+
+export const ManualEntryStatus = {
+  PENDING: 'pending',
+  ENTERED: 'entered',
+  RECOVERED: 'recovered'
+};
+
+/**
+ * Queue gate - run after every parse attempt on a saved job
+ *
+ * Queues an incomplete job (or counts another attempt on its item) and
+ * closes the item of a job that is no longer incomplete.
+ *
+ * retry - runs each storage step (e.g. retryOperation); a retried gate
+ *         would count the attempt twice
+ * Returns: { queued, attempts } (queued only the first time)
+ */
+export async function trackIncompleteJob(jobId, { retry = operation => operation() } = {}) {
+  const { jobs, manualEntries } = getStorage();
+  const job = await retry(() => jobs.get(jobId));
+  if (!job) return { queued: false, attempts: 0 };
+
+  const item = await retry(() => manualEntries.get(jobId));
+  const now = new Date();
+
+  if (job.dataComplete !== false) {
+    if (item?.status === ManualEntryStatus.PENDING) {
+      await retry(() => manualEntries.update(jobId, { status: ManualEntryStatus.RECOVERED, resolvedAt: now, updatedAt: now }));
+      logInfo(`Job ${jobId} parsed on attempt ${item.attempts + 1} - removed from manual entry queue`);
+    }
+    return { queued: false, attempts: item?.attempts || 0 };
+  }
+
+  const attempts = (item?.attempts || 0) + 1;
+  const queued = !item;
+
+  await retry(() => manualEntries.set(jobId, {
+    jobId,
+    source: job.source || null,
+    advtNo: job.advtNo || null,
+    postName: job.postName || null,
+    issuedDate: job.issuedDate || null,
+    pdfUrl: job.pdfUrl || null,
+    status: item?.status || ManualEntryStatus.PENDING,
+    attempts,
+    lastError: job.metadata?.parsingErrors?.[0] || null,
+    errorType: job.metadata?.errorType || null,
+    contentHash: job.metadata?.contentHash || null,
+    queuedAt: item?.queuedAt || now,
+    lastAttemptAt: now,
+    updatedAt: now,
+    resolvedAt: item?.resolvedAt || null,
+    enteredBy: item?.enteredBy || null,
+    fields: item?.fields || []
+  }));
+
+  if (queued) {
+    logInfo(`Job ${jobId} queued for manual entry: ${job.metadata?.parsingErrors?.[0] || 'no text'}`);
+  }
+  return { queued, attempts };
+}
+
+/**
+ * Queue items, oldest first (status 'all' for every item)
+ */
+export async function listManualEntries({ status = ManualEntryStatus.PENDING, source } = {}) {
+  const where = [];
+  if (status !== 'all') where.push(['status', '==', status]);
+  if (source) where.push(['source', '==', source]);
+
+  const items = await getStorage().manualEntries.list({ where });
+  return items.sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
+}
+
+/**
+ * Import template for the pending items (what `import` reads)
+ */
+export async function manualEntryTemplate({ source } = {}) {
+  const items = await listManualEntries({ source });
+  return items.map(item => ({
+    jobId: item.jobId,
+    pdfUrl: item.pdfUrl,
+    advtNo: item.advtNo,
+    fields: { postName: null, department: null, totalPosts: null, qualification: null, lastDate: null },
+    note: null,
+    complete: true
+  }));
+}
+
+/**
+ * Save the fields of one job entered by hand
+ *
+ * fields - raw values ({ lastDate: '31/01/2026' }); empty values are skipped
+ * Returns: the closed (or still pending) queue item
+ */
+export async function enterManualFields(jobId, fields, { by = null, note = null, complete = true } = {}) {
+  const { jobs, manualEntries } = getStorage();
+  const job = await jobs.get(jobId);
+  if (!job) throw new Error(`Job ${jobId} not found`);
+
+  const entered = Object.fromEntries(Object.entries(fields || {}).filter(([, raw]) => raw !== null && raw !== ''));
+  const values = normalizeFields(entered);
+  if (Object.keys(values).length === 0) {
+    throw new Error(`No fields entered for ${jobId}`);
+  }
+
+  await correctJob(jobId, values, {
+    provenance: Provenance.MANUAL,
+    reason: 'manual',
+    dataComplete: complete ? true : undefined,
+    details: { enteredBy: by, note }
+  });
+
+  const now = new Date();
+  const item = await manualEntries.get(jobId) || {
+    jobId,
+    source: job.source || null,
+    advtNo: job.advtNo || null,
+    postName: job.postName || null,
+    issuedDate: job.issuedDate || null,
+    pdfUrl: job.pdfUrl || null,
+    attempts: 0,
+    lastError: null,
+    queuedAt: now
+  };
+  const updated = {
+    ...item,
+    status: complete ? ManualEntryStatus.ENTERED : ManualEntryStatus.PENDING,
+    fields: [...new Set([...(item.fields || []), ...Object.keys(values)])],
+    enteredBy: by,
+    note,
+    resolvedAt: complete ? now : null,
+    updatedAt: now
+  };
+  await manualEntries.set(jobId, updated);
+
+  // A completed job is scored and published like a parsed one
+  await updateReview(jobId);
+
+  logInfo(`Manual entry for ${jobId}: ${Object.keys(values).join(', ')}${by ? ` by ${by}` : ''}`);
+  return updated;
+}
+
+/**
+ * Import entries ([{ jobId, fields, note, complete }]); a failing entry
+ * is reported and does not stop the others
+ *
+ * Returns: [{ jobId, status: 'entered' | 'pending' | 'failed', error }]
+ */
+export async function importManualEntries(entries, { by = null } = {}) {
+  if (!Array.isArray(entries)) {
+    throw new Error('Manual entries must be a JSON array');
+  }
+
+  const results = [];
+  for (const entry of entries) {
+    try {
+      const item = await enterManualFields(entry.jobId, entry.fields, {
+        by: entry.by || by,
+        note: entry.note || null,
+        complete: entry.complete !== false
+      });
+      results.push({ jobId: entry.jobId, status: item.status, error: null });
+    } catch (err) {
+      logWarning(`Manual entry for ${entry.jobId} failed: ${err.message}`);
+      results.push({ jobId: entry.jobId || null, status: 'failed', error: err.message });
+    }
+  }
+
+  return results;
+}
+
+function printItems(items) {
+  if (items.length === 0) {
+    console.log('Manual entry queue is empty');
+    return;
+  }
+
+  for (const item of items) {
+    console.log(`${item.jobId} [${item.status}] ${item.attempts} attempt(s) - ${item.postName || item.advtNo || ''}`);
+    console.log(`  ${item.pdfUrl || 'no PDF'}`);
+    if (item.lastError) console.log(`  last error: ${item.lastError}`);
+    if (item.fields.length > 0) console.log(`  entered: ${item.fields.join(', ')}${item.enteredBy ? ` by ${item.enteredBy}` : ''}`);
+  }
+}
+
+async function main(argv) {
+  const [command, target, ...rest] = argv;
+  const option = flag => {
+    const index = argv.indexOf(flag);
+    return index >= 0 ? argv[index + 1] : undefined;
+  };
+  const by = option('--by') || process.env.USER || null;
+
+  initRuntimeConfig();
+  await initStorage();
+
+  switch (command) {
+    case 'list':
+      printItems(await listManualEntries({ status: option('--status'), source: option('--source') }));
+      return;
+    case 'template':
+      console.log(JSON.stringify(await manualEntryTemplate({ source: option('--source') }), null, 2));
+      return;
+    case 'import': {
+      const entries = JSON.parse(fs.readFileSync(target, 'utf8'));
+      const results = await importManualEntries(entries, { by });
+      for (const result of results) {
+        console.log(`${result.jobId}: ${result.status}${result.error ? ` - ${result.error}` : ''}`);
+      }
+      if (results.some(result => result.status === 'failed')) process.exitCode = 1;
+      return;
+    }
+    case 'set': {
+      const pairs = rest.filter((arg, i) => arg.includes('=') && !rest[i - 1]?.startsWith('--'));
+      const fields = Object.fromEntries(pairs.map(pair => {
+        const index = pair.indexOf('=');
+        return [pair.slice(0, index), pair.slice(index + 1)];
+      }));
+      printItems([await enterManualFields(target, fields, { by, note: option('--note') || null })]);
+      return;
+    }
+    default:
+      throw new Error('Usage: manualEntry.js list | template | import <file.json> | set <jobId> field=value ...');
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(process.exitCode || 0))
+    .catch(err => {
+      logError('Manual entry command failed', err);
+      process.exit(1);
+    });
+}
@@ -5,19 +5,113 @@
  * Features:
  * - Date normalization (multiple formats)
  * - Text cleaning and validation
- * - Fallback values for missing data
+ * - Field provenance (extracted / listing / defaulted / missing / amended /
+ *   corrected)
+ * - Per-field confidence (PDF pattern and position, listing cross-check)
+ * - Structured eligibility fields (age, fee, pay, selection mode)
  * - Validation rules
+ *
+ * NO FABRICATED DATA: a field that cannot be found is null with provenance
+ * "missing". Defaults are opt-in per field via options.defaults.
  */
 
 import moment from 'moment';
 import { logWarning } from './logger.js';
+import { getStatusConfig } from './runtimeConfig.js';
+
+/**
+ * Fields that carry provenance
+ */
+export const TRACKED_FIELDS = [
+    'advtNo',
+    'postName',
+    'department',
+    'totalPosts',
+    'qualification',
+    'lastDate',
+    'issuedDate',
+    'ageLimit',
+    'applicationFee',
+    'payScale',
+    'selectionMode'
+];
+
+// Listing columns win over PDF text for these fields
+const LISTING_FIELDS = ['advtNo', 'postName', 'issuedDate'];
+
+export const Provenance = {
+    EXTRACTED: 'extracted',
+    LISTING: 'listing',
+    DEFAULTED: 'defaulted',
+    MISSING: 'missing',
+    AMENDED: 'amended',     // changed later by a corrigendum/extension
+    CORRECTED: 'corrected', // set by a reviewer (review.js)
+    MANUAL: 'manual'        // entered by hand for a scanned PDF (manualEntry.js)
+};
+
+// Values these provenances carry are trusted as they are (confidence 1)
+const TRUSTED_PROVENANCE = [Provenance.LISTING, Provenance.AMENDED, Provenance.CORRECTED, Provenance.MANUAL];
+
+// Extracted fields of a PDF that disagrees with its listing row score lower
+const CROSS_CHECK_FACTOR = 0.7;
+
+/**
+ * Merge a listing row with PDF data, recording where each field came from
+ */
+export function mergeListingAndPdf(listing, pdfData = {}) {
+    const merged = { ...listing, ...pdfData };
+    const provenance = {};
+
+    for (const field of TRACKED_FIELDS) {
+        const fromListing = LISTING_FIELDS.includes(field) || pdfData[field] == null
+            ? listing[field]
+            : null;
+
+        if (fromListing != null && fromListing !== '') {
+            merged[field] = fromListing;
+            provenance[field] = Provenance.LISTING;
+        } else if (pdfData[field] != null) {
+            merged[field] = pdfData[field];
+            provenance[field] = Provenance.EXTRACTED;
+        }
+    }
+
+    merged.provenance = provenance;
+    merged.crossCheck = crossCheck(listing, pdfData);
+    return merged;
+}
+
+/**
+ * Compare the PDF's own values of listing fields with the listing row
+ * ('match' | 'mismatch' per field both have). The listing value is used
+ * either way; a mismatch means the rest of the PDF may be misread.
+ */
+function crossCheck(listing, pdfData) {
+    const comparable = value => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const result = {};
+
+    for (const field of LISTING_FIELDS) {
+        const a = listing[field] ? comparable(listing[field]) : '';
+        const b = pdfData[field] ? comparable(pdfData[field]) : '';
+        if (!a || !b) continue;
+
+        result[field] = a.includes(b) || b.includes(a) ? 'match' : 'mismatch';
+    }
+
+    return result;
+}
 
 /**
  * Normalize job data
+ *
+ * Options:
+ *   defaults - { field: value | () => value } applied only when a field is
+ *              missing, e.g. { department: 'SPSC' }. Provenance: defaulted.
  */
-export function normalizeJobData(rawData) {
+export function normalizeJobData(rawData, options = {}) {
+    const issuedDate = normalizeIssuedDate(rawData.issuedDate ?? rawData.issuedDateText);
+
     const normalized = {
-        // Required fields with fallbacks
         advtNo: normalizeAdvtNo(rawData.advtNo),
         postName: normalizePostName(rawData.postName),
         department: normalizeDepartment(rawData.department),
@@ -25,45 +119,148 @@ export function normalizeJobData(rawData) {
         qualification: normalizeQualification(rawData.qualification),
         lastDate: normalizeDate(rawData.lastDate),
         pdfUrl: rawData.pdfUrl,
+        posts: normalizeVacancies(rawData.posts),
+
+        // Eligibility details - null means "not found in the notification"
+        ageLimit: normalizeAgeLimit(rawData.ageLimit, rawData.ageRelaxation),
+        applicationFee: normalizeApplicationFee(rawData.applicationFee),
+        payScale: normalizePayScale(rawData.payScale),
+        selectionMode: normalizeSelectionMode(rawData.selectionMode),
+
+        source: rawData.source || 'spsc',
+
+        // Listing row (notifications table)
+        serialNo: rawData.serialNo || null,
+        subject: rawData.subject || null,
+        issuedDate,
+        // The listed text of an issue date that does not parse
+        issuedDateText: issuedDate ? null : normalizeListingText(rawData.issuedDate ?? rawData.issuedDateText),
+        attachments: rawData.attachments || [],
 
         // Metadata
         scrapedAt: rawData.scrapedAt || new Date().toISOString(),
         createdAt: new Date().toISOString(),
-        status: determineStatus(rawData.lastDate),
+        status: null,
         dataComplete: rawData.dataComplete !== false,
+        parserVersion: rawData.metadata?.parserVersion ?? null,
 
         metadata: {
-            sourceUrl: rawData.sourceUrl || 'https://spscskm.gov.in',
+            sourceUrl: rawData.sourceUrl || null,
             parsingErrors: rawData.metadata?.parsingErrors || [],
             ...rawData.metadata
         }
     };
 
-    // Validate
-    validateJobData(normalized);
+    normalized.provenance = applyProvenance(normalized, rawData.provenance, options.defaults);
+    normalized.status = determineStatus(normalized.lastDate);
+    normalized.fieldConfidence = normalizeConfidence(rawData, normalized);
+    normalized.fieldEvidence = fieldEvidence(rawData);
+
+    // Validate (persisted with the job)
+    normalized.validation = validateJobData(normalized);
+
+    return normalized;
+}
+
+/**
+ * Fill opt-in defaults and record provenance for every tracked field
+ */
+function applyProvenance(normalized, hints = {}, defaults = {}) {
+    const provenance = {};
+
+    for (const field of TRACKED_FIELDS) {
+        if (normalized[field] != null) {
+            provenance[field] = hints?.[field] || Provenance.EXTRACTED;
+            continue;
+        }
+
+        if (defaults && Object.prototype.hasOwnProperty.call(defaults, field)) {
+            const value = typeof defaults[field] === 'function' ? defaults[field]() : defaults[field];
+            if (value != null) {
+                normalized[field] = value;
+                provenance[field] = Provenance.DEFAULTED;
+                continue;
+            }
+        }
+
+        provenance[field] = Provenance.MISSING;
+    }
+
+    return provenance;
+}
+
+/**
+ * Normalize one field's value as normalizeJobData() would (corrections)
+ */
+export function normalizeField(field, value) {
+    const normalize = FIELD_NORMALIZERS[field];
+    if (!normalize) {
+        throw new Error(`Unknown field: ${field} (expected ${Object.keys(FIELD_NORMALIZERS).join(', ')})`);
+    }
+    return normalize(value);
+}
+
+/**
+ * Normalize values entered by hand ({ field: raw }); a value that does not
+ * survive normalization throws instead of being stored as null
+ */
+export function normalizeFields(values) {
+    const normalized = {};
+
+    for (const [field, raw] of Object.entries(values)) {
+        const value = normalizeField(field, raw);
+        if (value === null && raw !== null && raw !== '') {
+            throw new Error(`Invalid value for ${field}: ${raw}`);
+        }
+        normalized[field] = value;
+    }
 
     return normalized;
 }
 
+const FIELD_NORMALIZERS = {
+    advtNo: value => normalizeAdvtNo(value),
+    postName: value => normalizePostName(value),
+    department: value => normalizeDepartment(value),
+    totalPosts: value => normalizeTotalPosts(value),
+    qualification: value => normalizeQualification(value),
+    lastDate: value => normalizeDate(value),
+    issuedDate: value => normalizeIssuedDate(value),
+    ageLimit: value => normalizeAgeLimit(value),
+    applicationFee: value => normalizeApplicationFee(value),
+    payScale: value => normalizePayScale(value),
+    selectionMode: value => normalizeSelectionMode(value)
+};
+
 /**
  * Normalize advertisement number
  */
 function normalizeAdvtNo(advtNo) {
     if (!advtNo || advtNo.startsWith('TEMP_')) {
-        // Generate fallback from timestamp
-        return `SPSC/${new Date().getFullYear()}/${Date.now()}`;
+        return null;
     }
 
     // Uppercase and clean
     return advtNo.toUpperCase().trim();
 }
 
+/**
+ * Normalize free text copied from a listing cell
+ */
+function normalizeListingText(value) {
+    if (!value) {
+        return null;
+    }
+
+    return value.replace(/\s+/g, ' ').trim() || null;
+}
+
 /**
  * Normalize post name
  */
 function normalizePostName(postName) {
     if (!postName || postName === 'Unknown Position') {
-        return 'Position Not Specified';
+        return null;
     }
 
     // Clean and title case
@@ -86,7 +283,7 @@ function normalizePostName(postName) {
  */
 function normalizeDepartment(department) {
     if (!department) {
-        return 'SPSC';
+        return null;
     }
 
     return department
@@ -100,25 +297,293 @@ function normalizeDepartment(department) {
  */
 function normalizeTotalPosts(totalPosts) {
     if (!totalPosts) {
-        return 1;
+        return null;
     }
 
     const parsed = parseInt(totalPosts, 10);
 
     if (isNaN(parsed) || parsed < 1) {
-        logWarning(`Invalid totalPosts: ${totalPosts}, defaulting to 1`);
-        return 1;
+        logWarning(`Invalid totalPosts: ${totalPosts}`);
+        return null;
     }
 
     return parsed;
 }
 
+/**
+ * Normalize vacancy table rows (multi-post advertisements)
+ */
+function normalizeVacancies(posts) {
+    if (!Array.isArray(posts)) {
+        return [];
+    }
+
+    return posts
+        .filter(post => post && post.postName)
+        .map((post, index) => ({
+            index: index + 1,
+            postName: normalizePostName(post.postName),
+            department: post.department ? normalizeDepartment(post.department) : null,
+            payLevel: normalizePayLevel(post.payLevel),
+            vacancies: Number.isInteger(post.vacancies) && post.vacancies > 0 ? post.vacancies : null,
+            qualification: post.qualification ? normalizeQualification(post.qualification) : null
+        }));
+}
+
+/**
+ * Normalize pay level ("level-11", "11" → "Level 11")
+ */
+function normalizePayLevel(payLevel) {
+    if (!payLevel) {
+        return null;
+    }
+
+    const match = String(payLevel).match(/(\d{1,2}[A-Z]?)/i);
+    return match ? `Level ${match[1].toUpperCase()}` : String(payLevel).trim();
+}
+
+/**
+ * Age relaxation categories (Sikkim reservation categories included)
+ */
+const RELAXATION_CATEGORIES = {
+    SC: /\bSC\b|scheduled\s+caste/i,
+    ST: /\bST\b|scheduled\s+tribe/i,
+    BL: /\bBL\b|bhutia|lepcha/i,
+    OBC: /\bOBC\b|other\s+backward/i,
+    MBC: /\bMBC\b|most\s+backward/i,
+    PWD: /\bPw(?:B)?D\b|disabilit|differently\s+abled|handicap/i,
+    EX_SERVICEMEN: /ex[-\s]?servicem[ae]n/i,
+    WOMEN: /\bwomen\b|\bfemale\b/i,
+    GOVT_EMPLOYEE: /government\s+(?:servants?|employees?)|in[-\s]service/i,
+    SIKKIM_SUBJECT: /sikkim\s+subject|certificate\s+of\s+identification|\bCOI\b/i
+};
+
+/**
+ * Normalize age limit
+ * "Between 18 and 40 years as on 31/12/2025" → { min: 18, max: 40, asOn, relaxations }
+ */
+function normalizeAgeLimit(ageText, relaxationText) {
+    if (!ageText) {
+        return null;
+    }
+
+    let min = null;
+    let max = null;
+
+    const range = ageText.match(/(\d{2})\s*(?:to|and|-|–)\s*(\d{2})\s*(?:years|yrs)/i);
+    if (range) {
+        min = parseInt(range[1], 10);
+        max = parseInt(range[2], 10);
+    } else {
+        const upper = ageText.match(/(?:not\s+(?:be\s+)?(?:more\s+than|exceeding|above)|maximum|upper\s+age\s+limit\s*(?:of)?|below)\s*(?:of\s*)?(\d{2})/i);
+        const lower = ageText.match(/(?:not\s+(?:be\s+)?(?:less\s+than|below)|minimum|lower\s+age\s+limit\s*(?:of)?|above)\s*(?:of\s*)?(\d{2})/i);
+        if (upper) max = parseInt(upper[1], 10);
+        if (lower) min = parseInt(lower[1], 10);
+    }
+
+    if (min === null && max === null) {
+        logWarning(`Could not parse age limit: ${ageText}`);
+        return null;
+    }
+
+    const asOnMatch = ageText.match(/as\s+on\s+(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i);
+
+    return {
+        min,
+        max,
+        asOn: asOnMatch ? parseDateOrNull(asOnMatch[1]) : null,
+        relaxations: parseRelaxations([ageText, relaxationText].filter(Boolean).join('\n')),
+        raw: cleanSnippet(ageText)
+    };
+}
+
+/**
+ * "relaxable by 5 years for SC/ST and 3 years for OBC" → { SC: 5, ST: 5, OBC: 3 }
+ */
+function parseRelaxations(text) {
+    const relaxations = {};
+    const assign = (label, years) => {
+        for (const [category, pattern] of Object.entries(RELAXATION_CATEGORIES)) {
+            if (pattern.test(label) && relaxations[category] === undefined) {
+                relaxations[category] = parseInt(years, 10);
+            }
+        }
+    };
+
+    // "PwD: 10 years" style, category before the number
+    const labelled = /(\b[A-Za-z][A-Za-z\/\s-]{1,40}?)\s*[:\-–]\s*(\d{1,2})\s*(?:years|yrs)/gi;
+    for (const match of text.matchAll(labelled)) {
+        assign(match[1], match[2]);
+    }
+
+    // "<n> years for <categories>" clauses, each ending at the next
+    // number of years or the end of the sentence
+    const clauses = text.split(/(?=\b\d{1,2}\s*(?:years|yrs)\b)/i);
+    for (const clause of clauses) {
+        const years = clause.match(/^(\d{1,2})\s*(?:years|yrs)\b/i);
+        if (!years) continue;
+
+        assign(clause.split(/[.;](?:\s|$)/)[0], years[1]);
+    }
+
+    return relaxations;
+}
+
+/**
+ * Normalize application fee
+ * "Rs. 500 for General and Rs. 250 for reserved categories"
+ *   → { general: 500, reserved: 250, exempted: [], amounts: [...] }
+ */
+function normalizeApplicationFee(feeText) {
+    if (!feeText) {
+        return null;
+    }
+
+    // Each amount applies to the text up to the next amount
+    const matches = [...feeText.matchAll(/(?:Rs\.?|INR|₹)\s*([\d,]+)(?:\/-)?/gi)];
+    const amounts = matches
+        .map((match, i) => {
+            const end = i + 1 < matches.length ? matches[i + 1].index : feeText.length;
+            return {
+                amount: parseInt(match[1].replace(/,/g, ''), 10),
+                appliesTo: cleanSnippet(feeText.slice(match.index + match[0].length, end)) || null
+            };
+        })
+        .filter(a => !isNaN(a.amount));
+
+    // Categories named in the sentence(s) that grant the exemption
+    const exemptText = feeText
+        .split(/[.;](?:\s|$)/)
+        .filter(sentence => /exempt|no\s+fee|\bnil\b|free\s+of\s+cost/i.test(sentence))
+        .join(' ');
+    const exempted = Object.keys(RELAXATION_CATEGORIES)
+        .filter(c => exemptText && RELAXATION_CATEGORIES[c].test(exemptText));
+
+    if (amounts.length === 0 && exempted.length === 0 && !/\bnil\b|no\s+fee/i.test(feeText)) {
+        logWarning(`Could not parse application fee: ${feeText}`);
+        return null;
+    }
+
+    const find = pattern => amounts.find(a => a.appliesTo && pattern.test(a.appliesTo))?.amount ?? null;
+    const general = find(/general|unreserved|\bUR\b|others/i) ?? (amounts.length === 1 ? amounts[0].amount : null);
+    const reserved = find(/reserved|\bSC\b|\bST\b|\bOBC\b|\bBL\b|\bMBC\b/i);
+
+    return {
+        general,
+        reserved,
+        exempted,
+        amounts,
+        currency: 'INR',
+        raw: cleanSnippet(feeText)
+    };
+}
+
+/**
+ * Normalize pay scale
+ * "Level 8 in the Pay Matrix (Rs. 35400 - 112400)" → { level: 'Level 8', min: 35400, max: 112400 }
+ */
+function normalizePayScale(payText) {
+    if (!payText) {
+        return null;
+    }
+
+    const level = payText.match(/Level[-\s]*(\d{1,2}[A-Z]?)\b/i);
+    const range = payText.match(/([\d,]{4,})\s*(?:-|–|to)\s*([\d,]{4,})/);
+
+    if (!level && !range) {
+        logWarning(`Could not parse pay scale: ${payText}`);
+        return null;
+    }
+
+    return {
+        level: level ? `Level ${level[1].toUpperCase()}` : null,
+        min: range ? parseInt(range[1].replace(/,/g, ''), 10) : null,
+        max: range ? parseInt(range[2].replace(/,/g, ''), 10) : null,
+        raw: cleanSnippet(payText)
+    };
+}
+
+/**
+ * Normalize selection mode → 'written' | 'interview' | 'written_and_interview'
+ */
+function normalizeSelectionMode(modeText) {
+    if (!modeText) {
+        return null;
+    }
+
+    const written = /written|examination|\bexam\b|\btest\b|\bcbt\b|computer\s+based/i.test(modeText);
+    const interview = /interview|viva|personality/i.test(modeText);
+
+    if (written && interview) return 'written_and_interview';
+    if (written) return 'written';
+    if (interview) return 'interview';
+
+    logWarning(`Could not parse selection mode: ${modeText}`);
+    return null;
+}
+
+/**
+ * Per-field confidence (0-1)
+ * - extracted: the PDF parser's score (pattern and position), lowered by
+ *   CROSS_CHECK_FACTOR when the PDF disagrees with its listing row
+ * - listing / amended / corrected: 1
+ * - a field that did not survive normalization (or was defaulted) scores 0
+ */
+function normalizeConfidence(rawData, normalized) {
+    const scores = rawData.confidence || {};
+    const mismatch = Object.values(rawData.crossCheck || {}).includes('mismatch');
+    const trusted = TRACKED_FIELDS.filter(field => TRUSTED_PROVENANCE.includes(normalized.provenance[field]));
+    const result = {};
+
+    for (const field of new Set([...Object.keys(scores), ...trusted])) {
+        if (field === 'ageRelaxation') continue;
+
+        const provenance = normalized.provenance[field];
+        if (normalized[field] === null || normalized[field] === undefined || provenance === Provenance.DEFAULTED) {
+            result[field] = 0;
+        } else if (TRUSTED_PROVENANCE.includes(provenance)) {
+            result[field] = 1;
+        } else {
+            result[field] = Math.round((scores[field] || 0) * (mismatch ? CROSS_CHECK_FACTOR : 1) * 100) / 100;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Why each field scored what it did: the PDF parser's evidence
+ * ({ pattern, position } or { table }) and the listing cross-check
+ */
+function fieldEvidence(rawData) {
+    const result = {};
+
+    for (const [field, evidence] of Object.entries(rawData.evidence || {})) {
+        if (field === 'ageRelaxation') continue;
+        result[field] = { ...evidence };
+    }
+    for (const [field, check] of Object.entries(rawData.crossCheck || {})) {
+        result[field] = { ...result[field], listing: check };
+    }
+
+    return result;
+}
+
+function cleanSnippet(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function parseDateOrNull(dateStr) {
+    const parsed = moment(dateStr, ['DD/MM/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'D/M/YYYY'], true);
+    return parsed.isValid() ? parsed.toISOString() : null;
+}
+
 /**
  * Normalize qualification
  */
 function normalizeQualification(qualification) {
     if (!qualification) {
-        return 'See official notification for qualification details';
+        return null;
     }
 
     // Clean whitespace but preserve line breaks
@@ -136,32 +601,33 @@ function normalizeQualification(qualification) {
     return cleaned;
 }
 
+// Date formats of listings and PDFs, tried in order
+const DATE_FORMATS = [
+    'DD/MM/YYYY',
+    'DD-MM-YYYY',
+    'DD.MM.YYYY',
+    'D/M/YYYY',
+    'D-M-YYYY',
+    'DD/MM/YY',
+    'DD-MM-YY'
+];
+
 /**
  * Normalize date - handles multiple formats
+ *
+ * Options:
+ *   warnPast - log dates in the past (default: true, for last dates)
  */
-function normalizeDate(dateStr) {
+export function normalizeDate(dateStr, { warnPast = true } = {}) {
     if (!dateStr) {
-        // Default to 30 days from now if no date found
-        logWarning('No last date found, defaulting to +30 days');
-        return moment().add(30, 'days').toISOString();
-    }
-
-    // Supported formats
-    const formats = [
-        'DD/MM/YYYY',
-        'DD-MM-YYYY',
-        'DD.MM.YYYY',
-        'D/M/YYYY',
-        'D-M-YYYY',
-        'DD/MM/YY',
-        'DD-MM-YY'
-    ];
-
-    for (const format of formats) {
+        return null;
+    }
+
+    for (const format of DATE_FORMATS) {
         const parsed = moment(dateStr, format, true);
         if (parsed.isValid()) {
             // Ensure it's a future date
-            if (parsed.isBefore(moment())) {
+            if (warnPast && parsed.isBefore(moment())) {
                 logWarning(`Last date is in the past: ${dateStr}`);
             }
             return parsed.toISOString();
@@ -169,40 +635,94 @@ function normalizeDate(dateStr) {
     }
 
     // If all parsing fails
-    logWarning(`Could not parse date: ${dateStr}, defaulting to +30 days`);
-    return moment().add(30, 'days').toISOString();
+    logWarning(`Could not parse date: ${dateStr}`);
+    return null;
+}
+
+/**
+ * Normalize a listing issue date to its calendar day (YYYY-MM-DD). A plain
+ * day, not a timestamp: ids, watermarks and date filters built from it do
+ * not depend on the machine's timezone.
+ *
+ * Stored values are accepted too (reprocess re-normalizes stored jobs);
+ * ISO timestamps saved before are read as the local day they were parsed
+ * to. Null when unparseable - normalizeJobData keeps the listed text in
+ * issuedDateText.
+ */
+export function normalizeIssuedDate(value) {
+    const text = normalizeListingText(value);
+    if (!text) {
+        return null;
+    }
+    if (moment(text, moment.ISO_8601, true).isValid()) {
+        return moment(text).format('YYYY-MM-DD');
+    }
+
+    const parsed = moment(text, DATE_FORMATS, true);
+    if (!parsed.isValid()) {
+        logWarning(`Could not parse issue date: ${text}`);
+        return null;
+    }
+    return parsed.format('YYYY-MM-DD');
+}
+
+/**
+ * Calendar day (YYYY-MM-DD) of an issue date, from the listing's text or
+ * the stored value; null when unparseable
+ */
+export function issuedDay(value) {
+    return normalizeIssuedDate(value);
 }
 
 /**
  * Determine job status based on last date
+ *
+ * Options (used by maintenance.js):
+ *   now             - reference time (default: current time)
+ *   closingSoonDays - window for 'closing_soon' (default: CLOSING_SOON_DAYS,
+ *                     see runtimeConfig.js getStatusConfig)
  */
-function determineStatus(lastDate) {
+export function determineStatus(lastDate, options = {}) {
+    const { now = new Date(), closingSoonDays = getStatusConfig().closingSoonDays } = options;
+
     if (!lastDate) {
         return 'active';
     }
 
-    const deadline = moment(lastDate);
-    const now = moment();
+    // The last date is a calendar day: applications are open until it ends
+    const deadline = moment(lastDate).endOf('day');
+    const current = moment(now);
 
-    if (deadline.isBefore(now)) {
+    if (deadline.isBefore(current)) {
         return 'expired';
     }
 
+    if (deadline.diff(current, 'days', true) <= closingSoonDays) {
+        return 'closing_soon';
+    }
+
     return 'active';
 }
 
 /**
  * Validate job data
+ *
+ * Returns: { valid, errors, warnings, checkedAt }
+ * - errors:   the job cannot be identified or linked (no advtNo/post, bad PDF URL)
+ * - warnings: data applicants rely on is missing or was defaulted
  */
-function validateJobData(data) {
+export function validateJobData(data) {
     const errors = [];
+    const warnings = [];
 
     // Required fields
-    if (!data.advtNo) {
-        errors.push('Missing advertisement number');
+    if (!data.advtNo && !data.postName) {
+        errors.push('Missing advertisement number and post name');
+    } else if (!data.advtNo) {
+        warnings.push('Missing advertisement number');
     }
 
-    if (!data.postName || data.postName.length < 3) {
+    if (data.postName && data.postName.length < 3) {
         errors.push('Invalid post name');
     }
 
@@ -211,15 +731,28 @@ function validateJobData(data) {
     }
 
     if (!data.lastDate) {
-        errors.push('Missing last date');
+        warnings.push('Missing last date');
+    } else if (moment(data.lastDate).isBefore(moment()) && data.provenance?.lastDate !== Provenance.DEFAULTED) {
+        warnings.push('Last date is in the past');
     }
 
-    // Log validation errors
-    if (errors.length > 0) {
-        logWarning(`Validation warnings: ${errors.join(', ')}`);
+    for (const [field, source] of Object.entries(data.provenance || {})) {
+        if (source === Provenance.DEFAULTED) {
+            warnings.push(`Defaulted ${field}`);
+        }
     }
 
-    return errors.length === 0;
+    // Log validation problems
+    if (errors.length > 0 || warnings.length > 0) {
+        logWarning(`Validation: ${[...errors, ...warnings].join(', ')}`);
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        checkedAt: new Date().toISOString()
+    };
 }
 
 /**
@@ -0,0 +1,153 @@
+/**
+ * Notice Classifier
+ *
+ * Not every row in a notifications table is a fresh advertisement.
+ * Corrigenda, date extensions and cancellations change an earlier job;
+ * results, admit cards and syllabi are related notices.
+ *
+ * Classification uses the listing subject first and the PDF text second.
+ * Wording alone never makes a corrigendum, extension or cancellation: it
+ * must come with a referenced advertisement number (resolveNoticeType),
+ * since fresh advertisements also speak of "withdrawal of candidature" or
+ * "modification in qualification".
+ */
+
+export const NoticeType = {
+    ADVERTISEMENT: 'advertisement',
+    CORRIGENDUM: 'corrigendum',
+    EXTENSION: 'extension',
+    CANCELLATION: 'cancellation',
+    RESULT: 'result',
+    ADMIT_CARD: 'admit_card',
+    SYLLABUS: 'syllabus'
+};
+
+/**
+ * Types that modify the referenced advertisement
+ */
+export const AMENDMENT_TYPES = [
+    NoticeType.CORRIGENDUM,
+    NoticeType.EXTENSION,
+    NoticeType.CANCELLATION
+];
+
+/**
+ * Ordered rules - first match wins
+ * (a "corrigendum regarding extension of last date" is an extension)
+ */
+const RULES = [
+    [NoticeType.CANCELLATION, /\bcancel(?:l?ed|l?ation)?\b|\bwithdrawn?\b|\brescind(?:ed)?\b|\bkept\s+in\s+abeyance\b/i],
+    [NoticeType.EXTENSION, /\bextension\s+of\s+(?:the\s+)?(?:last|closing)\s+date|\b(?:last|closing)\s+date\b[^.\n]{0,120}\bextended\b|\bdate\s+extended\b/i],
+    [NoticeType.CORRIGENDUM, /\bcorrigendum\b|\baddendum\b|\bamendment\b|\berratum\b|\bmodification\b/i],
+    [NoticeType.RESULT, /\bresults?\b|\bmerit\s+list\b|\bselect(?:ed|ion)\s+list\b|\bprovisionally\s+selected\b/i],
+    [NoticeType.ADMIT_CARD, /\badmit\s*cards?\b|\be-?admit\b|\bhall\s+tickets?\b|\bcall\s+letters?\b/i],
+    [NoticeType.SYLLABUS, /\bsyllabus\b|\bscheme\s+of\s+(?:the\s+)?exam(?:ination)?\b/i]
+];
+
+// Only the top of a PDF is used; instructions further down mention results etc.
+const PDF_HEAD_CHARS = 500;
+
+/**
+ * Classify a listing subject or notice text
+ */
+export function classifyNotice(text) {
+    if (!text) {
+        return NoticeType.ADVERTISEMENT;
+    }
+
+    for (const [type, pattern] of RULES) {
+        if (pattern.test(text)) {
+            return type;
+        }
+    }
+
+    return NoticeType.ADVERTISEMENT;
+}
+
+const ADVT_NO_PATTERN = /(?:Advertisement|Advt\.?|Notification)\s*No\.?\s*[:\-]?\s*([A-Z0-9][A-Z0-9\/\-]*\d[A-Z0-9\/\-]*)/gi;
+
+/**
+ * Every advertisement number mentioned in the text, in order
+ */
+export function findAdvtNos(text) {
+    if (!text) {
+        return [];
+    }
+
+    const found = [];
+    for (const match of text.matchAll(ADVT_NO_PATTERN)) {
+        const advtNo = match[1].replace(/[\/\-]+$/, '');
+        if (!found.includes(advtNo)) {
+            found.push(advtNo);
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Advertisement numbers a listing row refers to
+ *
+ * Numbers in the subject count as they are ("Corrigendum to Advt. No. X"
+ * rows often carry X in their own number column); numbers in the PDF only
+ * when they differ from the row's own, which every advertisement quotes.
+ */
+export function findReferences(listing, pdfAdvtNos = []) {
+    const key = advtNo => String(advtNo).toUpperCase().replace(/\s+/g, '');
+    const own = listing.advtNo ? key(listing.advtNo) : null;
+
+    const references = [];
+    for (const advtNo of [...findAdvtNos(listing.subject), ...pdfAdvtNos.filter(advtNo => key(advtNo) !== own)]) {
+        if (!references.some(found => key(found) === key(advtNo))) {
+            references.push(advtNo);
+        }
+    }
+
+    return references;
+}
+
+/**
+ * Type of a listing row from its candidate types (listing subject first,
+ * then PDF), skipping amendment types without a referenced advertisement
+ */
+export function resolveNoticeType(types, references) {
+    for (const type of types) {
+        if (!type || type === NoticeType.ADVERTISEMENT) continue;
+        if (AMENDMENT_TYPES.includes(type) && references.length === 0) continue;
+        return type;
+    }
+
+    return NoticeType.ADVERTISEMENT;
+}
+
+/**
+ * New last date announced by an extension/corrigendum ("extended up to 31/01/2026")
+ */
+export function findNewLastDate(text) {
+    if (!text) {
+        return null;
+    }
+
+    const match = text.match(
+        /extended\s+(?:up\s*to|upto|till|until|to)\s+(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i
+    ) || text.match(
+        /(?:last|closing)\s+date[^.\n]{0,120}?(?:shall\s+now\s+be|is\s+now|revised\s+to|read\s+as)\s+(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/i
+    );
+
+    return match ? match[1] : null;
+}
+
+/**
+ * Analyze PDF text of a notice
+ *
+ * Returns: { type, advtNos, newLastDate }
+ */
+export function analyzeNoticeText(text) {
+    const head = (text || '').slice(0, PDF_HEAD_CHARS);
+
+    return {
+        type: classifyNotice(head),
+        advtNos: findAdvtNos(text),
+        newLastDate: findNewLastDate(text)
+    };
+}
@@ -0,0 +1,116 @@
+/**
+ * PDF Document Cache
+ *
+ * Two layers, both keyed so a PDF is only downloaded and parsed when it
+ * actually changed:
+ * - `pdf_documents` (storage): one record per PDF URL with the SHA-256 of
+ *   the last downloaded content and the HTTP ETag / Last-Modified used for
+ *   conditional requests. When the content changes under the same URL the
+ *   previous hash is kept and `changedAt` is set.
+ * - PDF_CACHE_DIR (local files): parsed text per content hash. An unchanged
+ *   PDF is never parsed twice, and extraction can be re-run after PATTERNS
+ *   improve without downloading again.
+ *
+ * Records are keyed by the URL hash (watermark.js).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getStorage } from './storage/index.js';
+import { getPdfCacheConfig } from './runtimeConfig.js';
+import { pdfUrlHash } from './watermark.js';
+import { logError } from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export function contentHash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Parsed text cache in a directory: <dir>/<hash>.json
+ *
+ * Cache failures are logged and treated as misses - they never fail a parse.
+ */
+export function createTextCache(dir) {
+    const file = hash => path.join(dir, `${hash}.json`);
+
+    return {
+        dir,
+
+        get(hash) {
+            try {
+                return JSON.parse(fs.readFileSync(file(hash), 'utf8'));
+            } catch (err) {
+                if (err.code !== 'ENOENT') logError(`Unreadable PDF cache entry ${hash}`, err);
+                return null;
+            }
+        },
+
+        set(hash, entry) {
+            try {
+                fs.mkdirSync(dir, { recursive: true });
+                fs.writeFileSync(file(hash), JSON.stringify({ hash, ...entry, cachedAt: new Date().toISOString() }));
+            } catch (err) {
+                logError(`Failed to cache PDF text ${hash}`, err);
+            }
+        }
+    };
+}
+
+let textCache = null;
+
+/**
+ * Text cache in PDF_CACHE_DIR (relative to backend/)
+ */
+export function getTextCache() {
+    const dir = path.resolve(__dirname, getPdfCacheConfig().dir);
+    if (!textCache || textCache.dir !== dir) {
+        textCache = createTextCache(dir);
+    }
+    return textCache;
+}
+
+/**
+ * Stored record of a PDF URL: { url, hash, etag, lastModified, size,
+ * fetchedAt, checkedAt, previousHash, changedAt } or null
+ */
+export async function getPdfRecord(pdfUrl) {
+    return getStorage().pdfs.get(pdfUrlHash(pdfUrl));
+}
+
+/**
+ * Record a download (document from downloadAndParsePdf)
+ *
+ * Returns: { changed, previousHash } - changed when the URL served
+ * different content before
+ */
+export async function recordPdfDocument(pdfUrl, document) {
+    const { pdfs } = getStorage();
+    const id = pdfUrlHash(pdfUrl);
+    const now = new Date();
+    const existing = await pdfs.get(id);
+
+    if (document.notModified && existing) {
+        await pdfs.update(id, { checkedAt: now });
+        return { changed: false, previousHash: existing.previousHash || null };
+    }
+
+    const changed = Boolean(existing && existing.hash !== document.hash);
+
+    await pdfs.set(id, {
+        url: pdfUrl,
+        hash: document.hash,
+        etag: document.etag,
+        lastModified: document.lastModified,
+        size: document.size,
+        fetchedAt: now,
+        checkedAt: now,
+        previousHash: changed ? existing.hash : existing?.previousHash || null,
+        changedAt: changed ? now : existing?.changedAt || null
+    });
+
+    return { changed, previousHash: changed ? existing.hash : null };
+}
@@ -0,0 +1,209 @@
+/**
+ * Layout-aware PDF text
+ *
+ * pdf-parse hands each page's text items over in content stream order,
+ * which is not reading order: many generators write a table column by
+ * column, so the flattened text interleaves cells of different rows. This
+ * rebuilds the page from item positions instead:
+ *
+ *   pages[]: { number, width, height, text, blocks, tables }
+ *   - blocks: page content top to bottom -
+ *       { type: 'text', x, y, cells: [{ x, text }], text }
+ *       { type: 'table', table }
+ *   - tables: { x, y, columns: [x], header: [text], rows: [[text]] }
+ *     one string per column in every row ('' for an empty cell); cell
+ *     text wrapped onto the next line is joined into its own column
+ *
+ * and renders each page's plain text from it: one line per row, cells
+ * separated by a tab (pdf-parse separates the pages).
+ *
+ * A table is a line of three or more cells followed by lines whose cells
+ * fall into its columns. Column boundaries come from the header cells, so
+ * tables with centred headers may split differently.
+ */
+
+// Horizontal gap (pt) between text items on one line that marks a new cell
+const COLUMN_GAP = 8;
+
+// Items closer than this (pt) to the previous one continue the same word
+const WORD_GAP = 1.5;
+
+// Items whose baselines differ by no more than this (pt) share a line
+const LINE_TOLERANCE = 2;
+
+// A cell may start this far (pt) left of its column's header
+const ALIGN_TOLERANCE = 4;
+
+const MIN_TABLE_COLUMNS = 3;
+
+/**
+ * Page renderer for pdf-parse that also records each page's layout
+ *
+ *   const recorder = createLayoutRecorder();
+ *   const parsed = await pdfParse(buffer, { pagerender: recorder.render });
+ *   recorder.pages  // layout per page, in page order
+ */
+export function createLayoutRecorder() {
+    const pages = [];
+
+    return {
+        pages,
+
+        async render(pageData) {
+            const textContent = await pageData.getTextContent({
+                normalizeWhitespace: false,
+                disableCombineTextItems: false
+            });
+            const [x0, y0, x1, y1] = pageData.view || [0, 0, 0, 0];
+
+            const page = layoutPage(textContent.items, {
+                number: pageData.pageNumber,
+                width: x1 - x0,
+                height: y1 - y0
+            });
+
+            pages.push(page);
+            pages.sort((a, b) => a.number - b.number);
+            return page.text;
+        }
+    };
+}
+
+/**
+ * Build one page's layout from pdf.js text items
+ * ({ str, transform: [a, b, c, d, x, y], width, height })
+ */
+export function layoutPage(items, { number = 1, width = null, height = null } = {}) {
+    const lines = groupLines(items);
+    const blocks = [];
+    const tables = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const table = lines[i].cells.length >= MIN_TABLE_COLUMNS ? readTable(lines, i) : null;
+
+        if (table) {
+            tables.push(table.table);
+            blocks.push({ type: 'table', table: table.table });
+            i = table.end - 1;
+        } else {
+            const { x, y, cells, text } = lines[i];
+            blocks.push({ type: 'text', x, y, cells, text });
+        }
+    }
+
+    const text = lines.map(line => line.text).join('\n');
+    return { number, width, height, text, blocks, tables };
+}
+
+/**
+ * Items → lines top to bottom, items left to right, split into cells at
+ * visible gaps
+ */
+function groupLines(items) {
+    const positioned = items
+        .filter(item => item.str && item.str.trim())
+        .map(item => ({
+            str: item.str,
+            x: item.transform[4],
+            y: item.transform[5],
+            width: item.width || 0,
+            height: item.height || Math.abs(item.transform[3]) || 0
+        }))
+        .sort((a, b) => b.y - a.y || a.x - b.x);
+
+    const lines = [];
+    for (const item of positioned) {
+        const line = lines[lines.length - 1];
+        if (line && Math.abs(line.y - item.y) <= LINE_TOLERANCE) {
+            line.items.push(item);
+        } else {
+            lines.push({ y: item.y, items: [item] });
+        }
+    }
+
+    return lines.map(({ y, items: lineItems }) => {
+        lineItems.sort((a, b) => a.x - b.x);
+
+        const cells = [];
+        let end;
+        for (const item of lineItems) {
+            const cell = cells[cells.length - 1];
+            const gap = item.x - end;
+
+            if (!cell || gap > COLUMN_GAP) {
+                cells.push({ x: item.x, text: item.str });
+            } else {
+                const spaced = gap > WORD_GAP && !/\s$/.test(cell.text) && !/^\s/.test(item.str);
+                cell.text += (spaced ? ' ' : '') + item.str;
+            }
+            end = Math.max(end ?? -Infinity, item.x + item.width);
+        }
+
+        return {
+            x: cells[0].x,
+            y,
+            height: Math.max(...lineItems.map(item => item.height)),
+            cells: cells.map(cell => ({ x: cell.x, text: cell.text.trim() })),
+            text: cells.map(cell => cell.text).join('\t')
+        };
+    });
+}
+
+/**
+ * Read a table whose header is lines[start]
+ * Returns: { table, end } (end = index after its last line) or null
+ */
+function readTable(lines, start) {
+    const header = lines[start];
+    const columns = header.cells.map(cell => cell.x);
+    const rows = [];
+    let previous = header;
+    let end = start + 1;
+
+    for (let i = start + 1; i < lines.length; i++) {
+        const line = lines[i];
+        if (previous.y - line.y > Math.max(previous.height, line.height, 1) * 2.5) break;
+
+        const row = columns.map(() => []);
+        for (const cell of line.cells) {
+            row[columnOf(columns, cell.x)].push(cell.text);
+        }
+        const filled = row.filter(parts => parts.length > 0).length;
+
+        if (row[0].length === 0 && rows.length > 0) {
+            // Wrapped cell text continues the previous row in its columns
+            const last = rows[rows.length - 1];
+            row.forEach((parts, index) => {
+                if (parts.length > 0) last[index] = [last[index], ...parts].filter(Boolean).join(' ');
+            });
+        } else if (filled >= 2) {
+            rows.push(row.map(parts => parts.join(' ')));
+        } else {
+            break;
+        }
+
+        previous = line;
+        end = i + 1;
+    }
+
+    if (rows.length === 0) return null;
+
+    return {
+        table: {
+            x: header.x,
+            y: header.y,
+            columns,
+            header: header.cells.map(cell => cell.text),
+            rows
+        },
+        end
+    };
+}
+
+function columnOf(columns, x) {
+    let index = 0;
+    columns.forEach((columnX, i) => {
+        if (x >= columnX - ALIGN_TOLERANCE) index = i;
+    });
+    return index;
+}
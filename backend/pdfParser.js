@@ -2,12 +2,17 @@ import axios from 'axios';
 import https from 'https';
 import pdfParse from 'pdf-parse';
 import { logInfo, logError, logWarning } from './logger.js';
+import { analyzeNoticeText } from './noticeClassifier.js';
+import { retryOperation, classifyError } from './errorHandler.js';
+import { contentHash } from './pdfCache.js';
+import { createLayoutRecorder } from './pdfLayout.js';
 
 /**
  * ⚠️ OCR POLICY - HARD CONTRACT BOUNDARY
  * 
  * OCR is NOT enabled in the automated pipeline.
  * Scanned PDFs are marked dataComplete=false and linked only.
+ * Their fields are entered by hand instead (manualEntry.js).
  * 
  * DO NOT add OCR libraries (Tesseract, Google Vision, AWS Textract, etc.)
  * See: ../OCR_POLICY.md for full policy details
@@ -19,6 +24,15 @@ const httpsAgent = new https.Agent({
     rejectUnauthorized: false  // Allow self-signed/broken certs
 });
 
+/**
+ * Version of the extraction rules: PATTERNS, the vacancy table reader, the
+ * page layout (pdfLayout.js) and normalizer.js. Bump it with every change
+ * that alters extracted values - jobs record the version that produced
+ * them (`parserVersion`), so `npm run reprocess -- --outdated` can find
+ * the ones to re-extract.
+ */
+export const PARSER_VERSION = 4;
+
 /**
  * Regex patterns for extracting job data from PDF text
  * Each field has multiple patterns as fallbacks
@@ -59,94 +73,276 @@ const PATTERNS = {
     department: [
         /Department\s*[:\-]?\s*([A-Za-z\s&,]+?)(?:\n|Post)/i,
         /(?:under|in)\s+([A-Z][A-Za-z\s&,]+?)\s+Department/i
+    ],
+
+    // Raw snippets below are structured by normalizer.js
+    ageLimit: [
+        /Age\s*(?:Limit)?\s*[:\-]\s*([^\n]*\d{2}\s*(?:years|yrs)[^\n]*)/i,
+        /(between\s+\d{2}\s+(?:and|to)\s+\d{2}\s+years[^\n]*)/i,
+        /(not\s+(?:be\s+)?(?:more\s+than|exceeding|above)\s+\d{2}\s+years[^\n]*)/i
+    ],
+
+    ageRelaxation: [
+        /([^\n]*relax[^\n]*(?:\n[^\n]*relax[^\n]*)*)/i
+    ],
+
+    applicationFee: [
+        /(?:Application|Examination)\s+Fees?\s*[:\-]?\s*([^\n]+)/i,
+        /\bFees?\s*[:\-]\s*([^\n]+)/i
+    ],
+
+    payScale: [
+        /Pay\s*(?:Level|Scale|Matrix|Band)\s*[:\-]\s*([^\n]+)/i,
+        /Scale\s+of\s+Pay\s*[:\-]?\s*([^\n]+)/i,
+        /(Level[-\s]*\d{1,2}[^\n]*(?:Rs\.?|₹)\s*[\d,]+[^\n]*)/i
+    ],
+
+    selectionMode: [
+        /(?:Mode|Method|Scheme)\s+of\s+(?:Selection|Recruitment)\s*[:\-]?\s*([^\n]+)/i,
+        /(?:selection|selected)\s+(?:will|shall)\s+be\s+(?:made\s+)?(?:on\s+the\s+basis\s+of|through|by)\s+([^\n]+)/i
     ]
 };
 
+/**
+ * Confidence for a match by pattern position
+ * The first (most specific) pattern scores highest; 0 = not found
+ */
+function patternConfidence(index) {
+    return Math.max(0.5, 0.9 - index * 0.15);
+}
+
+/**
+ * Header fields of an advertisement and the share of the text they are
+ * expected in - a later match (instructions, annexures) is more likely to
+ * be something else and scores LATE_MATCH_FACTOR lower
+ */
+const EXPECTED_WITHIN = {
+    advtNo: 0.25,
+    postName: 0.5,
+    department: 0.5,
+    totalPosts: 0.5
+};
+
+const LATE_MATCH_FACTOR = 0.7;
+
+function positionConfidence(field, position) {
+    return position > (EXPECTED_WITHIN[field] ?? 1) ? LATE_MATCH_FACTOR : 1;
+}
+
+/**
+ * Vacancy table header patterns (multi-post advertisements)
+ * Order matters: "No. of Posts" must map to vacancies, not postName
+ */
+const VACANCY_COLUMNS = [
+    ['serialNo', /^(?:s|sl|sr)\.?\s*no\.?$|^serial/i],
+    ['vacancies', /no\.?\s*of\s*(?:posts?|vacanc)|vacanc|^number/i],
+    ['payLevel', /pay|level|scale/i],
+    ['postName', /post|designation|cadre/i],
+    ['department', /department|office/i],
+    ['qualification', /qualification|eligib/i]
+];
+
 /**
  * Download and parse PDF - PRODUCTION SAFE
  * 
  * SSL bypass is ONLY for PDF downloads, not global
  * Required for Indian government websites with broken certificate chains
+ *
+ * Options (see pdfCache.js, both optional):
+ *   previous - stored record of this URL ({ hash, etag, lastModified }):
+ *              sent as a conditional request when its text is cached
+ *   cache    - parsed text cache ({ get(hash), set(hash, entry) })
+ *
+ * The result's `document` ({ hash, etag, lastModified, size, notModified })
+ * describes what was downloaded - null when the download failed.
  */
-export async function downloadAndParsePdf(pdfUrl) {
+export async function downloadAndParsePdf(pdfUrl, { previous = null, cache = null } = {}) {
     logInfo(`Downloading PDF: ${pdfUrl}`);
+    let document = null;
 
     try {
-        // Download PDF with SSL bypass
-        const response = await axios.get(pdfUrl, {
-            responseType: 'arraybuffer',
-            timeout: 30000,
-            httpsAgent,  // SSL bypass for government sites
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; SPSC-Jobs-Bot/1.0)'
-            },
-            maxContentLength: 20 * 1024 * 1024  // 20MB hard limit
-        });
+        const cached = previous?.hash && cache ? cache.get(previous.hash) : null;
+        const headers = {
+            'User-Agent': 'Mozilla/5.0 (compatible; SPSC-Jobs-Bot/1.0)'
+        };
+        if (cached && previous.etag) headers['If-None-Match'] = previous.etag;
+        if (cached && previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
 
-        const buffer = Buffer.from(response.data);
+        // Download PDF with SSL bypass (transient failures retried)
+        const response = await retryOperation(
+            () => axios.get(pdfUrl, {
+                responseType: 'arraybuffer',
+                timeout: 30000,
+                httpsAgent,  // SSL bypass for government sites
+                headers,
+                maxContentLength: 20 * 1024 * 1024,  // 20MB hard limit
+                validateStatus: status => (status >= 200 && status < 300) || status === 304
+            }),
+            { url: pdfUrl }
+        );
 
-        // Validate PDF size
-        if (!buffer || buffer.length < 5000) {
-            throw new Error('PDF file too small or empty');
-        }
+        let text;
+        let pages;
+        let layout;
 
-        // Parse PDF
-        logInfo('Parsing PDF...');
-        const parsed = await pdfParse(buffer);
+        if (response.status === 304 && cached) {
+            logInfo('PDF not modified - using cached text');
+            document = {
+                hash: previous.hash,
+                etag: previous.etag || null,
+                lastModified: previous.lastModified || null,
+                size: previous.size ?? null,
+                notModified: true
+            };
+            ({ text, pages, layout = null } = cached);
+        } else {
+            const buffer = Buffer.from(response.data);
+
+            // Validate PDF size
+            if (!buffer || buffer.length < 5000) {
+                throw new Error('PDF file too small or empty');
+            }
+
+            document = {
+                hash: contentHash(buffer),
+                etag: response.headers?.etag || null,
+                lastModified: response.headers?.['last-modified'] || null,
+                size: buffer.length,
+                notModified: false
+            };
+
+            const hit = cache?.get(document.hash);
+            if (hit) {
+                logInfo('Same content as a cached PDF - using cached text');
+                ({ text, pages, layout = null } = hit);
+            } else {
+                // Parse PDF (text in reading order, see pdfLayout.js)
+                logInfo('Parsing PDF...');
+                const recorder = createLayoutRecorder();
+                const parsed = await pdfParse(buffer, { pagerender: recorder.render });
+                text = parsed.text || '';
+                pages = parsed.numpages;
+                layout = { pages: recorder.pages };
+                cache?.set(document.hash, { url: pdfUrl, text, pages, layout });
+            }
+        }
 
         // Validate extracted text
-        if (!parsed.text || parsed.text.trim().length < 200) {
+        if (!text || text.trim().length < 200) {
             throw new Error('PDF text too short or empty (likely scanned)');
         }
 
-        // Extract structured data
-        const extracted = extractDataFromText(parsed.text);
-
-        logInfo(`Extracted: ${JSON.stringify(extracted, null, 2)}`);
-
         return {
-            ...extracted,
-            dataComplete: true,
+            ...parseText(text, layout),
+            document,
             metadata: {
-                pdfPages: parsed.numpages,
+                pdfPages: pages,
+                contentHash: document.hash,
+                parserVersion: PARSER_VERSION,
                 extractedAt: new Date().toISOString()
             }
         };
 
     } catch (error) {
         logError(`PDF parsing failed: ${pdfUrl}`, error);
+        return failedParse(error, document);
+    }
+}
 
-        // Return minimal data with error flag
-        return {
-            advtNo: null,
-            postName: null,
-            qualification: 'See official notification',
-            lastDate: null,
-            totalPosts: 1,
-            department: 'SPSC',
-            dataComplete: false,
-            metadata: {
-                parsingErrors: [error.message],
-                extractedAt: new Date().toISOString()
-            }
-        };
+/**
+ * Run extraction on cached text (no download) - null when the text of
+ * that content hash is not cached
+ */
+export function parseCachedPdf(hash, cache) {
+    const cached = cache.get(hash);
+    if (!cached) return null;
+
+    if (!cached.text || cached.text.trim().length < 200) {
+        return failedParse(new Error('PDF text too short or empty (likely scanned)'), { hash });
     }
+
+    return {
+        ...parseText(cached.text, cached.layout || null),
+        metadata: {
+            pdfPages: cached.pages,
+            contentHash: hash,
+            parserVersion: PARSER_VERSION,
+            extractedAt: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Minimal data with error flag
+ */
+function failedParse(error, document) {
+    return {
+        advtNo: null,
+        postName: null,
+        qualification: null,
+        lastDate: null,
+        totalPosts: null,
+        department: null,
+        posts: [],
+        ageLimit: null,
+        ageRelaxation: null,
+        applicationFee: null,
+        payScale: null,
+        selectionMode: null,
+        confidence: {},
+        evidence: {},
+        notice: null,
+        dataComplete: false,
+        document,
+        metadata: {
+            parsingErrors: [error.message],
+            errorType: (error.classification || classifyError(error, { isPdfParsing: true })).type,
+            contentHash: document?.hash || null,
+            parserVersion: PARSER_VERSION,
+            extractedAt: new Date().toISOString()
+        }
+    };
+}
+
+function parseText(text, layout) {
+    const extracted = extractDataFromText(text, layout);
+    logInfo(`Extracted: ${JSON.stringify(extracted, null, 2)}`);
+    return { ...extracted, dataComplete: true };
 }
 
 /**
  * Extract structured data from PDF text using regex patterns
+ *
+ * layout - pages[].blocks/tables from pdfLayout.js (null for text cached
+ *          before layouts were recorded). Its vacancy table is read cell by
+ *          cell and left out of the text PATTERNS run on, so header and
+ *          cell text cannot be matched as a post name or post count.
+ *
+ * Each field is scored (`confidence`, 0-1) by the pattern that matched and
+ * where in the text it matched; `evidence` records both per field
+ * ({ pattern, position } - position as a share of the text - or
+ * { table: true } for values read from the vacancy table).
  */
-function extractDataFromText(text) {
+export function extractDataFromText(text, layout = null) {
     const data = {};
+    const confidence = {};
+    const evidence = {};
+
+    const vacancyTable = layout ? findVacancyTable(layout) : null;
+    const fieldText = layout ? textWithout(layout, vacancyTable?.table) : text;
 
     // Extract each field using pattern matching
     for (const [field, patterns] of Object.entries(PATTERNS)) {
         let extracted = null;
+        confidence[field] = 0;
 
-        for (const pattern of patterns) {
-            const match = text.match(pattern);
+        for (const [index, pattern] of patterns.entries()) {
+            const match = fieldText.match(pattern);
             if (match && match[1]) {
+                const position = Math.round(match.index / fieldText.length * 100) / 100;
                 extracted = match[1].trim();
+                confidence[field] = Math.round(patternConfidence(index) * positionConfidence(field, position) * 100) / 100;
+                evidence[field] = { pattern: index, position };
                 break;
             }
         }
@@ -154,6 +350,28 @@ function extractDataFromText(text) {
         data[field] = extracted;
     }
 
+    data.confidence = confidence;
+    data.evidence = evidence;
+
+    // Corrigendum / extension / cancellation detection (see noticeClassifier.js)
+    data.notice = analyzeNoticeText(text);
+
+    // Vacancy table overrides first-match regexes for post counts
+    data.posts = vacancyTable ? vacancyTable.posts : extractVacancyTable(text);
+    if (data.posts.length > 0) {
+        const total = data.posts.reduce((sum, post) => sum + (post.vacancies || 0), 0);
+        if (total > 0) {
+            data.totalPosts = String(total);
+            confidence.totalPosts = 0.9;
+            evidence.totalPosts = { table: true };
+        }
+        if (data.posts.length === 1) {
+            data.postName = data.posts[0].postName;
+            confidence.postName = 0.9;
+            evidence.postName = { table: true };
+        }
+    }
+
     // Log warnings for missing critical fields
     if (!data.advtNo) {
         logWarning('Could not extract advertisement number');
@@ -165,6 +383,184 @@ function extractDataFromText(text) {
     return data;
 }
 
+/**
+ * Detect a vacancy table and return one entry per post
+ *
+ * Works on tab-separated cells (see renderPage) and falls back to
+ * "1 Post Name ... 12 ..." rows when the PDF has no column gaps.
+ *
+ * Returns: [{ serialNo, postName, department, payLevel, vacancies, qualification }]
+ */
+export function extractVacancyTable(text) {
+    const lines = text.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+        const columns = mapVacancyHeader(lines[i]);
+        if (!columns) continue;
+
+        const posts = columns.tabbed
+            ? readTabbedRows(lines, i + 1, columns)
+            : readPlainRows(lines, i + 1);
+
+        if (posts.length > 0) {
+            return posts;
+        }
+    }
+
+    return [];
+}
+
+/**
+ * Map header cells to fields; null if the line is not a vacancy header
+ */
+function mapVacancyHeader(line) {
+    if (!/post|designation|cadre/i.test(line) || !/no\.?\s*of|vacanc/i.test(line)) {
+        return null;
+    }
+
+    const cells = line.split('\t').map(cell => cell.trim());
+
+    if (cells.length < 3) {
+        // Plain text header: "Sl. No. Name of Post No. of Posts ..."
+        return /name\s+of\s+(?:the\s+)?post|post\s*name|designation/i.test(line)
+            ? { tabbed: false }
+            : null;
+    }
+
+    const fields = mapVacancyColumns(cells);
+    return fields ? { tabbed: true, fields } : null;
+}
+
+/**
+ * Field per header cell; null unless there are post and vacancy columns
+ */
+function mapVacancyColumns(cells) {
+    const fields = cells.map(cell => {
+        const match = VACANCY_COLUMNS.find(([, pattern]) => pattern.test(cell));
+        return match ? match[0] : null;
+    });
+
+    return fields.includes('postName') && fields.includes('vacancies') ? fields : null;
+}
+
+/**
+ * First layout table that lists vacancies, read row by row
+ * Returns: { table, posts } or null
+ */
+function findVacancyTable(layout) {
+    // From the blocks: textWithout() drops the same object (page.tables
+    // holds copies once a layout went through the JSON text cache)
+    const tables = layout.pages.flatMap(page => page.blocks
+        .filter(block => block.type === 'table')
+        .map(block => block.table));
+
+    for (const table of tables) {
+        const fields = mapVacancyColumns(table.header);
+        if (!fields) continue;
+
+        const posts = [];
+        for (const row of table.rows) {
+            if (/^total\b/i.test(row.find(Boolean) || '')) break;
+            posts.push(toVacancy(fields, row));
+        }
+
+        const found = posts.filter(post => post.postName);
+        if (found.length > 0) {
+            return { table, posts: found };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Layout text without one table (pages separated as pdf-parse separates them)
+ */
+function textWithout(layout, skipped) {
+    return layout.pages
+        .map(page => '\n\n' + page.blocks
+            .filter(block => !skipped || block.table !== skipped)
+            .map(block => (block.type === 'table'
+                ? [block.table.header, ...block.table.rows].map(cells => cells.join('\t')).join('\n')
+                : block.text))
+            .join('\n'))
+        .join('');
+}
+
+function toVacancy(fields, cells) {
+    const post = {
+        serialNo: null,
+        postName: null,
+        department: null,
+        payLevel: null,
+        vacancies: null,
+        qualification: null
+    };
+
+    fields.forEach((field, index) => {
+        const value = cells[index]?.trim();
+        if (field && value) post[field] = value;
+    });
+
+    post.vacancies = post.vacancies ? parseInt(post.vacancies.replace(/\D/g, ''), 10) || null : null;
+    return post;
+}
+
+function readTabbedRows(lines, start, columns) {
+    const posts = [];
+
+    for (let i = start; i < lines.length; i++) {
+        const line = lines[i];
+        if (!line.trim() || /^\s*total\b/i.test(line)) break;
+
+        const cells = line.split('\t');
+        const startsRow = /^\s*\d{1,3}[.)]?\s*$/.test(cells[0]) || cells.length >= columns.fields.length - 1;
+
+        if (startsRow && cells.length >= 3) {
+            posts.push(toVacancy(columns.fields, cells));
+        } else if (posts.length > 0) {
+            // Wrapped cell text continues the previous row's last column
+            const last = posts[posts.length - 1];
+            const field = columns.fields[columns.fields.length - 1];
+            if (field && field !== 'vacancies') {
+                last[field] = [last[field], line.trim()].filter(Boolean).join(' ');
+            }
+        } else {
+            break;
+        }
+    }
+
+    return posts.filter(post => post.postName);
+}
+
+const PLAIN_ROW = /^\s*(\d{1,3})[.)]?\s+(.+?)\s+(?:(?:Pay\s*)?Level[-\s]*(\d{1,2}[A-Z]?)\s+)?(\d{1,4})(?:\s+(?:posts?\s+)?(.+))?$/i;
+
+function readPlainRows(lines, start) {
+    const posts = [];
+
+    for (let i = start; i < lines.length; i++) {
+        const line = lines[i];
+        if (!line.trim() || /^\s*total\b/i.test(line)) break;
+
+        const match = line.match(PLAIN_ROW);
+        if (!match) {
+            if (posts.length > 0) break;
+            continue;
+        }
+
+        posts.push({
+            serialNo: match[1],
+            postName: match[2].trim(),
+            department: null,
+            payLevel: match[3] ? `Level ${match[3]}` : null,
+            vacancies: parseInt(match[4], 10),
+            qualification: match[5]?.trim() || null
+        });
+    }
+
+    return posts;
+}
+
 /**
  * Test function for manual PDF testing
  */
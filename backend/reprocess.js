@@ -0,0 +1,282 @@
+/**
+ * Reprocess Stored Jobs
+ *
+ * Re-runs extraction for stored jobs with the current parser (pdfParser.js
+ * PATTERNS, normalizer.js rules) - the scraper skips known jobs, so they
+ * otherwise keep the values of the parser that first saw them.
+ *
+ *   npm run reprocess -- --outdated                 # dry run: print diffs
+ *   npm run reprocess -- --incomplete --apply       # write the updates
+ *   node reprocess.js --source spsc --from 2025-01-01 --to 2025-12-31
+ *   node reprocess.js --parser-version 0 --no-download --limit 50
+ *
+ * Filters (combined): --source, --from/--to (issued date, YYYY-MM-DD),
+ * --incomplete (dataComplete=false), --parser-version N (0 = jobs saved
+ * before versions were recorded), --outdated (older than PARSER_VERSION),
+ * --id (repeatable).
+ *
+ * PDF text comes from the local cache (pdfCache.js) by content hash and is
+ * downloaded again only when missing (not with --no-download). Values set
+ * by notices, reviewers or by hand are kept (see planJobSave). A parse
+ * that comes back incomplete never replaces a complete job. Updates are
+ * saved as revisions with reason 'reprocess' and pass the review gate
+ * (review.js) and the manual entry queue (manualEntry.js) again; --apply
+ * holds the scraper lock and honours the kill switch. A job whose values
+ * now resolve to a different document id is reported as a conflict and
+ * left under its stored id.
+ */
+
+import { downloadAndParsePdf, parseCachedPdf, PARSER_VERSION } from './pdfParser.js';
+import { normalizeJobData, mergeListingAndPdf, issuedDay, Provenance } from './normalizer.js';
+import { planJobSave, saveJob } from './firestoreService.js';
+import { updateReview } from './review.js';
+import { trackIncompleteJob } from './manualEntry.js';
+import { getPdfRecord, recordPdfDocument, getTextCache } from './pdfCache.js';
+import { getSource } from './sources/index.js';
+import { initStorage, setStorage, getStorage } from './storage/index.js';
+import { initRuntimeConfig } from './runtimeConfig.js';
+import { acquireLock, releaseLock, setupLockCleanup, LockName } from './runLock.js';
+import { checkKillSwitch } from './killSwitch.js';
+import { logInfo, logError, logWarning } from './logger.js';
+
+/**
+ * Does a stored job match the filters (pure)
+ *
+ * filters: { source, from, to, incomplete, parserVersion, outdated, ids }
+ *          from / to are YYYY-MM-DD, compared with the issued date
+ */
+export function matchesFilters(job, filters = {}) {
+  const { source, from, to, incomplete, parserVersion, outdated, ids } = filters;
+  const version = job.parserVersion ?? 0;
+
+  if (ids?.length && !ids.includes(job.id)) return false;
+  if (source && job.source !== source) return false;
+  if (incomplete && job.dataComplete !== false) return false;
+  if (parserVersion !== undefined && version !== parserVersion) return false;
+  if (outdated && version >= PARSER_VERSION) return false;
+
+  if (from || to) {
+    const issued = issuedDay(job.issuedDate);
+    if (!issued) return false;
+    if (from && issued < from) return false;
+    if (to && issued > to) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Re-extract the selected jobs
+ *
+ * Options (all optional):
+ *   filters  - see matchesFilters()
+ *   apply    - write the updates (default: dry run)
+ *   download - download PDFs whose text is not cached (default: true)
+ *   limit    - stop after this many jobs
+ *   storage  - storage backend (default: initStorage())
+ *   cache    - parsed text cache (default: PDF_CACHE_DIR)
+ *
+ * Returns: { status, apply, results: [{ id, status, origin, changes, error }] }
+ *   status per job: changed | unchanged | updated | no_pdf_text |
+ *                   incomplete | conflict | failed
+ */
+export async function reprocessJobs(options = {}) {
+  const { filters = {}, apply = false, download = true, limit } = options;
+
+  initRuntimeConfig();
+  if (options.storage) {
+    setStorage(options.storage);
+  } else {
+    await initStorage();
+  }
+  const cache = options.cache || getTextCache();
+
+  let locked = false;
+  try {
+    if (apply) {
+      locked = await acquireLock(LockName.SCRAPER);
+      if (!locked) {
+        logWarning('Reprocess skipped - a scraper run holds the lock');
+        return { status: 'skipped_locked', apply, results: [] };
+      }
+      if (!(await checkKillSwitch('write'))) {
+        return { status: 'disabled', apply, results: [] };
+      }
+    }
+
+    const where = [];
+    if (filters.source) where.push(['source', '==', filters.source]);
+    if (filters.incomplete) where.push(['dataComplete', '==', false]);
+
+    const jobs = (await getStorage().jobs.list({ where }))
+      .filter(job => matchesFilters(job, filters))
+      .slice(0, limit ?? Infinity);
+    logInfo(`Reprocess: ${jobs.length} jobs selected (parser version ${PARSER_VERSION}, ${apply ? 'apply' : 'dry run'})`);
+
+    const results = [];
+    for (const job of jobs) {
+      results.push(await reprocessJob(job, { apply, download, cache }));
+    }
+
+    const failed = results.filter(result => result.status === 'failed').length;
+    return { status: failed > 0 ? 'partial' : 'success', apply, results };
+  } finally {
+    if (locked) await releaseLock(LockName.SCRAPER);
+  }
+}
+
+async function reprocessJob(job, { apply, download, cache }) {
+  const result = { id: job.id, status: null, origin: null, changes: {}, error: null };
+
+  try {
+    const record = job.pdfUrl ? await getPdfRecord(job.pdfUrl) : null;
+    const hash = job.metadata?.contentHash || record?.hash || null;
+
+    let pdfData = hash ? parseCachedPdf(hash, cache) : null;
+    result.origin = 'cache';
+
+    if (!pdfData) {
+      if (!download || !job.pdfUrl) {
+        result.status = 'no_pdf_text';
+        return result;
+      }
+      pdfData = await downloadAndParsePdf(job.pdfUrl, { previous: record, cache });
+      result.origin = 'download';
+      if (apply && pdfData.document) {
+        await recordPdfDocument(job.pdfUrl, pdfData.document);
+      }
+
+      const source = getSource(job.source);
+      if (source?.delayBetweenRequests) {
+        await new Promise(r => setTimeout(r, source.delayBetweenRequests));
+      }
+    }
+
+    if (pdfData.dataComplete === false && job.dataComplete !== false) {
+      result.status = 'incomplete';
+      result.error = pdfData.metadata?.parsingErrors?.[0] || null;
+      return result;
+    }
+
+    const normalized = normalizeJobData(
+      mergeListingAndPdf(listingOf(job), pdfData),
+      { defaults: getSource(job.source)?.defaults }
+    );
+
+    const plan = await planJobSave(normalized);
+    if (plan.id !== job.id) {
+      logWarning(`Reprocess: ${job.id} now resolves to ${plan.id} - left unchanged`);
+      result.status = 'conflict';
+      result.error = `Re-extracted job resolves to ${plan.id}`;
+      return result;
+    }
+
+    result.changes = plan.changes;
+    if (Object.keys(plan.changes).length === 0) {
+      result.status = 'unchanged';
+      if (apply) {
+        await updateReview(job.id);
+        await trackIncompleteJob(job.id);
+      }
+      return result;
+    }
+
+    if (!apply) {
+      result.status = 'changed';
+      return result;
+    }
+
+    if (!(await checkKillSwitch('write'))) {
+      throw new Error('Scraper disabled via kill switch (write)');
+    }
+    await saveJob(normalized, { reason: 'reprocess' });
+    await updateReview(job.id);
+    await trackIncompleteJob(job.id);
+    result.status = 'updated';
+  } catch (err) {
+    logError(`Reprocess failed for ${job.id}`, err);
+    result.status = 'failed';
+    result.error = err.message;
+  }
+
+  return result;
+}
+
+/**
+ * The listing row a stored job was scraped from (listing values win on
+ * merge, so only values that came from the listing are carried over)
+ */
+function listingOf(job) {
+  const fromListing = field => ([Provenance.LISTING, Provenance.CORRECTED, Provenance.MANUAL].includes(job.provenance?.[field]) ? job[field] : null);
+
+  return {
+    source: job.source,
+    serialNo: job.serialNo,
+    advtNo: fromListing('advtNo'),
+    subject: job.subject,
+    postName: job.subject || fromListing('postName'),
+    issuedDate: job.issuedDate ?? job.issuedDateText,
+    attachments: job.attachments,
+    pdfUrl: job.pdfUrl,
+    scrapedAt: job.scrapedAt,
+    sourceUrl: job.metadata?.sourceUrl || null
+  };
+}
+
+function printResults({ status, apply, results }) {
+  for (const result of results) {
+    const label = `${result.id} [${result.status}${result.origin ? `, ${result.origin}` : ''}]`;
+    console.log(result.error ? `${label}: ${result.error}` : label);
+
+    for (const [field, change] of Object.entries(result.changes)) {
+      console.log(`  ${field}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+    }
+  }
+
+  const counts = results.reduce((all, r) => ({ ...all, [r.status]: (all[r.status] || 0) + 1 }), {});
+  console.log(`\n${apply ? 'Applied' : 'Dry run'} (${status}): ${JSON.stringify(counts)}`);
+  if (!apply && counts.changed) {
+    console.log('Re-run with --apply to write these changes');
+  }
+}
+
+function parseArgs(argv) {
+  const value = flag => {
+    const index = argv.indexOf(flag);
+    return index >= 0 ? argv[index + 1] : undefined;
+  };
+  const number = flag => (value(flag) === undefined ? undefined : Number(value(flag)));
+
+  return {
+    apply: argv.includes('--apply'),
+    download: !argv.includes('--no-download'),
+    limit: number('--limit'),
+    filters: {
+      source: value('--source'),
+      from: value('--from'),
+      to: value('--to'),
+      incomplete: argv.includes('--incomplete'),
+      parserVersion: number('--parser-version'),
+      outdated: argv.includes('--outdated'),
+      ids: argv.flatMap((arg, i) => (arg === '--id' && argv[i + 1] ? [argv[i + 1]] : []))
+    }
+  };
+}
+
+// Skipping (a scraper run holds the lock, kill switch off) is no failure:
+// only 'partial' (a job failed) and errors exit 1
+const CLEAN_EXIT_STATUSES = ['success', 'skipped_locked', 'disabled'];
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  setupLockCleanup();
+
+  reprocessJobs(parseArgs(process.argv.slice(2)))
+    .then(report => {
+      printResults(report);
+      process.exit(CLEAN_EXIT_STATUSES.includes(report.status) ? 0 : 1);
+    })
+    .catch(err => {
+      logError('Reprocess failed', err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,271 @@
+/**
+ * Review Queue
+ *
+ * Extracted fields are scored (normalizer.js `fieldConfidence`: pattern,
+ * position in the document, listing cross-check). After every save, a job
+ * with a field below REVIEW_CONFIDENCE_THRESHOLD gets an item in
+ * `review_queue` (one per job, id = job id) and is unpublished until an
+ * admin decides:
+ *
+ *   npm run review -- list [--status pending|approved|corrected|rejected|superseded|all]
+ *   npm run review -- approve <jobId> [--by name] [--note text]
+ *   npm run review -- correct <jobId> lastDate=31/01/2026 totalPosts=12 [--by name]
+ *   npm run review -- reject <jobId> [--by name] [--note text]
+ *
+ * - approve:  values are fine as extracted; the job is published
+ * - correct:  the given values replace the extracted ones (provenance
+ *             'corrected', kept by later scrapes) and the job is published
+ * - reject:   the job stays off the public listing, whatever later scrapes
+ *             extract
+ *
+ * A reviewed job is queued again only when a later extraction produces
+ * different low-confidence values. Items whose job re-extracts above the
+ * threshold are closed as 'superseded'. Jobs with dataComplete=false are
+ * not scored: they have nothing trustworthy to review.
+ */
+
+import { getStorage, initStorage } from './storage/index.js';
+import { correctJob, setJobReview, sameValue } from './firestoreService.js';
+import { normalizeFields, Provenance } from './normalizer.js';
+import { initRuntimeConfig, getReviewConfig } from './runtimeConfig.js';
+import { logInfo, logError } from './logger.js';
+
+export const ReviewStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  CORRECTED: 'corrected',
+  REJECTED: 'rejected',
+  SUPERSEDED: 'superseded'
+};
+
+/**
+ * Score a stored job against the threshold (pure)
+ *
+ * Returns: { score, fields: [{ field, value, confidence, evidence }] }
+ *   score  - lowest confidence of the job's values (null when none)
+ *   fields - the values below the threshold
+ */
+export function assessJob(job, threshold) {
+  if (job.dataComplete === false) {
+    return { score: null, fields: [] };
+  }
+
+  const scored = Object.entries(job.fieldConfidence || {})
+    .filter(([field]) => job[field] != null && job.provenance?.[field] !== Provenance.DEFAULTED)
+    .map(([field, confidence]) => ({
+      field,
+      value: job[field],
+      confidence,
+      evidence: job.fieldEvidence?.[field] || null
+    }));
+
+  return {
+    score: scored.length > 0 ? Math.min(...scored.map(item => item.confidence)) : null,
+    fields: scored.filter(item => item.confidence < threshold)
+  };
+}
+
+/**
+ * Review gate - run after a job was saved
+ *
+ * Queues the job or closes its item as the assessment requires and sets
+ * `published` on the job and its vacancy rows.
+ *
+ * retry - runs each storage step (e.g. retryOperation): the gate writes
+ *         the item before the job, so it is not retried as a whole
+ * Returns: { queued, published }
+ */
+export async function updateReview(jobId, {
+  threshold = getReviewConfig().threshold,
+  retry = operation => operation()
+} = {}) {
+  const { jobs, reviews } = getStorage();
+  const job = await retry(() => jobs.get(jobId));
+  if (!job) return { queued: false, published: false };
+
+  const now = new Date();
+  const { score, fields } = assessJob(job, threshold);
+  let item = await retry(() => reviews.get(jobId));
+  let queued = false;
+
+  const rejected = item?.status === ReviewStatus.REJECTED;
+
+  if (!rejected && fields.length === 0 && item?.status === ReviewStatus.PENDING) {
+    item = { ...item, status: ReviewStatus.SUPERSEDED, score, fields, resolvedAt: now, updatedAt: now };
+    await retry(() => reviews.set(jobId, item));
+  } else if (!rejected && fields.length > 0 && (item?.status === ReviewStatus.PENDING || !sameValues(item?.fields, fields))) {
+    item = {
+      jobId,
+      source: job.source || null,
+      advtNo: job.advtNo || null,
+      postName: job.postName || null,
+      pdfUrl: job.pdfUrl || null,
+      status: ReviewStatus.PENDING,
+      score,
+      threshold,
+      fields,
+      queuedAt: item?.status === ReviewStatus.PENDING ? item.queuedAt : now,
+      updatedAt: now,
+      resolvedAt: null,
+      reviewedBy: null,
+      note: null,
+      corrections: null
+    };
+    await retry(() => reviews.set(jobId, item));
+    queued = true;
+    logInfo(`Job ${jobId} queued for review: ${fields.map(f => `${f.field} (${f.confidence})`).join(', ')}`);
+  }
+
+  const published = !item || ![ReviewStatus.PENDING, ReviewStatus.REJECTED].includes(item.status);
+  const review = item ? summary(item) : null;
+
+  if (job.published !== published || !sameValue(job.review, review)) {
+    await retry(() => setJobReview(jobId, { published, review }));
+  }
+
+  return { queued, published };
+}
+
+/**
+ * Queue items, lowest score first (status 'all' for every item)
+ */
+export async function listReviews({ status = ReviewStatus.PENDING, source } = {}) {
+  const where = [];
+  if (status !== 'all') where.push(['status', '==', status]);
+  if (source) where.push(['source', '==', source]);
+
+  const items = await getStorage().reviews.list({ where });
+  return items.sort((a, b) => (a.score ?? 1) - (b.score ?? 1));
+}
+
+export async function approveReview(jobId, { by = null, note = null } = {}) {
+  return resolve(jobId, ReviewStatus.APPROVED, { by, note });
+}
+
+export async function rejectReview(jobId, { by = null, note = null } = {}) {
+  return resolve(jobId, ReviewStatus.REJECTED, { by, note });
+}
+
+/**
+ * Replace values of a queued job; raw values are normalized like scraped
+ * ones (e.g. lastDate '31/01/2026')
+ */
+export async function correctReview(jobId, corrections, { by = null, note = null } = {}) {
+  const values = normalizeFields(corrections);
+
+  if (Object.keys(values).length === 0) {
+    throw new Error('No corrections given (field=value)');
+  }
+
+  return resolve(jobId, ReviewStatus.CORRECTED, { by, note, values });
+}
+
+async function resolve(jobId, status, { by, note, values = null }) {
+  const { jobs, reviews } = getStorage();
+  const item = await reviews.get(jobId);
+  if (!item) throw new Error(`No review item for ${jobId}`);
+  if (!(await jobs.get(jobId))) throw new Error(`Job ${jobId} not found`);
+
+  let corrections = null;
+  if (values) {
+    const result = await correctJob(jobId, values, { details: { reviewedBy: by, note } });
+    corrections = result.changes;
+  }
+
+  // Remaining low values were seen by the reviewer - keep them as reviewed
+  const { threshold } = item;
+  const { score, fields } = assessJob(await jobs.get(jobId), threshold);
+  const now = new Date();
+  const resolved = {
+    ...item,
+    status,
+    score,
+    fields,
+    resolvedAt: now,
+    updatedAt: now,
+    reviewedBy: by,
+    note,
+    corrections
+  };
+
+  await reviews.set(jobId, resolved);
+  await setJobReview(jobId, { published: status !== ReviewStatus.REJECTED, review: summary(resolved) });
+
+  logInfo(`Review ${jobId}: ${status}${by ? ` by ${by}` : ''}`);
+  return resolved;
+}
+
+function summary(item) {
+  return {
+    status: item.status,
+    score: item.score,
+    fields: item.fields.map(f => f.field)
+  };
+}
+
+// Same fields with the same values (confidence and evidence aside)
+function sameValues(a = [], b = []) {
+  const values = fields => Object.fromEntries(fields.map(f => [f.field, f.value]));
+  return sameValue(values(a), values(b));
+}
+
+function printItems(items) {
+  if (items.length === 0) {
+    console.log('Review queue is empty');
+    return;
+  }
+
+  for (const item of items) {
+    console.log(`${item.jobId} [${item.status}] score ${item.score} - ${item.postName || item.advtNo || ''}`);
+    console.log(`  ${item.pdfUrl || 'no PDF'}`);
+    for (const field of item.fields) {
+      const evidence = field.evidence ? ` ${JSON.stringify(field.evidence)}` : '';
+      console.log(`  ${field.field}: ${JSON.stringify(field.value)} (${field.confidence})${evidence}`);
+    }
+  }
+}
+
+async function main(argv) {
+  const [command, jobId, ...rest] = argv;
+  const option = flag => {
+    const index = argv.indexOf(flag);
+    return index >= 0 ? argv[index + 1] : undefined;
+  };
+  const by = option('--by') || process.env.USER || null;
+  const note = option('--note') || null;
+
+  initRuntimeConfig();
+  await initStorage();
+
+  switch (command) {
+    case 'list':
+      printItems(await listReviews({ status: option('--status'), source: option('--source') }));
+      return;
+    case 'approve':
+      printItems([await approveReview(jobId, { by, note })]);
+      return;
+    case 'reject':
+      printItems([await rejectReview(jobId, { by, note })]);
+      return;
+    case 'correct': {
+      const pairs = rest.filter((arg, i) => arg.includes('=') && !rest[i - 1]?.startsWith('--'));
+      const corrections = Object.fromEntries(pairs.map(pair => {
+        const index = pair.indexOf('=');
+        return [pair.slice(0, index), pair.slice(index + 1)];
+      }));
+      printItems([await correctReview(jobId, corrections, { by, note })]);
+      return;
+    }
+    default:
+      throw new Error('Usage: review.js list | approve <jobId> | correct <jobId> field=value ... | reject <jobId>');
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(err => {
+      logError('Review command failed', err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,146 @@
+/**
+ * Run Health Evaluator - STEP 7 Production Monitoring
+ *
+ * Runs after every scrape (and standalone: npm run health) and looks at
+ * recent `scraper_runs` documents for:
+ * - consecutive runs that found zero jobs
+ * - a sudden drop in jobsFound against the recent median (runs that
+ *   stopped paging at known rows read only part of the listing and are
+ *   left out of it)
+ * - a parsing error rate above threshold
+ * - runs stuck in 'running' (runner killed without finalizing)
+ *
+ * Each failing check raises its alert; a passing check resolves it.
+ * Thresholds: see getHealthConfig() in runtimeConfig.js.
+ */
+
+import { getRecentRuns } from './scraperMetrics.js';
+import { shouldAlert } from './errorHandler.js';
+import { getHealthConfig } from './runtimeConfig.js';
+import { initStorage } from './storage/index.js';
+import { logInfo, logError } from './logger.js';
+import {
+  alertConsecutiveZeroJobs,
+  alertJobDrop,
+  alertParseErrorRate,
+  alertStuckRun,
+  resolveAlert,
+  AlertKey
+} from './alerting.js';
+
+const RECENT_RUNS = 10;
+
+// Runs that never scraped anything and say nothing about the site
+const IGNORED_STATUSES = ['running', 'skipped_locked', 'disabled'];
+
+// Too few rows for a meaningful parse error rate
+const MIN_PROCESSED_FOR_RATE = 3;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Evaluate recent runs (newest first) - pure, no writes
+ *
+ * Returns: { zeroJobs, jobDrop, parseErrors, stuckRuns }
+ *   each { failing: boolean, ...details }
+ */
+export function evaluateRunHealth(runs, options = {}) {
+  const config = { ...getHealthConfig(), ...options.thresholds };
+  const now = options.now || new Date();
+
+  const completed = runs.filter(run => !IGNORED_STATUSES.includes(run.status));
+  const [latest, ...previous] = completed;
+
+  // Consecutive zero-job runs (failed runs count: they found nothing)
+  let consecutiveZeroJobRuns = 0;
+  for (const run of completed) {
+    if ((run.jobsFound || 0) > 0) break;
+    consecutiveZeroJobRuns++;
+  }
+  const zeroJobs = {
+    failing: shouldAlert(null, { consecutiveZeroJobRuns }),
+    consecutiveZeroJobRuns
+  };
+
+  // Sudden drop against the median of earlier non-zero full-listing runs
+  const history = previous
+    .filter(run => run.listingComplete !== false)
+    .map(run => run.jobsFound || 0)
+    .filter(count => count > 0);
+  const baseline = history.length > 0 ? median(history) : null;
+  const jobsFound = latest?.jobsFound || 0;
+  const fullListing = latest?.listingComplete !== false;
+  const jobDrop = {
+    failing: Boolean(fullListing && baseline && jobsFound > 0 && jobsFound <= baseline * (1 - config.jobDropRatio)),
+    jobsFound,
+    baseline
+  };
+
+  // Parsing errors per processed (not skipped) row in the latest run; both
+  // count only the rows read, so runs that stopped early are rated too
+  const processed = latest ? (latest.jobsFound || 0) - (latest.jobsSkipped || 0) : 0;
+  const parsingErrors = latest?.parsingErrorsCount || 0;
+  const rate = processed > 0 ? parsingErrors / processed : 0;
+  const parseErrors = {
+    failing: processed >= MIN_PROCESSED_FOR_RATE && rate > config.parseErrorRate,
+    processed,
+    parsingErrors,
+    rate,
+    threshold: config.parseErrorRate
+  };
+
+  // Still 'running' long after any run should have finished
+  const cutoff = now.getTime() - config.stuckRunMinutes * 60 * 1000;
+  const stuck = runs.filter(run => run.status === 'running' && run.startedAt?.getTime() < cutoff);
+  const stuckRuns = {
+    failing: stuck.length > 0,
+    runIds: stuck.map(run => run.runId || run.id),
+    thresholdMinutes: config.stuckRunMinutes
+  };
+
+  return { zeroJobs, jobDrop, parseErrors, stuckRuns };
+}
+
+/**
+ * Evaluate stored run history and raise / resolve alerts - never throws
+ */
+export async function checkRunHealth(options = {}) {
+  try {
+    const runs = await getRecentRuns(options.limit || RECENT_RUNS);
+    const health = evaluateRunHealth(runs, options);
+
+    const checks = [
+      [health.zeroJobs, AlertKey.CONSECUTIVE_ZERO_JOBS, () => alertConsecutiveZeroJobs(health.zeroJobs.consecutiveZeroJobRuns)],
+      [health.jobDrop, AlertKey.JOB_DROP, () => alertJobDrop(health.jobDrop)],
+      [health.parseErrors, AlertKey.PARSE_ERROR_RATE, () => alertParseErrorRate(health.parseErrors)],
+      [health.stuckRuns, AlertKey.STUCK_RUN, () => alertStuckRun(health.stuckRuns)]
+    ];
+
+    for (const [check, key, raise] of checks) {
+      if (check.failing) {
+        await raise();
+      } else {
+        await resolveAlert(key);
+      }
+    }
+
+    const failing = checks.filter(([check]) => check.failing).map(([, key]) => key);
+    logInfo(`Run health: ${failing.length === 0 ? 'OK' : `failing ${failing.join(', ')}`}`);
+
+    return health;
+  } catch (err) {
+    logError('Run health evaluation failed', err);
+    return null;
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  initStorage()
+    .then(() => checkRunHealth())
+    .then(health => process.exit(health ? 0 : 1))
+    .catch(() => process.exit(1));
+}
@@ -1,122 +1,188 @@
 /**
  * Single-Run Lock - STEP 5 CRITICAL
- * 
+ *
  * MANDATORY: Prevents concurrent scraper runs
- * 
- * Mechanism: Firestore-based distributed lock
- * Document: scraper_locks/current
- * 
+ *
+ * Mechanism: storage-based distributed lock (Firestore in production)
+ * Document: scraper_locks/{name}  (named locks: 'scraper', 'maintenance')
+ *
  * Rules:
- * - Lock acquired at startup
+ * - Lock acquired at startup, atomically (storage transaction)
+ * - Each acquisition gets an owner token stored in the lock document
  * - If lock exists → log WARNING → exit immediately (NOT an error)
- * - Lock TTL: 30 minutes
- * - Lock released on clean exit
+ * - Lock TTL: 30 minutes, extended by a heartbeat while the run is alive
+ * - Lock released on clean exit - only by its owner
  * - Lock auto-expires on crash
  */
 
-import admin from 'firebase-admin';
+import crypto from 'crypto';
 import { logInfo, logWarning, logError } from './logger.js';
+import { getStorage } from './storage/index.js';
 
-const LOCK_COLLECTION = 'scraper_locks';
-const LOCK_DOC_ID = 'current';
-const LOCK_TTL_MS = 30 * 60 * 1000;  // 30 minutes
+export const LockName = {
+    SCRAPER: 'scraper',
+    MAINTENANCE: 'maintenance'
+};
 
-let db;
-let lockAcquired = false;
+const LOCK_TTL_MS = 30 * 60 * 1000;  // 30 minutes
+const HEARTBEAT_INTERVAL_MS = 5 * 60 * 1000;  // 5 minutes
 
-/**
- * Set Firestore instance
- */
-export function setFirestoreDb(firestoreDb) {
-    db = firestoreDb;
-}
+// name → { token, heartbeat }
+const heldLocks = new Map();
 
 /**
  * Acquire distributed lock
- * 
+ *
  * Returns: true if lock acquired, false if already locked
  */
-export async function acquireLock() {
-    if (!db) {
-        throw new Error('Firestore not initialized - call setFirestoreDb() first');
-    }
-
-    const lockRef = db.collection(LOCK_COLLECTION).doc(LOCK_DOC_ID);
-    const now = Date.now();
-    const expiresAt = now + LOCK_TTL_MS;
+export async function acquireLock(name = LockName.SCRAPER) {
+    const { locks } = getStorage();
+    const token = crypto.randomUUID();
+    let holder = null;
 
     try {
-        // Check if lock exists and is still valid
-        const lockDoc = await lockRef.get();
-
-        if (lockDoc.exists) {
-            const lockData = lockDoc.data();
-            const lockExpiry = lockData.expiresAt?.toMillis() || 0;
+        const written = await locks.transaction(name, lockData => {
+            const now = Date.now();
+            const lockExpiry = lockData?.expiresAt?.getTime() || 0;
 
             if (lockExpiry > now) {
                 // Lock is still valid - another instance is running
-                const remainingMs = lockExpiry - now;
-                const remainingMin = Math.ceil(remainingMs / 60000);
-
-                logWarning('Scraper is already running (lock held by another instance)');
-                logWarning(`Lock expires in ${remainingMin} minutes`);
-                logWarning(`Lock acquired at: ${lockData.acquiredAt?.toDate()}`);
-                logWarning(`Lock holder: ${lockData.hostname || 'unknown'}`);
-
-                return false;  // Lock NOT acquired
-            } else {
-                // Lock expired - clean up stale lock
-                logWarning('Found expired lock - cleaning up');
+                holder = lockData;
+                return undefined;
             }
-        }
 
-        // Acquire lock
-        await lockRef.set({
-            acquiredAt: admin.firestore.FieldValue.serverTimestamp(),
-            expiresAt: admin.firestore.Timestamp.fromMillis(expiresAt),
-            hostname: process.env.HOSTNAME || 'unknown',
-            pid: process.pid,
-            nodeEnv: process.env.NODE_ENV || 'development'
+            return {
+                name,
+                owner: token,
+                acquiredAt: new Date(now),
+                heartbeatAt: new Date(now),
+                expiresAt: new Date(now + LOCK_TTL_MS),
+                hostname: process.env.HOSTNAME || 'unknown',
+                pid: process.pid,
+                nodeEnv: process.env.NODE_ENV || 'development'
+            };
         });
 
-        lockAcquired = true;
-        logInfo('✓ Scraper lock acquired');
-        logInfo(`Lock expires at: ${new Date(expiresAt).toISOString()}`);
+        if (!written) {
+            const remainingMin = Math.ceil((holder.expiresAt.getTime() - Date.now()) / 60000);
+
+            logWarning(`Lock "${name}" is held by another instance - already running`);
+            logWarning(`Lock expires in ${remainingMin} minutes`);
+            logWarning(`Lock acquired at: ${holder.acquiredAt?.toISOString()}`);
+            logWarning(`Lock holder: ${holder.hostname || 'unknown'}`);
+
+            return false;  // Lock NOT acquired
+        }
+
+        heldLocks.set(name, { token, heartbeat: startHeartbeat(name) });
+        logInfo(`✓ Lock "${name}" acquired`);
+        logInfo(`Lock expires at: ${written.expiresAt.toISOString()}`);
 
         return true;  // Lock acquired
 
     } catch (error) {
-        logError('Failed to acquire lock', error);
+        logError(`Failed to acquire lock "${name}"`, error);
         throw error;
     }
 }
 
 /**
- * Release lock on clean exit
+ * Extend a held lock (heartbeat)
+ *
+ * Returns: false if the lock was lost (expired and taken over, or deleted)
+ */
+export async function renewLock(name = LockName.SCRAPER) {
+    const held = heldLocks.get(name);
+    if (!held) {
+        return false;
+    }
+
+    const renewed = await getStorage().locks.transaction(name, lockData => {
+        if (lockData?.owner !== held.token) {
+            return undefined;
+        }
+
+        const now = Date.now();
+        return {
+            ...lockData,
+            heartbeatAt: new Date(now),
+            expiresAt: new Date(now + LOCK_TTL_MS)
+        };
+    });
+
+    if (!renewed) {
+        logError(`Lock "${name}" lost - another instance may be running`);
+        stopHeartbeat(name);
+        heldLocks.delete(name);
+        return false;
+    }
+
+    return true;
+}
+
+function startHeartbeat(name) {
+    const timer = setInterval(() => {
+        renewLock(name).catch(error => logError(`Lock "${name}" heartbeat failed`, error));
+    }, HEARTBEAT_INTERVAL_MS);
+
+    // Never keep the process alive just for the heartbeat
+    timer.unref?.();
+    return timer;
+}
+
+function stopHeartbeat(name) {
+    const held = heldLocks.get(name);
+    if (held?.heartbeat) {
+        clearInterval(held.heartbeat);
+    }
+}
+
+/**
+ * Release lock on clean exit (only if this process still owns it)
  */
-export async function releaseLock() {
-    if (!db || !lockAcquired) {
+export async function releaseLock(name = LockName.SCRAPER) {
+    const held = heldLocks.get(name);
+    if (!held) {
         return;
     }
 
+    stopHeartbeat(name);
+    heldLocks.delete(name);
+
     try {
-        const lockRef = db.collection(LOCK_COLLECTION).doc(LOCK_DOC_ID);
-        await lockRef.delete();
-        lockAcquired = false;
-        logInfo('✓ Scraper lock released');
+        let owned = false;
+        await getStorage().locks.transaction(name, lockData => {
+            owned = lockData?.owner === held.token;
+            return owned ? null : undefined;
+        });
+
+        if (owned) {
+            logInfo(`✓ Lock "${name}" released`);
+        } else {
+            logWarning(`Lock "${name}" is owned by another instance - not released`);
+        }
     } catch (error) {
-        logError('Failed to release lock', error);
+        logError(`Failed to release lock "${name}"`, error);
         // Don't throw - releasing lock failure shouldn't crash
     }
 }
 
+/**
+ * Release every lock held by this process
+ */
+async function releaseAllLocks() {
+    for (const name of [...heldLocks.keys()]) {
+        await releaseLock(name);
+    }
+}
+
 /**
  * Setup lock release on process exit
  */
 export function setupLockCleanup() {
     // Clean exit
     process.on('exit', () => {
-        if (lockAcquired) {
+        if (heldLocks.size > 0) {
             logInfo('Process exiting - lock will auto-expire');
         }
     });
@@ -124,28 +190,28 @@ export function setupLockCleanup() {
     // SIGINT (Ctrl+C)
     process.on('SIGINT', async () => {
         logInfo('Received SIGINT - releasing lock');
-        await releaseLock();
+        await releaseAllLocks();
         process.exit(0);
     });
 
     // SIGTERM (kill)
     process.on('SIGTERM', async () => {
         logInfo('Received SIGTERM - releasing lock');
-        await releaseLock();
+        await releaseAllLocks();
         process.exit(0);
     });
 
     // Uncaught exception
     process.on('uncaughtException', async (error) => {
         logError('Uncaught exception - releasing lock', error);
-        await releaseLock();
+        await releaseAllLocks();
         process.exit(1);
     });
 
     // Unhandled rejection
     process.on('unhandledRejection', async (reason) => {
         logError('Unhandled rejection - releasing lock', reason);
-        await releaseLock();
+        await releaseAllLocks();
         process.exit(1);
     });
 }
@@ -36,6 +36,22 @@ function getRuntimeMode() {
 
 const RUNTIME_MODE = getRuntimeMode();
 
+const STORAGE_BACKENDS = ['firestore', 'file'];
+
+/**
+ * Get storage backend
+ * Default: file in DEV (no credentials needed), firestore otherwise
+ */
+function getStorageBackend() {
+    const backend = process.env.STORAGE_BACKEND?.toLowerCase();
+
+    if (backend) {
+        return backend;
+    }
+
+    return RUNTIME_MODE === RUNTIME_MODES.DEV ? 'file' : 'firestore';
+}
+
 /**
  * Validate production configuration
  * FATAL if required env vars missing in PRODUCTION
@@ -45,6 +61,11 @@ function validateProductionConfig() {
         return;  // Only validate in production
     }
 
+    if (getStorageBackend() !== 'firestore') {
+        logError('FATAL: PRODUCTION must use STORAGE_BACKEND=firestore');
+        process.exit(1);
+    }
+
     const required = [
         'FIREBASE_SERVICE_ACCOUNT',
         'ALERT_EMAIL'
@@ -81,6 +102,163 @@ export const isProduction = RUNTIME_MODE === RUNTIME_MODES.PRODUCTION;
  */
 export const alertsEnabled = isProduction;
 
+/**
+ * Storage configuration (see storage/index.js)
+ */
+export function getStorageConfig() {
+    const backend = getStorageBackend();
+
+    if (!STORAGE_BACKENDS.includes(backend)) {
+        throw new Error(`Unknown STORAGE_BACKEND: ${backend} (expected ${STORAGE_BACKENDS.join(' | ')})`);
+    }
+
+    return {
+        backend,
+        dir: process.env.STORAGE_DIR || '.data'
+    };
+}
+
+/**
+ * Run artifacts (see structureCheck.js)
+ * ARTIFACTS_DIR: HTML snapshots and screenshots saved on structure drift,
+ *                relative to backend/ (uploaded by the workflow)
+ */
+export function getArtifactsConfig() {
+    return {
+        dir: process.env.ARTIFACTS_DIR || 'artifacts'
+    };
+}
+
+/**
+ * Incremental scraping (see watermark.js)
+ * INCREMENTAL_STOP_AFTER_KNOWN: stop paging through a listing after this
+ *                               many consecutive known rows (0 = only
+ *                               when a whole page is known)
+ */
+export function getIncrementalConfig() {
+    const stopAfterKnown = Number(process.env.INCREMENTAL_STOP_AFTER_KNOWN || 10);
+
+    if (!Number.isInteger(stopAfterKnown) || stopAfterKnown < 0) {
+        throw new Error(`Invalid INCREMENTAL_STOP_AFTER_KNOWN: ${process.env.INCREMENTAL_STOP_AFTER_KNOWN}`);
+    }
+
+    return { stopAfterKnown };
+}
+
+/**
+ * PDF cache (see pdfCache.js)
+ * PDF_CACHE_DIR:        parsed PDF text by content hash, relative to
+ *                       backend/ (kept between runs by the workflow cache)
+ * PDF_REVALIDATE_DAYS:  re-check known PDFs with conditional requests this
+ *                       often, to catch files replaced under the same URL
+ *                       (0 = never)
+ */
+export function getPdfCacheConfig() {
+    const revalidateDays = Number(process.env.PDF_REVALIDATE_DAYS || 7);
+
+    if (!Number.isFinite(revalidateDays) || revalidateDays < 0) {
+        throw new Error(`Invalid PDF_REVALIDATE_DAYS: ${process.env.PDF_REVALIDATE_DAYS}`);
+    }
+
+    return {
+        dir: process.env.PDF_CACHE_DIR || '.pdf-cache',
+        revalidateDays
+    };
+}
+
+/**
+ * Review queue (see review.js)
+ * REVIEW_CONFIDENCE_THRESHOLD: jobs with an extracted field scoring below
+ *                              this (0-1) wait in review_queue before they
+ *                              are published (0 = publish everything)
+ */
+export function getReviewConfig() {
+    const threshold = Number(process.env.REVIEW_CONFIDENCE_THRESHOLD || 0.6);
+
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+        throw new Error(`Invalid REVIEW_CONFIDENCE_THRESHOLD: ${process.env.REVIEW_CONFIDENCE_THRESHOLD}`);
+    }
+
+    return { threshold };
+}
+
+/**
+ * Alert state configuration (see alerting.js)
+ * ALERT_COOLDOWN_HOURS:    quiet period before an open alert is re-sent
+ * ALERT_DIGEST:            'false' sends every severity immediately
+ * ALERT_DIGEST_SEVERITIES: severities collected into the daily digest
+ */
+export function getAlertConfig() {
+    const cooldownHours = Number(process.env.ALERT_COOLDOWN_HOURS || 24);
+
+    if (!Number.isFinite(cooldownHours) || cooldownHours < 0) {
+        throw new Error(`Invalid ALERT_COOLDOWN_HOURS: ${process.env.ALERT_COOLDOWN_HOURS}`);
+    }
+
+    return {
+        cooldownHours,
+        digest: process.env.ALERT_DIGEST !== 'false',
+        digestSeverities: (process.env.ALERT_DIGEST_SEVERITIES || 'LOW,MEDIUM')
+            .split(',')
+            .map(s => s.trim().toUpperCase())
+            .filter(Boolean)
+    };
+}
+
+/**
+ * Run health thresholds (see runHealth.js)
+ * (consecutive zero-job runs follow shouldAlert() in errorHandler.js)
+ * HEALTH_JOB_DROP_RATIO:    alert when jobsFound falls by this share of
+ *                           the recent median (0.5 = halved)
+ * HEALTH_PARSE_ERROR_RATE:  parsing errors per processed row
+ * HEALTH_STUCK_RUN_MINUTES: a run still 'running' after this is stuck
+ */
+export function getHealthConfig() {
+    const config = {
+        jobDropRatio: Number(process.env.HEALTH_JOB_DROP_RATIO || 0.5),
+        parseErrorRate: Number(process.env.HEALTH_PARSE_ERROR_RATE || 0.5),
+        stuckRunMinutes: Number(process.env.HEALTH_STUCK_RUN_MINUTES || 60)
+    };
+
+    for (const [key, value] of Object.entries(config)) {
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new Error(`Invalid health threshold ${key}: ${value}`);
+        }
+    }
+
+    return config;
+}
+
+/**
+ * Job status (see normalizer.js determineStatus) - shared by scrape runs
+ * and maintenance, so both agree on a job's status
+ * CLOSING_SOON_DAYS: days before the last date a job is 'closing_soon'
+ */
+export function getStatusConfig() {
+    const closingSoonDays = Number(process.env.CLOSING_SOON_DAYS || 7);
+
+    if (!Number.isFinite(closingSoonDays) || closingSoonDays < 0) {
+        throw new Error(`Invalid CLOSING_SOON_DAYS: ${process.env.CLOSING_SOON_DAYS}`);
+    }
+
+    return { closingSoonDays };
+}
+
+/**
+ * Maintenance configuration (see maintenance.js)
+ * JOB_RETENTION_DAYS: days after the last date before a job is archived
+ * closingSoonDays comes from getStatusConfig()
+ */
+export function getMaintenanceConfig() {
+    const retentionDays = Number(process.env.JOB_RETENTION_DAYS || 180);
+
+    if (!Number.isFinite(retentionDays) || retentionDays <= 0) {
+        throw new Error(`Invalid JOB_RETENTION_DAYS: ${process.env.JOB_RETENTION_DAYS}`);
+    }
+
+    return { retentionDays, ...getStatusConfig() };
+}
+
 /**
  * Initialize runtime config
  * MUST be called at startup
@@ -88,6 +266,7 @@ export const alertsEnabled = isProduction;
 export function initRuntimeConfig() {
     logInfo(`Runtime mode: ${RUNTIME_MODE}`);
     logInfo(`Alerts enabled: ${alertsEnabled}`);
+    logInfo(`Storage backend: ${getStorageBackend()}`);
 
     if (isDev) {
         logWarning('Running in DEVELOPMENT mode - alerts disabled');
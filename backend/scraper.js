@@ -1,131 +1,585 @@
 import { chromium } from 'playwright';
 import { downloadAndParsePdf } from './pdfParser.js';
-import { normalizeJobData } from './normalizer.js';
-import { saveJob, checkDuplicate, initFirestore } from './firestoreService.js';
+import { getPdfRecord, getTextCache, recordPdfDocument } from './pdfCache.js';
+import { normalizeJobData, mergeListingAndPdf } from './normalizer.js';
+import { saveJob, applyNotice } from './firestoreService.js';
+import { updateReview } from './review.js';
+import { trackIncompleteJob } from './manualEntry.js';
+import {
+  NoticeType,
+  classifyNotice,
+  findAdvtNos,
+  findReferences,
+  findNewLastDate,
+  resolveNoticeType
+} from './noticeClassifier.js';
+import { initStorage, setStorage, getStorage } from './storage/index.js';
 import { logInfo, logError, logWarning } from './logger.js';
+import { getEnabledSources } from './sources/index.js';
+import { checkRunHealth } from './runHealth.js';
+import { initRuntimeConfig, getIncrementalConfig, getPdfCacheConfig } from './runtimeConfig.js';
+import { acquireLock, releaseLock, setupLockCleanup, LockName } from './runLock.js';
+import { checkKillSwitch } from './killSwitch.js';
+import {
+  compareFingerprints,
+  describeDrift,
+  getFingerprint,
+  saveFingerprint,
+  saveArtifacts
+} from './structureCheck.js';
+import {
+  ListingStatus,
+  listingId,
+  listingStatus,
+  isRevalidationDue,
+  loadWatermark,
+  markRevalidated,
+  recordListing,
+  recordPendingNotice,
+  saveWatermark
+} from './watermark.js';
+import {
+  ErrorType,
+  classifyError,
+  retryOperation,
+  initRetryPolicy,
+  shouldAlert
+} from './errorHandler.js';
+import {
+  alertStructureChange,
+  alertStructureDrift,
+  alertFirestoreFailure,
+  alertScraperCrash,
+  resolveAlert,
+  sendDigestIfDue,
+  AlertKey
+} from './alerting.js';
 
 import {
   initializeRun,
   updateRunMetrics,
   incrementCounter,
   finalizeRun,
-  setFirestoreDb
+  getCurrentRun
 } from './scraperMetrics.js';
 
-const SPSC_CONFIG = {
-  baseUrl: 'https://spsc.sikkim.gov.in',
-  notificationsPath: '/Notifications.html',
-  timeout: 30000,
+const BROWSER_CONFIG = {
   userAgent:
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120',
-  delayBetweenRequests: 2000
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120'
 };
 
-async function scrapeJobs() {
+function launchChromium() {
+  return chromium.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  });
+}
+
+/**
+ * Raised when the remote kill switch is off at a checkpoint
+ * (never swallowed by per-source / per-job error handling)
+ */
+class KillSwitchError extends Error {
+  constructor(context) {
+    super(`Scraper disabled via kill switch (${context})`);
+    this.name = 'KillSwitchError';
+    this.context = context;
+  }
+}
+
+/**
+ * Kill switch checkpoint: 'startup' | 'navigation' | 'write'
+ */
+async function ensureEnabled(context) {
+  if (!(await checkKillSwitch(context))) {
+    throw new KillSwitchError(context);
+  }
+}
+
+/**
+ * Run the scraper
+ *
+ * Order: runtime config → storage → run document → lock → kill switch
+ * (startup) → sources. The kill switch is checked again before every list
+ * page navigation and every job write. The lock is always released.
+ *
+ * Each list page is compared against the structure fingerprint of the last
+ * successful run (structureCheck.js); drift is a STRUCTURE_CHANGE error
+ * with an HTML snapshot and screenshot saved as run artifacts. The
+ * selectors that matched (sources/sourceConfig.js fallbacks) are recorded
+ * per source in the run document.
+ *
+ * Scraping is incremental (watermark.js): known rows are skipped without
+ * a Firestore read, PDFs are only downloaded for new rows and rows whose
+ * PDF link changed, and paging stops at a run of known rows. Every
+ * PDF_REVALIDATE_DAYS known PDFs are re-checked with conditional requests
+ * (pdfCache.js); a PDF replaced under the same URL marks its job
+ * `notificationUpdated`.
+ *
+ * Run status: success | partial | failed | skipped_locked | disabled
+ *
+ * Options (all optional, used by tests and tooling):
+ *   storage        - storage backend (default: initStorage())
+ *   launchBrowser  - async () => browser (default: headless Chromium)
+ *   sources        - source adapters (default: getEnabledSources())
+ *   retry          - initRetryPolicy() options, e.g. { baseDelayMs }
+ *   artifactsDir   - where drift snapshots go (default: ARTIFACTS_DIR)
+ */
+async function scrapeJobs(options = {}) {
+  const {
+    launchBrowser = launchChromium,
+    sources = getEnabledSources()
+  } = options;
   let browser;
+  let locked = false;
+  let runId = null;
+  let scraped = false;  // run reached the sources - evaluate health afterwards
 
   try {
-    // 🔥 Firestore init
-    const db = await initFirestore();
-    setFirestoreDb(db);
+    initRuntimeConfig();
 
-    // 🔥 START RUN
-    await initializeRun();
+    // 🔥 Storage init (Firestore or local file backend)
+    if (options.storage) {
+      setStorage(options.storage);
+    } else {
+      await initStorage();
+    }
 
-    browser = await chromium.launch({
-      headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    // 🔥 START RUN
+    runId = await initializeRun();
+    initRetryPolicy({
+      ...options.retry,
+      onError: classification => incrementCounter(`errorCounts.${classification.type}`)
     });
 
-    const page = await browser.newPage();
-    await page.goto(
-      `${SPSC_CONFIG.baseUrl}${SPSC_CONFIG.notificationsPath}`,
-      { waitUntil: 'networkidle' }
-    );
+    // 🔒 One run at a time - a held lock is not an error
+    locked = await acquireLock(LockName.SCRAPER);
+    if (!locked) {
+      await finalizeRun('skipped_locked');
+      return { runId, status: 'skipped_locked', sources: {} };
+    }
 
-    await page.waitForSelector('#myTable');
+    await ensureEnabled('startup');
 
-    const jobs = await extractJobs(page);
-    await updateRunMetrics({ jobsFound: jobs.length });
+    scraped = true;
 
-    for (const job of jobs) {
-      try {
-        const isDuplicate = await checkDuplicate(
-          job.advtNo,
-          job.postName,
-          job.issuedDate
-        );
-
-        if (isDuplicate) {
-          await incrementCounter('jobsSkipped');
-          continue;
-        }
-
-        const pdfData = await downloadAndParsePdf(job.pdfUrls[0]);
-
-        const normalized = normalizeJobData({
-          ...job,
-          ...pdfData
-        });
-
-        await saveJob(normalized);
-        await incrementCounter('jobsInserted');
-
-        if (normalized.dataComplete === false) {
-          await incrementCounter('parsingErrorsCount');
-        }
-      } catch (err) {
-        logError(`Job failed: ${job.postName}`, err);
-        await incrementCounter('parsingErrorsCount');
-      }
+    if (sources.length === 0) {
+      throw new Error('No sources enabled (check SCRAPER_SOURCES)');
+    }
+
+    browser = await launchBrowser();
+
+    // Each source runs independently: one broken site must not abort the rest
+    const sourceResults = {};
+    for (const source of sources) {
+      sourceResults[source.id] = await scrapeSource(browser, source, { runId, artifactsDir: options.artifactsDir });
+    }
 
-      await new Promise(r => setTimeout(r, SPSC_CONFIG.delayBetweenRequests));
+    const results = Object.values(sourceResults);
+    const failed = results.filter(r => r.status === 'failed');
+
+    await updateRunMetrics({
+      jobsFound: results.reduce((sum, r) => sum + r.jobsFound, 0),
+      listingComplete: results.every(r => r.listingComplete !== false),
+      sources: sourceResults
+    });
+
+    if (failed.length === results.length) {
+      // Each source error was already counted
+      throw Object.assign(
+        new Error(`All sources failed: ${failed.map(r => r.error).join('; ')}`),
+        { counted: true }
+      );
     }
 
-    // ✅ SUCCESS
-    await finalizeRun('success');
+    // ✅ SUCCESS (partial when some sources failed)
+    const status = failed.length > 0 ? 'partial' : 'success';
+    await resolveClearedAlerts(sources, sourceResults, status);
+    await finalizeRun(status);
+
+    return { runId, status, sources: sourceResults };
   } catch (err) {
+    if (err instanceof KillSwitchError) {
+      await finalizeRun('disabled', err.message);
+      return { runId, status: 'disabled', sources: {} };
+    }
+
     logError('Fatal scraper error', err);
+    await reportError(err, { scraperCrashed: true });
     await finalizeRun('failed', err.message);
     throw err;
   } finally {
-    if (browser) await browser.close();
+    if (browser) await browser.close().catch(() => {});
+    if (scraped) await checkRunHealth();
+    if (locked) await releaseLock(LockName.SCRAPER);
   }
 }
 
 /* ===== helpers ===== */
 
-async function extractJobs(page) {
-  const rows = await page.$$('#myTable tbody tr');
-  const jobs = [];
+const FIRESTORE_CONTEXT = { isFirestoreOperation: true };
 
-  for (const row of rows) {
-    try {
-      const postName = await row.$eval('a', el => el.textContent.trim());
-      const pdfUrls = await row.$$eval(
-        'a[href$=".pdf"]',
-        els => els.map(e => e.href)
-      );
+// Services that write several documents retry each storage step with this
+// instead of being retried as a whole (see firestoreService.js)
+const retryStep = operation => retryOperation(operation, FIRESTORE_CONTEXT);
 
-      if (!postName || pdfUrls.length === 0) continue;
+/**
+ * Close alerts whose condition this run cleared, then send the daily
+ * digest if due - never throws
+ */
+async function resolveClearedAlerts(sources, sourceResults, status) {
+  try {
+    for (const source of sources) {
+      const result = sourceResults[source.id];
+      if (result.status === 'success') {
+        await resolveAlert(AlertKey.structureChange(source.listUrl));
+      }
+      if (result.status === 'success' && !result.structureDrift) {
+        await resolveAlert(AlertKey.structureDrift(source.listUrl));
+      }
+    }
+
+    const run = await getCurrentRun();
+    if (status === 'success') {
+      await resolveAlert(AlertKey.SCRAPER_CRASH);
+    }
+    if (run && !run.errorCounts?.[ErrorType.FIRESTORE_ERROR]) {
+      await resolveAlert(AlertKey.FIRESTORE_FAILURE);
+    }
+
+    await sendDigestIfDue();
+  } catch (err) {
+    logError('Failed to update alert state', err);
+  }
+}
+
+/**
+ * Count an error by type (unless retryOperation already did) and fire the
+ * matching alert when shouldAlert() asks for one - never throws
+ */
+async function reportError(err, context = {}) {
+  const classification = err.classification || classifyError(err, context);
 
-      jobs.push({
-        postName,
-        advtNo: `SPSC_${Date.now()}`,
-        issuedDate: null,
-        pdfUrls,
-        scrapedAt: new Date().toISOString(),
-        sourceUrl: page.url()
+  if (!err.classification && !err.counted) {
+    await incrementCounter(`errorCounts.${classification.type}`);
+  }
+  err.classification = classification;
+
+  // Reaching here with a retryable error means its retries are used up
+  const alertContext = { ...context, retriesExhausted: classification.shouldRetry };
+  if (!shouldAlert(classification.type, alertContext)) return;
+
+  try {
+    if (context.scraperCrashed) {
+      await alertScraperCrash(err, {});
+    } else if (classification.type === ErrorType.STRUCTURE_CHANGE && context.drift) {
+      await alertStructureDrift({
+        source: context.source,
+        url: context.url,
+        changes: context.drift,
+        artifacts: context.artifacts
       });
-    } catch {
+    } else if (classification.type === ErrorType.STRUCTURE_CHANGE) {
+      await alertStructureChange({
+        source: context.source,
+        url: context.url,
+        selectorsAttempted: err.selectorsAttempted || context.selectorsAttempted || [],
+        artifacts: context.artifacts
+      });
+    } else if (classification.type === ErrorType.FIRESTORE_ERROR) {
+      await alertFirestoreFailure(err, { retriesAttempted: err.retriesAttempted ?? 0, jobsAffected: context.jobsAffected ?? null });
+    }
+  } catch (alertErr) {
+    logError('Failed to send alert', alertErr);
+  }
+}
+
+/**
+ * Compare the loaded list page with the stored fingerprint
+ *
+ * Drift is counted and alerted but does not stop the source: the table
+ * may still parse. Returns the live fingerprint (null if unsupported).
+ */
+async function checkStructure(source, page, result, run) {
+  if (!source.fingerprint) return null;
+
+  const fingerprint = await source.fingerprint(page);
+  const previous = await retryOperation(() => getFingerprint(source.id), FIRESTORE_CONTEXT);
+  const changes = previous ? compareFingerprints(previous, fingerprint) : [];
+
+  if (changes.length > 0) {
+    logWarning(`[${source.id}] ${describeDrift(changes)}`);
+    result.structureDrift = changes;
+    result.artifacts = await saveArtifacts(page, { runId: run.runId, sourceId: source.id, dir: run.artifactsDir });
+    await reportError(new Error(describeDrift(changes)), {
+      source: { id: source.id, name: source.name },
+      url: source.listUrl,
+      drift: changes,
+      artifacts: result.artifacts
+    });
+  }
+
+  return fingerprint;
+}
+
+/**
+ * Scrape one source - only throws when the kill switch stops the run
+ */
+async function scrapeSource(browser, source, run = {}) {
+  const result = { status: 'success', jobsFound: 0, error: null };
+  let page;
+  let watermark;
+  let disabled = false;
+
+  try {
+    logInfo(`[${source.id}] Scraping ${source.listUrl}`);
+
+    watermark = await retryOperation(() => loadWatermark(source.id), FIRESTORE_CONTEXT);
+
+    page = await browser.newPage({ userAgent: BROWSER_CONFIG.userAgent });
+    await ensureEnabled('navigation');
+    await source.fetchListPage(page);
+    const fingerprint = await checkStructure(source, page, result, run);
+
+    // Revalidation runs re-check every listed PDF, so they read the whole listing
+    const revalidate = isRevalidationDue(watermark, getPdfCacheConfig().revalidateDays);
+    if (revalidate) logInfo(`[${source.id}] Re-checking known PDFs for replaced content`);
+
+    const jobs = await source.extractRows(page, {
+      stopWhen: revalidate ? undefined : stopAtKnownRows(source, watermark),
+      beforeNavigate: () => ensureEnabled('navigation')
+    });
+    result.jobsFound = jobs.length;
+    // Stopping at known rows leaves the older pages unread: jobsFound is then
+    // no count of the listing and no baseline for the job-drop check
+    result.listingComplete = !source.traversal?.(page)?.stoppedEarly;
+
+    const unresolved = new Map();
+    for (const job of jobs) {
+      const outcome = await processJob(source, job, watermark, { revalidate });
+      if (outcome.status === 'notice_unresolved') unresolved.set(outcome.noticeId, outcome.notice);
+
+      // Politeness delay only after an actual download
+      if (outcome.downloaded) {
+        await new Promise(r => setTimeout(r, source.delayBetweenRequests));
+      }
+    }
+
+    await applyPendingNotices(watermark, unresolved);
+
+    if (revalidate) markRevalidated(watermark);
+
+    // An empty table is no baseline to compare future runs against
+    if (fingerprint && result.jobsFound > 0) {
+      await retryOperation(() => saveFingerprint(source.id, fingerprint), FIRESTORE_CONTEXT);
+    }
+  } catch (err) {
+    if (err instanceof KillSwitchError) {
+      disabled = true;
+      throw err;
+    }
+
+    logError(`[${source.id}] Source failed`, err);
+    if (page && classifyError(err).type === ErrorType.STRUCTURE_CHANGE) {
+      result.artifacts = await saveArtifacts(page, { runId: run.runId, sourceId: source.id, dir: run.artifactsDir });
+    }
+    await reportError(err, {
+      source: { id: source.id, name: source.name },
+      url: source.listUrl,
+      jobsFound: result.jobsFound,
+      artifacts: result.artifacts
+    });
+    result.status = 'failed';
+    result.error = err.message;
+  } finally {
+    // What was saved stays known, even when the source failed halfway
+    if (watermark && !disabled) {
+      await retryOperation(() => saveWatermark(watermark), FIRESTORE_CONTEXT)
+        .catch(err => logError(`[${source.id}] Failed to save watermark`, err));
+    }
+    if (page) {
+      result.selectors = source.matchedSelectors?.(page) ?? null;
+      result.pagination = source.traversal?.(page) ?? null;
+      await page.close().catch(() => {});
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Apply the notices stored unresolved - by this run (listings are newest
+ * first: a corrigendum can precede its advertisement) or an earlier one -
+ * from storage, without downloading their PDFs again
+ *
+ * unresolved - notices this run left unresolved, by notice id
+ */
+async function applyPendingNotices(watermark, unresolved) {
+  for (const noticeId of [...watermark.pendingNotices]) {
+    const notice = unresolved.get(noticeId)
+      || await retryOperation(() => getStorage().notices.get(noticeId), FIRESTORE_CONTEXT);
+    if (!notice || notice.applied) {
+      recordPendingNotice(watermark, noticeId, false);
       continue;
     }
+
+    await ensureEnabled('write');
+    const result = await applyNotice(notice, { retry: retryStep, storeUnresolved: false });
+    if (!result.applied) continue;
+
+    recordPendingNotice(watermark, noticeId, false);
+    await updateReview(result.jobId, { retry: retryStep });
+    if (unresolved.has(noticeId)) await incrementCounter('noticesUnresolved', -1);
+    await incrementCounter('noticesApplied');
   }
+}
+
+/**
+ * stopWhen for extractRows: listings are newest first, so a page of known
+ * rows - or a run of INCREMENTAL_STOP_AFTER_KNOWN known rows across pages -
+ * means the older pages are known too
+ */
+function stopAtKnownRows(source, watermark) {
+  const { stopAfterKnown } = getIncrementalConfig();
+  let knownRun = 0;
 
-  return jobs;
+  return rows => {
+    let allKnown = rows.length > 0;
+    for (const job of rows) {
+      const known = listingStatus(watermark, listingId(source.id, job), source.resolvePdfUrl(job)) === ListingStatus.KNOWN;
+      knownRun = known ? knownRun + 1 : 0;
+      allKnown = allKnown && known;
+    }
+    return allKnown || (stopAfterKnown > 0 && knownRun >= stopAfterKnown);
+  };
+}
+
+async function processJob(source, job, watermark, { revalidate = false } = {}) {
+  let downloaded = false;
+
+  try {
+    const listingType = classifyNotice(job.subject);
+    const id = listingId(source.id, job);
+    const pdfUrl = source.resolvePdfUrl(job);
+
+    const status = listingStatus(watermark, id, pdfUrl);
+    if (status === ListingStatus.KNOWN && !revalidate) {
+      await incrementCounter('jobsSkipped');
+      return { status: 'skipped' };
+    }
+    if (status === ListingStatus.CHANGED) {
+      logInfo(`[${source.id}] PDF link changed for ${id}, parsing it again`);
+    }
+
+    downloaded = true;
+    await incrementCounter('pdfsDownloaded');
+    const previous = await retryOperation(() => getPdfRecord(pdfUrl), FIRESTORE_CONTEXT);
+    const pdfData = await downloadAndParsePdf(pdfUrl, { previous, cache: getTextCache() });
+    const { document } = pdfData;
+
+    // Same URL, different bytes: the notification was re-published
+    const contentChanged = Boolean(previous?.hash && document && document.hash !== previous.hash);
+
+    if (status === ListingStatus.KNOWN && !contentChanged) {
+      if (document) await retryOperation(() => recordPdfDocument(pdfUrl, document), FIRESTORE_CONTEXT);
+      await incrementCounter('jobsSkipped');
+      return { status: 'skipped', downloaded };
+    }
+
+    if (pdfData.metadata?.errorType === ErrorType.PARSE_ERROR) {
+      await incrementCounter(`errorCounts.${ErrorType.PARSE_ERROR}`);
+    }
+
+    // Listing subject wins; the PDF title catches generic subjects
+    const type = resolveNoticeType(
+      [listingType, pdfData.notice?.type],
+      findReferences(job, pdfData.notice?.advtNos)
+    );
+    if (type !== NoticeType.ADVERTISEMENT) {
+      const outcome = await processNotice(source, { ...job, listingId: id }, type, pdfUrl, pdfData);
+      // An unresolved notice is stored as well and applied from storage later
+      recordListing(watermark, id, pdfUrl, job);
+      if (outcome.status === 'notice_unresolved') recordPendingNotice(watermark, outcome.noticeId);
+      if (document) await retryOperation(() => recordPdfDocument(pdfUrl, document), FIRESTORE_CONTEXT);
+      return { ...outcome, id, downloaded };
+    }
+
+    // Listing columns are authoritative for identity fields
+    const normalized = normalizeJobData(
+      mergeListingAndPdf({ ...job, pdfUrl, source: source.id }, pdfData),
+      { defaults: source.defaults }
+    );
+    if (contentChanged) {
+      logWarning(`[${source.id}] ${pdfUrl} was replaced with different content - notification updated`);
+      normalized.notificationUpdated = true;
+      normalized.notificationUpdatedAt = new Date().toISOString();
+      normalized.previousContentHash = previous.hash;
+    }
+    normalized.listingId = id;
+
+    await ensureEnabled('write');
+    const saved = await saveJob(normalized, { retry: retryStep });
+    recordListing(watermark, id, pdfUrl, job);
+    if (document) await retryOperation(() => recordPdfDocument(pdfUrl, document), FIRESTORE_CONTEXT);
+    await incrementCounter(saved.created ? 'jobsInserted' : 'jobsUpdated');
+    if (contentChanged) await incrementCounter('notificationsUpdated');
+
+    // Low-confidence values wait for an admin before they are published
+    const review = await updateReview(saved.id, { retry: retryStep });
+    if (review.queued) await incrementCounter('jobsQueuedForReview');
+
+    // Scanned PDFs wait for manual entry; every parse counts as an attempt
+    const manual = await trackIncompleteJob(saved.id, { retry: retryStep });
+    if (manual.queued) await incrementCounter('jobsQueuedForManualEntry');
+
+    if (normalized.dataComplete === false) {
+      await incrementCounter('parsingErrorsCount');
+    }
+    return { status: saved.created ? 'inserted' : 'updated', downloaded };
+  } catch (err) {
+    if (err instanceof KillSwitchError) throw err;
+
+    logError(`[${source.id}] Job failed: ${job.postName}`, err);
+    await reportError(err, { url: job.pdfUrls?.[0] || null, jobsAffected: 1 });
+    await incrementCounter('parsingErrorsCount');
+    return { status: 'failed', downloaded };
+  }
+}
+
+/**
+ * Corrigendum / extension / cancellation / result / admit card / syllabus
+ */
+async function processNotice(source, job, type, pdfUrl, pdfData) {
+  const notice = {
+    source: source.id,
+    type,
+    advtNo: job.advtNo,
+    subject: job.subject,
+    issuedDate: job.issuedDate,
+    listingId: job.listingId,
+    pdfUrl,
+    referencedAdvtNos: [
+      ...findAdvtNos(job.subject),
+      ...(pdfData.notice?.advtNos || [])
+    ].filter((advtNo, i, all) => advtNo !== job.advtNo && all.indexOf(advtNo) === i),
+    newLastDate: findNewLastDate(job.subject) || pdfData.notice?.newLastDate || null
+  };
+
+  await ensureEnabled('write');
+  const result = await applyNotice(notice, { retry: retryStep });
+  await incrementCounter(result.applied ? 'noticesApplied' : 'noticesUnresolved');
+
+  // An amended value is trusted: the job may no longer need review
+  if (result.applied) {
+    await updateReview(result.jobId, { retry: retryStep });
+  }
+
+  return { status: result.applied ? 'notice_applied' : 'notice_unresolved', noticeId: result.noticeId, notice };
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
+  setupLockCleanup();
+
   scrapeJobs()
     .then(() => process.exit(0))
     .catch(() => process.exit(1));
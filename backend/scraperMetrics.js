@@ -4,53 +4,88 @@
  * ONE document per run in `scraper_runs`
  * Same document updated throughout execution
  * Safe on crashes, retries, and GitHub Actions
+ *
+ * Maintenance runs (maintenance.js) use the same helpers with
+ * kind 'maintenance' and are stored in `maintenance_runs`.
  */
 
-import admin from 'firebase-admin';
 import { logInfo, logError } from './logger.js';
+import { getStorage } from './storage/index.js';
+import { ErrorType } from './errorHandler.js';
+
+const RUN_KINDS = {
+  scraper: {
+    collection: 'runs',
+    counters: {
+      jobsFound: 0,
+      jobsInserted: 0,
+      jobsSkipped: 0,
+      jobsUpdated: 0,
+      pdfsDownloaded: 0,
+      notificationsUpdated: 0,
+      jobsQueuedForReview: 0,
+      jobsQueuedForManualEntry: 0,
+      parsingErrorsCount: 0,
+      noticesApplied: 0,
+      noticesUnresolved: 0,
+      // One counter per errorHandler.js ErrorType (every failed attempt)
+      errorCounts: Object.fromEntries(Object.values(ErrorType).map(type => [type, 0]))
+    }
+  },
+  maintenance: {
+    collection: 'maintenanceRuns',
+    counters: {
+      jobsChecked: 0,
+      statusChanged: 0,
+      jobsArchived: 0,
+      errorsCount: 0
+    }
+  }
+};
 
-let db = null;
 let currentRunId = null;
-
-export function setFirestoreDb(firestoreDb) {
-  db = firestoreDb;
-}
+let currentCollection = null;
 
 /**
- * Initialize scraper run
+ * Initialize run (kind: 'scraper' | 'maintenance')
  */
-export async function initializeRun() {
-  if (!db) throw new Error('Firestore not initialized');
+export async function initializeRun(kind = 'scraper') {
+  const config = RUN_KINDS[kind];
+  if (!config) {
+    throw new Error(`Unknown run kind: ${kind}`);
+  }
 
   currentRunId = new Date().toISOString();
+  currentCollection = config.collection;
 
   const runDoc = {
     runId: currentRunId,
-    startedAt: admin.firestore.FieldValue.serverTimestamp(),
+    startedAt: new Date(),
     finishedAt: null,
     status: 'running',
-    jobsFound: 0,
-    jobsInserted: 0,
-    jobsSkipped: 0,
-    parsingErrorsCount: 0,
+    ...config.counters,
     fatalError: null,
     environment: process.env.NODE_ENV || 'development'
   };
 
-  await db.collection('scraper_runs').doc(currentRunId).set(runDoc);
-  logInfo(`Scraper run initialized: ${currentRunId}`);
+  await runs().set(currentRunId, runDoc);
+  logInfo(`${kind === 'scraper' ? 'Scraper' : 'Maintenance'} run initialized: ${currentRunId}`);
 
   return currentRunId;
 }
 
+function runs() {
+  return getStorage()[currentCollection];
+}
+
 /**
  * Update metrics (non-atomic batch update)
  */
 export async function updateRunMetrics(updates) {
-  if (!db || !currentRunId) return;
+  if (!currentRunId) return;
 
   try {
-    await db.collection('scraper_runs').doc(currentRunId).update(updates);
+    await runs().update(currentRunId, updates);
   } catch (err) {
     logError('Failed to update run metrics', err);
   }
@@ -59,13 +94,11 @@ export async function updateRunMetrics(updates) {
 /**
  * Atomic counter increment
  */
-export async function incrementCounter(field) {
-  if (!db || !currentRunId) return;
+export async function incrementCounter(field, by = 1) {
+  if (!currentRunId) return;
 
   try {
-    await db.collection('scraper_runs').doc(currentRunId).update({
-      [field]: admin.firestore.FieldValue.increment(1)
-    });
+    await runs().increment(currentRunId, field, by);
   } catch (err) {
     logError(`Failed to increment ${field}`, err);
   }
@@ -75,55 +108,55 @@ export async function incrementCounter(field) {
  * Finalize run
  */
 export async function finalizeRun(status, fatalError = null) {
-  if (!db || !currentRunId) return;
+  if (!currentRunId) return;
 
   try {
-    await db.collection('scraper_runs').doc(currentRunId).update({
+    await runs().update(currentRunId, {
       status,
       fatalError,
-      finishedAt: admin.firestore.FieldValue.serverTimestamp()
+      finishedAt: new Date()
     });
 
-    logInfo(`Scraper run finalized: ${currentRunId} (${status})`);
+    logInfo(`Run finalized: ${currentRunId} (${status})`);
   } catch (err) {
     logError('Failed to finalize run', err);
   } finally {
     currentRunId = null;
+    currentCollection = null;
   }
 }
 
+/**
+ * Current run document (null outside a run)
+ */
+export async function getCurrentRun() {
+  if (!currentRunId) return null;
+  return runs().get(currentRunId);
+}
+
 /**
  * Dashboard helpers
  */
 export async function getLatestRun() {
-  const snap = await db
-    .collection('scraper_runs')
-    .orderBy('startedAt', 'desc')
-    .limit(1)
-    .get();
-
-  if (snap.empty) return null;
-  return { id: snap.docs[0].id, ...snap.docs[0].data() };
+  const [latest] = await getStorage().runs.list({
+    orderBy: [['startedAt', 'desc']],
+    limit: 1
+  });
+
+  return latest || null;
 }
 
 export async function getRecentRuns(limit = 7) {
-  const snap = await db
-    .collection('scraper_runs')
-    .orderBy('startedAt', 'desc')
-    .limit(limit)
-    .get();
-
-  return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+  return getStorage().runs.list({
+    orderBy: [['startedAt', 'desc']],
+    limit
+  });
 }
 
 export async function getRunsWithErrors() {
-  const snap = await db
-    .collection('scraper_runs')
-    .where('parsingErrorsCount', '>', 0)
-    .orderBy('parsingErrorsCount', 'desc')
-    .orderBy('startedAt', 'desc')
-    .limit(20)
-    .get();
-
-  return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+  return getStorage().runs.list({
+    where: [['parsingErrorsCount', '>', 0]],
+    orderBy: [['parsingErrorsCount', 'desc'], ['startedAt', 'desc']],
+    limit: 20
+  });
 }
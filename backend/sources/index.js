@@ -0,0 +1,48 @@
+/**
+ * Source Registry
+ *
+ * Every scrapeable site is a source adapter (see tableSource.js for the
+ * interface). Add new adapters to SOURCES below.
+ *
+ * SCRAPER_SOURCES=spsc,police  → only run the listed sources
+ * (default: every registered source)
+ */
+
+import { logWarning } from '../logger.js';
+import spsc from './spsc.js';
+
+const SOURCES = [spsc];
+
+export function getSource(id) {
+    return SOURCES.find(source => source.id === id) || null;
+}
+
+export function getAllSources() {
+    return [...SOURCES];
+}
+
+/**
+ * Sources enabled for this run
+ */
+export function getEnabledSources(env = process.env) {
+    const requested = (env.SCRAPER_SOURCES || '')
+        .split(',')
+        .map(id => id.trim().toLowerCase())
+        .filter(Boolean);
+
+    if (requested.length === 0) {
+        return getAllSources();
+    }
+
+    const enabled = [];
+    for (const id of requested) {
+        const source = getSource(id);
+        if (source) {
+            enabled.push(source);
+        } else {
+            logWarning(`Unknown source in SCRAPER_SOURCES: ${id}`);
+        }
+    }
+
+    return enabled;
+}
@@ -0,0 +1,177 @@
+/**
+ * Declarative Table Source Config
+ *
+ * Everything site-specific about a table source is data, so a site change
+ * is fixed by editing config (and checked with `npm run verify -- --config`):
+ *
+ *   {
+ *     id, name, listUrl,
+ *     selectors: {
+ *       table:       ['#myTable', 'table.table'],   // page-level, in order
+ *       headerCells: ['thead tr:first-child th'],   // inside the table
+ *       rows:        ['tbody tr']                   // inside the table
+ *     },
+ *     columns:  { advtNo: ['notification\\s*no'] }, // header regexes per field
+ *     pdfLinks: ['\\.pdf$', 'download\\.aspx'],     // attachment href regexes
+ *     pagination: {
+ *       showAll: true,      // client-side DataTables: render every row at once
+ *       next: ['a[rel="next"]'],  // next-page controls (link → navigate, else click)
+ *       maxPages: 10,       // traversal depth limit
+ *       waitMs: 1000        // settle time after a click / DataTables redraw
+ *     },
+ *     defaults, timeout, delayBetweenRequests
+ *   }
+ *
+ * Every list is an ordered fallback chain: the first entry that matches is
+ * used. Regexes are strings (JSON-friendly, matched case-insensitively) or
+ * RegExp objects. `columns` replaces the default patterns of the fields it
+ * names; the rest keep listingParser.js defaults.
+ */
+
+import {
+    DEFAULT_COLUMN_PATTERNS,
+    DEFAULT_COLUMN_ORDER,
+    DEFAULT_PDF_LINK_PATTERNS
+} from '../listingParser.js';
+
+const DEFAULTS = {
+    timeout: 30000,
+    delayBetweenRequests: 2000,
+    defaults: {}
+};
+
+const DEFAULT_SELECTORS = {
+    headerCells: ['thead tr:first-child th, thead tr:first-child td', 'tr:first-child th'],
+    rows: ['tbody tr']
+};
+
+const DEFAULT_PAGINATION = {
+    showAll: true,
+    next: ['.dataTables_paginate .next:not(.disabled)', 'a[rel="next"]'],
+    maxPages: 10,
+    waitMs: 1000
+};
+
+/**
+ * Check a config - returns a list of problems (empty when valid)
+ */
+export function validateSourceConfig(config) {
+    const errors = [];
+
+    if (!config || typeof config !== 'object') {
+        return ['Config must be an object'];
+    }
+
+    if (!config.id || typeof config.id !== 'string') {
+        errors.push('id is required');
+    }
+
+    try {
+        new URL(config.listUrl);
+    } catch {
+        errors.push(`listUrl is not a valid URL: ${config.listUrl}`);
+    }
+
+    const selectors = config.selectors || {};
+    if (!isNonEmptyStringList(selectors.table)) {
+        errors.push('selectors.table must be a non-empty list of selectors');
+    }
+    for (const key of ['headerCells', 'rows']) {
+        if (selectors[key] !== undefined && !isNonEmptyStringList(selectors[key])) {
+            errors.push(`selectors.${key} must be a non-empty list of selectors`);
+        }
+    }
+    for (const key of Object.keys(selectors)) {
+        if (!['table', 'headerCells', 'rows'].includes(key)) {
+            errors.push(`Unknown selector list: selectors.${key}`);
+        }
+    }
+
+    for (const [field, patterns] of Object.entries(config.columns || {})) {
+        if (!DEFAULT_COLUMN_ORDER.includes(field)) {
+            errors.push(`Unknown column field: ${field} (expected ${DEFAULT_COLUMN_ORDER.join(', ')})`);
+        }
+        errors.push(...patternErrors(`columns.${field}`, patterns));
+    }
+
+    if (config.pdfLinks !== undefined) {
+        errors.push(...patternErrors('pdfLinks', config.pdfLinks));
+    }
+
+    const pagination = config.pagination || {};
+    if (pagination.showAll !== undefined && typeof pagination.showAll !== 'boolean') {
+        errors.push('pagination.showAll must be true or false');
+    }
+    if (pagination.next !== undefined && !Array.isArray(pagination.next)) {
+        errors.push('pagination.next must be a list of selectors');
+    }
+    if (pagination.maxPages !== undefined && !(Number.isInteger(pagination.maxPages) && pagination.maxPages > 0)) {
+        errors.push('pagination.maxPages must be a positive integer');
+    }
+    if (pagination.waitMs !== undefined && !(Number.isFinite(pagination.waitMs) && pagination.waitMs >= 0)) {
+        errors.push('pagination.waitMs must be a number of milliseconds');
+    }
+
+    return errors;
+}
+
+/**
+ * Validate and fill defaults
+ *
+ * Returns the config with selectors filled in, plus compiled
+ * `columnPatterns` ([[field, [RegExp]]]) and `pdfLinkPatterns` ([RegExp])
+ */
+export function resolveSourceConfig(config) {
+    const errors = validateSourceConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid source config${config?.id ? ` (${config.id})` : ''}: ${errors.join('; ')}`);
+    }
+
+    const columns = config.columns || {};
+
+    return {
+        ...DEFAULTS,
+        ...config,
+        selectors: {
+            ...DEFAULT_SELECTORS,
+            ...config.selectors
+        },
+        pagination: {
+            ...DEFAULT_PAGINATION,
+            ...config.pagination
+        },
+        columnPatterns: DEFAULT_COLUMN_PATTERNS.map(([field, patterns]) => [
+            field,
+            columns[field] ? columns[field].map(toRegExp) : patterns
+        ]),
+        pdfLinkPatterns: config.pdfLinks ? config.pdfLinks.map(toRegExp) : DEFAULT_PDF_LINK_PATTERNS
+    };
+}
+
+function isNonEmptyStringList(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.trim());
+}
+
+function patternErrors(name, patterns) {
+    if (!Array.isArray(patterns) || patterns.length === 0) {
+        return [`${name} must be a non-empty list of patterns`];
+    }
+
+    const errors = [];
+    for (const pattern of patterns) {
+        try {
+            toRegExp(pattern);
+        } catch (err) {
+            errors.push(`${name}: invalid pattern ${pattern} (${err.message})`);
+        }
+    }
+    return errors;
+}
+
+function toRegExp(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+    if (typeof pattern !== 'string' || !pattern) {
+        throw new Error('expected a regex string');
+    }
+    return new RegExp(pattern, 'i');
+}
@@ -0,0 +1,44 @@
+/**
+ * Source: Sikkim Public Service Commission
+ * https://spsc.sikkim.gov.in/Notifications.html
+ *
+ * Declarative config (see sourceConfig.js) - when the site changes, edit
+ * here and check the result with: npm run verify
+ */
+
+import { createTableSource } from './tableSource.js';
+
+export const config = {
+    id: 'spsc',
+    name: 'Sikkim Public Service Commission',
+    listUrl: 'https://spsc.sikkim.gov.in/Notifications.html',
+    selectors: {
+        // #myTable, then DataTables markup, then the site's Bootstrap table class
+        table: ['#myTable', 'table.dataTable', 'table.table'],
+        headerCells: ['thead tr:first-child th', 'thead tr:first-child td', 'tr:first-child th'],
+        rows: ['tbody tr']
+    },
+    // Headers: Sl. No. | Notification No. | Subject | Issued Date | Attachment
+    columns: {
+        serialNo: ['^s\\.?\\s*[lr]?\\.?\\s*no\\.?$', '^sl\\b'],
+        advtNo: ['(?:notification|advertisement|advt)\\.?\\s*no'],
+        issuedDate: ['date', 'issued'],
+        attachments: ['attach', 'download', 'view'],
+        subject: ['subject', 'title']
+    },
+    pdfLinks: ['\\.pdf(?:$|[?#])'],
+    // #myTable is a DataTable: render all rows, else follow its pager
+    pagination: {
+        showAll: true,
+        next: ['.dataTables_paginate .next:not(.disabled)', 'a[rel="next"]'],
+        maxPages: 10,
+        waitMs: 1000
+    },
+    defaults: {
+        department: 'SPSC'
+    },
+    timeout: 30000,
+    delayBetweenRequests: 2000
+};
+
+export default createTableSource(config);
@@ -0,0 +1,336 @@
+/**
+ * Table Source Adapter Factory
+ *
+ * Builds a source adapter for sites that publish recruitment notices as an
+ * HTML table (serial no., advertisement no., subject, date, attachments).
+ * Selectors, column mappings and PDF link patterns come from a declarative
+ * config with ordered fallbacks (see sourceConfig.js).
+ *
+ * Source adapter interface (every source must provide):
+ *   id                     - short stable id, stored on jobs as `source`
+ *   name                   - human readable name (logs, alerts)
+ *   listUrl                - notifications/list page URL
+ *   delayBetweenRequests   - politeness delay between PDF downloads (ms)
+ *   defaults               - opt-in normalizer defaults, e.g. { department }
+ *   fetchListPage(page)    - navigate a Playwright page to the list
+ *   extractRows(page)      - return listing jobs from the loaded page
+ *   resolvePdfUrl(job)     - pick the PDF to parse for a listing job
+ *
+ * Optional:
+ *   fingerprint(page)      - structure fingerprint of the loaded page
+ *                            (see structureCheck.js)
+ *   matchedSelectors(page) - { table, headerCells, rows } that matched on
+ *                            the page, null before it loaded (recorded
+ *                            in the run document)
+ *   traversal(page)        - how the listing was paged through (see below)
+ *
+ * extractRows(page, { stopWhen, beforeNavigate }) reads every page of the
+ * listing:
+ * - client-side DataTables: switch to "show all" (pagination.showAll),
+ *   otherwise page through with the DataTables API
+ * - server-side DataTables: page through with the DataTables API
+ * - other pagers: follow the first `pagination.next` control - a link is
+ *   navigated to, anything else is clicked
+ * Traversal stops at `pagination.maxPages`, when a page brings no new rows,
+ * or early when `stopWhen(pageRows)` resolves true (e.g. all rows known).
+ * `beforeNavigate()` is awaited before each move to the next page - it
+ * throws to abort the traversal (e.g. the kill switch).
+ */
+
+import { logInfo, logWarning } from '../logger.js';
+import { buildColumnMap, parseListingRow } from '../listingParser.js';
+import { retryOperation } from '../errorHandler.js';
+import { captureFingerprint } from '../structureCheck.js';
+import { resolveSourceConfig } from './sourceConfig.js';
+
+// page → { table, headerCells, rows } selectors that matched on it
+const pageMatches = new WeakMap();
+
+// page → { mode, pages, stoppedEarly, truncated }
+const pageTraversals = new WeakMap();
+
+export function createTableSource(config) {
+    const source = resolveSourceConfig(config);
+    const [primaryTable, ...fallbackTables] = source.selectors.table;
+
+    const matchesFor = page => pageMatches.get(page) || { table: primaryTable, headerCells: null, rows: null };
+
+    return {
+        id: source.id,
+        name: source.name || source.id,
+        listUrl: source.listUrl,
+        delayBetweenRequests: source.delayBetweenRequests,
+        defaults: source.defaults,
+
+        async fetchListPage(page) {
+            // Transient network failures are retried; a missing table is not
+            await retryOperation(
+                () => page.goto(source.listUrl, {
+                    waitUntil: 'networkidle',
+                    timeout: source.timeout
+                }),
+                { url: source.listUrl }
+            );
+
+            try {
+                await page.waitForSelector(primaryTable, { timeout: source.timeout });
+                pageMatches.set(page, { table: primaryTable, headerCells: null, rows: null });
+                return;
+            } catch (err) {
+                // The page has settled by now: fallbacks are checked without waiting
+                for (const selector of fallbackTables) {
+                    if (await page.$(selector)) {
+                        logWarning(`[${source.id}] Table not found by ${primaryTable}, using fallback ${selector}`);
+                        pageMatches.set(page, { table: selector, headerCells: null, rows: null });
+                        return;
+                    }
+                }
+
+                throw Object.assign(
+                    new Error(`Page structure changed: table not found (${source.selectors.table.join(', ')}) - ${err.message}`),
+                    { selectorsAttempted: source.selectors.table }
+                );
+            }
+        },
+
+        async extractRows(page, options = {}) {
+            return traverseListing(page, source, matchesFor(page), options);
+        },
+
+        async fingerprint(page) {
+            const matches = matchesFor(page);
+            return captureFingerprint(page, {
+                tableSelector: matches.table,
+                headerSelectors: source.selectors.headerCells,
+                rowSelectors: source.selectors.rows,
+                selectors: [
+                    ...source.selectors.table,
+                    `${matches.table} ${matches.rows || source.selectors.rows[0]}`
+                ]
+            });
+        },
+
+        matchedSelectors(page) {
+            return pageMatches.has(page) ? { ...pageMatches.get(page) } : null;
+        },
+
+        traversal(page) {
+            return pageTraversals.has(page) ? { ...pageTraversals.get(page) } : null;
+        },
+
+        resolvePdfUrl(job) {
+            return job.pdfUrls[0] || null;
+        }
+    };
+}
+
+async function traverseListing(page, source, matches, { stopWhen, beforeNavigate } = {}) {
+    const { pagination } = source;
+    const traversal = { mode: 'single', pages: 0, stoppedEarly: false, truncated: false };
+    pageTraversals.set(page, traversal);
+
+    let dataTable = await dataTableInfo(page, matches.table);
+    if (dataTable && dataTable.pages > 1 && !dataTable.serverSide && pagination.showAll) {
+        await showAllRows(page, matches.table, pagination.waitMs);
+        logInfo(`[${source.id}] DataTable: showing all ${dataTable.recordsTotal} rows`);
+        traversal.mode = 'datatables_show_all';
+        dataTable = null;
+    }
+
+    const jobs = [];
+    const seen = new Set();
+    let columnMap = null;
+
+    while (true) {
+        const table = await readTable(page, source, matches);
+        columnMap = columnMap || buildColumnMap(table.headers, source.columnPatterns);
+
+        const pageJobs = toListingJobs(page, source, table.rows, columnMap)
+            .filter(job => !seen.has(rowKey(job)));
+        if (traversal.pages > 0 && pageJobs.length === 0) {
+            break;  // the pager did not move
+        }
+
+        pageJobs.forEach(job => seen.add(rowKey(job)));
+        jobs.push(...pageJobs);
+        traversal.pages++;
+
+        const next = dataTable
+            ? (dataTable.page < dataTable.pages - 1 ? 'datatables' : null)
+            : await findNextControl(page, pagination.next);
+        if (!next) break;
+
+        if (stopWhen && await stopWhen(pageJobs)) {
+            logInfo(`[${source.id}] Stopping after page ${traversal.pages} - older pages are already known`);
+            traversal.stoppedEarly = true;
+            break;
+        }
+
+        if (traversal.pages >= pagination.maxPages) {
+            logWarning(`[${source.id}] Stopped at pagination.maxPages (${pagination.maxPages}) - more pages remain`);
+            traversal.truncated = true;
+            break;
+        }
+
+        if (beforeNavigate) await beforeNavigate();
+        if (dataTable) {
+            dataTable = await nextDataTablePage(page, matches.table, pagination.waitMs);
+            traversal.mode = dataTable.serverSide ? 'datatables_server' : 'datatables_pages';
+        } else {
+            traversal.mode = await followNextControl(page, source, matches.table, next);
+        }
+    }
+
+    logInfo(`[${source.id}] Extracted ${jobs.length} listing rows from ${traversal.pages} page(s) (columns: ${JSON.stringify(columnMap)})`);
+    return jobs;
+}
+
+/**
+ * Headers and rows of the table as currently rendered - header and row
+ * selectors are tried in order inside the matched table
+ */
+async function readTable(page, source, matches) {
+    const table = await page.$eval(matches.table, (table, { headerSelectors, rowSelectors }) => {
+        const firstHit = selectors => {
+            for (const selector of selectors) {
+                const elements = Array.from(table.querySelectorAll(selector));
+                if (elements.length > 0) return { selector, elements };
+            }
+            return { selector: null, elements: [] };
+        };
+
+        const headerCells = firstHit(headerSelectors);
+        const rows = firstHit(rowSelectors);
+
+        return {
+            headerSelector: headerCells.selector,
+            headers: headerCells.elements.map(el => el.textContent),
+            rowSelector: rows.selector,
+            rows: rows.elements.map(tr =>
+                Array.from(tr.cells).map(td => ({
+                    text: td.textContent,
+                    links: Array.from(td.querySelectorAll('a[href]')).map(a => ({
+                        href: a.href,
+                        text: a.textContent
+                    }))
+                }))
+            )
+        };
+    }, { headerSelectors: source.selectors.headerCells, rowSelectors: source.selectors.rows });
+
+    matches.headerCells = matches.headerCells || table.headerSelector;
+    matches.rows = matches.rows || table.rowSelector;
+    pageMatches.set(page, matches);
+
+    return table;
+}
+
+function toListingJobs(page, source, rows, columnMap) {
+    const jobs = [];
+
+    for (const cells of rows) {
+        // Skip "No data available" / colspan placeholder rows
+        if (cells.length < 2) continue;
+
+        const row = parseListingRow(cells, columnMap, { pdfLinkPatterns: source.pdfLinkPatterns });
+
+        if (!row.subject || row.pdfUrls.length === 0) {
+            logWarning(`[${source.id}] Skipping listing row without subject or PDF: ${row.serialNo || '?'}`);
+            continue;
+        }
+
+        jobs.push({
+            source: source.id,
+            serialNo: row.serialNo,
+            advtNo: row.advtNo,
+            subject: row.subject,
+            postName: row.subject,
+            issuedDate: row.issuedDate,
+            attachments: row.attachments,
+            pdfUrls: row.pdfUrls,
+            scrapedAt: new Date().toISOString(),
+            sourceUrl: page.url()
+        });
+    }
+
+    return jobs;
+}
+
+function rowKey(job) {
+    return `${job.advtNo || ''}|${job.subject}|${job.pdfUrls[0]}`;
+}
+
+/* ===== DataTables ===== */
+
+/**
+ * Paging state of a DataTables table, null when the page has no
+ * DataTables API for it
+ */
+async function dataTableInfo(page, tableSelector) {
+    return page.evaluate(selector => {
+        const $ = window.jQuery;
+        if (!$ || !$.fn || !$.fn.dataTable || !$.fn.dataTable.isDataTable(selector)) return null;
+
+        const info = $(selector).DataTable().page.info();
+        return {
+            page: info.page,
+            pages: info.pages,
+            recordsTotal: info.recordsTotal,
+            serverSide: Boolean(info.serverSide)
+        };
+    }, tableSelector);
+}
+
+async function showAllRows(page, tableSelector, waitMs) {
+    await page.evaluate(selector => {
+        window.jQuery(selector).DataTable().page.len(-1).draw();
+    }, tableSelector);
+    await settle(page, waitMs);
+}
+
+async function nextDataTablePage(page, tableSelector, waitMs) {
+    await page.evaluate(selector => {
+        window.jQuery(selector).DataTable().page('next').draw('page');
+    }, tableSelector);
+    await settle(page, waitMs);
+    return dataTableInfo(page, tableSelector);
+}
+
+/* ===== Generic pagers ===== */
+
+/**
+ * First next-page control present on the page (selector), or null
+ */
+async function findNextControl(page, selectors) {
+    for (const selector of selectors) {
+        if (await page.$(selector)) return selector;
+    }
+    return null;
+}
+
+/**
+ * Links to another URL are navigated to (server-side paging); buttons and
+ * in-page links are clicked (client-side paging)
+ */
+async function followNextControl(page, source, tableSelector, selector) {
+    const href = await page.$eval(selector, el => el.href || null);
+    const current = page.url().split('#')[0];
+
+    if (href && /^https?:/.test(href) && href.split('#')[0] !== current) {
+        await retryOperation(
+            () => page.goto(href, { waitUntil: 'networkidle', timeout: source.timeout }),
+            { url: href }
+        );
+        await page.waitForSelector(tableSelector, { timeout: source.timeout });
+        return 'next_link';
+    }
+
+    await page.click(selector);
+    await settle(page, source.pagination.waitMs);
+    return 'next_click';
+}
+
+async function settle(page, waitMs) {
+    await page.waitForLoadState('networkidle');
+    if (waitMs > 0) await page.waitForTimeout(waitMs);
+}
@@ -0,0 +1,306 @@
+/**
+ * File Storage Backend - Local Development / Staging
+ *
+ * Same collection interface as the Firestore backend, persisted as one
+ * JSON file per collection under STORAGE_DIR. No credentials required.
+ *
+ * Collections are cached in memory, so plain writes are single-process.
+ * Transactions (run locks) are safe across processes: each holds an
+ * exclusive lock file (<collection>.json.lock, created with 'wx') while it
+ * re-reads, updates and writes the collection. A lock file left by a
+ * crashed process is taken over after LOCK_FILE_STALE_MS.
+ * Pass dir=null for a purely in-memory store.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DATE_TAG = '$date';
+
+const LOCK_FILE_STALE_MS = 30 * 1000;
+const LOCK_FILE_TIMEOUT_MS = 10 * 1000;
+const LOCK_FILE_POLL_MS = 20;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && value.constructor === Object;
+}
+
+function clone(value) {
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Array.isArray(value)) return value.map(clone);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(
+            Object.entries(value)
+                .filter(([, v]) => v !== undefined)
+                .map(([k, v]) => [k, clone(v)])
+        );
+    }
+    return value;
+}
+
+// Dates survive the JSON round trip as { "$date": "<ISO>" }
+function toJson(value) {
+    if (value instanceof Date) return { [DATE_TAG]: value.toISOString() };
+    if (Array.isArray(value)) return value.map(toJson);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toJson(v)]));
+    }
+    return value;
+}
+
+function fromJson(value) {
+    if (Array.isArray(value)) return value.map(fromJson);
+    if (isPlainObject(value)) {
+        const keys = Object.keys(value);
+        if (keys.length === 1 && keys[0] === DATE_TAG) return new Date(value[DATE_TAG]);
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fromJson(v)]));
+    }
+    return value;
+}
+
+function getPath(data, fieldPath) {
+    return fieldPath.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), data);
+}
+
+function setPath(data, fieldPath, value) {
+    const keys = fieldPath.split('.');
+    let target = data;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(target[key])) target[key] = {};
+        target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+}
+
+function deepMerge(target, patch) {
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === undefined) continue;
+        if (isPlainObject(value) && isPlainObject(target[key])) {
+            deepMerge(target[key], value);
+        } else {
+            target[key] = clone(value);
+        }
+    }
+    return target;
+}
+
+function comparable(value) {
+    return value instanceof Date ? value.getTime() : value;
+}
+
+const OPERATORS = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    'in': (a, b) => b.includes(a),
+    'not-in': (a, b) => !b.includes(a),
+    'array-contains': (a, b) => Array.isArray(a) && a.includes(b)
+};
+
+function notFound(collectionPath, id) {
+    const error = new Error(`No document to update: ${collectionPath}/${id}`);
+    error.code = 'not-found';
+    return error;
+}
+
+function createCollection(store, collectionPath) {
+    const docs = () => store.load(collectionPath);
+    const save = () => store.flush(collectionPath);
+
+    return {
+        path: collectionPath,
+
+        async get(id) {
+            const data = docs()[id];
+            return data ? clone(data) : null;
+        },
+
+        async exists(id) {
+            return Boolean(docs()[id]);
+        },
+
+        async set(id, data, options = {}) {
+            const all = docs();
+            all[id] = options.merge && all[id] ? deepMerge(all[id], data) : clone(data);
+            save();
+        },
+
+        async update(id, patch) {
+            const all = docs();
+            if (!all[id]) throw notFound(collectionPath, id);
+
+            for (const [field, value] of Object.entries(patch)) {
+                setPath(all[id], field, clone(value));
+            }
+            save();
+        },
+
+        async increment(id, field, by = 1) {
+            const all = docs();
+            if (!all[id]) throw notFound(collectionPath, id);
+
+            const current = getPath(all[id], field);
+            setPath(all[id], field, (typeof current === 'number' ? current : 0) + by);
+            save();
+        },
+
+        async delete(id) {
+            delete docs()[id];
+            save();
+        },
+
+        // Read and write happen without yielding (atomic in-process) and
+        // under the collection's lock file (atomic across processes)
+        async transaction(id, updateFn) {
+            return store.exclusive(collectionPath, () => {
+                const all = docs();
+                const next = updateFn(all[id] ? clone(all[id]) : null);
+
+                if (next === null) {
+                    delete all[id];
+                    save();
+                } else if (next !== undefined) {
+                    all[id] = clone(next);
+                    save();
+                }
+                return next;
+            });
+        },
+
+        async list({ where = [], orderBy = [], limit } = {}) {
+            let entries = Object.entries(docs());
+
+            for (const [field, op, value] of where) {
+                if (!OPERATORS[op]) throw new Error(`Unsupported query operator: ${op}`);
+                entries = entries.filter(([, data]) => {
+                    const actual = getPath(data, field);
+                    if (actual === undefined) return false;
+                    return OPERATORS[op](comparable(actual), Array.isArray(value) ? value : comparable(value));
+                });
+            }
+
+            // Firestore drops documents missing an orderBy field
+            for (const [field] of orderBy) {
+                entries = entries.filter(([, data]) => getPath(data, field) !== undefined);
+            }
+
+            entries.sort(([, a], [, b]) => {
+                for (const [field, direction = 'asc'] of orderBy) {
+                    const x = comparable(getPath(a, field));
+                    const y = comparable(getPath(b, field));
+                    if (x === y || (x === null && y === null)) continue;
+                    const result = x < y ? -1 : 1;
+                    return direction === 'desc' ? -result : result;
+                }
+                return 0;
+            });
+
+            if (limit) entries = entries.slice(0, limit);
+
+            return entries.map(([id, data]) => ({ id, ...clone(data) }));
+        }
+    };
+}
+
+function createStore(dir) {
+    const cache = new Map();
+    const fileFor = collectionPath =>
+        path.join(dir, `${collectionPath.replace(/[^A-Za-z0-9_-]+/g, '__')}.json`);
+
+    return {
+        load(collectionPath) {
+            if (!cache.has(collectionPath)) {
+                let data = {};
+                if (dir && fs.existsSync(fileFor(collectionPath))) {
+                    data = fromJson(JSON.parse(fs.readFileSync(fileFor(collectionPath), 'utf8')));
+                }
+                cache.set(collectionPath, data);
+            }
+            return cache.get(collectionPath);
+        },
+
+        flush(collectionPath) {
+            if (!dir) return;
+
+            fs.mkdirSync(dir, { recursive: true });
+            const file = fileFor(collectionPath);
+            const tmp = `${file}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(toJson(cache.get(collectionPath)), null, 2));
+            fs.renameSync(tmp, file);
+        },
+
+        /**
+         * Run fn on a fresh read of the collection while holding its lock
+         * file - another process may have written it since it was cached
+         */
+        async exclusive(collectionPath, fn) {
+            if (!dir) return fn();
+
+            fs.mkdirSync(dir, { recursive: true });
+            const lockFile = `${fileFor(collectionPath)}.lock`;
+            const handle = await openLockFile(lockFile);
+            try {
+                cache.delete(collectionPath);
+                return fn();
+            } finally {
+                await handle.close();
+                fs.rmSync(lockFile, { force: true });
+            }
+        }
+    };
+}
+
+/**
+ * Create the lock file exclusively, waiting while another process holds it
+ */
+async function openLockFile(lockFile) {
+    const deadline = Date.now() + LOCK_FILE_TIMEOUT_MS;
+
+    while (true) {
+        try {
+            return await fs.promises.open(lockFile, 'wx');
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        // Left behind by a crashed process
+        const stat = fs.statSync(lockFile, { throwIfNoEntry: false });
+        if (stat && Date.now() - stat.mtimeMs > LOCK_FILE_STALE_MS) {
+            fs.rmSync(lockFile, { force: true });
+            continue;
+        }
+
+        if (Date.now() > deadline) {
+            throw new Error(`Storage lock file still held after ${LOCK_FILE_TIMEOUT_MS}ms: ${lockFile}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_FILE_POLL_MS));
+    }
+}
+
+export function createFileStorage({ dir = null } = {}) {
+    const store = createStore(dir);
+    const collection = collectionPath => createCollection(store, collectionPath);
+
+    return {
+        backend: 'file',
+        dir,
+        collection,
+        jobs: collection('jobs'),
+        vacancies: collection('vacancies'),
+        notices: collection('notices'),
+        runs: collection('scraper_runs'),
+        maintenanceRuns: collection('maintenance_runs'),
+        archive: collection('jobs_archive'),
+        alerts: collection('alerts'),
+        locks: collection('scraper_locks'),
+        controls: collection('system_controls'),
+        structures: collection('site_structures'),
+        watermarks: collection('source_watermarks'),
+        pdfs: collection('pdf_documents'),
+        reviews: collection('review_queue'),
+        manualEntries: collection('manual_entry_queue')
+    };
+}
@@ -0,0 +1,159 @@
+/**
+ * Firestore Storage Backend – ESM SAFE (PRODUCTION)
+ *
+ * Implements the storage collection interface (see storage/index.js) on
+ * top of firebase-admin. Timestamps are returned as JS Dates so callers
+ * never depend on Firestore types.
+ */
+
+import admin from 'firebase-admin';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logInfo, logError } from '../logger.js';
+
+let db;
+let initialized = false;
+
+// ESM-safe __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export async function initFirestore() {
+  if (initialized) return db;
+
+  try {
+    let serviceAccount;
+
+    // Prefer ENV (production)
+    if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+      serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+    }
+    // Local JSON key next to package.json
+    else {
+      const keyPath = path.join(__dirname, '..', 'serviceAccountKey.json');
+      if (!fs.existsSync(keyPath)) {
+        throw new Error('serviceAccountKey.json not found');
+      }
+      serviceAccount = JSON.parse(fs.readFileSync(keyPath, 'utf8'));
+    }
+
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+    });
+
+    db = admin.firestore();
+    db.settings({ ignoreUndefinedProperties: true });
+
+    initialized = true;
+    logInfo('Firestore initialized successfully');
+    return db;
+  } catch (err) {
+    logError('Failed to initialize Firestore', err);
+    throw err;
+  }
+}
+
+/**
+ * Convert Firestore Timestamps to Dates (recursively)
+ */
+function fromFirestore(value) {
+  if (value instanceof admin.firestore.Timestamp) return value.toDate();
+  if (Array.isArray(value)) return value.map(fromFirestore);
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, fromFirestore(v)])
+    );
+  }
+  return value;
+}
+
+function createCollection(db, collectionPath) {
+  const ref = id => db.collection(collectionPath).doc(id);
+
+  return {
+    path: collectionPath,
+
+    async get(id) {
+      const snap = await ref(id).get();
+      return snap.exists ? fromFirestore(snap.data()) : null;
+    },
+
+    async exists(id) {
+      const snap = await ref(id).get();
+      return snap.exists;
+    },
+
+    async set(id, data, options = {}) {
+      await ref(id).set(data, { merge: Boolean(options.merge) });
+    },
+
+    async update(id, patch) {
+      await ref(id).update(patch);
+    },
+
+    async increment(id, field, by = 1) {
+      await ref(id).update({
+        [field]: admin.firestore.FieldValue.increment(by)
+      });
+    },
+
+    async delete(id) {
+      await ref(id).delete();
+    },
+
+    async transaction(id, updateFn) {
+      return db.runTransaction(async tx => {
+        const snap = await tx.get(ref(id));
+        const next = updateFn(snap.exists ? fromFirestore(snap.data()) : null);
+
+        if (next === null) {
+          tx.delete(ref(id));
+        } else if (next !== undefined) {
+          tx.set(ref(id), next);
+        }
+        return next;
+      });
+    },
+
+    async list({ where = [], orderBy = [], limit } = {}) {
+      let query = db.collection(collectionPath);
+
+      for (const [field, op, value] of where) {
+        query = query.where(field, op, value);
+      }
+      for (const [field, direction = 'asc'] of orderBy) {
+        query = query.orderBy(field, direction);
+      }
+      if (limit) {
+        query = query.limit(limit);
+      }
+
+      const snap = await query.get();
+      return snap.docs.map(d => ({ id: d.id, ...fromFirestore(d.data()) }));
+    }
+  };
+}
+
+export function createFirestoreStorage(firestoreDb) {
+  const collection = collectionPath => createCollection(firestoreDb, collectionPath);
+
+  return {
+    backend: 'firestore',
+    collection,
+    jobs: collection('jobs'),
+    vacancies: collection('vacancies'),
+    notices: collection('notices'),
+    runs: collection('scraper_runs'),
+    maintenanceRuns: collection('maintenance_runs'),
+    archive: collection('jobs_archive'),
+    alerts: collection('alerts'),
+    locks: collection('scraper_locks'),
+    controls: collection('system_controls'),
+    structures: collection('site_structures'),
+    watermarks: collection('source_watermarks'),
+    pdfs: collection('pdf_documents'),
+    reviews: collection('review_queue'),
+    manualEntries: collection('manual_entry_queue')
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * Storage Layer
+ *
+ * Every module reads and writes through the storage returned by
+ * getStorage() instead of holding its own Firestore handle.
+ *
+ * Backends (selected via runtimeConfig.js → STORAGE_BACKEND):
+ * - firestore: production data in Firebase
+ * - file:      JSON files in STORAGE_DIR, no credentials needed
+ *
+ * Collection interface (storage.jobs, storage.vacancies, storage.notices,
+ * storage.archive, storage.alerts, storage.runs, storage.maintenanceRuns,
+ * storage.locks, storage.controls, storage.structures,
+ * storage.watermarks, storage.pdfs, storage.reviews,
+ * storage.manualEntries, storage.collection(path)):
+ *   get(id)                  → data | null
+ *   exists(id)               → boolean
+ *   set(id, data, { merge }) → void
+ *   update(id, patch)        → void (throws if missing; dotted paths allowed)
+ *   increment(id, field, by) → void (atomic where the backend supports it)
+ *   delete(id)               → void
+ *   transaction(id, fn)      → atomic read-modify-write; fn(current | null)
+ *                              returns the new data, null (delete) or
+ *                              undefined (no write); resolves to that value
+ *   list({ where, orderBy, limit }) → [{ id, ...data }]
+ *     where:   [[field, op, value], ...]
+ *     orderBy: [[field, 'asc' | 'desc'], ...]
+ *
+ * Timestamps are written and read as JS Dates.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logInfo } from '../logger.js';
+import { getStorageConfig } from '../runtimeConfig.js';
+import { initFirestore, createFirestoreStorage } from './firestoreStorage.js';
+import { createFileStorage } from './fileStorage.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+let storage = null;
+
+/**
+ * Initialize storage from runtime config (idempotent)
+ */
+export async function initStorage() {
+    if (storage) return storage;
+
+    const config = getStorageConfig();
+
+    if (config.backend === 'file') {
+        const dir = path.resolve(__dirname, '..', config.dir);
+        storage = createFileStorage({ dir });
+        logInfo(`Storage: file (${dir})`);
+    } else {
+        storage = createFirestoreStorage(await initFirestore());
+        logInfo('Storage: firestore');
+    }
+
+    return storage;
+}
+
+/**
+ * Use an explicit storage instance (tests, tooling)
+ */
+export function setStorage(instance) {
+    storage = instance;
+}
+
+/**
+ * Current storage - throws if initStorage()/setStorage() was not called
+ */
+export function getStorage() {
+    if (!storage) {
+        throw new Error('Storage not initialized - call initStorage() first');
+    }
+    return storage;
+}
+
+export { createFirestoreStorage, createFileStorage };
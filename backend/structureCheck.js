@@ -0,0 +1,178 @@
+/**
+ * Website Structure Check - drift detection
+ *
+ * After each successful scrape the notifications page fingerprint is stored
+ * per source in `site_structures`:
+ * - matched table selector, normalized header texts, column count
+ * - hit counts of the source's selectors
+ * - attachment link patterns (host + folder + extension)
+ *
+ * The next run compares the live page against it. Any difference is drift:
+ * the scraper reports it as a STRUCTURE_CHANGE error and saves an HTML
+ * snapshot and a screenshot of the page as run artifacts (ARTIFACTS_DIR).
+ *
+ * Also used by verify-website.js for manual checks.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getStorage } from './storage/index.js';
+import { getArtifactsConfig } from './runtimeConfig.js';
+import { logError } from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Header cells and rows inside the table, when the source configures none
+const DEFAULT_HEADER_SELECTORS = ['thead tr:first-child th, thead tr:first-child td'];
+const DEFAULT_ROW_SELECTORS = ['tbody tr'];
+
+/**
+ * Fingerprint the loaded list page
+ *
+ * tableSelector   - selector of the listings table that matched
+ * headerSelectors - the source's header cell selectors, first hit wins
+ * rowSelectors    - the source's row selectors, first hit wins
+ * selectors       - selectors whose hit counts are tracked
+ */
+export async function captureFingerprint(page, {
+  tableSelector,
+  headerSelectors = DEFAULT_HEADER_SELECTORS,
+  rowSelectors = DEFAULT_ROW_SELECTORS,
+  selectors = []
+}) {
+  const snapshot = await page.evaluate(({ tableSelector, headerSelectors, rowSelectors, selectors }) => {
+    const table = tableSelector ? document.querySelector(tableSelector) : null;
+    const firstHit = list => {
+      for (const selector of list) {
+        const elements = Array.from(table.querySelectorAll(selector));
+        if (elements.length > 0) return elements;
+      }
+      return [];
+    };
+    const headerCells = table ? firstHit(headerSelectors) : [];
+    const rows = table ? firstHit(rowSelectors) : [];
+
+    return {
+      headers: headerCells.map(el => el.textContent),
+      rowCount: rows.length,
+      columnCount: Math.max(headerCells.length, 0, ...rows.map(tr => tr.cells.length)),
+      selectorHits: selectors.map(selector => ({
+        selector,
+        count: document.querySelectorAll(selector).length
+      })),
+      links: rows.flatMap(tr => Array.from(tr.querySelectorAll('a[href]')).map(a => a.href))
+    };
+  }, { tableSelector, headerSelectors, rowSelectors, selectors });
+
+  return {
+    url: page.url(),
+    tableSelector: tableSelector || null,
+    headers: snapshot.headers.map(normalizeHeader),
+    columnCount: snapshot.columnCount,
+    rowCount: snapshot.rowCount,
+    selectorHits: snapshot.selectorHits,
+    linkPatterns: [...new Set(snapshot.links.map(linkPattern).filter(Boolean))].sort(),
+    capturedAt: new Date()
+  };
+}
+
+function normalizeHeader(text) {
+  return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * https://site/Docs/2025/a.pdf → site/Docs/2025/*.pdf
+ */
+function linkPattern(href) {
+  try {
+    const url = new URL(href);
+    const folder = url.pathname.slice(0, url.pathname.lastIndexOf('/') + 1);
+    const extension = path.extname(url.pathname).toLowerCase();
+    return `${url.host}${folder}*${extension}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compare a live fingerprint with the stored one (pure)
+ *
+ * Row counts change daily and are not compared.
+ *
+ * Returns: [{ field, previous, current }] - empty when nothing drifted
+ */
+export function compareFingerprints(previous, current) {
+  const changes = [];
+  const changed = (field, before, after) => changes.push({ field, previous: before, current: after });
+
+  if (previous.tableSelector !== current.tableSelector) {
+    changed('tableSelector', previous.tableSelector, current.tableSelector);
+  }
+
+  if (JSON.stringify(previous.headers) !== JSON.stringify(current.headers)) {
+    changed('headers', previous.headers, current.headers);
+  }
+
+  if (previous.columnCount !== current.columnCount) {
+    changed('columnCount', previous.columnCount, current.columnCount);
+  }
+
+  // A selector that used to match and no longer does
+  const currentHits = new Map(current.selectorHits.map(hit => [hit.selector, hit.count]));
+  for (const { selector, count } of previous.selectorHits) {
+    if (count > 0 && !currentHits.get(selector)) {
+      changed(`selector:${selector}`, count, currentHits.get(selector) ?? 0);
+    }
+  }
+
+  // Attachments moved: none of today's link patterns was seen before
+  const known = new Set(previous.linkPatterns);
+  if (previous.linkPatterns.length > 0 && !current.linkPatterns.some(pattern => known.has(pattern))) {
+    changed('linkPatterns', previous.linkPatterns, current.linkPatterns);
+  }
+
+  return changes;
+}
+
+/**
+ * One line per drift, for errors and logs
+ */
+export function describeDrift(changes) {
+  return `Page structure changed: ${changes.map(change => change.field).join(', ')} differ from the last successful run`;
+}
+
+export async function getFingerprint(sourceId) {
+  return getStorage().structures.get(sourceId);
+}
+
+export async function saveFingerprint(sourceId, fingerprint) {
+  await getStorage().structures.set(sourceId, { source: sourceId, ...fingerprint });
+}
+
+/**
+ * Save an HTML snapshot and a full-page screenshot of the page
+ *
+ * Files: <ARTIFACTS_DIR>/<runId>/<sourceId>.html|.png
+ * Returns: { dir, html, screenshot } (html/screenshot relative to dir),
+ *          null when the page could not be saved - never throws
+ */
+export async function saveArtifacts(page, { runId, sourceId, dir }) {
+  const root = path.resolve(__dirname, dir || getArtifactsConfig().dir);
+  const folder = String(runId || new Date().toISOString()).replace(/[^A-Za-z0-9_-]+/g, '-');
+
+  try {
+    fs.mkdirSync(path.join(root, folder), { recursive: true });
+
+    const html = path.join(folder, `${sourceId}.html`);
+    fs.writeFileSync(path.join(root, html), await page.content());
+
+    const screenshot = path.join(folder, `${sourceId}.png`);
+    fs.writeFileSync(path.join(root, screenshot), await page.screenshot({ fullPage: true }));
+
+    return { dir: root, html, screenshot };
+  } catch (err) {
+    logError(`[${sourceId}] Failed to save page artifacts`, err);
+    return null;
+  }
+}
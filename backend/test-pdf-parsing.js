@@ -9,7 +9,8 @@
 
 import { downloadAndParsePdf } from './pdfParser.js';
 import { normalizeJobData } from './normalizer.js';
-import { saveJob, initFirestore } from './firestoreService.js';
+import { saveJob } from './firestoreService.js';
+import { initStorage } from './storage/index.js';
 import { logInfo, logError, logWarning } from './logger.js';
 
 // Real SPSC PDF URLs from verification
@@ -40,7 +41,7 @@ const TEST_PDFS = [
 async function testPdfParsing() {
     console.log('=== STEP 3: PDF PARSING VALIDATION ===\n');
 
-    await initFirestore();
+    await initStorage();
 
     const results = [];
 
@@ -68,8 +69,8 @@ async function testPdfParsing() {
 
             console.log('Normalized job data:', JSON.stringify(jobData, null, 2));
 
-            const docId = await saveJob(jobData);
-            console.log(`✓ Saved to Firestore: ${docId}`);
+            const { id: docId } = await saveJob(jobData);
+            console.log(`✓ Saved to storage: ${docId}`);
 
             results.push({
                 name: testPdf.name,
@@ -97,8 +98,8 @@ async function testPdfParsing() {
 
                 console.log('Partial job data:', JSON.stringify(partialJob, null, 2));
 
-                const docId = await saveJob(partialJob);
-                console.log(`✓ Saved partial data to Firestore: ${docId}`);
+                const { id: docId } = await saveJob(partialJob);
+                console.log(`✓ Saved partial data to storage: ${docId}`);
 
                 results.push({
                     name: testPdf.name,
@@ -1,189 +1,191 @@
 /**
- * SPSC Website Verification Script
- * 
- * This script must be run FIRST to verify the SPSC website structure
- * before the main scraper can be implemented.
- * 
+ * Website Structure Verification
+ *
+ * Headless check of each enabled source's notifications page, using the
+ * same source adapters and fingerprint as the scraper (structureCheck.js):
+ * 1. Load the list page (table selector, then fallback selectors)
+ * 2. Fingerprint it and extract the listing rows
+ * 3. Compare against the fingerprint stored by the last successful run
+ * 4. Save an HTML snapshot and screenshot to ARTIFACTS_DIR/verify-<time>/
+ *
  * Usage:
- *   node verify-website.js
- * 
- * This will:
- * 1. Open the SPSC website in a browser
- * 2. Navigate to the notifications page
- * 3. Extract and display the HTML structure
- * 4. Show sample job data
- * 5. Output CSS selectors that work
+ *   npm run verify                            # every enabled source (SCRAPER_SOURCES)
+ *   node verify-website.js --headed           # watch the browser
+ *   node verify-website.js --no-compare       # no storage: skip the stored fingerprint
+ *   node verify-website.js --config new.json  # try a proposed source config
+ *
+ * Exit code 1 when a table is not found, no rows parse or the page drifted.
+ * A proposed config (sources/sourceConfig.js format) is expected to differ
+ * from the stored fingerprint: it passes when it is valid and rows parse.
  */
 
+import fs from 'fs';
 import { chromium } from 'playwright';
+import { getEnabledSources } from './sources/index.js';
+import { createTableSource } from './sources/tableSource.js';
+import { validateSourceConfig } from './sources/sourceConfig.js';
+import { initStorage, setStorage } from './storage/index.js';
+import { compareFingerprints, getFingerprint, saveArtifacts } from './structureCheck.js';
 
-const SPSC_BASE_URL = 'https://spsc.sikkim.gov.in';
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
-async function verifyWebsite() {
-    console.log('=== SPSC Website Verification ===\n');
-    console.log(`Target: ${SPSC_BASE_URL}\n`);
+/**
+ * Verify sources
+ *
+ * Options (all optional):
+ *   config        - proposed table source config to verify instead of
+ *                   the registered sources
+ *   sources       - source adapters (default: getEnabledSources())
+ *   launchBrowser - async () => browser (default: Chromium, headless
+ *                   unless `headed`)
+ *   compare       - compare with stored fingerprints (default: true)
+ *   storage       - storage backend for the comparison (default: initStorage())
+ *   artifactsDir  - override ARTIFACTS_DIR
+ *
+ * Returns: [{ source, ok, rows, selectors, pagination, fingerprint,
+ *            baseline, changes, artifacts, configErrors, error }]
+ */
+export async function verifyWebsite(options = {}) {
+    const {
+        launchBrowser = () => chromium.launch({ headless: !options.headed }),
+        compare = true
+    } = options;
+    const runId = `verify-${new Date().toISOString()}`;
+    const proposed = Boolean(options.config);
+
+    if (proposed) {
+        const configErrors = validateSourceConfig(options.config);
+        if (configErrors.length > 0) {
+            return [{ ...emptyReport(options.config.id || 'proposed'), configErrors }];
+        }
+    }
+    const sources = proposed
+        ? [createTableSource(options.config)]
+        : options.sources || getEnabledSources();
+
+    if (compare) {
+        if (options.storage) {
+            setStorage(options.storage);
+        } else {
+            await initStorage();
+        }
+    }
 
-    let browser;
+    const browser = await launchBrowser();
+    const reports = [];
 
     try {
-        // Launch browser in headed mode so we can see what's happening
-        console.log('Launching browser...');
-        browser = await chromium.launch({
-            headless: false,  // Show browser for manual inspection
-            slowMo: 1000      // Slow down for visibility
-        });
-
-        const context = await browser.newContext({
-            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-            viewport: { width: 1920, height: 1080 }
-        });
-
-        const page = await context.newPage();
-
-        // Navigate to homepage
-        console.log(`\nNavigating to ${SPSC_BASE_URL}...`);
-        await page.goto(SPSC_BASE_URL, { waitUntil: 'networkidle', timeout: 30000 });
-        console.log('✓ Homepage loaded successfully\n');
-
-        // Take screenshot of homepage
-        await page.screenshot({ path: 'screenshots/homepage.png', fullPage: true });
-        console.log('✓ Screenshot saved: screenshots/homepage.png\n');
-
-        // Look for notifications/advertisements links
-        console.log('Searching for notifications/advertisements links...\n');
-
-        const possibleLinkTexts = [
-            'Notifications',
-            'Recruitment',
-            'Advertisements',
-            'Jobs',
-            'Vacancies',
-            'Latest Notifications',
-            'Current Openings'
-        ];
-
-        let notificationsUrl = null;
-
-        for (const linkText of possibleLinkTexts) {
-            try {
-                const link = await page.locator(`a:has-text("${linkText}")`).first();
-                if (await link.count() > 0) {
-                    const href = await link.getAttribute('href');
-                    console.log(`Found link: "${linkText}" → ${href}`);
-
-                    if (!notificationsUrl) {
-                        notificationsUrl = href.startsWith('http') ? href : `${SPSC_BASE_URL}${href}`;
-                    }
-                }
-            } catch (e) {
-                // Link not found, continue
-            }
+        for (const source of sources) {
+            reports.push(await verifySource(browser, source, { runId, compare, proposed, artifactsDir: options.artifactsDir }));
         }
+    } finally {
+        await browser.close();
+    }
 
-        if (!notificationsUrl) {
-            console.log('\n⚠️  Could not automatically find notifications page');
-            console.log('Please manually inspect the page and identify the correct link\n');
+    return reports;
+}
 
-            // Wait for manual inspection
-            console.log('Browser will stay open for 60 seconds for manual inspection...');
-            await page.waitForTimeout(60000);
+function emptyReport(sourceId) {
+    return {
+        source: sourceId,
+        ok: false,
+        rows: 0,
+        selectors: null,
+        pagination: null,
+        fingerprint: null,
+        baseline: false,
+        changes: [],
+        artifacts: null,
+        configErrors: [],
+        error: null
+    };
+}
 
-            await browser.close();
-            return;
-        }
+async function verifySource(browser, source, { runId, compare, proposed, artifactsDir }) {
+    const report = emptyReport(source.id);
+    const page = await browser.newPage({ userAgent: USER_AGENT });
 
-        // Navigate to notifications page
-        console.log(`\nNavigating to notifications page: ${notificationsUrl}`);
-        await page.goto(notificationsUrl, { waitUntil: 'networkidle', timeout: 30000 });
-        console.log('✓ Notifications page loaded\n');
-
-        // Take screenshot
-        await page.screenshot({ path: 'screenshots/notifications.png', fullPage: true });
-        console.log('✓ Screenshot saved: screenshots/notifications.png\n');
-
-        // Try to find job listings
-        console.log('Analyzing page structure...\n');
-
-        // Check for tables
-        const tables = await page.locator('table').count();
-        console.log(`Found ${tables} table(s)`);
-
-        if (tables > 0) {
-            // Analyze first table
-            const firstTable = page.locator('table').first();
-            const rows = await firstTable.locator('tr').count();
-            console.log(`First table has ${rows} rows`);
-
-            // Get first few rows
-            console.log('\nSample data from first table:\n');
-            for (let i = 0; i < Math.min(5, rows); i++) {
-                const row = firstTable.locator('tr').nth(i);
-                const cells = await row.locator('td, th').count();
-                const text = await row.innerText();
-                console.log(`Row ${i}: ${cells} cells`);
-                console.log(`  Content: ${text.substring(0, 100)}...`);
-
-                // Check for PDF links
-                const pdfLinks = await row.locator('a[href*=".pdf"]').count();
-                if (pdfLinks > 0) {
-                    const pdfHref = await row.locator('a[href*=".pdf"]').first().getAttribute('href');
-                    console.log(`  PDF Link: ${pdfHref}`);
-                }
-                console.log('');
-            }
+    try {
+        await source.fetchListPage(page);
+        report.fingerprint = source.fingerprint ? await source.fingerprint(page) : null;
+        report.rows = (await source.extractRows(page)).length;
+        report.selectors = source.matchedSelectors?.(page) ?? null;
+        report.pagination = source.traversal?.(page) ?? null;
+
+        if (compare && report.fingerprint) {
+            const previous = await getFingerprint(source.id);
+            report.baseline = Boolean(previous);
+            report.changes = previous ? compareFingerprints(previous, report.fingerprint) : [];
         }
 
-        // Check for lists
-        const lists = await page.locator('ul, ol').count();
-        console.log(`\nFound ${lists} list(s)`);
-
-        // Get page HTML for manual inspection
-        const html = await page.content();
-        const fs = await import('fs');
-        fs.writeFileSync('screenshots/page-source.html', html);
-        console.log('✓ Full HTML saved: screenshots/page-source.html\n');
-
-        // Extract all PDF links
-        console.log('Extracting all PDF links...\n');
-        const pdfLinks = await page.locator('a[href*=".pdf"]').all();
-        console.log(`Found ${pdfLinks.length} PDF links:\n`);
-
-        for (let i = 0; i < Math.min(10, pdfLinks.length); i++) {
-            const link = pdfLinks[i];
-            const href = await link.getAttribute('href');
-            const text = await link.innerText();
-            console.log(`${i + 1}. ${text.trim()}`);
-            console.log(`   URL: ${href}\n`);
-        }
+        report.ok = report.rows > 0 && (proposed || report.changes.length === 0);
+    } catch (err) {
+        report.error = err.message;
+    } finally {
+        report.artifacts = await saveArtifacts(page, { runId, sourceId: source.id, dir: artifactsDir });
+        await page.close();
+    }
 
-        console.log('\n=== Verification Complete ===\n');
-        console.log('Next steps:');
-        console.log('1. Review screenshots in screenshots/ folder');
-        console.log('2. Inspect page-source.html to identify correct selectors');
-        console.log('3. Update SELECTORS in scraper.js with verified selectors');
-        console.log('4. Test scraper with verify-scraper.js\n');
+    return report;
+}
 
-        // Keep browser open for manual inspection
-        console.log('Browser will stay open for 30 seconds for manual inspection...');
-        await page.waitForTimeout(30000);
+function printReport(report) {
+    console.log(`\n=== ${report.source}: ${report.ok ? '✓ OK' : '❌ NEEDS ATTENTION'} ===`);
 
-    } catch (error) {
-        console.error('\n❌ Error during verification:', error.message);
-        console.error('\nFull error:', error);
-    } finally {
-        if (browser) {
-            await browser.close();
+    for (const problem of report.configErrors) {
+        console.log(`Config: ${problem}`);
+    }
+
+    if (report.error) {
+        console.log(`Error: ${report.error}`);
+    }
+
+    if (report.fingerprint) {
+        const { tableSelector, headers, columnCount, rowCount, selectorHits, linkPatterns } = report.fingerprint;
+        console.log(`Table selector: ${tableSelector}`);
+        if (report.selectors) {
+            console.log(`Header cell selector: ${report.selectors.headerCells || 'none matched'}`);
+            console.log(`Row selector: ${report.selectors.rows || 'none matched'}`);
         }
+        console.log(`Headers (${columnCount} columns): ${headers.join(' | ')}`);
+        console.log(`Rows: ${rowCount} in table, ${report.rows} parsed`);
+        if (report.pagination) {
+            const { mode, pages, truncated } = report.pagination;
+            console.log(`Pages: ${pages} (${mode}${truncated ? ', stopped at maxPages' : ''})`);
+        }
+        console.log('Selector hits:');
+        selectorHits.forEach(hit => console.log(`  ${hit.selector}: ${hit.count}`));
+        console.log(`Link patterns: ${linkPatterns.join(', ') || 'none'}`);
+    }
+
+    if (report.fingerprint && !report.baseline) {
+        console.log('No stored fingerprint to compare with');
+    }
+    for (const change of report.changes) {
+        console.log(`Drift in ${change.field}: ${JSON.stringify(change.previous)} → ${JSON.stringify(change.current)}`);
+    }
+
+    if (report.artifacts) {
+        console.log(`Snapshot: ${report.artifacts.dir}/${report.artifacts.html}`);
+        console.log(`Screenshot: ${report.artifacts.dir}/${report.artifacts.screenshot}`);
     }
 }
 
-// Run verification
-verifyWebsite()
-    .then(() => {
-        console.log('\nVerification script completed');
-        process.exit(0);
-    })
-    .catch((error) => {
-        console.error('\nVerification script failed:', error);
-        process.exit(1);
-    });
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const configIndex = process.argv.indexOf('--config');
+
+    Promise.resolve()
+        .then(() => verifyWebsite({
+            headed: process.argv.includes('--headed'),
+            compare: !process.argv.includes('--no-compare'),
+            config: configIndex > 0 ? JSON.parse(fs.readFileSync(process.argv[configIndex + 1], 'utf8')) : undefined
+        }))
+        .then(reports => {
+            reports.forEach(printReport);
+            process.exit(reports.every(report => report.ok) ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('\nVerification failed:', error);
+            process.exit(1);
+        });
+}
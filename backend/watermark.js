@@ -0,0 +1,175 @@
+/**
+ * Incremental Scraping - per-source watermarks
+ *
+ * One document per source in `source_watermarks`:
+ *   { source, lastIssuedDate, lastAdvtNo, ids, pdfUrlHashes, revalidatedAt,
+ *     updatedAt }
+ * - ids:          listing ids already stored (jobs and applied notices)
+ * - pdfUrlHashes: SHA-256 prefixes of the PDF URLs they were parsed from
+ * - lastIssuedDate / lastAdvtNo: newest listing seen (YYYY-MM-DD issue date)
+ * - revalidatedAt: last run that re-checked known PDFs (pdfCache.js)
+ * - pendingNotices: ids of notices stored unresolved (their advertisement
+ *   was not found), applied from storage on later runs
+ *
+ * It is read once per run, so known rows cost no Firestore read and no PDF
+ * download. A row is:
+ * - new:     id not in `ids` → download, parse, save
+ * - changed: id known, PDF URL not in `pdfUrlHashes` → download and save
+ *            again (saveJob records the revision)
+ * - known:   skipped, except on a revalidation run (every
+ *            PDF_REVALIDATE_DAYS) that re-checks its PDF with a
+ *            conditional request
+ *
+ * A source without a watermark (first run, deleted document) is
+ * bootstrapped from its stored jobs and notices in one query each, under
+ * the listing id the scraper saved them with (`listingId`: a notice only
+ * its PDF identifies is stored under another id than its listing row).
+ * Failed rows are not recorded, so later runs retry them. Unresolved
+ * notices are recorded like applied ones - their PDF is not downloaded
+ * again - and kept in pendingNotices.
+ */
+
+import crypto from 'crypto';
+import { getStorage } from './storage/index.js';
+import { generateDocId, generateNoticeId } from './firestoreService.js';
+import { NoticeType, classifyNotice } from './noticeClassifier.js';
+import { normalizeIssuedDate, issuedDay } from './normalizer.js';
+import { logInfo } from './logger.js';
+
+export const ListingStatus = {
+  NEW: 'new',
+  CHANGED: 'changed',
+  KNOWN: 'known'
+};
+
+export function pdfUrlHash(url) {
+  return crypto.createHash('sha256').update(url || '').digest('hex').slice(0, 16);
+}
+
+/**
+ * Storage id of a listing row, as the scraper would save it
+ * (the listing subject decides between job and notice)
+ */
+export function listingId(sourceId, job) {
+  const type = classifyNotice(job.subject);
+
+  return type === NoticeType.ADVERTISEMENT
+    ? generateDocId(job.advtNo, job.postName, job.issuedDate ?? job.issuedDateText, sourceId)
+    : generateNoticeId({ ...job, source: sourceId, type });
+}
+
+/**
+ * Load a source's watermark, bootstrapping it from storage when missing
+ */
+export async function loadWatermark(sourceId) {
+  const { watermarks, jobs, notices } = getStorage();
+  const stored = await watermarks.get(sourceId);
+
+  if (stored) {
+    return {
+      source: sourceId,
+      lastIssuedDate: stored.lastIssuedDate || null,
+      lastAdvtNo: stored.lastAdvtNo || null,
+      ids: new Set(stored.ids || []),
+      pdfUrlHashes: new Set(stored.pdfUrlHashes || []),
+      revalidatedAt: stored.revalidatedAt || stored.updatedAt || new Date(),
+      pendingNotices: new Set(stored.pendingNotices || []),
+      dirty: false
+    };
+  }
+
+  const where = [['source', '==', sourceId]];
+  const storedNotices = await notices.list({ where });
+  const known = [...(await jobs.list({ where })), ...storedNotices];
+
+  const watermark = {
+    source: sourceId,
+    lastIssuedDate: null,
+    lastAdvtNo: null,
+    ids: new Set(),
+    pdfUrlHashes: new Set(),
+    revalidatedAt: new Date(),
+    pendingNotices: new Set(),
+    dirty: known.length > 0
+  };
+  for (const doc of known) {
+    recordListing(watermark, doc.listingId || doc.id, doc.pdfUrl, doc);
+  }
+  for (const notice of storedNotices.filter(notice => !notice.applied)) {
+    watermark.pendingNotices.add(notice.id);
+  }
+
+  logInfo(`[${sourceId}] Watermark bootstrapped from ${known.length} stored listings`);
+  return watermark;
+}
+
+/**
+ * True when known PDFs are due a conditional re-check (revalidateDays 0 = never)
+ */
+export function isRevalidationDue(watermark, revalidateDays, now = new Date()) {
+  if (!revalidateDays) return false;
+  return now - new Date(watermark.revalidatedAt) >= revalidateDays * 24 * 60 * 60 * 1000;
+}
+
+export function markRevalidated(watermark, now = new Date()) {
+  watermark.revalidatedAt = now;
+  watermark.dirty = true;
+}
+
+export function listingStatus(watermark, id, pdfUrl) {
+  if (!watermark.ids.has(id)) return ListingStatus.NEW;
+  return watermark.pdfUrlHashes.has(pdfUrlHash(pdfUrl)) ? ListingStatus.KNOWN : ListingStatus.CHANGED;
+}
+
+/**
+ * Mark a listing as stored (call after a successful save)
+ */
+export function recordListing(watermark, id, pdfUrl, { issuedDate, advtNo } = {}) {
+  watermark.ids.add(id);
+  if (pdfUrl) watermark.pdfUrlHashes.add(pdfUrlHash(pdfUrl));
+
+  if (sortableDate(issuedDate) > sortableDate(watermark.lastIssuedDate)) {
+    watermark.lastIssuedDate = normalizeIssuedDate(issuedDate);
+    watermark.lastAdvtNo = advtNo || null;
+  }
+  watermark.dirty = true;
+}
+
+/**
+ * Track a notice stored unresolved (pending) or applied since (!pending)
+ */
+export function recordPendingNotice(watermark, noticeId, pending = true) {
+  if (pending) {
+    watermark.pendingNotices.add(noticeId);
+  } else {
+    watermark.pendingNotices.delete(noticeId);
+  }
+  watermark.dirty = true;
+}
+
+/**
+ * Write the watermark back when anything was recorded
+ */
+export async function saveWatermark(watermark) {
+  if (!watermark.dirty) return;
+
+  await getStorage().watermarks.set(watermark.source, {
+    source: watermark.source,
+    lastIssuedDate: watermark.lastIssuedDate,
+    lastAdvtNo: watermark.lastAdvtNo,
+    ids: [...watermark.ids],
+    pdfUrlHashes: [...watermark.pdfUrlHashes],
+    revalidatedAt: watermark.revalidatedAt,
+    pendingNotices: [...watermark.pendingNotices],
+    updatedAt: new Date()
+  });
+  watermark.dirty = false;
+}
+
+/**
+ * Issue date → YYYY-MM-DD ('' when missing or unparseable); watermarks
+ * saved before hold DD/MM/YYYY or an ISO timestamp
+ */
+function sortableDate(date) {
+  return issuedDay(date) || '';
+}